@@ -12,6 +12,7 @@ const releaseTag = app.node.tryGetContext('releaseTag');
 const releaseDate = app.node.tryGetContext('releaseDate');
 const gitSha = app.node.tryGetContext('gitSha');
 const blueGreenDeployment = app.node.tryGetContext('blueGreenDeployment') === 'true';
+const stateFile = app.node.tryGetContext('stateFile');
 
 console.log(`Deploying for environment: ${environment}`);
 console.log(`Flows path: ${flowsPath}`);
@@ -25,6 +26,7 @@ new ConnectFlowStack(app, `ConnectFlowStack-${environment}`, {
     releaseDate,
     gitSha,
     blueGreenDeployment,
+    stateFile,
     env: {
         // Use environment variables or default values
         account: process.env.CDK_DEFAULT_ACCOUNT,
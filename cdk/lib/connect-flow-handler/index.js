@@ -0,0 +1,478 @@
+/**
+ * Contact Flow Custom Resource Handler
+ * onEvent handler of the ConnectFlowProvider: creates, updates and adopts contact flows and
+ * flow modules, and manages the Connect invoke permissions of the Lambda functions they call.
+ * Deployed from this directory with Code.fromAsset by ConnectFlowStack; the asset has no node_modules,
+ * so only the AWS SDK v3 clients bundled with the Node.js Lambda runtime are available.
+ */
+
+const crypto = require('crypto');
+
+// SDK v3 commands used by the handler, by client
+const CONNECT_COMMANDS = [
+    'CreateContactFlow',
+    'CreateContactFlowModule',
+    'DescribeContactFlow',
+    'ListContactFlows',
+    'ListContactFlowModules',
+    'UpdateContactFlowContent',
+    'UpdateContactFlowModuleContent'
+];
+const LAMBDA_COMMANDS = ['AddPermission', 'GetPolicy', 'RemovePermission'];
+
+// Statements added by earlier versions of this handler
+const LEGACY_STATEMENT_PATTERN = /^connect-invoke-\d+$/;
+
+/**
+ * Lambda statement ID for a flow or module; one statement per instance and flow,
+ * so redeploying never adds another
+ */
+function permissionStatementId({ instanceId, kind, name }) {
+    const id = `connect-${instanceId}-${kind}-${name}`.replace(/[^A-Za-z0-9_.-]/g, '_');
+    if (id.length <= 100) {
+        return id;
+    }
+    const hash = crypto.createHash('sha256').update(id).digest('hex').slice(0, 12);
+    return `${id.slice(0, 87)}-${hash}`;
+}
+
+/**
+ * Unqualified function ARN and version/alias; invoke permissions are granted on what the flow invokes
+ */
+function parseLambdaArn(lambdaArn) {
+    const parts = lambdaArn.split(':');
+    return {
+        functionName: parts.slice(0, 7).join(':'),
+        ...(parts[7] && { qualifier: parts[7] })
+    };
+}
+
+/**
+ * Normalize the custom resource properties (CloudFormation passes booleans as strings)
+ */
+function getFlowProperties(resourceProperties) {
+    return {
+        kind: resourceProperties.ResourceKind === 'MODULE' ? 'module' : 'flow',
+        flowName: resourceProperties.FlowName,
+        flowType: resourceProperties.FlowType || 'CONTACT_FLOW',
+        flowContent: resourceProperties.FlowContent,
+        instanceId: resourceProperties.InstanceId,
+        instanceArn: resourceProperties.InstanceArn,
+        lambdaArns: resourceProperties.LambdaArns || [],
+        releaseTag: resourceProperties.ReleaseTag,
+        blueGreenDeployment: String(resourceProperties.BlueGreenDeployment) === 'true',
+        existingFlowId: resourceProperties.ExistingFlowId,
+        tolerate: resourceProperties.TolerateLambdaPermissionErrors || []
+    };
+}
+
+class ConnectFlowHandler {
+    /**
+     * @param {Object} options - { connect, lambda } clients with the aws-sdk v2 call style (see sdkV3Client) and environment
+     *   (defaults to the ENVIRONMENT variable set by the stack)
+     */
+    constructor(options = {}) {
+        this.connect = options.connect;
+        this.lambda = options.lambda;
+        this.environment = options.environment || process.env.ENVIRONMENT || 'unknown';
+    }
+
+    /**
+     * Handle a CloudFormation custom resource event
+     * @returns {Object} { Status, PhysicalResourceId, Data }
+     * @throws {Error} The provider framework reports a thrown error (and its message) as the resource failure
+     */
+    async handle(event) {
+        console.log('Event:', JSON.stringify(event, null, 2));
+
+        const { RequestType, ResourceProperties } = event;
+        const props = getFlowProperties(ResourceProperties);
+
+        try {
+            if (props.kind === 'module') {
+                return await this.handleModuleEvent(event, props);
+            }
+
+            let physicalResourceId;
+            let responseData = {};
+
+            switch (RequestType) {
+                case 'Create': {
+                    const flow = await this.handleCreate(props);
+                    physicalResourceId = flow.arn;
+                    responseData = { ContactFlowArn: flow.arn, ContactFlowId: flow.id, FlowName: props.flowName, Adopted: String(flow.adopted) };
+                    break;
+                }
+
+                case 'Update': {
+                    // Connect cannot change the type of an existing flow
+                    this.assertFlowType(props.flowName, (event.OldResourceProperties || {}).FlowType || 'CONTACT_FLOW', props.flowType);
+                    const flow = await this.handleUpdate(event.PhysicalResourceId, props);
+                    // Functions the flow no longer invokes lose this flow's statement; blue/green keeps it,
+                    // since the previous version stays live behind the router and is the rollback target
+                    if (!props.blueGreenDeployment) {
+                        await this.removeLambdaPermissions(this.removedLambdaArns(event.OldResourceProperties, props.lambdaArns), props);
+                    }
+                    physicalResourceId = event.PhysicalResourceId;
+                    responseData = { ContactFlowArn: flow.arn, ContactFlowId: flow.id, FlowName: props.flowName, Adopted: String(flow.adopted) };
+                    break;
+                }
+
+                case 'Delete':
+                    // Blue/Green keeps earlier versions (and the permissions they rely on) for rollback
+                    if (!props.blueGreenDeployment) {
+                        await this.handleDelete(event.PhysicalResourceId, props.instanceId);
+                        await this.removeLambdaPermissions(props.lambdaArns, props);
+                    }
+                    physicalResourceId = event.PhysicalResourceId;
+                    break;
+
+                default:
+                    throw new Error(`Unsupported request type: ${RequestType}`);
+            }
+
+            return {
+                Status: 'SUCCESS',
+                PhysicalResourceId: physicalResourceId,
+                Data: responseData
+            };
+        } catch (error) {
+            console.error('Error:', error);
+            throw error;
+        }
+    }
+
+    assertFlowType(flowName, actualType, expectedType) {
+        if (actualType && actualType !== expectedType) {
+            throw new Error(`Contact flow ${flowName} is ${actualType} but the template declares ${expectedType}. Amazon Connect cannot change the type of an existing flow; deploy it under a new name instead`);
+        }
+    }
+
+    /**
+     * Create the flow, or adopt the recorded/same-named flow.
+     * Direct deployments keep one flow per logical name; Blue/Green creates a versioned flow per release.
+     */
+    async handleCreate(props) {
+        const { flowName, flowType, flowContent, instanceId, releaseTag, blueGreenDeployment } = props;
+        console.log(`Creating contact flow: ${flowName}`);
+
+        // Setup Lambda permissions first
+        await this.setupLambdaPermissions(props.lambdaArns, props);
+
+        const name = blueGreenDeployment ? `${flowName}-${releaseTag || new Date().getTime()}` : flowName;
+
+        const existing = await this.findExistingFlow(instanceId, blueGreenDeployment ? null : props.existingFlowId, name);
+        if (existing) {
+            this.assertFlowType(name, existing.Type || existing.ContactFlowType, flowType);
+            await this.connect.updateContactFlowContent({
+                InstanceId: instanceId,
+                ContactFlowId: existing.Id,
+                Content: flowContent
+            }).promise();
+            console.log(`Adopted existing contact flow: ${existing.Arn}`);
+            return { id: existing.Id, arn: existing.Arn, adopted: true };
+        }
+
+        const result = await this.connect.createContactFlow({
+            InstanceId: instanceId,
+            Name: name,
+            Type: flowType,
+            Content: flowContent,
+            Description: `Deployed via CDK - Release: ${releaseTag || 'unknown'}`,
+            Tags: {
+                Environment: this.environment,
+                DeployedBy: 'CDK',
+                ReleaseTag: releaseTag || 'unknown',
+                DeployedAt: new Date().toISOString()
+            }
+        }).promise();
+        console.log(`Created contact flow: ${result.ContactFlowArn}`);
+
+        return { id: result.ContactFlowId, arn: result.ContactFlowArn, adopted: false };
+    }
+
+    /**
+     * The flow recorded in the deployment state, or an existing flow with the same name
+     */
+    async findExistingFlow(instanceId, existingFlowId, name) {
+        if (existingFlowId) {
+            try {
+                const { ContactFlow } = await this.connect.describeContactFlow({
+                    InstanceId: instanceId,
+                    ContactFlowId: existingFlowId
+                }).promise();
+                return ContactFlow;
+            } catch (error) {
+                if (error.code !== 'ResourceNotFoundException') {
+                    throw error;
+                }
+                console.log(`Recorded contact flow ${existingFlowId} no longer exists`);
+            }
+        }
+
+        return this.findByName('listContactFlows', 'ContactFlowSummaryList', instanceId, name);
+    }
+
+    async findByName(method, listKey, instanceId, name) {
+        let nextToken;
+        do {
+            const page = await this.connect[method]({
+                InstanceId: instanceId,
+                MaxResults: 1000,
+                ...(nextToken && { NextToken: nextToken })
+            }).promise();
+            const match = (page[listKey] || []).find(summary => summary.Name === name);
+            if (match) {
+                return match;
+            }
+            nextToken = page.NextToken;
+        } while (nextToken);
+
+        return null;
+    }
+
+    async handleUpdate(contactFlowArn, props) {
+        console.log(`Updating contact flow: ${contactFlowArn}`);
+
+        if (props.blueGreenDeployment) {
+            // For Blue/Green, create new version instead of updating
+            return this.handleCreate(props);
+        }
+
+        await this.setupLambdaPermissions(props.lambdaArns, props);
+
+        const contactFlowId = contactFlowArn.split('/').pop();
+        const { ContactFlow } = await this.connect.describeContactFlow({
+            InstanceId: props.instanceId,
+            ContactFlowId: contactFlowId
+        }).promise();
+        this.assertFlowType(props.flowName, ContactFlow.Type, props.flowType);
+
+        await this.connect.updateContactFlowContent({
+            InstanceId: props.instanceId,
+            ContactFlowId: contactFlowId,
+            Content: props.flowContent
+        }).promise();
+        console.log(`Updated contact flow content: ${contactFlowArn}`);
+
+        return { id: contactFlowId, arn: contactFlowArn, adopted: false };
+    }
+
+    async handleModuleEvent(event, props) {
+        const { flowName, flowContent, instanceId, releaseTag } = props;
+
+        if (event.RequestType === 'Delete') {
+            // Modules are kept, like flows, so that flows still invoking them keep working
+            console.log(`Contact flow module deletion skipped for safety: ${flowName}`);
+            await this.removeLambdaPermissions(props.lambdaArns, props);
+            return { Status: 'SUCCESS', PhysicalResourceId: event.PhysicalResourceId };
+        }
+
+        await this.setupLambdaPermissions(props.lambdaArns, props);
+        if (event.RequestType === 'Update') {
+            await this.removeLambdaPermissions(this.removedLambdaArns(event.OldResourceProperties, props.lambdaArns), props);
+        }
+
+        let module = null;
+        if (event.RequestType === 'Update') {
+            module = { Id: event.PhysicalResourceId.split('/').pop(), Arn: event.PhysicalResourceId };
+        } else {
+            module = await this.findByName('listContactFlowModules', 'ContactFlowModulesSummaryList', instanceId, flowName);
+        }
+
+        if (module) {
+            await this.connect.updateContactFlowModuleContent({
+                InstanceId: instanceId,
+                ContactFlowModuleId: module.Id,
+                Content: flowContent
+            }).promise();
+            console.log(`Updated contact flow module: ${module.Arn}`);
+        } else {
+            const result = await this.connect.createContactFlowModule({
+                InstanceId: instanceId,
+                Name: flowName,
+                Content: flowContent,
+                Description: `Deployed via CDK - Release: ${releaseTag || 'unknown'}`,
+                Tags: {
+                    Environment: this.environment,
+                    DeployedBy: 'CDK',
+                    ReleaseTag: releaseTag || 'unknown'
+                }
+            }).promise();
+            module = { Id: result.Id, Arn: result.Arn };
+            console.log(`Created contact flow module: ${module.Arn}`);
+        }
+
+        return {
+            Status: 'SUCCESS',
+            PhysicalResourceId: module.Arn,
+            Data: { ContactFlowModuleId: module.Id, ContactFlowModuleArn: module.Arn, FlowName: flowName }
+        };
+    }
+
+    /**
+     * Flows are kept on Delete: active flows may still be in use, and inactive ones are kept for audit
+     */
+    async handleDelete(contactFlowArn, instanceId) {
+        if (!contactFlowArn || contactFlowArn === 'failed') {
+            console.log('No contact flow to delete');
+            return;
+        }
+
+        console.log(`Deleting contact flow: ${contactFlowArn}`);
+
+        try {
+            const { ContactFlow } = await this.connect.describeContactFlow({
+                InstanceId: instanceId,
+                ContactFlowId: contactFlowArn.split('/').pop()
+            }).promise();
+
+            if (ContactFlow.State === 'ACTIVE') {
+                console.log('Contact flow is active, not deleting');
+                return;
+            }
+
+            console.log('Contact flow deletion skipped for safety');
+        } catch (error) {
+            // Don't fail the stack deletion for this
+            console.log(`Could not delete contact flow: ${error.message}`);
+        }
+    }
+
+    removedLambdaArns(oldResourceProperties, lambdaArns) {
+        const previous = (oldResourceProperties && oldResourceProperties.LambdaArns) || [];
+        return previous.filter(lambdaArn => !lambdaArns.includes(lambdaArn));
+    }
+
+    async getPolicyStatements(functionName, qualifier) {
+        try {
+            const { Policy } = await this.lambda.getPolicy({
+                FunctionName: functionName,
+                ...(qualifier && { Qualifier: qualifier })
+            }).promise();
+            return JSON.parse(Policy).Statement || [];
+        } catch (error) {
+            // A function without a resource policy
+            if (error.code === 'ResourceNotFoundException') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Permission errors fail the resource unless the function is listed in deployment.tolerate_lambda_permission_errors
+     */
+    handlePermissionError(lambdaArn, props, action, error) {
+        const { functionName } = parseLambdaArn(lambdaArn);
+        const tolerable = props.tolerate.some(entry =>
+            entry === '*' || entry === lambdaArn || entry === functionName || entry === functionName.split(':')[6]);
+
+        if (!tolerable) {
+            throw new Error(`Could not ${action} Connect invoke permission for ${lambdaArn}: ${error.message}`);
+        }
+        console.log(`Ignoring permission error for ${lambdaArn} (tolerated): ${error.message}`);
+    }
+
+    async setupLambdaPermissions(lambdaArns, props) {
+        const statementId = permissionStatementId({ instanceId: props.instanceId, kind: props.kind, name: props.flowName });
+
+        for (const lambdaArn of lambdaArns) {
+            try {
+                const { functionName, qualifier } = parseLambdaArn(lambdaArn);
+                const statements = await this.getPolicyStatements(functionName, qualifier);
+
+                if (statements.some(statement => statement.Sid === statementId)) {
+                    console.log(`Permission ${statementId} already exists for Lambda: ${lambdaArn}`);
+                    continue;
+                }
+
+                await this.lambda.addPermission({
+                    FunctionName: functionName,
+                    ...(qualifier && { Qualifier: qualifier }),
+                    StatementId: statementId,
+                    Action: 'lambda:InvokeFunction',
+                    Principal: 'connect.amazonaws.com',
+                    SourceArn: props.instanceArn
+                }).promise();
+                console.log(`Added permission ${statementId} for Lambda: ${lambdaArn}`);
+
+                // Legacy statements of this instance are covered by the new one
+                const legacy = statements.filter(statement => LEGACY_STATEMENT_PATTERN.test(statement.Sid || '') &&
+                    JSON.stringify(statement.Condition || {}).includes(props.instanceArn));
+                for (const statement of legacy) {
+                    await this.lambda.removePermission({
+                        FunctionName: functionName,
+                        ...(qualifier && { Qualifier: qualifier }),
+                        StatementId: statement.Sid
+                    }).promise();
+                    console.log(`Removed legacy permission ${statement.Sid} for Lambda: ${lambdaArn}`);
+                }
+            } catch (error) {
+                this.handlePermissionError(lambdaArn, props, 'add', error);
+            }
+        }
+    }
+
+    /**
+     * Remove this flow's statement; other managed flows invoking the same function keep their own
+     */
+    async removeLambdaPermissions(lambdaArns, props) {
+        const statementId = permissionStatementId({ instanceId: props.instanceId, kind: props.kind, name: props.flowName });
+
+        for (const lambdaArn of lambdaArns) {
+            const { functionName, qualifier } = parseLambdaArn(lambdaArn);
+            try {
+                await this.lambda.removePermission({
+                    FunctionName: functionName,
+                    ...(qualifier && { Qualifier: qualifier }),
+                    StatementId: statementId
+                }).promise();
+                console.log(`Removed permission ${statementId} for Lambda: ${lambdaArn}`);
+            } catch (error) {
+                // The statement (or the function) is already gone
+                if (error.code === 'ResourceNotFoundException') {
+                    continue;
+                }
+                this.handlePermissionError(lambdaArn, props, 'remove', error);
+            }
+        }
+    }
+}
+
+/**
+ * Wrap an SDK v3 client in the call style the handler uses: client.operation(params).promise()
+ * Errors keep the v2 `code` (v3 only sets `name`)
+ * @param {Object} sdk - The @aws-sdk/client-* module providing <Command>Command classes
+ */
+function sdkV3Client(client, sdk, commands) {
+    return Object.fromEntries(commands.map(command => {
+        const method = command.charAt(0).toLowerCase() + command.slice(1);
+        const Command = sdk[`${command}Command`];
+        return [method, (params) => ({
+            promise: () => client.send(new Command(params)).catch(error => {
+                error.code = error.code || error.name;
+                throw error;
+            })
+        })];
+    }));
+}
+
+let defaultHandler = null;
+
+/**
+ * Lambda entry point (index.handler); the SDK clients are created on first use
+ */
+async function handler(event) {
+    if (!defaultHandler) {
+        const connectSdk = require('@aws-sdk/client-connect');
+        const lambdaSdk = require('@aws-sdk/client-lambda');
+        defaultHandler = new ConnectFlowHandler({
+            connect: sdkV3Client(new connectSdk.ConnectClient({}), connectSdk, CONNECT_COMMANDS),
+            lambda: sdkV3Client(new lambdaSdk.LambdaClient({}), lambdaSdk, LAMBDA_COMMANDS)
+        });
+    }
+    return defaultHandler.handle(event);
+}
+
+module.exports = { ConnectFlowHandler, handler, permissionStatementId, sdkV3Client };
@@ -1,34 +1,47 @@
-const { Stack, Duration, CustomResource } = require('aws-cdk-lib');
+const { Stack, Duration, CustomResource, CfnOutput } = require('aws-cdk-lib');
 const { Function: LambdaFunction, Runtime, Code } = require('aws-cdk-lib/aws-lambda');
 const { PolicyStatement, Effect } = require('aws-cdk-lib/aws-iam');
 const { Provider } = require('aws-cdk-lib/custom-resources');
 const fs = require('fs-extra');
 const path = require('path');
 const yaml = require('yaml');
+const _ = require('lodash');
+const { getFlowOutputKeys } = require('../../scripts/deployment-state');
+const { FlowDependencyGraph, findFlowReferences, replaceFlowReferences } = require('../../scripts/flow-dependencies');
+const { CONTACT_FLOW_TYPES } = require('../../scripts/flow-types');
 
 class ConnectFlowStack extends Stack {
     constructor(scope, id, props) {
         super(scope, id, props);
 
-        this.environment = props.environment;
+        // Stack.environment is reserved by CDK (aws://account/region)
+        this.envName = props.environment;
         this.flowsPath = props.flowsPath;
         this.releaseTag = props.releaseTag;
         this.releaseDate = props.releaseDate;
         this.gitSha = props.gitSha;
         this.blueGreenDeployment = props.blueGreenDeployment;
+        this.stateFile = props.stateFile;
+        this.envDir = props.envDir || path.join(__dirname, '../../env');
 
         // Load environment configuration
         this.loadEnvironmentConfig();
 
+        // Load flow IDs recorded by previous deployments
+        this.loadDeploymentState();
+
         // Create the Connect flow management Lambda
         this.createConnectFlowHandler();
 
         // Deploy contact flows
         this.deployContactFlows();
+
+        // Scope the handler's permissions to the instance and the Lambda functions the flows invoke
+        this.grantConnectFlowHandlerPermissions();
     }
 
     loadEnvironmentConfig() {
-        const envConfigPath = path.join(__dirname, '../../env', `${this.environment}.yaml`);
+        const envConfigPath = path.join(this.envDir, `${this.envName}.yaml`);
 
         if (!fs.existsSync(envConfigPath)) {
             throw new Error(`Environment config not found: ${envConfigPath}`);
@@ -37,7 +50,22 @@ class ConnectFlowStack extends Stack {
         const yamlContent = fs.readFileSync(envConfigPath, 'utf8');
         this.envConfig = yaml.parse(yamlContent);
 
-        console.log(`Loaded environment config for: ${this.environment}`);
+        console.log(`Loaded environment config for: ${this.envName}`);
+    }
+
+    loadDeploymentState() {
+        this.deployedFlows = {};
+
+        if (!this.stateFile) {
+            return;
+        }
+        if (!fs.existsSync(this.stateFile)) {
+            console.warn(`Deployment state not found: ${this.stateFile}`);
+            return;
+        }
+
+        this.deployedFlows = fs.readJsonSync(this.stateFile).flows || {};
+        console.log(`Loaded deployment state for ${Object.keys(this.deployedFlows).length} flows`);
     }
 
     createConnectFlowHandler() {
@@ -45,12 +73,31 @@ class ConnectFlowStack extends Stack {
         this.connectFlowHandler = new LambdaFunction(this, 'ConnectFlowHandler', {
             runtime: Runtime.NODEJS_18_X,
             handler: 'index.handler',
-            code: Code.fromInline(this.getConnectFlowHandlerCode()),
+            code: Code.fromAsset(path.join(__dirname, 'connect-flow-handler')),
             timeout: Duration.minutes(15),
             description: 'Manages Amazon Connect contact flows deployment',
+            environment: {
+                ENVIRONMENT: this.envName,
+            },
         });
 
-        // Grant necessary permissions
+        // Lambda functions invoked by the deployed flows and modules (see grantConnectFlowHandlerPermissions)
+        this.lambdaArns = new Set();
+
+        // Create custom resource provider
+        this.connectFlowProvider = new Provider(this, 'ConnectFlowProvider', {
+            onEventHandler: this.connectFlowHandler,
+            logRetention: 14, // days
+        });
+    }
+
+    grantConnectFlowHandlerPermissions() {
+        const instanceArn = this.envConfig.connect.instance_arn;
+        if (!instanceArn) {
+            throw new Error(`connect.instance_arn is required in ${this.envName}.yaml to scope the flow handler's permissions`);
+        }
+
+        // Create/List are authorized on the instance, the others on the flow itself
         this.connectFlowHandler.addToRolePolicy(
             new PolicyStatement({
                 effect: Effect.ALLOW,
@@ -61,24 +108,63 @@ class ConnectFlowStack extends Stack {
                     'connect:DescribeContactFlow',
                     'connect:ListContactFlows',
                     'connect:DeleteContactFlow',
-                    'connect:AssociateInstanceStorageConfig',
-                    'connect:DisassociateInstanceStorageConfig',
-                    'lambda:AddPermission',
-                    'lambda:RemovePermission',
-                    'lambda:GetFunction',
+                    'connect:TagResource',
                 ],
-                resources: ['*'], // Scope down in production
+                resources: [instanceArn, `${instanceArn}/contact-flow/*`],
             })
         );
 
-        // Create custom resource provider
-        this.connectFlowProvider = new Provider(this, 'ConnectFlowProvider', {
-            onEventHandler: this.connectFlowHandler,
-            logRetention: 14, // days
-        });
+        if (this.moduleResources.size > 0) {
+            this.connectFlowHandler.addToRolePolicy(
+                new PolicyStatement({
+                    effect: Effect.ALLOW,
+                    actions: [
+                        'connect:CreateContactFlowModule',
+                        'connect:UpdateContactFlowModuleContent',
+                        'connect:DescribeContactFlowModule',
+                        'connect:ListContactFlowModules',
+                        'connect:TagResource',
+                    ],
+                    resources: [instanceArn, `${instanceArn}/flow-module/*`],
+                })
+            );
+        }
+
+        // The handler manages Connect invoke permissions on the function and its versions/aliases
+        const functionArns = Array.from(new Set(Array.from(this.lambdaArns).map(arn => arn.split(':').slice(0, 7).join(':')))).sort();
+        if (functionArns.length > 0) {
+            this.connectFlowHandler.addToRolePolicy(
+                new PolicyStatement({
+                    effect: Effect.ALLOW,
+                    actions: [
+                        'lambda:AddPermission',
+                        'lambda:RemovePermission',
+                        'lambda:GetPolicy',
+                        'lambda:GetFunction',
+                    ],
+                    resources: _.flatMap(functionArns, arn => [arn, `${arn}:*`]),
+                })
+            );
+        }
+    }
+
+    /**
+     * Lambda functions whose invoke permission errors are logged instead of failing the resource
+     * (deployment.tolerate_lambda_permission_errors: true for all, or a list of function names/ARNs)
+     */
+    getTolerableLambdaPermissionErrors() {
+        const tolerate = (this.envConfig.deployment || {}).tolerate_lambda_permission_errors;
+        if (tolerate === true) {
+            return ['*'];
+        }
+        return Array.isArray(tolerate) ? tolerate : [];
     }
 
     deployContactFlows() {
+        this.flowResources = new Map();
+        this.moduleResources = new Map();
+        this.flowModules = new Map();
+
         if (!fs.existsSync(this.flowsPath)) {
             console.warn(`Flows directory not found: ${this.flowsPath}`);
             return;
@@ -89,57 +175,186 @@ class ConnectFlowStack extends Stack {
 
         console.log(`Found ${flowFiles.length} flow files to deploy`);
 
+        const outputKeys = new Map();
+        const flows = new Map();
         flowFiles.forEach(flowFile => {
-            this.deployContactFlow(flowFile);
+            const flowName = path.basename(flowFile, '.json');
+            const { id } = getFlowOutputKeys(flowName);
+            if (outputKeys.has(id)) {
+                throw new Error(`Flow names ${outputKeys.get(id)} and ${flowName} map to the same output key ${id}`);
+            }
+            outputKeys.set(id, flowName);
+
+            const flowPath = path.join(this.flowsPath, flowFile);
+            flows.set(flowName, fs.readJsonSync(flowPath));
+        });
+
+        // Modules are deployed before the flows that invoke them
+        this.deployFlowModules();
+
+        // Referenced flows are created first so their ID/ARN can be substituted
+        const deployOrder = FlowDependencyGraph.fromFlows(flows).getDeployOrder();
+        console.log(`Deploy order: ${deployOrder.join(' -> ')}`);
+
+        deployOrder.forEach(flowName => {
+            this.flowResources.set(flowName, this.deployContactFlow(`${flowName}.json`, flows.get(flowName)));
         });
     }
 
-    deployContactFlow(flowFile) {
+    /**
+     * Deploy the rendered modules in <flowsPath>/modules/<flowName>/<Module>.json
+     * with the contact flow module APIs; a module shared by several flows is deployed once
+     */
+    deployFlowModules() {
+        const modulesPath = path.join(this.flowsPath, 'modules');
+        if (!fs.existsSync(modulesPath)) {
+            return;
+        }
+
+        const modules = new Map();
+
+        fs.readdirSync(modulesPath).forEach(flowName => {
+            const flowModulesPath = path.join(modulesPath, flowName);
+            if (!fs.statSync(flowModulesPath).isDirectory()) {
+                return;
+            }
+
+            const moduleNames = fs.readdirSync(flowModulesPath)
+                .filter(file => file.endsWith('.json'))
+                .map(file => {
+                    const moduleName = path.basename(file, '.json');
+                    const content = fs.readJsonSync(path.join(flowModulesPath, file));
+                    if (modules.has(moduleName) && !_.isEqual(modules.get(moduleName), content)) {
+                        throw new Error(`Module ${moduleName} is rendered with different content for several flows`);
+                    }
+                    modules.set(moduleName, content);
+                    return moduleName;
+                });
+            this.flowModules.set(flowName, moduleNames);
+        });
+
+        console.log(`Found ${modules.size} flow modules to deploy`);
+
+        modules.forEach((content, moduleName) => {
+            this.moduleResources.set(moduleName, new CustomResource(this, `ContactFlowModule-${moduleName}`, {
+                serviceToken: this.connectFlowProvider.serviceToken,
+                properties: {
+                    ResourceKind: 'MODULE',
+                    FlowName: moduleName,
+                    FlowContent: JSON.stringify(content),
+                    InstanceId: this.envConfig.connect.instance_id,
+                    InstanceArn: this.envConfig.connect.instance_arn,
+                    Environment: this.envName,
+                    LambdaArns: this.extractLambdaArns(content),
+                    TolerateLambdaPermissionErrors: this.getTolerableLambdaPermissionErrors(),
+                    ReleaseTag: this.releaseTag || 'unknown',
+                },
+            }));
+        });
+    }
+
+    /**
+     * Flow type and Connect flow content of a rendered flow.
+     * Rendered templates wrap the flow as { name, type, content }; a bare exported
+     * flow is deployed as a CONTACT_FLOW.
+     */
+    getFlowDefinition(flowName, flowJson) {
+        const wrapped = typeof flowJson.content === 'object' && flowJson.content !== null;
+        const type = (wrapped && flowJson.type) || 'CONTACT_FLOW';
+
+        if (!CONTACT_FLOW_TYPES.includes(type)) {
+            throw new Error(`Flow ${flowName} has unsupported type ${type} (expected one of ${CONTACT_FLOW_TYPES.join(', ')})`);
+        }
+
+        return { type, content: wrapped ? flowJson.content : flowJson };
+    }
+
+    deployContactFlow(flowFile, flowJson) {
         const flowName = path.basename(flowFile, '.json');
         const flowPath = path.join(this.flowsPath, flowFile);
 
-        if (!fs.existsSync(flowPath)) {
-            throw new Error(`Flow file not found: ${flowPath}`);
+        if (!flowJson) {
+            if (!fs.existsSync(flowPath)) {
+                throw new Error(`Flow file not found: ${flowPath}`);
+            }
+            flowJson = fs.readJsonSync(flowPath);
         }
 
-        const flowContent = fs.readJsonSync(flowPath);
+        const { type, content: flowContent } = this.getFlowDefinition(flowName, flowJson);
 
-        // Add deployment metadata
+        // Deployment metadata (changes on every synth so the flow is always updated)
         const deploymentMetadata = {
             deployedAt: new Date().toISOString(),
-            environment: this.environment,
+            environment: this.envName,
             ...(this.releaseTag && { releaseTag: this.releaseTag }),
             ...(this.gitSha && { gitCommit: this.gitSha }),
         };
 
-        // Merge metadata into flow content
-        if (flowContent.metadata) {
-            flowContent.metadata = { ...flowContent.metadata, ...deploymentMetadata };
-        } else {
-            flowContent.metadata = deploymentMetadata;
-        }
+        console.log(`Deploying contact flow: ${flowName} (${type})`);
 
-        console.log(`Deploying contact flow: ${flowName}`);
+        const referencedFlows = this.getReferencedFlowResources(flowName, flowContent);
+        const modules = (this.flowModules.get(flowName) || []).map(name => this.moduleResources.get(name));
 
         // Create custom resource for this flow
         const flowResource = new CustomResource(this, `ContactFlow-${flowName}`, {
             serviceToken: this.connectFlowProvider.serviceToken,
             properties: {
+                ResourceKind: 'FLOW',
                 FlowName: flowName,
-                FlowContent: JSON.stringify(flowContent),
+                FlowType: type,
+                FlowContent: this.resolveFlowReferences(JSON.stringify(flowContent)),
+                DeploymentMetadata: deploymentMetadata,
                 InstanceId: this.envConfig.connect.instance_id,
                 InstanceArn: this.envConfig.connect.instance_arn,
-                Environment: this.environment,
+                Environment: this.envName,
                 BlueGreenDeployment: this.blueGreenDeployment,
                 LambdaArns: this.extractLambdaArns(flowContent),
+                TolerateLambdaPermissionErrors: this.getTolerableLambdaPermissionErrors(),
                 ReleaseTag: this.releaseTag || 'unknown',
                 DeploymentMode: this.blueGreenDeployment ? 'blue-green' : 'direct',
+                // Adopt the flow recorded in the deployment state instead of creating a duplicate
+                ExistingFlowId: (this.deployedFlows[flowName] && this.deployedFlows[flowName].flowId) || '',
             },
         });
 
         // Add dependencies and outputs
+        [...referencedFlows, ...modules].forEach(dependency => flowResource.node.addDependency(dependency));
         flowResource.node.addMetadata('FlowFile', flowFile);
-        flowResource.node.addMetadata('Environment', this.environment);
+        flowResource.node.addMetadata('Environment', this.envName);
+
+        const outputKeys = getFlowOutputKeys(flowName);
+        new CfnOutput(this, outputKeys.id, {
+            value: flowResource.getAttString('ContactFlowId'),
+            description: `ContactFlowId of ${flowName}`,
+        });
+        new CfnOutput(this, outputKeys.arn, {
+            value: flowResource.getAttString('ContactFlowArn'),
+            description: `ContactFlowArn of ${flowName}`,
+        });
+
+        return flowResource;
+    }
+
+    /**
+     * Resources of the managed flows a flow references with ${ContactFlow.<Name>}
+     */
+    getReferencedFlowResources(flowName, flowContent) {
+        const names = Array.from(new Set(findFlowReferences(flowContent).map(reference => reference.flowName)));
+
+        return names.map(name => {
+            if (!this.flowResources.has(name)) {
+                throw new Error(`Flow ${flowName} references ${name}, which is not a managed flow in ${this.flowsPath}`);
+            }
+            return this.flowResources.get(name);
+        });
+    }
+
+    /**
+     * Substitute flow references with the referenced resource's ContactFlowArn/ContactFlowId attribute
+     */
+    resolveFlowReferences(serializedContent) {
+        return replaceFlowReferences(serializedContent, (flowName, attribute) =>
+            this.flowResources.get(flowName).getAttString(`ContactFlow${attribute}`));
     }
 
     extractLambdaArns(flowContent) {
@@ -147,7 +362,7 @@ class ConnectFlowStack extends Stack {
         const flowStr = JSON.stringify(flowContent);
 
         // Find all Lambda ARNs in the flow content
-        const lambdaArnPattern = /arn:aws:lambda:[^"\\s]+/g;
+        const lambdaArnPattern = /arn:aws:lambda:[^"\s]+/g;
         const matches = flowStr.match(lambdaArnPattern);
 
         if (matches) {
@@ -155,193 +370,12 @@ class ConnectFlowStack extends Stack {
                 if (!lambdaArns.includes(arn)) {
                     lambdaArns.push(arn);
                 }
+                this.lambdaArns.add(arn);
             });
         }
 
         return lambdaArns;
     }
-
-    getConnectFlowHandlerCode() {
-        return `
-const AWS = require('aws-sdk');
-const connect = new AWS.Connect();
-const lambda = new AWS.Lambda();
-
-exports.handler = async (event) => {
-  console.log('Event:', JSON.stringify(event, null, 2));
-  
-  const { RequestType, ResourceProperties } = event;
-  const {
-    FlowName,
-    FlowContent,
-    InstanceId,
-    InstanceArn,
-    Environment,
-    BlueGreenDeployment,
-    LambdaArns,
-    ReleaseTag,
-    DeploymentMode
-  } = ResourceProperties;
-
-  try {
-    let physicalResourceId;
-    let responseData = {};
-
-    switch (RequestType) {
-      case 'Create':
-        physicalResourceId = await handleCreate(FlowName, FlowContent, InstanceId, InstanceArn, LambdaArns, ReleaseTag);
-        responseData = { ContactFlowArn: physicalResourceId, FlowName };
-        break;
-        
-      case 'Update':
-        physicalResourceId = event.PhysicalResourceId;
-        await handleUpdate(physicalResourceId, FlowName, FlowContent, InstanceId, LambdaArns, BlueGreenDeployment, ReleaseTag);
-        responseData = { ContactFlowArn: physicalResourceId, FlowName };
-        break;
-        
-      case 'Delete':
-        if (!BlueGreenDeployment) {
-          await handleDelete(event.PhysicalResourceId, InstanceId);
-        }
-        physicalResourceId = event.PhysicalResourceId;
-        break;
-    }
-
-    return {
-      Status: 'SUCCESS',
-      PhysicalResourceId: physicalResourceId,
-      Data: responseData
-    };
-  } catch (error) {
-    console.error('Error:', error);
-    return {
-      Status: 'FAILED',
-      PhysicalResourceId: event.PhysicalResourceId || 'failed',
-      Reason: error.message
-    };
-  }
-};
-
-async function handleCreate(flowName, flowContent, instanceId, instanceArn, lambdaArns, releaseTag) {
-  console.log(\`Creating contact flow: \${flowName}\`);
-  
-  // Setup Lambda permissions first
-  await setupLambdaPermissions(lambdaArns, instanceArn);
-  
-  // Create contact flow with versioned name for Blue/Green
-  const versionedName = \`\${flowName}-\${releaseTag || new Date().getTime()}\`;
-  
-  const params = {
-    InstanceId: instanceId,
-    Name: versionedName,
-    Type: 'CONTACT_FLOW',
-    Content: flowContent,
-    Description: \`Deployed via CDK - Release: \${releaseTag || 'unknown'}\`,
-    Tags: {
-      Environment: process.env.ENVIRONMENT || 'unknown',
-      DeployedBy: 'CDK',
-      ReleaseTag: releaseTag || 'unknown',
-      DeployedAt: new Date().toISOString()
-    }
-  };
-  
-  const result = await connect.createContactFlow(params).promise();
-  console.log(\`Created contact flow: \${result.ContactFlowArn}\`);
-  
-  return result.ContactFlowArn;
-}
-
-async function handleUpdate(contactFlowArn, flowName, flowContent, instanceId, lambdaArns, blueGreenDeployment, releaseTag) {
-  console.log(\`Updating contact flow: \${contactFlowArn}\`);
-  
-  // Setup Lambda permissions
-  await setupLambdaPermissions(lambdaArns, \`arn:aws:connect:\${process.env.AWS_REGION}:\${process.env.AWS_ACCOUNT_ID}:instance/\${instanceId}\`);
-  
-  if (blueGreenDeployment) {
-    // For Blue/Green, create new version instead of updating
-    return await handleCreate(flowName, flowContent, instanceId, contactFlowArn.split('/')[0], lambdaArns, releaseTag);
-  } else {
-    // Direct update
-    const contactFlowId = contactFlowArn.split('/').pop();
-    
-    const params = {
-      InstanceId: instanceId,
-      ContactFlowId: contactFlowId,
-      Content: flowContent
-    };
-    
-    await connect.updateContactFlowContent(params).promise();
-    console.log(\`Updated contact flow content: \${contactFlowArn}\`);
-  }
-}
-
-async function handleDelete(contactFlowArn, instanceId) {
-  if (!contactFlowArn || contactFlowArn === 'failed') {
-    console.log('No contact flow to delete');
-    return;
-  }
-  
-  console.log(\`Deleting contact flow: \${contactFlowArn}\`);
-  
-  // Note: In production, you might want to keep flows for audit purposes
-  // This is just for development/testing environments
-  
-  try {
-    const contactFlowId = contactFlowArn.split('/').pop();
-    
-    const params = {
-      InstanceId: instanceId,
-      ContactFlowId: contactFlowId
-    };
-    
-    // Check if flow is in use before deleting
-    const flowInfo = await connect.describeContactFlow({
-      InstanceId: instanceId,
-      ContactFlowId: contactFlowId
-    }).promise();
-    
-    if (flowInfo.ContactFlow.State === 'ACTIVE') {
-      console.log('Contact flow is active, not deleting');
-      return;
-    }
-    
-    // Proceed with deletion only if not active
-    // await connect.deleteContactFlow(params).promise();
-    console.log('Contact flow deletion skipped for safety');
-    
-  } catch (error) {
-    console.log(\`Could not delete contact flow: \${error.message}\`);
-    // Don't fail the stack deletion for this
-  }
-}
-
-async function setupLambdaPermissions(lambdaArns, instanceArn) {
-  for (const lambdaArn of lambdaArns) {
-    try {
-      console.log(\`Setting up permissions for Lambda: \${lambdaArn}\`);
-      
-      const functionName = lambdaArn.split(':')[6];
-      const statementId = \`connect-invoke-\${Date.now()}\`;
-      
-      const params = {
-        FunctionName: functionName,
-        StatementId: statementId,
-        Action: 'lambda:InvokeFunction',
-        Principal: 'connect.amazonaws.com',
-        SourceArn: instanceArn
-      };
-      
-      await lambda.addPermission(params).promise();
-      console.log(\`Added permission for Lambda: \${functionName}\`);
-      
-    } catch (error) {
-      console.log(\`Permission setup failed for \${lambdaArn}: \${error.message}\`);
-      // Continue with others even if one fails
-    }
-  }
-}
-    `;
-    }
 }
 
 module.exports = { ConnectFlowStack };
\ No newline at end of file
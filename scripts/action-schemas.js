@@ -0,0 +1,255 @@
+/**
+ * Contact Flow Action Schemas
+ * Parameter and transition rules per flow language action Type
+ */
+
+const Joi = require('joi');
+
+const TOKEN_PATTERN = /\$\{[^}]+\}/;
+
+// Connect accepts numeric parameters as numbers or numeric strings ("30")
+const seconds = (min, max) => Joi.number().integer().min(min).max(max);
+const stringMap = () => Joi.object().pattern(Joi.string(), Joi.string());
+const booleanString = () => Joi.string().valid('True', 'False', 'true', 'false');
+
+/**
+ * Each entry describes:
+ * - parameters: Joi schema for Parameters (unknown keys are allowed)
+ * - transitions.nextAction: whether NextAction is allowed
+ * - transitions.conditions: whether Conditions are allowed
+ * - transitions.errors: allowed ErrorType values
+ */
+const ACTION_SCHEMAS = {
+    MessageParticipant: {
+        parameters: Joi.object({
+            Text: Joi.string(),
+            SSML: Joi.string(),
+            PromptId: Joi.string(),
+            Media: Joi.object(),
+            TextToSpeechType: Joi.string().valid('text', 'ssml')
+        }).or('Text', 'SSML', 'PromptId', 'Media'),
+        transitions: { nextAction: true, conditions: false, errors: ['NoMatchingError'] }
+    },
+
+    PlayPrompt: {
+        parameters: Joi.object({
+            Text: Joi.string(),
+            PromptId: Joi.string()
+        }).or('Text', 'PromptId'),
+        transitions: { nextAction: true, conditions: false, errors: ['NoMatchingError'] }
+    },
+
+    GetParticipantInput: {
+        parameters: Joi.object({
+            Text: Joi.string(),
+            SSML: Joi.string(),
+            PromptId: Joi.string(),
+            StoreInput: booleanString(),
+            InputTimeLimitSeconds: seconds(1, 180)
+        }).or('Text', 'SSML', 'PromptId'),
+        transitions: {
+            nextAction: true,
+            conditions: true,
+            errors: ['NoMatchingCondition', 'NoMatchingError', 'InputTimeLimitExceeded', 'InvalidPhoneNumber']
+        }
+    },
+
+    CheckHoursOfOperation: {
+        parameters: Joi.object({
+            HoursOfOperationId: Joi.string()
+        }),
+        transitions: { nextAction: true, conditions: true, errors: ['NoMatchingCondition', 'NoMatchingError'] }
+    },
+
+    Compare: {
+        parameters: Joi.object({
+            ComparisonValue: Joi.string()
+        }),
+        transitions: { nextAction: true, conditions: true, errors: ['NoMatchingCondition', 'NoMatchingError'] }
+    },
+
+    DistributeByPercentage: {
+        parameters: Joi.object({}),
+        transitions: { nextAction: true, conditions: true, errors: ['NoMatchingCondition'] }
+    },
+
+    InvokeLambdaFunction: {
+        parameters: Joi.object({
+            LambdaFunctionARN: Joi.string().required(),
+            // Synchronous invocations over 8 seconds are reported by the lambda-sync-timeout lint rule
+            InvocationTimeLimitSeconds: seconds(1, 60),
+            InvocationType: Joi.string().valid('SYNCHRONOUS', 'ASYNCHRONOUS'),
+            LambdaInvocationAttributes: stringMap(),
+            ResponseValidation: Joi.object({
+                ResponseType: Joi.string().valid('STRING_MAP', 'JSON')
+            })
+        }),
+        transitions: { nextAction: true, conditions: false, errors: ['NoMatchingError'] }
+    },
+
+    ConnectParticipantWithLexBot: {
+        parameters: Joi.object({
+            Text: Joi.string(),
+            PromptId: Joi.string(),
+            BotName: Joi.string(),
+            LexV2Bot: Joi.object({ AliasArn: Joi.string().required() }),
+            LexBot: Joi.object({ Name: Joi.string().required(), Region: Joi.string(), Alias: Joi.string() }),
+            LexSessionAttributes: stringMap(),
+            LexTimeoutSeconds: Joi.object({ Text: seconds(1, 10080) })
+        }).or('LexV2Bot', 'LexBot', 'BotName'),
+        transitions: {
+            nextAction: true,
+            conditions: true,
+            errors: ['NoMatchingCondition', 'NoMatchingError', 'InputTimeLimitExceeded']
+        }
+    },
+
+    UpdateContactTargetQueue: {
+        parameters: Joi.object({
+            QueueId: Joi.string().required()
+        }),
+        transitions: { nextAction: true, conditions: false, errors: ['NoMatchingError'] }
+    },
+
+    TransferParticipantToQueue: {
+        parameters: Joi.object({
+            QueueId: Joi.string().required(),
+            ContactFlowId: Joi.string()
+        }),
+        transitions: { nextAction: true, conditions: false, errors: ['QueueAtCapacity', 'NoMatchingError'] }
+    },
+
+    TransferContactToQueue: {
+        parameters: Joi.object({}),
+        transitions: { nextAction: false, conditions: false, errors: ['QueueAtCapacity', 'NoMatchingError'] }
+    },
+
+    TransferToFlow: {
+        parameters: Joi.object({
+            ContactFlowId: Joi.string().required()
+        }),
+        transitions: { nextAction: true, conditions: false, errors: ['NoMatchingError'] }
+    },
+
+    UpdateContactAttributes: {
+        parameters: Joi.object({
+            Attributes: stringMap().required(),
+            TargetContact: Joi.string().valid('Current', 'Related')
+        }),
+        transitions: { nextAction: true, conditions: false, errors: ['NoMatchingError'] }
+    },
+
+    UpdateContactEventHooks: {
+        parameters: Joi.object({
+            EventHooks: stringMap().required()
+        }),
+        transitions: { nextAction: true, conditions: false, errors: ['NoMatchingError'] }
+    },
+
+    CreateTask: {
+        parameters: Joi.object({
+            Name: Joi.string().required(),
+            ContactFlowId: Joi.string(),
+            Description: Joi.string(),
+            Attributes: stringMap()
+        }),
+        transitions: { nextAction: true, conditions: false, errors: ['NoMatchingError'] }
+    },
+
+    DisconnectParticipant: {
+        parameters: Joi.object({}),
+        transitions: { nextAction: false, conditions: false, errors: [] }
+    },
+
+    EndFlowExecution: {
+        parameters: Joi.object({}),
+        transitions: { nextAction: false, conditions: false, errors: [] }
+    }
+};
+
+class ActionSchemaRegistry {
+    /**
+     * @param {Object} schemas - Action Type -> schema (defaults to ACTION_SCHEMAS)
+     */
+    constructor(schemas = ACTION_SCHEMAS) {
+        this.schemas = new Map(Object.entries(schemas));
+    }
+
+    /**
+     * Register or replace the schema for an action Type
+     */
+    register(type, schema) {
+        this.schemas.set(type, schema);
+    }
+
+    has(type) {
+        return this.schemas.has(type);
+    }
+
+    /**
+     * Validate every action in flow content
+     * @param {Object} content - Flow language content ({ Actions: [...] })
+     * @param {Object} options - allowTokens: accept unrendered ${...} values (for templates)
+     * @returns {Object} { errors: [{ actionId, type, message }], unknownTypes: [type] }
+     */
+    validateFlow(content, options = {}) {
+        const errors = [];
+        const unknownTypes = new Set();
+
+        (content.Actions || []).forEach(action => {
+            if (!this.has(action.Type)) {
+                unknownTypes.add(action.Type);
+                return;
+            }
+
+            this.validateAction(action, options).forEach(message => {
+                errors.push({ actionId: action.Identifier, type: action.Type, message });
+            });
+        });
+
+        return { errors, unknownTypes: Array.from(unknownTypes) };
+    }
+
+    /**
+     * Validate a single action against its registered schema
+     * @returns {string[]} Error messages
+     */
+    validateAction(action, options = {}) {
+        const schema = this.schemas.get(action.Type);
+        const messages = [];
+
+        const { error } = schema.parameters
+            .unknown(true)
+            .validate(action.Parameters || {}, { abortEarly: false });
+
+        if (error) {
+            error.details
+                .filter(detail => !(options.allowTokens && this.isToken(detail.context && detail.context.value)))
+                .forEach(detail => messages.push(`Parameters: ${detail.message}`));
+        }
+
+        const transitions = action.Transitions || {};
+        const rules = schema.transitions;
+
+        if (transitions.NextAction && !rules.nextAction) {
+            messages.push(`Transitions: NextAction is not allowed for ${action.Type}`);
+        }
+        if ((transitions.Conditions || []).length > 0 && !rules.conditions) {
+            messages.push(`Transitions: Conditions are not allowed for ${action.Type}`);
+        }
+        (transitions.Errors || []).forEach(transitionError => {
+            if (!rules.errors.includes(transitionError.ErrorType)) {
+                const allowed = rules.errors.length > 0 ? rules.errors.join(', ') : 'none';
+                messages.push(`Transitions: ErrorType ${transitionError.ErrorType} is not allowed for ${action.Type} (allowed: ${allowed})`);
+            }
+        });
+
+        return messages;
+    }
+
+    isToken(value) {
+        return typeof value === 'string' && TOKEN_PATTERN.test(value);
+    }
+}
+
+module.exports = { ActionSchemaRegistry, ACTION_SCHEMAS };
@@ -5,13 +5,40 @@ const cron = require('node-cron');
 const fs = require('fs-extra');
 const path = require('path');
 const yaml = require('yaml');
-const { execSync } = require('child_process');
+const { execFileSync } = require('child_process');
 const ConnectFlowExporter = require('./export');
+const { WebhookNotifier, SmtpMailer, buildExportReport, formatSlackMessage, formatEmailText } = require('./notifier');
+const { DEFAULT_NORMALIZE_RULES } = require('./normalize');
+const { GitRepository, createForge, formatChangeList, formatCommitMessage } = require('./git-sync');
+const { FileLock, RunHistory, nextCronRun } = require('./schedule');
+
+// 実行のタイムアウト（scheduler.timeoutMinutes の既定値）
+const DEFAULT_TIMEOUT_MINUTES = 30;
 
 class AutoExportScheduler {
-    constructor(configPath = 'config/auto-export.yaml') {
+    /**
+     * @param {string} configPath - 設定ファイル
+     * @param {Object} options - { git: GitRepository, forge: createPullRequest を持つアダプター,
+     *   createExporter: (envConfig) => ConnectFlowExporter, isProcessAlive: ロック所有プロセスの確認 }
+     */
+    constructor(configPath = 'config/auto-export.yaml', options = {}) {
         this.configPath = configPath;
         this.config = null;
+        this.git = options.git || new GitRepository();
+        this.forge = options.forge || null;
+        this.createExporter = options.createExporter || (envConfig => {
+            // 正規化ルール（enabled: false の場合は取得したままのJSONを書き出す）
+            const { enabled = true, ...normalizeRules } = this.config.normalize || {};
+            return new ConnectFlowExporter(envConfig.region, {
+                concurrency: envConfig.concurrency,
+                normalize: enabled,
+                normalizeRules
+            });
+        });
+        this.isProcessAlive = options.isProcessAlive;
+        this.tasks = [];
+        this.currentRun = null;
+        this.stopping = false;
     }
 
     async loadConfig() {
@@ -39,6 +66,7 @@ class AutoExportScheduler {
                     instanceId: '${CONNECT_INSTANCE_ID_DEV}',
                     region: 'us-east-1',
                     outputDir: 'flows',
+                    resourcesDir: 'resources',
                     enabled: true,
                     schedule: '0 2 * * *', // 毎日 2:00 AM
                     filters: {
@@ -50,6 +78,7 @@ class AutoExportScheduler {
                     instanceId: '${CONNECT_INSTANCE_ID_TEST}',
                     region: 'us-east-1',
                     outputDir: 'flows-test',
+                    resourcesDir: 'resources-test',
                     enabled: false, // TEST環境は手動のみ
                     schedule: '0 3 * * 0', // 毎週日曜 3:00 AM
                     filters: {
@@ -62,7 +91,14 @@ class AutoExportScheduler {
                 autoCommit: true,
                 commitMessage: 'auto: Contact Flows自動エクスポート更新',
                 autoPush: false, // セキュリティ上false推奨
-                branch: 'auto-export'
+                branch: 'auto-export',
+                baseBranch: 'main',
+                remote: 'origin',
+                pullRequest: {
+                    enabled: false, // autoPush が必要
+                    forge: 'github',
+                    base: 'main'
+                }
             },
             notifications: {
                 slack: {
@@ -70,16 +106,38 @@ class AutoExportScheduler {
                     webhookUrl: '${SLACK_WEBHOOK_URL}',
                     channel: '#connect-updates'
                 },
+                webhooks: [],
                 email: {
                     enabled: false,
                     to: ['team@company.com'],
-                    subject: 'Connect Flows Auto Export Report'
-                }
+                    from: 'connect-export@company.com',
+                    subject: 'Connect Flows Auto Export Report',
+                    smtp: {
+                        host: '${SMTP_HOST}',
+                        port: 587,
+                        secure: false,
+                        user: '${SMTP_USER}',
+                        pass: '${SMTP_PASSWORD}'
+                    }
+                },
+                timeoutMs: 10000,
+                retries: 3
             },
             incremental: {
                 enabled: true,
                 checkInterval: '*/30 * * * *', // 30分毎
                 lookbackHours: 1
+            },
+            normalize: {
+                enabled: true,
+                removeFields: [...DEFAULT_NORMALIZE_RULES.removeFields],
+                gridSize: DEFAULT_NORMALIZE_RULES.gridSize,
+                keepActionPositions: DEFAULT_NORMALIZE_RULES.keepActionPositions
+            },
+            scheduler: {
+                lockFile: 'logs/auto-export.lock',
+                historyFile: 'logs/auto-export-history.json',
+                timeoutMinutes: DEFAULT_TIMEOUT_MINUTES
             }
         };
     }
@@ -100,8 +158,9 @@ class AutoExportScheduler {
 
     /**
      * 単一環境のエクスポート実行
+     * @param {Object} options - { incremental: 増分エクスポート（既定は incremental.enabled） }
      */
-    async exportEnvironment(envName, envConfig) {
+    async exportEnvironment(envName, envConfig, options = {}) {
         try {
             console.log(`\n🚀 Starting export for environment: ${envName}`);
 
@@ -111,21 +170,30 @@ class AutoExportScheduler {
                 return null;
             }
 
-            const exporter = new ConnectFlowExporter(envConfig.region);
+            const exporter = this.createExporter(envConfig);
+            const incremental = this.config.incremental || {};
 
             let results;
-            if (this.config.incremental.enabled) {
-                // 増分エクスポート
-                const lookbackTime = new Date(Date.now() - envConfig.lookbackHours * 60 * 60 * 1000);
-                results = await exporter.exportIncremental(instanceId, envConfig.outputDir, lookbackTime.toISOString());
+            if (options.incremental !== undefined ? options.incremental : incremental.enabled) {
+                // 増分エクスポート（lookbackHours はウォーターマークの無い旧メタデータにのみ使用）
+                const since = incremental.lookbackHours ?
+                    new Date(Date.now() - incremental.lookbackHours * 60 * 60 * 1000).toISOString() :
+                    undefined;
+                results = await exporter.exportIncremental(instanceId, envConfig.outputDir, {
+                    since,
+                    watermarkFile: envConfig.watermarkFile
+                });
             } else {
                 // 全エクスポート
-                results = await exporter.exportAllFlows(instanceId, envConfig.outputDir, envConfig.filters);
+                results = await exporter.exportAllFlows(instanceId, envConfig.outputDir, envConfig.filters, {
+                    resourcesDir: envConfig.resourcesDir
+                });
             }
 
             console.log(`✅ Export completed for ${envName}`);
             return {
                 environment: envName,
+                outputDir: envConfig.outputDir,
                 success: true,
                 results: results,
                 timestamp: new Date().toISOString()
@@ -143,149 +211,409 @@ class AutoExportScheduler {
 
     /**
      * Gitコミット実行
+     * 環境ごとに outputDir / resourcesDir だけをステージングして1コミットずつ作成し、
+     * 設定に応じてプッシュとプルリクエスト作成を行う
+     * @param {Array} results - exportEnvironment の結果（changes は collectChanges の結果）
+     * @returns {Array} [{ environment, commit, changes }]
+     * @throws {Error} Git操作・プッシュ・PR作成の失敗（error.commits にそれまでのコミット）
      */
     async performGitCommit(results) {
-        if (!this.config.git.autoCommit) {
-            return;
+        const gitConfig = this.config.git || {};
+        if (!gitConfig.autoCommit) {
+            return [];
         }
 
+        const commits = [];
         try {
             console.log('\n📝 Performing Git operations...');
 
-            // 変更確認
-            const status = execSync('git status --porcelain', { encoding: 'utf8' });
-            if (!status.trim()) {
-                console.log('📝 No changes to commit');
-                return;
-            }
+            // ブランチ作成・切り替え（作成時は baseBranch から）
+            const branch = gitConfig.branch || this.git.currentBranch();
+            this.git.checkoutBranch(branch, gitConfig.baseBranch);
 
-            // ブランチ作成・切り替え
-            if (this.config.git.branch !== 'main') {
-                try {
-                    execSync(`git checkout -b ${this.config.git.branch}`, { stdio: 'ignore' });
-                } catch {
-                    execSync(`git checkout ${this.config.git.branch}`, { stdio: 'ignore' });
+            for (const result of results) {
+                if (!result.success) {
+                    console.log(`⏭️ Not committing ${result.environment}: ${result.error}`);
+                    continue;
                 }
-            }
 
-            // 変更をステージング
-            execSync('git add flows/ flows-test/', { stdio: 'inherit' });
+                const envConfig = this.config.environments[result.environment] || {};
+                const paths = this.git.stage([envConfig.outputDir, envConfig.resourcesDir].filter(Boolean));
+                if (paths.length === 0 || !this.git.hasStagedChanges(paths)) {
+                    console.log(`📝 No changes to commit for ${result.environment}`);
+                    continue;
+                }
 
-            // コミット
-            const commitMessage = `${this.config.git.commitMessage}\n\n` +
-                results.map(r => `- ${r.environment}: ${r.success ? '✅' : '❌'} ${r.success ? `${r.results.length} flows` : r.error}`).join('\n');
+                const changes = result.changes || [];
+                const commit = this.git.commit(formatCommitMessage(gitConfig.commitMessage, result.environment, changes), paths);
+                commits.push({ environment: result.environment, commit, changes });
+                console.log(`📝 Committed ${result.environment} (${changes.length} flows): ${commit.substring(0, 7)}`);
+            }
 
-            execSync(`git commit -m "${commitMessage}"`, { stdio: 'inherit' });
+            if (commits.length === 0) {
+                console.log('📝 No changes to commit');
+                return commits;
+            }
 
             // プッシュ (設定されている場合)
-            if (this.config.git.autoPush) {
-                execSync(`git push origin ${this.config.git.branch}`, { stdio: 'inherit' });
-                console.log('📤 Changes pushed to remote');
-            } else {
-                console.log(`📝 Changes committed to branch: ${this.config.git.branch}`);
-                console.log('💡 Manual push required: git push origin ' + this.config.git.branch);
+            if (!gitConfig.autoPush) {
+                console.log(`📝 Changes committed to branch: ${branch}`);
+                console.log(`💡 Manual push required: git push ${gitConfig.remote || 'origin'} ${branch}`);
+                return commits;
+            }
+            this.git.push(gitConfig.remote || 'origin', branch);
+            console.log('📤 Changes pushed to remote');
+
+            // プルリクエスト作成
+            const pullRequest = gitConfig.pullRequest || {};
+            if (pullRequest.enabled) {
+                const forge = this.forge || createForge(pullRequest.forge || 'github');
+                const { url, created } = await forge.createPullRequest({
+                    base: pullRequest.base || gitConfig.baseBranch || 'main',
+                    head: branch,
+                    title: `${gitConfig.commitMessage} (${commits.map(c => c.environment).join(', ')})`,
+                    body: commits.map(c => `### ${c.environment}\n\n${formatChangeList(c.changes)}`).join('\n\n')
+                });
+                console.log(`🔀 Pull request ${created ? 'created' : 'updated'}: ${url}`);
             }
-
         } catch (error) {
             console.error('❌ Git operations failed:', error.message);
+            throw Object.assign(new Error(`Git operations failed: ${error.message}`), { commits });
+        }
+
+        return commits;
+    }
+
+    /**
+     * 出力ディレクトリのフロー単位の変更（git diff --numstat と未追跡ファイル）
+     * @returns {Array} [{ flow, status: 'added'|'modified', additions, deletions }]
+     */
+    collectChanges(outputDir, cwd = process.cwd()) {
+        const git = (args) => execFileSync('git', ['-c', 'core.quotepath=off', ...args], { cwd, encoding: 'utf8' });
+        const changes = new Map();
+        const flowOf = (file) => {
+            const relative = path.relative(path.resolve(cwd, outputDir), path.resolve(cwd, file)).split(path.sep);
+            return relative.length > 1 ? relative[0] : null;
+        };
+        const add = (file, status, additions, deletions) => {
+            const flow = flowOf(file);
+            if (!flow) {
+                return; // export-summary.yaml など
+            }
+            const change = changes.get(flow) || { flow, status, additions: 0, deletions: 0 };
+            if (status === 'modified') {
+                change.status = 'modified';
+            }
+            change.additions += additions;
+            change.deletions += deletions;
+            changes.set(flow, change);
+        };
+
+        try {
+            git(['diff', '--numstat', '--relative', 'HEAD', '--', outputDir])
+                .split('\n').filter(Boolean)
+                .forEach(line => {
+                    const [additions, deletions, file] = line.split('\t');
+                    // バイナリは "-" になる
+                    add(file, 'modified', parseInt(additions, 10) || 0, parseInt(deletions, 10) || 0);
+                });
+
+            git(['ls-files', '--others', '--exclude-standard', '--', outputDir])
+                .split('\n').filter(Boolean)
+                .forEach(file => {
+                    const lines = fs.readFileSync(path.join(cwd, file), 'utf8').split('\n').filter(Boolean).length;
+                    add(file, 'added', lines, 0);
+                });
+        } catch (error) {
+            console.warn(`⚠️ Could not collect changes for ${outputDir}: ${error.message}`);
         }
+
+        return Array.from(changes.values()).sort((a, b) => a.flow.localeCompare(b.flow));
     }
 
     /**
-     * 通知送信
+     * 通知送信（Slack・汎用Webhook・メール）
+     * @param {Object} details - レポートに載せる追加情報（gitError）
      */
-    async sendNotifications(results) {
+    async sendNotifications(results, details = {}) {
+        const notifications = this.config.notifications || {};
+        const report = buildExportReport(results, details);
+        const deliveryOptions = {
+            timeoutMs: notifications.timeoutMs,
+            retries: notifications.retries,
+            retryDelayMs: notifications.retryDelayMs
+        };
+
+        const deliveries = [];
+
         // Slack通知
-        if (this.config.notifications.slack.enabled) {
+        if (notifications.slack && notifications.slack.enabled) {
+            deliveries.push(['Slack', () => new WebhookNotifier({
+                ...deliveryOptions,
+                url: this.resolveEnvVars(notifications.slack.webhookUrl)
+            }).send(formatSlackMessage(report, notifications.slack.channel))]);
+        }
+
+        // 汎用Webhook（レポートJSONをそのままPOST）
+        (notifications.webhooks || []).filter(webhook => webhook.enabled !== false).forEach(webhook => {
+            deliveries.push([`Webhook ${webhook.name || webhook.url}`, () => new WebhookNotifier({
+                ...deliveryOptions,
+                url: this.resolveEnvVars(webhook.url)
+            }).send(report)]);
+        });
+
+        // メール通知
+        if (notifications.email && notifications.email.enabled) {
+            const email = notifications.email;
+            const smtp = email.smtp || {};
+            deliveries.push(['Email', () => new SmtpMailer({
+                ...deliveryOptions,
+                host: this.resolveEnvVars(String(smtp.host || '')),
+                port: smtp.port,
+                secure: smtp.secure,
+                startTls: smtp.startTls,
+                user: smtp.user && this.resolveEnvVars(smtp.user),
+                pass: smtp.pass && this.resolveEnvVars(smtp.pass),
+                allowInsecureAuth: smtp.allowInsecureAuth,
+                from: email.from
+            }).send({
+                to: email.to,
+                subject: `${email.subject} (${report.changedFlows} changed flows)`,
+                text: formatEmailText(report)
+            })]);
+        }
+
+        const sent = [];
+        for (const [name, deliver] of deliveries) {
             try {
-                const successful = results.filter(r => r.success).length;
-                const failed = results.filter(r => !r.success).length;
-
-                const message = {
-                    text: `Connect Flows Auto Export Report`,
-                    attachments: [{
-                        color: failed > 0 ? 'warning' : 'good',
-                        fields: [
-                            { title: 'Successful', value: successful.toString(), short: true },
-                            { title: 'Failed', value: failed.toString(), short: true },
-                            { title: 'Timestamp', value: new Date().toISOString(), short: false }
-                        ],
-                        footer: 'Amazon Connect Auto Export'
-                    }]
-                };
-
-                // Slack Webhook実装は省略 (実際の実装ではaxiosやfetchを使用)
-                console.log('📢 Slack notification sent');
+                await deliver();
+                console.log(`📢 ${name} notification sent`);
+                sent.push({ channel: name, success: true });
             } catch (error) {
-                console.error('❌ Slack notification failed:', error.message);
+                console.error(`❌ ${name} notification failed:`, error.message);
+                sent.push({ channel: name, success: false, error: error.message });
             }
         }
+
+        return sent;
     }
 
     /**
-     * 全環境の自動エクスポート実行
+     * 全環境の自動エクスポート実行（手動実行・増分チェック）
+     * @param {Object} options - runPipeline のオプション
      */
-    async runAutoExport() {
-        try {
-            console.log('🚀 Starting scheduled auto export...');
-            await this.loadConfig();
-
-            const results = [];
-            for (const [envName, envConfig] of Object.entries(this.config.environments)) {
-                if (envConfig.enabled) {
-                    const result = await this.exportEnvironment(envName, envConfig);
-                    if (result) {
-                        results.push(result);
-                    }
-                } else {
+    async runAutoExport(options = {}) {
+        await this.loadConfig();
+
+        const environments = Object.entries(this.config.environments)
+            .filter(([envName, envConfig]) => {
+                if (!envConfig.enabled) {
                     console.log(`⏭️ Skipping disabled environment: ${envName}`);
                 }
+                return envConfig.enabled;
+            })
+            .map(([envName]) => envName);
+
+        return this.runPipeline(environments, { job: 'all', ...options });
+    }
+
+    /**
+     * エクスポート→正規化→コミット→通知 を1回実行
+     * ロックで他の実行と重ならないようにし、タイムアウトした場合は残りのステップを中止する
+     * @param {Array} environments - 環境名
+     * @param {Object} options - { job: 履歴上のジョブ名, incremental }
+     * @returns {Object} 実行履歴のレコード（status: success|failed|timeout|skipped）
+     */
+    async runPipeline(environments, options = {}) {
+        const job = options.job || 'all';
+        const schedulerConfig = this.config.scheduler || {};
+        const lock = new FileLock(schedulerConfig.lockFile || 'logs/auto-export.lock', { isProcessAlive: this.isProcessAlive });
+        const history = new RunHistory(schedulerConfig.historyFile || 'logs/auto-export-history.json');
+        const run = { job, environments, startedAt: new Date().toISOString() };
+
+        if (this.stopping) {
+            return { ...run, status: 'skipped', reason: 'Scheduler is shutting down' };
+        }
+
+        if (!await lock.acquire({ job })) {
+            const holder = await lock.read();
+            console.log(`⏭️ Skipping ${job}: another export is running${holder ? ` (${holder.job}, pid ${holder.pid})` : ''}`);
+            return history.record({ ...run, finishedAt: new Date().toISOString(), status: 'skipped', reason: 'locked' });
+        }
+
+        const timeoutMs = (schedulerConfig.timeoutMinutes || DEFAULT_TIMEOUT_MINUTES) * 60 * 1000;
+        const control = { timedOut: false };
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                control.timedOut = true;
+                reject(Object.assign(new Error(`Run timed out after ${timeoutMs / 60000} minutes`), { code: 'TIMEOUT' }));
+            }, timeoutMs);
+        });
+
+        const pipeline = this.executePipeline(environments, options, control);
+        // タイムアウト後もパイプラインが止まるまでロックは保持する
+        const finished = pipeline.catch(() => {}).then(() => lock.release());
+        this.currentRun = finished;
+
+        try {
+            const { results, gitError } = await Promise.race([pipeline, timeout]);
+            console.log(`\n✅ Auto export completed (${job})`);
+            return await history.record({
+                ...run,
+                finishedAt: new Date().toISOString(),
+                status: results.every(r => r.success) && !gitError ? 'success' : 'failed',
+                ...(gitError && { error: gitError }),
+                results: results.map(r => ({
+                    environment: r.environment,
+                    success: r.success,
+                    changedFlows: (r.changes || []).length,
+                    ...(r.error && { error: r.error })
+                }))
+            });
+        } catch (error) {
+            console.error(`❌ Auto export failed (${job}):`, error.message);
+            return await history.record({
+                ...run,
+                finishedAt: new Date().toISOString(),
+                status: error.code === 'TIMEOUT' ? 'timeout' : 'failed',
+                error: error.message
+            });
+        } finally {
+            clearTimeout(timer);
+            if (!control.timedOut) {
+                await finished;
             }
+        }
+    }
 
-            // Git操作
-            await this.performGitCommit(results);
+    /**
+     * パイプライン本体（control.timedOut になったら次のステップに進まない）
+     * Git操作が失敗しても通知は送り、失敗は gitError として返す
+     * @returns {Object} { results, gitError }
+     */
+    async executePipeline(environments, options, control) {
+        const checkpoint = () => {
+            if (control.timedOut) {
+                throw new Error('Run timed out; remaining steps were skipped');
+            }
+        };
 
-            // 通知
-            await this.sendNotifications(results);
+        // エクスポート（normalize の設定に従ってエクスポーターが正規化して書き出す）
+        const results = [];
+        for (const envName of environments) {
+            checkpoint();
+            const envConfig = this.config.environments[envName];
+            const result = await this.exportEnvironment(envName, envConfig, { incremental: options.incremental });
+            if (result) {
+                results.push(result);
+            }
+        }
 
-            console.log('\n✅ Auto export completed');
-            return results;
+        // コミット前に変更されたフローを集計（通知用）
+        results.filter(r => r.success).forEach(r => {
+            r.changes = this.collectChanges(r.outputDir);
+        });
 
+        // Git操作
+        checkpoint();
+        let gitError = null;
+        try {
+            await this.performGitCommit(results);
         } catch (error) {
-            console.error('❌ Auto export failed:', error.message);
-            throw error;
+            gitError = error.message;
         }
+
+        // 通知
+        checkpoint();
+        await this.sendNotifications(results, { gitError });
+
+        return { results, gitError };
     }
 
     /**
-     * スケジューラー開始
+     * スケジュールされたジョブ（環境ごとの全エクスポートと増分チェック）
+     * @returns {Array} [{ job, schedule, environments, incremental }]
      */
-    startScheduler() {
+    getJobs() {
+        const jobs = Object.entries(this.config.environments)
+            .filter(([, envConfig]) => envConfig.enabled && envConfig.schedule)
+            .map(([envName, envConfig]) => ({ job: envName, schedule: envConfig.schedule, environments: [envName], incremental: false }));
+
+        const incremental = this.config.incremental || {};
+        if (incremental.enabled && incremental.checkInterval) {
+            jobs.push({
+                job: 'incremental',
+                schedule: incremental.checkInterval,
+                environments: Object.keys(this.config.environments).filter(envName => this.config.environments[envName].enabled),
+                incremental: true
+            });
+        }
+
+        return jobs;
+    }
+
+    /**
+     * スケジューラー開始（SIGTERM / SIGINT で実行中のジョブを待ってから終了）
+     */
+    async startScheduler() {
         console.log('⏰ Starting auto export scheduler...');
+        await this.loadConfig();
 
-        this.loadConfig().then(() => {
-            // メインスケジュール
-            for (const [envName, envConfig] of Object.entries(this.config.environments)) {
-                if (envConfig.enabled && envConfig.schedule) {
-                    console.log(`📅 Scheduled ${envName}: ${envConfig.schedule}`);
-                    cron.schedule(envConfig.schedule, async () => {
-                        console.log(`\n⏰ Triggered scheduled export for ${envName}`);
-                        await this.exportEnvironment(envName, envConfig);
-                    });
+        for (const { job, schedule, environments, incremental } of this.getJobs()) {
+            console.log(`📅 Scheduled ${job}: ${schedule}`);
+            this.tasks.push(cron.schedule(schedule, async () => {
+                console.log(`\n⏰ Triggered ${job}`);
+                try {
+                    await this.runPipeline(environments, { job, incremental });
+                } catch (error) {
+                    // cron のコールバックで投げるとプロセスごと落ちるため、ログに残して次の実行を待つ
+                    console.error(`❌ Scheduled run failed (${job}):`, error.message);
                 }
-            }
+            }));
+        }
 
-            // 増分チェック
-            if (this.config.incremental.enabled) {
-                console.log(`🔄 Incremental check: ${this.config.incremental.checkInterval}`);
-                cron.schedule(this.config.incremental.checkInterval, async () => {
-                    await this.runAutoExport();
-                });
-            }
+        const shutdown = async (signal) => {
+            console.log(`\n🛑 ${signal} received; waiting for the current run to finish...`);
+            await this.stop();
+            process.exit(0);
+        };
+        process.once('SIGTERM', shutdown);
+        process.once('SIGINT', shutdown);
 
-            console.log('✅ Scheduler started');
-            console.log('💡 Press Ctrl+C to stop');
-        });
+        console.log('✅ Scheduler started');
+        console.log('💡 Press Ctrl+C to stop');
+    }
+
+    /**
+     * 新しい実行を止め、実行中のジョブの終了を待つ
+     */
+    async stop() {
+        this.stopping = true;
+        this.tasks.forEach(task => task.stop());
+        this.tasks = [];
+        if (this.currentRun) {
+            await this.currentRun;
+        }
+    }
+
+    /**
+     * ジョブごとの前回実行と次回実行
+     * @returns {Array} [{ job, schedule, lastRun, nextRun }]
+     */
+    async getStatus(now = new Date()) {
+        await this.loadConfig();
+        const history = new RunHistory((this.config.scheduler || {}).historyFile || 'logs/auto-export-history.json');
+
+        return Promise.all(this.getJobs().map(async ({ job, schedule }) => {
+            const next = nextCronRun(schedule, now);
+            return {
+                job,
+                schedule,
+                lastRun: await history.lastRun(job),
+                nextRun: next ? next.toISOString() : null
+            };
+        }));
     }
 }
 
@@ -302,7 +630,10 @@ if (require.main === module) {
         .action(async (options) => {
             try {
                 const scheduler = new AutoExportScheduler(options.config);
-                await scheduler.runAutoExport();
+                const run = await scheduler.runAutoExport({ job: 'manual' });
+                if (run.status !== 'success') {
+                    process.exit(1);
+                }
             } catch (error) {
                 console.error('❌ Auto export failed:', error.message);
                 process.exit(1);
@@ -316,13 +647,36 @@ if (require.main === module) {
         .action(async (options) => {
             try {
                 const scheduler = new AutoExportScheduler(options.config);
-                scheduler.startScheduler();
+                await scheduler.startScheduler();
             } catch (error) {
                 console.error('❌ Scheduler failed to start:', error.message);
                 process.exit(1);
             }
         });
 
+    program
+        .command('status')
+        .description('Show the last and next run of each scheduled job')
+        .option('-c, --config <path>', 'Config file path', 'config/auto-export.yaml')
+        .action(async (options) => {
+            try {
+                const scheduler = new AutoExportScheduler(options.config);
+                const jobs = await scheduler.getStatus();
+
+                if (jobs.length === 0) {
+                    console.log('No scheduled jobs');
+                }
+                jobs.forEach(({ job, schedule, lastRun, nextRun }) => {
+                    console.log(`📅 ${job} (${schedule})`);
+                    console.log(`   Last run: ${lastRun ? `${lastRun.startedAt} ${lastRun.status}${lastRun.error ? ` - ${lastRun.error}` : ''}` : 'never'}`);
+                    console.log(`   Next run: ${nextRun || 'unknown'}`);
+                });
+            } catch (error) {
+                console.error('❌ Status failed:', error.message);
+                process.exit(1);
+            }
+        });
+
     program
         .command('config')
         .description('Generate default config file')
@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+
+/**
+ * Contact Flow Backup and Rollback
+ * Snapshots the live content of managed flows before a deployment and restores a snapshot on demand
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const _ = require('lodash');
+const { Command } = require('commander');
+const ConnectFlowExporter = require('./export');
+const { DriftDetector } = require('./drift-detect');
+const { TemplateRenderer } = require('./render');
+const { DeploymentStateStore } = require('./deployment-state');
+const { DEFAULT_ROUTER_SUFFIX, parseRouterContent } = require('./blue-green-controller');
+
+const MANIFEST_FILE = 'manifest.json';
+const RELEASE_DESCRIPTION_PATTERN = /Release: (\S+)/;
+
+class FlowBackup {
+    /**
+     * @param {Object} envConfig - Environment configuration (env/<env>.yaml)
+     * @param {Object} options - { environment, flows: flow name -> { flowId } (deployment state), exporter, connect, backupDir, clock }
+     */
+    constructor(envConfig, options = {}) {
+        this.envConfig = envConfig;
+        this.environment = options.environment;
+        this.instanceId = envConfig.connect.instance_id;
+        this.flows = options.flows || {};
+        this.routerSuffix = (envConfig.deployment && envConfig.deployment.router_suffix) || DEFAULT_ROUTER_SUFFIX;
+        this.exporter = options.exporter || new ConnectFlowExporter(envConfig.connect.region, { connect: options.connect });
+        this.backupDir = path.resolve(options.backupDir || './backup', this.environment || '');
+        this.clock = options.clock || (() => new Date());
+    }
+
+    /**
+     * Live flows matching the rendered flows in renderedDir: by name (or <name>-<releaseTag>),
+     * then the blue/green entry flow with the versions it routes to, then the flow ID
+     * recorded in the deployment state
+     * @returns {Array} Contact flow summaries
+     */
+    async findManagedFlows(renderedDir, releaseTag) {
+        const detector = new DriftDetector(this.envConfig, { exporter: this.exporter, releaseTag });
+        const expectedFlows = await detector.loadExpectedFlows(renderedDir);
+        const liveFlows = await this.exporter.listContactFlows(this.instanceId);
+        const liveByName = new Map(liveFlows.map(flow => [flow.Name, flow]));
+        const findById = (idOrArn) => liveFlows.find(flow => flow.Arn === idOrArn || flow.Id === String(idOrArn).split('/').pop());
+
+        const managed = [];
+        for (const expected of expectedFlows) {
+            const live = detector.findLiveFlow(expected, liveByName);
+            const router = liveByName.get(`${expected.name}${this.routerSuffix}`);
+            const recorded = this.flows[expected.name] && this.flows[expected.name].flowId;
+
+            if (live) {
+                managed.push(live);
+            } else if (router) {
+                const { content } = await this.describeFlow(router.Id);
+                const { blue, green } = parseRouterContent(content);
+                managed.push(router, ...[blue, green].filter(Boolean).map(findById).filter(Boolean));
+            } else if (recorded && findById(recorded)) {
+                managed.push(findById(recorded));
+            } else {
+                console.warn(`⚠️  ${expected.name} is not deployed yet; nothing to back up`);
+            }
+        }
+
+        return _.uniqBy(managed, 'Id');
+    }
+
+    /**
+     * Live details and parsed content of a flow
+     */
+    async describeFlow(flowId) {
+        const { ContactFlow } = await this.exporter.callConnect('describeContactFlow', {
+            InstanceId: this.instanceId,
+            ContactFlowId: flowId
+        });
+        return { details: ContactFlow, content: JSON.parse(ContactFlow.Content) };
+    }
+
+    /**
+     * Release tag recorded by the CDK handler on a deployed flow
+     */
+    getDeployedRelease(details) {
+        if (details.Tags && details.Tags.ReleaseTag && details.Tags.ReleaseTag !== 'unknown') {
+            return details.Tags.ReleaseTag;
+        }
+        const match = RELEASE_DESCRIPTION_PATTERN.exec(details.Description || '');
+        return match && match[1] !== 'unknown' ? match[1] : null;
+    }
+
+    /**
+     * Write every managed flow's live content and a manifest to backup/<env>/<timestamp>_<release>
+     * @param {Array} flows - Contact flow summaries ({ Id, Name })
+     * @param {Object} options - { nextReleaseTag, gitSha, allowEmpty }
+     * @returns {Object} Manifest (with backupId and path)
+     */
+    async backup(flows, options = {}) {
+        // An empty backup would let a deployment proceed with nothing to roll back to
+        if (flows.length === 0 && !options.allowEmpty) {
+            throw new Error(`No managed flows found in instance ${this.instanceId}; nothing was backed up (use --allow-empty for a first deployment)`);
+        }
+
+        const snapshots = [];
+        for (const flow of flows) {
+            const { details, content } = await this.describeFlow(flow.Id);
+            snapshots.push({ flow, details, content });
+        }
+
+        const releases = _.countBy(snapshots.map(({ details }) => this.getDeployedRelease(details)).filter(Boolean));
+        const releaseTag = _.maxBy(Object.keys(releases), tag => releases[tag]) || null;
+        const createdAt = this.clock();
+        const backupId = `${createdAt.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}_${releaseTag || 'untagged'}`;
+        const backupPath = path.join(this.backupDir, backupId);
+
+        const manifest = {
+            backupId,
+            environment: this.environment || null,
+            instanceId: this.instanceId,
+            createdAt: createdAt.toISOString(),
+            releaseTag,
+            nextReleaseTag: options.nextReleaseTag || null,
+            gitSha: options.gitSha || null,
+            flows: []
+        };
+
+        for (const { flow, details, content } of snapshots) {
+            const file = path.join('flows', `${this.exporter.sanitizeFlowName(flow.Name)}.json`);
+            const serialized = JSON.stringify(content, null, 2);
+            await fs.outputFile(path.join(backupPath, file), serialized);
+
+            manifest.flows.push({
+                name: details.Name,
+                flowId: details.Id,
+                arn: details.Arn,
+                type: details.Type,
+                releaseTag: this.getDeployedRelease(details),
+                file,
+                sha256: crypto.createHash('sha256').update(serialized).digest('hex')
+            });
+        }
+
+        await fs.outputJson(path.join(backupPath, MANIFEST_FILE), manifest, { spaces: 2 });
+        console.log(`💾 Backed up ${manifest.flows.length} flow(s) to ${backupPath}`);
+
+        return { ...manifest, path: backupPath };
+    }
+
+    /**
+     * Manifests of every backup, newest first
+     */
+    async listBackups() {
+        if (!await fs.pathExists(this.backupDir)) {
+            return [];
+        }
+
+        const backups = [];
+        for (const entry of await fs.readdir(this.backupDir)) {
+            const manifestPath = path.join(this.backupDir, entry, MANIFEST_FILE);
+            if (await fs.pathExists(manifestPath)) {
+                backups.push({ ...await fs.readJson(manifestPath), path: path.join(this.backupDir, entry) });
+            }
+        }
+
+        return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Find a backup by id, or the newest backup of a release tag
+     */
+    async findBackup(target) {
+        const backups = await this.listBackups();
+        const backup = backups.find(b => b.backupId === target) || backups.find(b => b.releaseTag === target);
+
+        if (!backup) {
+            throw new Error(`No backup found for ${target} in ${this.backupDir}`);
+        }
+        return backup;
+    }
+
+    /**
+     * Load a flow's content from a backup, checking it against the manifest hash
+     */
+    async loadBackupContent(backup, entry) {
+        const serialized = await fs.readFile(path.join(backup.path, entry.file), 'utf8');
+        const sha256 = crypto.createHash('sha256').update(serialized).digest('hex');
+
+        if (sha256 !== entry.sha256) {
+            throw new Error(`Backup file ${entry.file} does not match its manifest checksum`);
+        }
+        return JSON.parse(serialized);
+    }
+
+    /**
+     * Restore every flow of a backup with UpdateContactFlowContent and verify the live content afterwards
+     * @returns {Object} { backupId, success, flows: [{ name, status, error }] }
+     */
+    async rollback(target) {
+        const backup = typeof target === 'string' ? await this.findBackup(target) : target;
+
+        if (backup.instanceId !== this.instanceId) {
+            throw new Error(`Backup ${backup.backupId} belongs to instance ${backup.instanceId}, not ${this.instanceId}`);
+        }
+
+        console.log(`⏪ Rolling back ${backup.flows.length} flow(s) to ${backup.backupId}`);
+        const flows = [];
+
+        for (const entry of backup.flows) {
+            try {
+                const expected = await this.loadBackupContent(backup, entry);
+                const live = await this.describeFlow(entry.flowId);
+
+                if (_.isEqual(live.content, expected)) {
+                    console.log(`✅ ${entry.name} already matches the backup`);
+                    flows.push({ name: entry.name, status: 'unchanged' });
+                    continue;
+                }
+
+                await this.exporter.callConnect('updateContactFlowContent', {
+                    InstanceId: this.instanceId,
+                    ContactFlowId: entry.flowId,
+                    Content: JSON.stringify(expected)
+                });
+
+                const restored = await this.describeFlow(entry.flowId);
+                if (!_.isEqual(restored.content, expected)) {
+                    throw new Error('Live content differs from the backup after restore');
+                }
+
+                console.log(`✅ Restored ${entry.name}`);
+                flows.push({ name: entry.name, status: 'restored' });
+            } catch (error) {
+                console.error(`❌ ${entry.name}: ${error.message}`);
+                flows.push({ name: entry.name, status: 'failed', error: error.message });
+            }
+        }
+
+        return {
+            backupId: backup.backupId,
+            success: flows.every(flow => flow.status !== 'failed'),
+            flows
+        };
+    }
+}
+
+// CLI Interface
+const program = new Command();
+
+program
+    .name('backup-current-flows')
+    .description('Back up live contact flows before a deployment, or roll back to a backup');
+
+async function loadContext(options) {
+    const configFile = options.config || path.join('./env', `${options.env}.yaml`);
+
+    if (!await fs.pathExists(configFile)) {
+        throw new Error(`Environment config file not found: ${configFile}`);
+    }
+
+    const envConfig = await TemplateRenderer.loadEnvironmentConfig(configFile);
+    const state = await DeploymentStateStore.fromConfig(envConfig, options.env).load();
+    const backup = new FlowBackup(envConfig, { environment: options.env, flows: state.flows, backupDir: options.backupDir });
+    return { envConfig, backup };
+}
+
+function handleError(error, options) {
+    console.error(`❌ ${error.message}`);
+    if (options.verbose) {
+        console.error(error.stack);
+    }
+    process.exit(1);
+}
+
+program
+    .command('backup', { isDefault: true })
+    .description('Snapshot the live content of every managed flow')
+    .requiredOption('-e, --env <environment>', 'Environment (dev|test|prod)')
+    .option('-c, --config <file>', 'Environment config file (auto-detected if not provided)')
+    .option('-d, --dist <directory>', 'Rendered flows directory (managed flows)', './dist')
+    .option('-b, --backup-dir <directory>', 'Backup root directory', './backup')
+    .option('--release-tag <tag>', 'Release about to be deployed (recorded in the manifest)')
+    .option('--git-sha <sha>', 'Git commit recorded in the manifest')
+    .option('--allow-empty', 'Succeed without a backup when no managed flow is deployed yet (first deployment)')
+    .option('-v, --verbose', 'Verbose output')
+    .action(async (options) => {
+        try {
+            const { backup } = await loadContext(options);
+            const flows = await backup.findManagedFlows(path.join(options.dist, options.env));
+            const manifest = await backup.backup(flows, {
+                nextReleaseTag: options.releaseTag,
+                gitSha: options.gitSha,
+                allowEmpty: options.allowEmpty
+            });
+            console.log(`📄 Backup id: ${manifest.backupId}`);
+        } catch (error) {
+            handleError(error, options);
+        }
+    });
+
+program
+    .command('rollback')
+    .description('Restore the flow contents of a backup and verify them')
+    .requiredOption('-e, --env <environment>', 'Environment (dev|test|prod)')
+    .requiredOption('--to <backup>', 'Backup id or release tag (newest backup of that release)')
+    .option('-c, --config <file>', 'Environment config file (auto-detected if not provided)')
+    .option('-b, --backup-dir <directory>', 'Backup root directory', './backup')
+    .option('--force', 'Roll back even if deployment.rollback_enabled is false')
+    .option('-v, --verbose', 'Verbose output')
+    .action(async (options) => {
+        try {
+            const { envConfig, backup } = await loadContext(options);
+            if (envConfig.deployment && envConfig.deployment.rollback_enabled === false && !options.force) {
+                throw new Error(`Rollback is disabled for ${options.env} (deployment.rollback_enabled); use --force to override`);
+            }
+
+            const result = await backup.rollback(options.to);
+            if (!result.success) {
+                throw new Error(`Rollback to ${result.backupId} failed for ${result.flows.filter(f => f.status === 'failed').map(f => f.name).join(', ')}`);
+            }
+            console.log(`🎉 Rolled back ${options.env} to ${result.backupId}`);
+        } catch (error) {
+            handleError(error, options);
+        }
+    });
+
+program
+    .command('list')
+    .description('List backups, newest first')
+    .requiredOption('-e, --env <environment>', 'Environment (dev|test|prod)')
+    .option('-c, --config <file>', 'Environment config file (auto-detected if not provided)')
+    .option('-b, --backup-dir <directory>', 'Backup root directory', './backup')
+    .option('-v, --verbose', 'Verbose output')
+    .action(async (options) => {
+        try {
+            const { backup } = await loadContext(options);
+            const backups = await backup.listBackups();
+            if (backups.length === 0) {
+                console.log('No backups found');
+            }
+            backups.forEach(b => {
+                console.log(`${b.backupId}  release=${b.releaseTag || '-'}  flows=${b.flows.length}  created=${b.createdAt}`);
+            });
+        } catch (error) {
+            handleError(error, options);
+        }
+    });
+
+if (require.main === module) {
+    program.parse();
+}
+
+module.exports = { FlowBackup };
@@ -0,0 +1,585 @@
+#!/usr/bin/env node
+
+/**
+ * Blue/Green Controller
+ * Shifts traffic between flow versions through a Distribute-By-Percentage entry flow,
+ * following the deployment block of env/<env>.yaml
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const AWS = require('aws-sdk');
+const { Command } = require('commander');
+const ConnectFlowExporter = require('./export');
+const { TemplateRenderer } = require('./render');
+const { DeploymentStateStore } = require('./deployment-state');
+
+// Fixed action identifiers so the controller can read back its own entry flows
+const ROUTER_ACTIONS = {
+    DISTRIBUTE: 'bg-distribute',
+    BLUE: 'bg-route-blue',
+    GREEN: 'bg-route-green',
+    DISCONNECT: 'bg-disconnect'
+};
+
+const DEFAULT_ROUTER_SUFFIX = '-entry';
+
+// Release tags created by the release workflow: release-YYYYMMDD-<shortSHA>
+const RELEASE_TAG_PATTERN = /^release-\d{8}-[0-9a-z]+$/i;
+
+/**
+ * Entry flow content sending `percentage`% of contacts to green and the rest to blue
+ * @param {Object} targets - { blue, green, percentage }
+ */
+function buildRouterContent({ blue, green, percentage }) {
+    const transfer = (identifier, contactFlowId) => ({
+        Identifier: identifier,
+        Type: 'TransferToFlow',
+        Parameters: { ContactFlowId: contactFlowId },
+        Transitions: {
+            NextAction: ROUTER_ACTIONS.DISCONNECT,
+            Errors: [{ NextAction: ROUTER_ACTIONS.DISCONNECT, ErrorType: 'NoMatchingError' }]
+        }
+    });
+
+    const disconnect = { Identifier: ROUTER_ACTIONS.DISCONNECT, Type: 'DisconnectParticipant', Parameters: {}, Transitions: {} };
+
+    // A single target needs no distribution block
+    let single = null;
+    if (!green || percentage <= 0) {
+        single = transfer(ROUTER_ACTIONS.BLUE, blue);
+    } else if (!blue || percentage >= 100) {
+        single = transfer(ROUTER_ACTIONS.GREEN, green);
+    }
+    if (single) {
+        return { Version: '2019-10-30', StartAction: single.Identifier, Actions: [single, disconnect] };
+    }
+
+    return {
+        Version: '2019-10-30',
+        StartAction: ROUTER_ACTIONS.DISTRIBUTE,
+        Actions: [
+            {
+                Identifier: ROUTER_ACTIONS.DISTRIBUTE,
+                Type: 'DistributeByPercentage',
+                Parameters: {},
+                Transitions: {
+                    NextAction: ROUTER_ACTIONS.BLUE,
+                    Conditions: [{
+                        NextAction: ROUTER_ACTIONS.GREEN,
+                        Condition: { Operator: 'NumberLessThan', Operands: [String(percentage)] }
+                    }],
+                    Errors: [{ NextAction: ROUTER_ACTIONS.BLUE, ErrorType: 'NoMatchingCondition' }]
+                }
+            },
+            transfer(ROUTER_ACTIONS.BLUE, blue),
+            transfer(ROUTER_ACTIONS.GREEN, green),
+            disconnect
+        ]
+    };
+}
+
+/**
+ * Read { blue, green, percentage } back from an entry flow built by buildRouterContent
+ */
+function parseRouterContent(content) {
+    const actions = new Map((content.Actions || []).map(action => [action.Identifier, action]));
+    const target = (identifier) => actions.has(identifier) ? actions.get(identifier).Parameters.ContactFlowId : null;
+
+    if (!actions.has(ROUTER_ACTIONS.BLUE) && !actions.has(ROUTER_ACTIONS.GREEN)) {
+        throw new Error('Entry flow was not created by the blue/green controller');
+    }
+
+    const distribute = actions.get(ROUTER_ACTIONS.DISTRIBUTE);
+    let percentage;
+    if (distribute) {
+        percentage = Number(distribute.Transitions.Conditions[0].Condition.Operands[0]);
+    } else {
+        percentage = content.StartAction === ROUTER_ACTIONS.GREEN ? 100 : 0;
+    }
+
+    return { blue: target(ROUTER_ACTIONS.BLUE), green: target(ROUTER_ACTIONS.GREEN), percentage };
+}
+
+/**
+ * Health signal backed by CloudWatch alarms: unhealthy while any alarm is in ALARM state
+ */
+class CloudWatchAlarmHealthCheck {
+    /**
+     * @param {Object} config - { alarm_names, alarm_prefix, region }
+     * @param {Object} options - { cloudwatch }
+     */
+    constructor(config, options = {}) {
+        this.alarmNames = config.alarm_names || [];
+        this.alarmPrefix = config.alarm_prefix;
+        if (this.alarmNames.length === 0 && !this.alarmPrefix) {
+            throw new Error('cloudwatch-alarms health check requires alarm_names or alarm_prefix');
+        }
+        this.cloudwatch = options.cloudwatch || new AWS.CloudWatch({ region: config.region });
+    }
+
+    async check() {
+        const params = {
+            StateValue: 'ALARM',
+            ...(this.alarmNames.length > 0 && { AlarmNames: this.alarmNames }),
+            ...(this.alarmPrefix && { AlarmNamePrefix: this.alarmPrefix })
+        };
+        const result = await this.cloudwatch.describeAlarms(params).promise();
+        const alarms = (result.MetricAlarms || []).concat(result.CompositeAlarms || []);
+
+        if (alarms.length > 0) {
+            return { healthy: false, reason: `Alarm(s) firing: ${alarms.map(alarm => alarm.AlarmName).join(', ')}` };
+        }
+        return { healthy: true };
+    }
+}
+
+/**
+ * Build the health signal from deployment.health_check
+ * - type: cloudwatch-alarms (alarm_names / alarm_prefix)
+ * - type: module (path to a module exporting check(context))
+ * - type: none
+ */
+function createHealthCheck(config = {}, options = {}) {
+    const type = config.type || 'none';
+
+    switch (type) {
+        case 'none':
+            return { check: async () => ({ healthy: true }) };
+        case 'cloudwatch-alarms':
+            return new CloudWatchAlarmHealthCheck(config, options);
+        case 'module': {
+            if (!config.path) {
+                throw new Error('module health check requires path');
+            }
+            const loaded = require(path.resolve(options.baseDir || process.cwd(), config.path));
+            const check = typeof loaded === 'function' ? loaded : loaded.check;
+            if (typeof check !== 'function') {
+                throw new Error(`Health check module must export a check function: ${config.path}`);
+            }
+            return { check: (context) => check(context, config) };
+        }
+        default:
+            throw new Error(`Unsupported health check type: ${type}`);
+    }
+}
+
+class BlueGreenController {
+    /**
+     * @param {Object} envConfig - Environment configuration (env/<env>.yaml)
+     * @param {Object} options - { environment, exporter, connect, stateStore, healthCheck, cloudwatch, sleep, clock }
+     */
+    constructor(envConfig, options = {}) {
+        this.envConfig = envConfig;
+        this.environment = options.environment;
+        this.instanceId = envConfig.connect.instance_id;
+        this.settings = envConfig.deployment || {};
+        this.exporter = options.exporter || new ConnectFlowExporter(envConfig.connect.region, { connect: options.connect });
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.clock = options.clock || (() => Date.now());
+        // Loaded DeploymentStateStore holding the promotion history rollback walks back through
+        this.stateStore = options.stateStore || null;
+        this.routerSuffix = this.settings.router_suffix || DEFAULT_ROUTER_SUFFIX;
+        this.rollbackEnabled = this.settings.rollback_enabled !== false;
+        this.healthCheckDuration = (this.settings.health_check_duration || 0) * 1000;
+        this.healthCheckInterval = (this.settings.health_check_interval || 60) * 1000;
+        this.fullDeploymentDelay = (this.settings.full_deployment_delay || 0) * 1000;
+
+        const healthCheck = options.healthCheck || createHealthCheck(this.settings.health_check, { cloudwatch: options.cloudwatch });
+        this.healthCheck = typeof healthCheck === 'function' ? { check: healthCheck } : healthCheck;
+    }
+
+    getRouterName(flowName) {
+        return `${flowName}${this.routerSuffix}`;
+    }
+
+    /**
+     * Traffic percentages for green: canary, optional traffic_steps, then 100
+     */
+    getStages(steps) {
+        const configured = steps || [this.settings.canary_percentage || 100, ...(this.settings.traffic_steps || [])];
+        const stages = [...new Set([...configured.map(Number), 100])].sort((a, b) => a - b);
+
+        stages.forEach(stage => {
+            if (!Number.isFinite(stage) || stage <= 0 || stage > 100) {
+                throw new Error(`Invalid traffic step: ${stage} (expected 1-100)`);
+            }
+        });
+
+        return stages;
+    }
+
+    async listFlows() {
+        return this.exporter.listContactFlows(this.instanceId);
+    }
+
+    findFlow(flows, name) {
+        return flows.find(flow => flow.Name === name) || null;
+    }
+
+    /**
+     * Current blue/green targets of a flow's entry flow
+     * @returns {Object} { flowName, router, blue, green, percentage }
+     */
+    async getStatus(flowName, flows) {
+        const router = this.findFlow(flows || await this.listFlows(), this.getRouterName(flowName));
+        if (!router) {
+            return { flowName, router: null, blue: null, green: null, percentage: 0 };
+        }
+
+        const described = await this.exporter.callConnect('describeContactFlow', {
+            InstanceId: this.instanceId,
+            ContactFlowId: router.Id
+        });
+
+        return { flowName, router, ...parseRouterContent(JSON.parse(described.ContactFlow.Content)) };
+    }
+
+    /**
+     * Create or update the entry flow to the given split
+     */
+    async setTraffic(flowName, router, targets) {
+        const content = JSON.stringify(buildRouterContent(targets));
+        const split = targets.green ? `${targets.percentage}% green` : 'blue only';
+
+        if (!router) {
+            const result = await this.exporter.callConnect('createContactFlow', {
+                InstanceId: this.instanceId,
+                Name: this.getRouterName(flowName),
+                Type: 'CONTACT_FLOW',
+                Content: content,
+                Description: `Blue/green entry flow for ${flowName}`
+            });
+            console.log(`🔀 Created entry flow ${this.getRouterName(flowName)} (${split})`);
+            return { Id: result.ContactFlowId, Arn: result.ContactFlowArn, Name: this.getRouterName(flowName) };
+        }
+
+        await this.exporter.callConnect('updateContactFlowContent', {
+            InstanceId: this.instanceId,
+            ContactFlowId: router.Id,
+            Content: content
+        });
+        console.log(`🔀 ${this.getRouterName(flowName)}: ${split}`);
+        return router;
+    }
+
+    /**
+     * Shift traffic to <flowName>-<releaseTag> stage by stage, checking health between
+     * stages, then promote (and archive old versions) or roll back
+     * @returns {Object} { flowName, status, percentage, stages, archived, reason }
+     */
+    async rollout(flowName, releaseTag, options = {}) {
+        if (!releaseTag) {
+            throw new Error('A release tag is required to identify the new flow version');
+        }
+
+        const flows = await this.listFlows();
+        const greenFlow = this.findFlow(flows, `${flowName}-${releaseTag}`);
+        if (!greenFlow) {
+            throw new Error(`New flow version not found: ${flowName}-${releaseTag}`);
+        }
+
+        const current = await this.getStatus(flowName, flows);
+        const blue = current.percentage >= 100 ? current.green : current.blue;
+
+        if (blue === greenFlow.Arn) {
+            console.log(`✅ ${flowName} already serves ${greenFlow.Name}`);
+            return { flowName, status: 'unchanged', percentage: 100, stages: [], archived: [] };
+        }
+
+        // First deployment: nothing to shift from
+        if (!blue) {
+            await this.setTraffic(flowName, current.router, { blue: null, green: greenFlow.Arn, percentage: 100 });
+            this.recordRelease(flowName, greenFlow);
+            return { flowName, status: 'promoted', percentage: 100, stages: [100], archived: [] };
+        }
+
+        const partialStages = this.getStages(options.steps).filter(percentage => percentage < 100);
+        const startedAt = this.clock();
+        let router = current.router;
+        const completed = [];
+
+        for (const [index, percentage] of partialStages.entries()) {
+            router = await this.setTraffic(flowName, router, { blue, green: greenFlow.Arn, percentage });
+            completed.push(percentage);
+
+            // The last stage before 100% is held until full_deployment_delay has passed since the canary
+            const isLastShift = index === partialStages.length - 1;
+            const holdMs = isLastShift ?
+                Math.max(this.healthCheckDuration, this.fullDeploymentDelay - (this.clock() - startedAt)) :
+                this.healthCheckDuration;
+
+            const health = await this.monitor(flowName, percentage, holdMs);
+            if (!health.healthy) {
+                return this.handleUnhealthy(flowName, router, { blue, green: greenFlow.Arn, percentage }, completed, health.reason);
+            }
+        }
+
+        await this.setTraffic(flowName, router, { blue, green: greenFlow.Arn, percentage: 100 });
+        completed.push(100);
+        const archived = await this.archiveOldVersions(flowName, greenFlow, flows);
+
+        // Versions promoted before the history was kept are recorded as its starting point
+        if (this.getReleases(flowName).length === 0) {
+            const blueFlow = flows.find(flow => flow.Arn === blue);
+            if (blueFlow) {
+                this.recordRelease(flowName, blueFlow);
+            }
+        }
+        this.recordRelease(flowName, greenFlow);
+
+        console.log(`🎉 ${flowName} promoted to ${greenFlow.Name}`);
+        return { flowName, status: 'promoted', percentage: 100, stages: completed, archived };
+    }
+
+    /**
+     * Poll the health signal every health_check_interval for holdMs
+     */
+    async monitor(flowName, percentage, holdMs) {
+        const until = this.clock() + holdMs;
+        console.log(`🩺 Monitoring ${flowName} at ${percentage}% for ${Math.round(holdMs / 1000)}s`);
+
+        for (;;) {
+            const health = await this.runHealthCheck({ flowName, percentage, environment: this.environment });
+            if (!health.healthy) {
+                return health;
+            }
+
+            const remaining = until - this.clock();
+            if (remaining <= 0) {
+                return health;
+            }
+            await this.sleep(Math.min(this.healthCheckInterval, remaining));
+        }
+    }
+
+    async runHealthCheck(context) {
+        try {
+            const result = await this.healthCheck.check(context);
+            return { healthy: Boolean(result && result.healthy), reason: result && result.reason };
+        } catch (error) {
+            // A broken health signal is treated as unhealthy rather than ignored
+            return { healthy: false, reason: `Health check failed: ${error.message}` };
+        }
+    }
+
+    async handleUnhealthy(flowName, router, targets, completed, reason) {
+        console.error(`🚨 ${flowName} unhealthy at ${targets.percentage}%: ${reason}`);
+
+        if (!this.rollbackEnabled) {
+            console.warn('⚠️  rollback_enabled is false; traffic split left in place');
+            return { flowName, status: 'halted', percentage: targets.percentage, stages: completed, archived: [], reason };
+        }
+
+        await this.setTraffic(flowName, router, { ...targets, percentage: 0 });
+        return { flowName, status: 'rolled-back', percentage: 0, stages: completed, archived: [], reason };
+    }
+
+    /**
+     * Send all traffic back to the previous version. After a promotion the previous
+     * version is the one promoted before the current one in the recorded release
+     * history (not name order: same-day tags only differ by sha); it is restored
+     * first if it was archived.
+     */
+    async rollback(flowName, options = {}) {
+        const flows = await this.listFlows();
+        const status = await this.getStatus(flowName, flows);
+        if (!status.router) {
+            throw new Error(`Entry flow not found: ${this.getRouterName(flowName)}`);
+        }
+
+        let blue = status.percentage >= 100 ? null : status.blue;
+        const current = status.percentage >= 100 ? status.green : status.blue;
+
+        if (!blue) {
+            const previous = options.to ?
+                this.findFlow(flows, options.to) :
+                this.findPreviousRelease(flowName, flows, current);
+            if (!previous) {
+                throw new Error(`No previous version of ${flowName} to roll back to` +
+                    (this.getReleases(flowName).length === 0 ? ' (no release history recorded; use --to)' : ''));
+            }
+            if (previous.ContactFlowState === 'ARCHIVED') {
+                await this.setFlowState(previous, 'ACTIVE');
+            }
+            blue = previous.Arn;
+
+            // Releases after the restored one no longer count as promoted
+            const releases = this.getReleases(flowName);
+            const index = releases.map(release => release.arn).lastIndexOf(previous.Arn);
+            if (index >= 0) {
+                this.stateStore.truncateReleases(flowName, index + 1);
+            } else {
+                this.recordRelease(flowName, previous);
+            }
+        }
+
+        await this.setTraffic(flowName, status.router, { blue, green: null, percentage: 0 });
+        console.log(`⏪ ${flowName} rolled back to ${blue}`);
+        return { flowName, status: 'rolled-back', percentage: 0, blue };
+    }
+
+    getReleases(flowName) {
+        return this.stateStore ? this.stateStore.getReleases(flowName) : [];
+    }
+
+    recordRelease(flowName, flow) {
+        if (this.stateStore) {
+            this.stateStore.recordRelease(flowName, {
+                name: flow.Name,
+                arn: flow.Arn,
+                releaseTag: flow.Name.slice(flowName.length + 1)
+            });
+        }
+    }
+
+    /**
+     * Latest recorded release before the current one that still exists in the instance
+     */
+    findPreviousRelease(flowName, flows, currentArn) {
+        const releases = this.getReleases(flowName);
+        const index = releases.map(release => release.arn).lastIndexOf(currentArn);
+        const candidates = (index >= 0 ? releases.slice(0, index) : releases)
+            .filter(release => release.arn !== currentArn);
+
+        for (const release of candidates.reverse()) {
+            const flow = flows.find(candidate => candidate.Arn === release.arn);
+            if (flow) {
+                return flow;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Versioned flows (<flowName>-<releaseTag>) sorted by name, plus any recorded in the
+     * release history. Only release tags count, so sibling flows sharing the prefix
+     * (Sales-Escalation) are never treated as versions.
+     */
+    getVersions(flowName, flows) {
+        const prefix = `${flowName}-`;
+        const recorded = new Set(this.getReleases(flowName).map(release => release.arn));
+        return flows
+            .filter(flow => recorded.has(flow.Arn) ||
+                (flow.Name.startsWith(prefix) && RELEASE_TAG_PATTERN.test(flow.Name.slice(prefix.length))))
+            .sort((a, b) => a.Name.localeCompare(b.Name));
+    }
+
+    /**
+     * Archive every active version except the promoted one
+     */
+    async archiveOldVersions(flowName, greenFlow, flows) {
+        const archived = [];
+
+        for (const flow of this.getVersions(flowName, flows)) {
+            if (flow.Id === greenFlow.Id || flow.ContactFlowState === 'ARCHIVED') {
+                continue;
+            }
+            await this.setFlowState(flow, 'ARCHIVED');
+            archived.push(flow.Name);
+        }
+
+        return archived;
+    }
+
+    async setFlowState(flow, state) {
+        await this.exporter.callConnect('updateContactFlowMetadata', {
+            InstanceId: this.instanceId,
+            ContactFlowId: flow.Id,
+            ContactFlowState: state
+        });
+        console.log(`${state === 'ARCHIVED' ? '📦 Archived' : '♻️  Restored'} ${flow.Name}`);
+    }
+}
+
+// CLI Interface
+const program = new Command();
+
+program
+    .name('blue-green-controller')
+    .description('Shift traffic between contact flow versions through blue/green entry flows')
+    .requiredOption('-e, --env <environment>', 'Environment (dev|test|prod)')
+    .option('-a, --action <action>', 'rollout | rollback | status', 'rollout')
+    .option('-c, --config <file>', 'Environment config file (auto-detected if not provided)')
+    .option('-f, --flow <names...>', 'Flow names (defaults to rendered flows in dist/<env>)')
+    .option('-d, --dist <directory>', 'Rendered flows directory', './dist')
+    .option('--release-tag <tag>', 'Release tag of the new flow version (required for rollout)')
+    .option('--steps <percentages>', 'Comma-separated traffic steps overriding canary_percentage/traffic_steps')
+    .option('--to <flowName>', 'Version to roll back to (defaults to the previous version)')
+    .option('-v, --verbose', 'Verbose output');
+
+async function main(options) {
+    try {
+        const configFile = options.config || path.join('./env', `${options.env}.yaml`);
+
+        if (!await fs.pathExists(configFile)) {
+            throw new Error(`Environment config file not found: ${configFile}`);
+        }
+
+        const envConfig = await TemplateRenderer.loadEnvironmentConfig(configFile);
+        const stateStore = DeploymentStateStore.fromConfig(envConfig, options.env);
+        await stateStore.load();
+        const controller = new BlueGreenController(envConfig, { environment: options.env, stateStore });
+
+        let flowNames = options.flow;
+        if (!flowNames) {
+            const renderedDir = path.join(options.dist, options.env);
+            if (!await fs.pathExists(renderedDir)) {
+                throw new Error(`Rendered flows directory not found: ${renderedDir} (use --flow)`);
+            }
+            flowNames = (await fs.readdir(renderedDir))
+                .filter(file => file.endsWith('.json'))
+                .map(file => path.basename(file, '.json'));
+        }
+
+        const steps = options.steps ? options.steps.split(',').map(step => Number(step.trim())) : undefined;
+        let failed = false;
+
+        for (const flowName of flowNames) {
+            if (options.action === 'status') {
+                const status = await controller.getStatus(flowName);
+                console.log(status.router ?
+                    `📊 ${flowName}: blue=${status.blue || '-'} green=${status.green || '-'} (${status.percentage}% green)` :
+                    `📊 ${flowName}: no entry flow`);
+            } else if (options.action === 'rollback') {
+                await controller.rollback(flowName, { to: options.to });
+                await stateStore.save();
+            } else if (options.action === 'rollout') {
+                const result = await controller.rollout(flowName, options.releaseTag, { steps });
+                await stateStore.save();
+                if (result.status === 'rolled-back' || result.status === 'halted') {
+                    failed = true;
+                }
+            } else {
+                throw new Error(`Unknown action: ${options.action}`);
+            }
+        }
+
+        if (failed) {
+            process.exit(1);
+        }
+
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        if (options.verbose) {
+            console.error(error.stack);
+        }
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    program.parse();
+    const options = program.opts();
+    main(options);
+}
+
+module.exports = {
+    BlueGreenController,
+    CloudWatchAlarmHealthCheck,
+    DEFAULT_ROUTER_SUFFIX,
+    RELEASE_TAG_PATTERN,
+    createHealthCheck,
+    buildRouterContent,
+    parseRouterContent
+};
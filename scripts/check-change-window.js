@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+
+/**
+ * Change Window Check
+ * Evaluates the change_window block of env/<env>.yaml (blocked hours, holidays, emergency override)
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { Command } = require('commander');
+const yaml = require('yaml');
+const { TemplateRenderer } = require('./render');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Holiday handling: 'blocked' freezes the whole day, 'open' lifts blocked_hours for the day
+const HOLIDAY_MODES = ['blocked', 'open'];
+
+class ChangeWindow {
+    /**
+     * @param {Object} config - change_window block
+     * @param {Object} options - { clock, baseDir, actor }
+     */
+    constructor(config = {}, options = {}) {
+        this.config = config;
+        this.timezone = config.timezone || 'Asia/Tokyo';
+        this.blockedHours = (config.blocked_hours || []).map(window => this.parseWindow(window));
+        this.clock = options.clock || (() => new Date());
+        this.baseDir = options.baseDir || process.cwd();
+        this.actor = options.actor || process.env.GITHUB_ACTOR || os.userInfo().username;
+        this.auditLog = path.resolve(this.baseDir, config.audit_log || 'logs/change-window-audit.jsonl');
+
+        const holidays = config.holidays || {};
+        this.holidayMode = holidays.mode || 'blocked';
+        if (!HOLIDAY_MODES.includes(this.holidayMode)) {
+            throw new Error(`Invalid holidays.mode: ${this.holidayMode} (expected ${HOLIDAY_MODES.join('|')})`);
+        }
+        this.holidays = new Map();
+        (holidays.dates || []).forEach(entry => this.addHoliday(entry));
+
+        // Validate the timezone eagerly so a typo fails before any deployment starts
+        this.getLocalTime(new Date(0));
+    }
+
+    parseWindow(window) {
+        const parseTime = (value, field) => {
+            const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+            const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+            // 24:00 closes a window at midnight; nothing later is a time of day
+            if (!match || Number(match[2]) > 59 || minutes > 24 * 60) {
+                throw new Error(`Invalid blocked_hours ${field}: ${value} (expected HH:MM)`);
+            }
+            return minutes;
+        };
+
+        const days = (window.days || DAYS).map(day => String(day).toLowerCase());
+        days.forEach(day => {
+            if (!DAYS.includes(day)) {
+                throw new Error(`Invalid blocked_hours day: ${day}`);
+            }
+        });
+
+        return {
+            label: `${window.start}-${window.end} ${days.join(',')}`,
+            start: parseTime(window.start, 'start'),
+            end: parseTime(window.end, 'end'),
+            days
+        };
+    }
+
+    addHoliday(entry) {
+        const { date, name } = typeof entry === 'object' && !(entry instanceof Date) ? entry : { date: entry };
+        const isoDate = date instanceof Date ? date.toISOString().slice(0, 10) : String(date);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(isoDate)) {
+            throw new Error(`Invalid holiday date: ${isoDate} (expected YYYY-MM-DD)`);
+        }
+        this.holidays.set(isoDate, name || 'holiday');
+    }
+
+    /**
+     * Load holiday calendars listed in holidays.calendars (.ics or .yaml)
+     */
+    async loadCalendars() {
+        const calendars = (this.config.holidays && this.config.holidays.calendars) || [];
+
+        for (const calendar of calendars) {
+            const calendarPath = path.resolve(this.baseDir, calendar);
+            const content = await fs.readFile(calendarPath, 'utf8');
+            const entries = calendarPath.endsWith('.ics') ? ChangeWindow.parseIcs(content) : ChangeWindow.parseHolidayYaml(content);
+            entries.forEach(entry => this.addHoliday(entry));
+        }
+
+        return this;
+    }
+
+    /**
+     * All-day dates from VEVENTs (DTEND is exclusive)
+     * @returns {Array} [{ date, name }]
+     */
+    static parseIcs(content) {
+        // Unfold continuation lines (RFC 5545 3.1)
+        const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const entries = [];
+        let event = null;
+
+        const toDate = (value) => {
+            const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+            return match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+        };
+
+        lines.forEach(line => {
+            if (line === 'BEGIN:VEVENT') {
+                event = {};
+                return;
+            }
+            if (line === 'END:VEVENT') {
+                if (event && event.start) {
+                    const end = event.end && event.end > event.start ? event.end : new Date(event.start.getTime() + 86400000);
+                    for (let day = event.start; day < end; day = new Date(day.getTime() + 86400000)) {
+                        entries.push({ date: day.toISOString().slice(0, 10), name: event.summary });
+                    }
+                }
+                event = null;
+                return;
+            }
+            if (!event) {
+                return;
+            }
+
+            const separator = line.indexOf(':');
+            const key = line.slice(0, separator).split(';')[0].toUpperCase();
+            const value = line.slice(separator + 1);
+            if (key === 'DTSTART') {
+                event.start = toDate(value);
+            } else if (key === 'DTEND') {
+                event.end = toDate(value);
+            } else if (key === 'SUMMARY') {
+                event.summary = value.replace(/\\([,;\\])/g, '$1');
+            }
+        });
+
+        return entries;
+    }
+
+    /**
+     * YAML list of dates, [{ date, name }] or { dates: [...] }
+     */
+    static parseHolidayYaml(content) {
+        const parsed = yaml.parse(content) || [];
+        return Array.isArray(parsed) ? parsed : (parsed.dates || []);
+    }
+
+    /**
+     * Date, weekday and minutes since midnight in the configured timezone
+     */
+    getLocalTime(now) {
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            weekday: 'long',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(now).map(part => [part.type, part.value]));
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            day: parts.weekday.toLowerCase(),
+            minutes: Number(parts.hour) * 60 + Number(parts.minute),
+            display: `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute} ${this.timezone}`
+        };
+    }
+
+    /**
+     * Evaluate the window at the current clock time
+     * @returns {Object} { allowed, reason, localTime, timezone, window, holiday }
+     */
+    evaluate() {
+        const local = this.getLocalTime(this.clock());
+        const result = { allowed: true, reason: null, localTime: local.display, timezone: this.timezone, window: null, holiday: null };
+
+        const holiday = this.holidays.get(local.date);
+        if (holiday) {
+            result.holiday = holiday;
+            if (this.holidayMode === 'blocked') {
+                return { ...result, allowed: false, reason: `${local.date} is a holiday (${holiday})` };
+            }
+            return result;
+        }
+
+        const previousDay = DAYS[(DAYS.indexOf(local.day) + 6) % 7];
+        const window = this.blockedHours.find(({ start, end, days }) => {
+            if (start <= end) {
+                return days.includes(local.day) && local.minutes >= start && local.minutes < end;
+            }
+            // Window crossing midnight belongs to the day it starts on
+            return (days.includes(local.day) && local.minutes >= start) ||
+                (days.includes(previousDay) && local.minutes < end);
+        });
+
+        if (window) {
+            return { ...result, allowed: false, window: window.label, reason: `${local.display} is inside blocked window ${window.label}` };
+        }
+
+        return result;
+    }
+
+    /**
+     * Throw when blocked, unless an emergency override with a reason is given.
+     * The override comes from the overrideReason option or a committed
+     * emergency_override block ({ reason, requested_by, expires }); every use is audited.
+     */
+    async enforce(options = {}) {
+        const result = this.evaluate();
+        if (result.allowed) {
+            return result;
+        }
+
+        const override = this.getOverride(options.overrideReason);
+        if (!override) {
+            throw new Error(`Deployment blocked by change window: ${result.reason}`);
+        }
+
+        const entry = {
+            timestamp: this.clock().toISOString(),
+            environment: options.environment || null,
+            actor: override.actor,
+            reason: override.reason,
+            blockedBy: result.reason,
+            source: override.source
+        };
+        await fs.ensureDir(path.dirname(this.auditLog));
+        await fs.appendFile(this.auditLog, `${JSON.stringify(entry)}\n`);
+        console.warn(`🚨 Emergency override by ${entry.actor}: ${entry.reason} (blocked: ${result.reason})`);
+
+        return { ...result, allowed: true, override: entry };
+    }
+
+    getOverride(overrideReason) {
+        if (overrideReason !== undefined && overrideReason !== null) {
+            if (!String(overrideReason).trim()) {
+                throw new Error('Emergency override requires a reason');
+            }
+            return { reason: String(overrideReason).trim(), actor: this.actor, source: 'cli' };
+        }
+
+        const configured = this.config.emergency_override;
+        if (!configured) {
+            return null;
+        }
+        if (typeof configured !== 'object' || !configured.reason || !String(configured.reason).trim()) {
+            throw new Error('change_window.emergency_override requires a reason');
+        }
+        if (configured.expires && new Date(configured.expires) <= this.clock()) {
+            console.warn(`⚠️  change_window.emergency_override expired at ${configured.expires}`);
+            return null;
+        }
+
+        return { reason: String(configured.reason).trim(), actor: configured.requested_by || this.actor, source: 'config' };
+    }
+}
+
+// CLI Interface
+const program = new Command();
+
+program
+    .name('check-change-window')
+    .description('Check whether deployments are currently allowed by the change window')
+    .requiredOption('-e, --env <environment>', 'Environment (dev|test|prod)')
+    .option('-c, --config <file>', 'Environment config file (auto-detected if not provided)')
+    .option('--emergency-override <reason>', 'Deploy inside a blocked window (reason is recorded in the audit log)')
+    .option('--at <timestamp>', 'Evaluate at this ISO 8601 time instead of now')
+    .option('--json', 'Print the result as JSON')
+    .option('-v, --verbose', 'Verbose output');
+
+async function main(options) {
+    try {
+        const configFile = options.config || path.join('./env', `${options.env}.yaml`);
+
+        if (!await fs.pathExists(configFile)) {
+            throw new Error(`Environment config file not found: ${configFile}`);
+        }
+
+        const envConfig = await TemplateRenderer.loadEnvironmentConfig(configFile);
+        if (!envConfig.change_window) {
+            console.log(`✅ No change window configured for ${options.env}`);
+            return;
+        }
+
+        let clock;
+        if (options.at) {
+            const at = new Date(options.at);
+            if (isNaN(at.getTime())) {
+                throw new Error(`Invalid --at timestamp: ${options.at}`);
+            }
+            clock = () => at;
+        }
+
+        const changeWindow = await new ChangeWindow(envConfig.change_window, { clock }).loadCalendars();
+        const result = await changeWindow.enforce({ overrideReason: options.emergencyOverride, environment: options.env });
+
+        if (options.json) {
+            console.log(JSON.stringify(result, null, 2));
+        } else if (result.override) {
+            console.log(`⚠️  Deployment allowed by emergency override at ${result.localTime}`);
+        } else {
+            console.log(`✅ Deployment allowed at ${result.localTime}`);
+        }
+
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        if (options.verbose) {
+            console.error(error.stack);
+        }
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    program.parse();
+    const options = program.opts();
+    main(options);
+}
+
+module.exports = { ChangeWindow };
@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+
+/**
+ * Contact Flow Deployment Script
+ * Runs validate -> render -> CDK synth -> CDK deploy -> associations for a single environment
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { spawn, execFileSync } = require('child_process');
+const { Command } = require('commander');
+const { FlowValidator } = require('./validate');
+const { TemplateRenderer } = require('./render');
+const { ChangeWindow } = require('./check-change-window');
+const { DeploymentStateStore } = require('./deployment-state');
+const { AssociationReconciler } = require('./reconcile-associations');
+
+class FlowDeployer {
+    /**
+     * @param {string} environment - Target environment (dev|test|prod)
+     * @param {Object} options - Deployment options
+     */
+    constructor(environment, options = {}) {
+        this.environment = environment;
+        this.flowsDir = options.flowsDir || './flows';
+        this.envDir = options.envDir || './env';
+        this.outputDir = path.resolve(options.outputDir || './dist', environment);
+        this.cdkDir = path.resolve(options.cdkDir || path.join(__dirname, '..', 'cdk'));
+        this.cdkOutDir = path.resolve(options.cdkOutDir || path.join(this.cdkDir, 'cdk.out'));
+        this.outputsFile = path.resolve(options.outputsFile || path.join(this.cdkOutDir, 'outputs.json'));
+        this.stateFile = path.join(path.dirname(this.outputDir), `${environment}.state.json`);
+        this.stateStore = options.stateStore;
+        this.connect = options.connect;
+        this.releaseTag = options.releaseTag;
+        this.releaseDate = options.releaseDate;
+        this.gitSha = options.gitSha;
+        this.blueGreenDeployment = Boolean(options.blueGreenDeployment);
+        this.dryRun = Boolean(options.dryRun);
+        this.emergencyOverride = options.emergencyOverride;
+        this.clock = options.clock;
+        this.stages = [];
+    }
+
+    /**
+     * Run every deployment stage in order, stopping at the first failure
+     * @returns {Object} { success, stages }
+     */
+    async deploy() {
+        console.log(`🚀 Deploying contact flows to environment: ${this.environment}`);
+
+        const stages = [
+            ['config', () => this.loadEnvironmentConfig()],
+            ['validate', () => this.validate()],
+            ['render', () => this.render()],
+            ['state', () => this.loadState()],
+            ['synth', () => this.synth()]
+        ];
+
+        // Dry runs never touch the instance, so the change window only gates real deployments
+        if (!this.dryRun) {
+            stages.splice(1, 0, ['change-window', () => this.checkChangeWindow()]);
+        }
+
+        if (!this.dryRun) {
+            stages.push(['deploy', () => this.cdkDeploy()]);
+            stages.push(['record-state', () => this.recordState()]);
+            stages.push(['associations', () => this.reconcileAssociations()]);
+        }
+
+        let success = true;
+        for (const [name, run] of stages) {
+            if (!await this.runStage(name, run)) {
+                success = false;
+                break;
+            }
+        }
+
+        this.reportResults(success);
+
+        return { success, stages: this.stages };
+    }
+
+    /**
+     * Run a single stage and record its outcome
+     */
+    async runStage(name, run) {
+        const startedAt = Date.now();
+        console.log(`\n▶️  Stage: ${name}`);
+
+        try {
+            await run();
+            this.stages.push({ stage: name, status: 'success', durationMs: Date.now() - startedAt });
+            return true;
+        } catch (error) {
+            console.error(`❌ Stage ${name} failed: ${error.message}`);
+            this.stages.push({ stage: name, status: 'failed', durationMs: Date.now() - startedAt, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Load env/<environment>.yaml
+     */
+    async loadEnvironmentConfig() {
+        const configFile = path.join(this.envDir, `${this.environment}.yaml`);
+
+        if (!await fs.pathExists(configFile)) {
+            throw new Error(`Environment config file not found: ${configFile}`);
+        }
+
+        this.envConfig = await TemplateRenderer.loadEnvironmentConfig(configFile);
+        // deployment.blue_green turns on versioned flows without --blue-green
+        this.blueGreenDeployment = this.blueGreenDeployment || Boolean((this.envConfig.deployment || {}).blue_green);
+    }
+
+    /**
+     * Refuse to deploy inside a blocked change window (change_window in env/<environment>.yaml)
+     */
+    async checkChangeWindow() {
+        if (!this.envConfig.change_window) {
+            console.log('✅ No change window configured');
+            return;
+        }
+
+        const changeWindow = await new ChangeWindow(this.envConfig.change_window, { clock: this.clock }).loadCalendars();
+        const result = await changeWindow.enforce({
+            overrideReason: this.emergencyOverride,
+            environment: this.environment
+        });
+        console.log(`✅ Change window open at ${result.localTime}${result.override ? ' (emergency override)' : ''}`);
+    }
+
+    /**
+     * Validate all templates and environment configs
+     */
+    async validate() {
+        const validator = new FlowValidator();
+        const isValid = await validator.validateAll(this.flowsDir, this.envDir);
+
+        if (!isValid) {
+            throw new Error(`Validation failed with ${validator.errors.length} error(s): ${validator.errors.join('; ')}`);
+        }
+    }
+
+    /**
+     * Render templates into dist/<environment>
+     */
+    async render() {
+        await fs.remove(this.outputDir);
+
+        const renderer = new TemplateRenderer(this.envConfig);
+        const results = await renderer.processFlowsDirectory(this.flowsDir, this.outputDir);
+
+        const failed = results.filter(r => r.status === 'error');
+        if (failed.length > 0) {
+            throw new Error(`Rendering failed for ${failed.map(r => `${r.flowName} (${r.error})`).join(', ')}`);
+        }
+
+        const rendered = results.filter(r => r.status === 'success');
+        console.log(`✅ Rendered ${rendered.length} flow(s) to ${this.outputDir}`);
+    }
+
+    /**
+     * Load the deployment state and hand a snapshot to the stack, so existing flows are adopted
+     */
+    async loadState() {
+        this.stateStore = this.stateStore || DeploymentStateStore.fromConfig(this.envConfig, this.environment);
+        const state = await this.stateStore.load();
+
+        await fs.outputJson(this.stateFile, state, { spaces: 2 });
+        console.log(`✅ Loaded ${Object.keys(state.flows).length} flow(s) from ${this.stateStore.backend.describe()}`);
+    }
+
+    /**
+     * Record the deployed flow IDs/ARNs from the stack outputs in the deployment state
+     */
+    async recordState() {
+        const outputs = await fs.readJson(this.outputsFile);
+        const flowNames = (await fs.readdir(this.outputDir))
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.basename(file, '.json'));
+
+        const recorded = this.stateStore.recordOutputs(outputs, flowNames, {
+            ...(this.releaseTag && { releaseTag: this.releaseTag }),
+            ...(this.gitSha && { gitSha: this.gitSha })
+        });
+        const missing = flowNames.filter(name => !recorded.includes(name));
+        if (missing.length > 0) {
+            throw new Error(`Stack outputs missing for ${missing.join(', ')}`);
+        }
+
+        await this.stateStore.save();
+        console.log(`✅ Recorded ${recorded.length} flow(s) in ${this.stateStore.backend.describe()}`);
+    }
+
+    /**
+     * Point phone numbers and queues at the deployed flows (associations in env/<environment>.yaml),
+     * keeping the replaced associations in the deployment state for rollback.
+     * Blue/green deployments associate after the rollout has created the entry flows instead.
+     */
+    async reconcileAssociations() {
+        if (!this.envConfig.associations) {
+            console.log('✅ No associations configured');
+            return;
+        }
+        if (this.blueGreenDeployment) {
+            console.log(`⏭️  Blue/green deployment: run \`reconcile-associations --env ${this.environment} --blue-green\` after the blue-green-controller rollout`);
+            return;
+        }
+
+        const reconciler = new AssociationReconciler(this.envConfig, {
+            flows: this.stateStore.state.flows,
+            connect: this.connect
+        });
+        const plan = await reconciler.plan();
+        console.log(`📋 Association plan:\n${reconciler.formatPlan(plan)}`);
+
+        const applied = await reconciler.apply(plan);
+        if (applied.length > 0) {
+            this.stateStore.setAssociations({
+                previous: reconciler.snapshot(applied),
+                ...(this.releaseTag && { releaseTag: this.releaseTag })
+            });
+            await this.stateStore.save();
+        }
+        console.log(`✅ Applied ${applied.length} association change(s)`);
+    }
+
+    /**
+     * Synthesize ConnectFlowStack into the cloud assembly directory
+     */
+    async synth() {
+        await this.runCdk(['synth', '--quiet', '--output', this.cdkOutDir, ...this.getContextArgs()]);
+        console.log(`✅ Synthesized cloud assembly: ${this.cdkOutDir}`);
+    }
+
+    /**
+     * Deploy the synthesized cloud assembly
+     */
+    async cdkDeploy() {
+        const args = ['deploy', '--all', '--app', this.cdkOutDir, '--require-approval', 'never', '--outputs-file', this.outputsFile];
+
+        await this.runCdk(args);
+        console.log(`✅ Deployed ConnectFlowStack-${this.environment}`);
+    }
+
+    /**
+     * Build the --context arguments read by cdk/app.js
+     */
+    getContextArgs() {
+        const context = {
+            environment: this.environment,
+            flowsPath: this.outputDir,
+            releaseTag: this.releaseTag,
+            releaseDate: this.releaseDate,
+            gitSha: this.gitSha,
+            blueGreenDeployment: String(this.blueGreenDeployment),
+            stateFile: this.stateStore ? this.stateFile : undefined
+        };
+
+        return Object.entries(context)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .flatMap(([key, value]) => ['--context', `${key}=${value}`]);
+    }
+
+    /**
+     * Run the CDK CLI inside the cdk directory
+     * @param {string[]} args - CDK CLI arguments
+     */
+    runCdk(args) {
+        return new Promise((resolve, reject) => {
+            const child = spawn('npx', ['cdk', ...args], { cwd: this.cdkDir, stdio: 'inherit' });
+
+            child.on('error', reject);
+            child.on('close', (code) => {
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(`cdk ${args[0]} exited with code ${code}`));
+                }
+            });
+        });
+    }
+
+    /**
+     * Print a per-stage summary
+     */
+    reportResults(success) {
+        console.log('\n📊 Deployment Summary:');
+        this.stages.forEach(stage => {
+            const icon = stage.status === 'success' ? '✅' : '❌';
+            console.log(`${icon} ${stage.stage} (${stage.durationMs}ms)${stage.error ? `: ${stage.error}` : ''}`);
+        });
+
+        if (!success) {
+            console.log(`\n💥 Deployment to ${this.environment} stopped at stage: ${this.stages[this.stages.length - 1].stage}`);
+        } else if (this.dryRun) {
+            console.log(`\n🧪 Dry run completed for ${this.environment} (deploy skipped)`);
+        } else {
+            console.log(`\n🎉 Deployment to ${this.environment} completed`);
+        }
+    }
+
+    /**
+     * Current git commit (short SHA), if available
+     */
+    static getGitSha() {
+        try {
+            return execFileSync('git', ['rev-parse', '--short', 'HEAD'], { encoding: 'utf8' }).trim();
+        } catch {
+            return undefined;
+        }
+    }
+}
+
+// CLI Interface
+const program = new Command();
+
+program
+    .name('deploy')
+    .description('Validate, render and deploy Contact Flows to an environment')
+    .argument('<environment>', 'Environment (dev|test|prod)')
+    .option('-f, --flows <directory>', 'Flows directory', './flows')
+    .option('-e, --env-dir <directory>', 'Environment configs directory', './env')
+    .option('-o, --output <directory>', 'Rendered output directory', './dist')
+    .option('--release-tag <tag>', 'Release tag recorded on deployed flows')
+    .option('--release-date <date>', 'Release date recorded in stack context')
+    .option('--git-sha <sha>', 'Git commit (defaults to current HEAD)')
+    .option('--blue-green', 'Create versioned flows instead of updating in place')
+    .option('--outputs-file <file>', 'Write CDK stack outputs to this file (defaults to <cdk.out>/outputs.json)')
+    .option('--dry-run', 'Stop after CDK synth')
+    .option('--emergency-override <reason>', 'Deploy inside a blocked change window (reason is audited)')
+    .option('-v, --verbose', 'Verbose output');
+
+async function main(environment, options) {
+    try {
+        const deployer = new FlowDeployer(environment, {
+            flowsDir: options.flows,
+            envDir: options.envDir,
+            outputDir: options.output,
+            outputsFile: options.outputsFile,
+            releaseTag: options.releaseTag,
+            releaseDate: options.releaseDate,
+            gitSha: options.gitSha || FlowDeployer.getGitSha(),
+            blueGreenDeployment: options.blueGreen,
+            dryRun: options.dryRun,
+            emergencyOverride: options.emergencyOverride
+        });
+
+        const { success } = await deployer.deploy();
+
+        if (!success) {
+            process.exit(1);
+        }
+
+    } catch (error) {
+        console.error('Deployment failed:', error.message);
+        if (options.verbose) {
+            console.error(error.stack);
+        }
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    program.parse();
+    main(program.args[0], program.opts());
+}
+
+module.exports = { FlowDeployer };
@@ -0,0 +1,229 @@
+/**
+ * Deployment State Store
+ * Maps logical flow names to the ContactFlowId/ARN deployed in each environment,
+ * kept in a local JSON file or an S3-compatible object store
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const AWS = require('aws-sdk');
+
+const STATE_VERSION = 1;
+
+/**
+ * CloudFormation output keys for a flow's ID and ARN (outputs only allow alphanumerics)
+ */
+function getFlowOutputKeys(flowName) {
+    const key = flowName.replace(/[^A-Za-z0-9]/g, '');
+    return { id: `ContactFlowId${key}`, arn: `ContactFlowArn${key}` };
+}
+
+class LocalStateBackend {
+    /**
+     * @param {string} filePath - State JSON file
+     */
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+    }
+
+    describe() {
+        return this.filePath;
+    }
+
+    async read() {
+        if (!await fs.pathExists(this.filePath)) {
+            return null;
+        }
+        return fs.readJson(this.filePath);
+    }
+
+    async write(state) {
+        await fs.outputJson(this.filePath, state, { spaces: 2 });
+    }
+}
+
+class S3StateBackend {
+    /**
+     * @param {Object} options - { bucket, key, region, endpoint, forcePathStyle, s3 }
+     */
+    constructor(options) {
+        if (!options.bucket || !options.key) {
+            throw new Error('S3 state backend requires bucket and key');
+        }
+        this.bucket = options.bucket;
+        this.key = options.key;
+        // endpoint + path-style addressing for S3-compatible stores (MinIO etc.)
+        this.s3 = options.s3 || new AWS.S3({
+            region: options.region,
+            ...(options.endpoint && { endpoint: options.endpoint }),
+            s3ForcePathStyle: Boolean(options.forcePathStyle)
+        });
+    }
+
+    describe() {
+        return `s3://${this.bucket}/${this.key}`;
+    }
+
+    async read() {
+        try {
+            const result = await this.s3.getObject({ Bucket: this.bucket, Key: this.key }).promise();
+            return JSON.parse(result.Body.toString('utf8'));
+        } catch (error) {
+            if (error.code === 'NoSuchKey' || error.statusCode === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async write(state) {
+        await this.s3.putObject({
+            Bucket: this.bucket,
+            Key: this.key,
+            Body: JSON.stringify(state, null, 2),
+            ContentType: 'application/json'
+        }).promise();
+    }
+}
+
+class DeploymentStateStore {
+    /**
+     * @param {Object} backend - LocalStateBackend or S3StateBackend
+     * @param {Object} options - { environment, instanceId, clock }
+     */
+    constructor(backend, options = {}) {
+        this.backend = backend;
+        this.environment = options.environment;
+        this.instanceId = options.instanceId;
+        this.clock = options.clock || (() => new Date());
+        this.state = null;
+    }
+
+    /**
+     * Build the store from deployment.state in env/<env>.yaml
+     * - backend: local (default), path defaults to state/<env>.json
+     * - backend: s3, with bucket, key, region, endpoint, force_path_style
+     */
+    static fromConfig(envConfig, environment, options = {}) {
+        const config = (envConfig.deployment && envConfig.deployment.state) || {};
+        const backendType = config.backend || 'local';
+        let backend;
+
+        if (backendType === 'local') {
+            backend = new LocalStateBackend(path.resolve(options.baseDir || process.cwd(), config.path || path.join('state', `${environment}.json`)));
+        } else if (backendType === 's3') {
+            backend = new S3StateBackend({
+                bucket: config.bucket,
+                key: config.key || `connect-flows/${environment}.json`,
+                region: config.region || envConfig.connect.region,
+                endpoint: config.endpoint,
+                forcePathStyle: config.force_path_style,
+                s3: options.s3
+            });
+        } else {
+            throw new Error(`Unsupported state backend: ${backendType}`);
+        }
+
+        return new DeploymentStateStore(backend, { environment, instanceId: envConfig.connect.instance_id, clock: options.clock });
+    }
+
+    async load() {
+        const state = await this.backend.read();
+
+        if (state && this.instanceId && state.instanceId && state.instanceId !== this.instanceId) {
+            throw new Error(`Deployment state ${this.backend.describe()} belongs to instance ${state.instanceId}, not ${this.instanceId}`);
+        }
+
+        this.state = state || {
+            version: STATE_VERSION,
+            environment: this.environment || null,
+            instanceId: this.instanceId || null,
+            updatedAt: null,
+            flows: {}
+        };
+        return this.state;
+    }
+
+    getFlow(name) {
+        return this.state.flows[name] || null;
+    }
+
+    setFlow(name, record) {
+        this.state.flows[name] = { ...record, updatedAt: this.clock().toISOString() };
+    }
+
+    removeFlow(name) {
+        delete this.state.flows[name];
+    }
+
+    /**
+     * Associations replaced by the last reconcile (restored by `reconcile-associations rollback`)
+     */
+    getAssociations() {
+        return this.state.associations || null;
+    }
+
+    setAssociations(record) {
+        if (record) {
+            this.state.associations = { ...record, updatedAt: this.clock().toISOString() };
+        } else {
+            delete this.state.associations;
+        }
+    }
+
+    /**
+     * Versions promoted by the blue/green controller, oldest first
+     * @returns {Object[]} [{ name, arn, releaseTag, promotedAt }]
+     */
+    getReleases(flowName) {
+        return (this.state.releases && this.state.releases[flowName]) || [];
+    }
+
+    recordRelease(flowName, release) {
+        this.state.releases = this.state.releases || {};
+        this.state.releases[flowName] = [...this.getReleases(flowName), { ...release, promotedAt: this.clock().toISOString() }];
+    }
+
+    /**
+     * Drop releases after the first `count` (versions that were rolled back)
+     */
+    truncateReleases(flowName, count) {
+        if (this.state.releases && this.state.releases[flowName]) {
+            this.state.releases[flowName] = this.state.releases[flowName].slice(0, count);
+        }
+    }
+
+    /**
+     * Record each flow's ID and ARN from `cdk deploy --outputs-file` output
+     * @param {Object} outputs - { <stackName>: { <outputKey>: value } }
+     * @param {string[]} flowNames - Logical flow names deployed
+     * @param {Object} details - Extra fields stored per flow (e.g. releaseTag)
+     * @returns {string[]} Flow names recorded
+     */
+    recordOutputs(outputs, flowNames, details = {}) {
+        const merged = Object.assign({}, ...Object.values(outputs || {}));
+        const recorded = [];
+
+        flowNames.forEach(name => {
+            const keys = getFlowOutputKeys(name);
+            if (merged[keys.id] && merged[keys.arn]) {
+                this.setFlow(name, { flowId: merged[keys.id], arn: merged[keys.arn], ...details });
+                recorded.push(name);
+            }
+        });
+
+        return recorded;
+    }
+
+    async save() {
+        this.state.updatedAt = this.clock().toISOString();
+        await this.backend.write(this.state);
+    }
+}
+
+module.exports = {
+    DeploymentStateStore,
+    LocalStateBackend,
+    S3StateBackend,
+    getFlowOutputKeys
+};
@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+
+/**
+ * Contact Flow Drift Detection Script
+ * Compares flows deployed in a Connect instance against rendered flows in dist/<env>
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { Command } = require('commander');
+const ConnectFlowExporter = require('./export');
+const { FlowNormalizer } = require('./normalize');
+const { TemplateRenderer } = require('./render');
+const { replaceFlowReferences } = require('./flow-dependencies');
+
+const DriftStatus = {
+    IN_SYNC: 'in-sync',
+    DRIFTED: 'drifted',
+    GIT_ONLY: 'git-only',
+    CONNECT_ONLY: 'connect-only'
+};
+
+class DriftDetector {
+    /**
+     * @param {Object} envConfig - Environment configuration (env/<env>.yaml)
+     * @param {Object} options - { exporter, releaseTag, includeMetadata, maxDifferences }
+     */
+    constructor(envConfig, options = {}) {
+        this.envConfig = envConfig;
+        this.instanceId = envConfig.connect.instance_id;
+        this.exporter = options.exporter || new ConnectFlowExporter(envConfig.connect.region);
+        this.normalizer = new FlowNormalizer();
+        this.releaseTag = options.releaseTag;
+        this.includeMetadata = Boolean(options.includeMetadata);
+        this.maxDifferences = options.maxDifferences || 20;
+    }
+
+    /**
+     * Compare every rendered flow with the live instance
+     * @param {string} renderedDir - Directory of rendered flows (dist/<env>)
+     * @returns {Object} Drift report
+     */
+    async detect(renderedDir) {
+        console.log(`🔍 Detecting drift for instance ${this.instanceId} against ${renderedDir}`);
+
+        const expectedFlows = await this.loadExpectedFlows(renderedDir);
+        const liveFlows = await this.exporter.listContactFlows(this.instanceId);
+        const liveByName = new Map(liveFlows.map(flow => [flow.Name, flow]));
+        const matchedIds = new Set();
+        const flows = [];
+
+        for (const expected of expectedFlows) {
+            const live = this.findLiveFlow(expected, liveByName);
+
+            if (!live) {
+                flows.push({ name: expected.name, status: DriftStatus.GIT_ONLY, file: expected.file });
+                continue;
+            }
+
+            matchedIds.add(live.Id);
+            const { content } = await this.exporter.getContactFlowContent(this.instanceId, live.Id);
+            const differences = this.findDifferences(
+                this.normalizeContent(this.resolveFlowReferences(expected.flow.content, liveByName)),
+                this.normalizeContent(content)
+            );
+
+            flows.push({
+                name: expected.name,
+                status: differences.length === 0 ? DriftStatus.IN_SYNC : DriftStatus.DRIFTED,
+                file: expected.file,
+                liveName: live.Name,
+                flowId: live.Id,
+                differences: differences.slice(0, this.maxDifferences),
+                differenceCount: differences.length
+            });
+        }
+
+        liveFlows
+            .filter(flow => !matchedIds.has(flow.Id))
+            .forEach(flow => {
+                flows.push({
+                    name: flow.Name,
+                    status: DriftStatus.CONNECT_ONLY,
+                    liveName: flow.Name,
+                    flowId: flow.Id,
+                    type: flow.ContactFlowType
+                });
+            });
+
+        const summary = Object.values(DriftStatus).reduce((acc, status) => {
+            acc[status] = flows.filter(flow => flow.status === status).length;
+            return acc;
+        }, {});
+
+        return {
+            checkedAt: new Date().toISOString(),
+            instanceId: this.instanceId,
+            renderedDir,
+            summary,
+            flows
+        };
+    }
+
+    /**
+     * Load rendered flow JSON files keyed by flow name
+     */
+    async loadExpectedFlows(renderedDir) {
+        if (!await fs.pathExists(renderedDir)) {
+            throw new Error(`Rendered flows directory not found: ${renderedDir}`);
+        }
+
+        const files = (await fs.readdir(renderedDir)).filter(file => file.endsWith('.json'));
+        const flows = [];
+
+        for (const file of files) {
+            const flow = await fs.readJson(path.join(renderedDir, file));
+            flows.push({
+                name: flow.name || path.basename(file, '.json'),
+                baseName: path.basename(file, '.json'),
+                file,
+                flow
+            });
+        }
+
+        return flows;
+    }
+
+    /**
+     * Find the deployed flow for a rendered flow, including versioned blue/green names
+     */
+    findLiveFlow(expected, liveByName) {
+        const candidates = [expected.name, expected.baseName];
+        if (this.releaseTag) {
+            candidates.push(`${expected.name}-${this.releaseTag}`, `${expected.baseName}-${this.releaseTag}`);
+        }
+
+        const match = candidates.find(name => liveByName.has(name));
+        return match ? liveByName.get(match) : null;
+    }
+
+    /**
+     * Resolve ${ContactFlow.<Name>} placeholders kept by render to the live flow's ARN or ID.
+     * References to flows that are not deployed stay as placeholders and show up as drift.
+     */
+    resolveFlowReferences(content, liveByName) {
+        if (!content) {
+            return content;
+        }
+
+        const serialized = replaceFlowReferences(JSON.stringify(content), (flowName, attribute) => {
+            const live = this.findLiveFlow({ name: flowName, baseName: flowName }, liveByName);
+            if (!live) {
+                return `\${ContactFlow.${flowName}.${attribute}}`;
+            }
+            return attribute === 'Id' ? live.Id : live.Arn;
+        });
+        return JSON.parse(serialized);
+    }
+
+    /**
+     * Normalize flow content for comparison; designer layout is ignored unless requested
+     */
+    normalizeContent(content) {
+        const comparable = { ...(content || {}) };
+        if (!this.includeMetadata) {
+            delete comparable.Metadata;
+        }
+        return this.normalizer.normalize(comparable);
+    }
+
+    /**
+     * List JSON paths whose values differ between expected and actual
+     */
+    findDifferences(expected, actual, currentPath = '', differences = []) {
+        if (typeof expected !== typeof actual ||
+            Array.isArray(expected) !== Array.isArray(actual) ||
+            expected === null || actual === null ||
+            typeof expected !== 'object') {
+            if (!Object.is(expected, actual)) {
+                differences.push({ path: currentPath || '(root)', expected, actual });
+            }
+            return differences;
+        }
+
+        const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+        keys.forEach(key => {
+            const childPath = Array.isArray(expected) ? `${currentPath}[${key}]` : (currentPath ? `${currentPath}.${key}` : key);
+            this.findDifferences(expected[key], actual[key], childPath, differences);
+        });
+
+        return differences;
+    }
+
+    /**
+     * Whether the report should fail the run
+     */
+    static hasDrift(report, failOnUnmanaged = false) {
+        return report.summary[DriftStatus.DRIFTED] > 0 ||
+            report.summary[DriftStatus.GIT_ONLY] > 0 ||
+            (failOnUnmanaged && report.summary[DriftStatus.CONNECT_ONLY] > 0);
+    }
+
+    /**
+     * Render a drift report as Markdown
+     */
+    static toMarkdown(report, environment) {
+        const icons = {
+            [DriftStatus.IN_SYNC]: '✅',
+            [DriftStatus.DRIFTED]: '🚨',
+            [DriftStatus.GIT_ONLY]: '📁',
+            [DriftStatus.CONNECT_ONLY]: '☁️'
+        };
+
+        const lines = [
+            `# Contact Flow Drift Report${environment ? ` (${environment})` : ''}`,
+            '',
+            `**Checked at**: ${report.checkedAt}`,
+            `**Instance**: \`${report.instanceId}\``,
+            '',
+            '| Status | Count |',
+            '|--------|-------|',
+            ...Object.entries(report.summary).map(([status, count]) => `| ${icons[status]} ${status} | ${count} |`),
+            '',
+            '| Flow | Status | Flow ID |',
+            '|------|--------|---------|',
+            ...report.flows.map(flow => `| ${flow.name} | ${icons[flow.status]} ${flow.status} | ${flow.flowId || '-'} |`)
+        ];
+
+        const drifted = report.flows.filter(flow => flow.status === DriftStatus.DRIFTED);
+        if (drifted.length > 0) {
+            lines.push('', '## Differences');
+            drifted.forEach(flow => {
+                lines.push('', `### ${flow.name}`, '');
+                flow.differences.forEach(diff => {
+                    lines.push(`- \`${diff.path}\`: expected \`${JSON.stringify(diff.expected)}\`, actual \`${JSON.stringify(diff.actual)}\``);
+                });
+                if (flow.differenceCount > flow.differences.length) {
+                    lines.push(`- ... and ${flow.differenceCount - flow.differences.length} more`);
+                }
+            });
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Write <outputBase>.json and <outputBase>.md
+     */
+    static async writeReport(report, outputBase, environment) {
+        await fs.ensureDir(path.dirname(outputBase));
+        await fs.writeJson(`${outputBase}.json`, report, { spaces: 2 });
+        await fs.writeFile(`${outputBase}.md`, DriftDetector.toMarkdown(report, environment));
+        return { jsonPath: `${outputBase}.json`, markdownPath: `${outputBase}.md` };
+    }
+}
+
+// CLI Interface
+const program = new Command();
+
+program
+    .name('drift-detect')
+    .description('Detect drift between deployed Contact Flows and rendered templates')
+    .requiredOption('-e, --env <environment>', 'Environment (dev|test|prod)')
+    .option('-r, --rendered <directory>', 'Rendered flows directory (defaults to dist/<env>)')
+    .option('-c, --config <file>', 'Environment config file (auto-detected if not provided)')
+    .option('-o, --output <basename>', 'Report path without extension (defaults to drift-report-<env>)')
+    .option('--release-tag <tag>', 'Also match versioned flow names <name>-<tag>')
+    .option('--include-metadata', 'Include designer Metadata in the comparison')
+    .option('--fail-on-unmanaged', 'Exit non-zero when flows exist only in Connect')
+    .option('-v, --verbose', 'Verbose output');
+
+async function main(options) {
+    try {
+        const configFile = options.config || path.join('./env', `${options.env}.yaml`);
+        const envConfig = await TemplateRenderer.loadEnvironmentConfig(configFile);
+
+        const detector = new DriftDetector(envConfig, {
+            releaseTag: options.releaseTag,
+            includeMetadata: options.includeMetadata
+        });
+
+        const report = await detector.detect(options.rendered || path.join('./dist', options.env));
+        const { jsonPath, markdownPath } = await DriftDetector.writeReport(
+            report,
+            options.output || `drift-report-${options.env}`,
+            options.env
+        );
+
+        console.log('\n📊 Drift Results:');
+        Object.entries(report.summary).forEach(([status, count]) => {
+            console.log(`   ${status}: ${count}`);
+        });
+        console.log(`\n📄 Reports: ${jsonPath}, ${markdownPath}`);
+
+        if (DriftDetector.hasDrift(report, options.failOnUnmanaged)) {
+            console.log(`\n🚨 Drift detected in ${options.env}`);
+            process.exit(2);
+        }
+
+        console.log(`\n✅ No drift detected in ${options.env}`);
+
+    } catch (error) {
+        console.error('Drift detection failed:', error.message);
+        if (options.verbose) {
+            console.error(error.stack);
+        }
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    program.parse();
+    const options = program.opts();
+    main(options);
+}
+
+module.exports = { DriftDetector, DriftStatus };
@@ -2,27 +2,177 @@
 
 const { program } = require('commander');
 const AWS = require('aws-sdk');
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
 const yaml = require('yaml');
+const { FlowNormalizer } = require('./normalize');
+const { CONTACT_FLOW_TYPES } = require('./flow-types');
+
+// スロットリングとして再試行するエラーコード
+const THROTTLING_ERROR_CODES = ['TooManyRequestsException', 'ThrottlingException', 'Throttling', 'RequestLimitExceeded'];
+
+// フロー以外にエクスポートするインスタンスリソース
+const INSTANCE_RESOURCE_TYPES = {
+    queues: {
+        list: 'listQueues',
+        listKey: 'QueueSummaryList',
+        listParams: { QueueTypes: ['STANDARD'] },
+        describe: 'describeQueue',
+        idParam: 'QueueId',
+        resultKey: 'Queue',
+        arnKey: 'QueueArn',
+        fileName: 'queue.json'
+    },
+    prompts: {
+        list: 'listPrompts',
+        listKey: 'PromptSummaryList',
+        describe: 'describePrompt',
+        idParam: 'PromptId',
+        resultKey: 'Prompt',
+        arnKey: 'PromptARN',
+        fileName: 'prompt.json'
+    },
+    'hours-of-operation': {
+        list: 'listHoursOfOperations',
+        listKey: 'HoursOfOperationSummaryList',
+        describe: 'describeHoursOfOperation',
+        idParam: 'HoursOfOperationId',
+        resultKey: 'HoursOfOperation',
+        arnKey: 'HoursOfOperationArn',
+        fileName: 'hours-of-operation.json'
+    },
+    'quick-connects': {
+        list: 'listQuickConnects',
+        listKey: 'QuickConnectSummaryList',
+        describe: 'describeQuickConnect',
+        idParam: 'QuickConnectId',
+        resultKey: 'QuickConnect',
+        arnKey: 'QuickConnectARN',
+        fileName: 'quick-connect.json'
+    }
+};
+
+// 増分エクスポートのウォーターマークファイル（出力ディレクトリ＝環境ごと）
+const WATERMARK_FILE = '.export-watermark.yaml';
+
+/**
+ * フローコンテンツのハッシュ（LastModifiedTime が取得できない場合の変更検出に使用）
+ */
+function hashFlowContent(content) {
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
 
 class ConnectFlowExporter {
-    constructor(region = 'us-east-1') {
-        this.connect = new AWS.Connect({ region });
+    /**
+     * @param {string} region - AWSリージョン
+     * @param {Object} options - { connect, concurrency, maxRetries, baseDelayMs, maxDelayMs, sleep, onProgress,
+     *   normalize: false で正規化せずに書き出す, normalizeRules: FlowNormalizer のルール }
+     */
+    constructor(region = 'us-east-1', options = {}) {
+        this.connect = options.connect || new AWS.Connect({ region });
+        this.concurrency = options.concurrency || 5;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+        this.baseDelayMs = options.baseDelayMs !== undefined ? options.baseDelayMs : 200;
+        this.maxDelayMs = options.maxDelayMs !== undefined ? options.maxDelayMs : 10000;
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.onProgress = options.onProgress || null;
+        this.normalizer = options.normalize === false ? null : new FlowNormalizer(options.normalizeRules);
+    }
+
+    /**
+     * Connect API呼び出し（スロットリング時は指数バックオフ＋ジッターで再試行）
+     */
+    async callConnect(method, params) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const request = this.connect[method](params);
+                return await (request && typeof request.promise === 'function' ? request.promise() : request);
+            } catch (error) {
+                if (!this.isThrottlingError(error) || attempt >= this.maxRetries) {
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(attempt);
+                console.warn(`⏳ ${method} throttled (${error.code}), retrying in ${delay}ms (${attempt + 1}/${this.maxRetries})`);
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    isThrottlingError(error) {
+        return Boolean(error) && (THROTTLING_ERROR_CODES.includes(error.code) || error.statusCode === 429);
+    }
+
+    /**
+     * フルジッター付き指数バックオフ
+     */
+    getRetryDelay(attempt) {
+        const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+        return Math.floor(Math.random() * ceiling);
+    }
+
+    /**
+     * 同時実行数を制限して順序を保ったまま処理
+     */
+    async mapWithConcurrency(items, worker) {
+        const results = new Array(items.length);
+        let nextIndex = 0;
+        let completed = 0;
+
+        const runWorker = async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                results[index] = await worker(items[index], index);
+                completed++;
+                this.reportProgress(completed, items.length);
+            }
+        };
+
+        const workers = Array.from({ length: Math.min(this.concurrency, items.length) }, runWorker);
+        await Promise.all(workers);
+        return results;
+    }
+
+    /**
+     * 進捗表示（取得済み/総数）
+     */
+    reportProgress(fetched, total) {
+        console.log(`📊 Progress: ${fetched}/${total}`);
+        if (this.onProgress) {
+            this.onProgress({ fetched, total });
+        }
+    }
+
+    /**
+     * List系APIを NextToken で最後のページまで取得（MaxResults は params で上書き可）
+     */
+    async listAll(method, params, listKey) {
+        const items = [];
+        let nextToken;
+
+        do {
+            const result = await this.callConnect(method, {
+                MaxResults: 1000,
+                ...params,
+                ...(nextToken && { NextToken: nextToken })
+            });
+            items.push(...(result[listKey] || []));
+            nextToken = result.NextToken;
+        } while (nextToken);
+
+        return items;
     }
 
     /**
-     * Connect インスタンスの全Contact Flowsを取得
+     * Connect インスタンスの全Contact Flowsを取得（全ページ）
      */
     async listContactFlows(instanceId) {
         try {
-            const params = {
+            return await this.listAll('listContactFlows', {
                 InstanceId: instanceId,
-                ContactFlowTypes: ['CONTACT_FLOW', 'CUSTOMER_QUEUE', 'CUSTOMER_HOLD', 'CUSTOMER_WHISPER', 'AGENT_HOLD', 'AGENT_WHISPER', 'OUTBOUND_WHISPER', 'AGENT_TRANSFER', 'QUEUE_TRANSFER']
-            };
-
-            const result = await this.connect.listContactFlows(params).promise();
-            return result.ContactFlowSummaryList;
+                ContactFlowTypes: CONTACT_FLOW_TYPES
+            }, 'ContactFlowSummaryList');
         } catch (error) {
             console.error('❌ Error listing contact flows:', error.message);
             throw error;
@@ -35,16 +185,16 @@ class ConnectFlowExporter {
     async getContactFlowContent(instanceId, contactFlowId) {
         try {
             // フロー詳細を取得
-            const flowDetails = await this.connect.describeContactFlow({
+            const flowDetails = await this.callConnect('describeContactFlow', {
                 InstanceId: instanceId,
                 ContactFlowId: contactFlowId
-            }).promise();
+            });
 
             // フローコンテンツ（JSON）を取得
-            const flowContent = await this.connect.getContactFlowContent({
+            const flowContent = await this.callConnect('getContactFlowContent', {
                 InstanceId: instanceId,
                 ContactFlowId: contactFlowId
-            }).promise();
+            });
 
             return {
                 details: flowDetails.ContactFlow,
@@ -74,51 +224,202 @@ class ConnectFlowExporter {
             console.log(`📥 Exporting contact flow: ${contactFlowId}`);
 
             const { details, content } = await this.getContactFlowContent(instanceId, contactFlowId);
-            const flowName = this.sanitizeFlowName(details.Name);
-            const flowDir = path.join(outputDir, flowName);
-
-            // ディレクトリ作成
-            await fs.ensureDir(flowDir);
-
-            // Contact Flow JSONを保存
-            const contentPath = path.join(flowDir, 'flow.json');
-            await fs.writeJson(contentPath, content, { spaces: 2 });
-
-            // メタデータを保存
-            const metadataPath = path.join(flowDir, 'metadata.yaml');
-            const metadata = {
-                name: details.Name,
-                id: details.Id,
-                arn: details.Arn,
-                type: details.Type,
-                state: details.State,
-                description: details.Description || '',
-                tags: details.Tags || {},
-                exportedAt: new Date().toISOString(),
-                exportedBy: 'connect-flow-exporter'
-            };
-            await fs.writeFile(metadataPath, yaml.stringify(metadata));
-
-            console.log(`✅ Exported: ${flowName}`);
-            console.log(`   📄 Content: ${contentPath}`);
-            console.log(`   📋 Metadata: ${metadataPath}`);
-
-            return {
-                flowName,
-                contentPath,
-                metadataPath,
-                metadata
-            };
+            return await this.writeFlow(details, content, outputDir);
         } catch (error) {
             console.error(`❌ Failed to export flow ${contactFlowId}:`, error.message);
             throw error;
         }
     }
 
+    /**
+     * 書き出すフロー・モジュールのJSON（座標やメタデータの差分ノイズを除去）
+     */
+    normalizeContent(content) {
+        return this.normalizer ? this.normalizer.normalize(content) : content;
+    }
+
+    /**
+     * フローの flow.json と metadata.yaml を書き出す
+     * metadata には増分エクスポートで比較する lastModifiedTime と contentHash も記録する
+     * （contentHash は取得したままのコンテンツのハッシュ。正規化ルールを変えても変更扱いにならない）
+     */
+    async writeFlow(details, content, outputDir) {
+        const flowName = this.sanitizeFlowName(details.Name);
+        const flowDir = path.join(outputDir, flowName);
+
+        // ディレクトリ作成
+        await fs.ensureDir(flowDir);
+
+        // Contact Flow JSONを保存
+        const contentPath = path.join(flowDir, 'flow.json');
+        await fs.writeJson(contentPath, this.normalizeContent(content), { spaces: 2 });
+
+        // メタデータを保存
+        const metadataPath = path.join(flowDir, 'metadata.yaml');
+        const metadata = {
+            name: details.Name,
+            id: details.Id,
+            arn: details.Arn,
+            type: details.Type,
+            state: details.State,
+            description: details.Description || '',
+            tags: details.Tags || {},
+            lastModifiedTime: details.LastModifiedTime ? new Date(details.LastModifiedTime).toISOString() : null,
+            contentHash: hashFlowContent(content),
+            exportedAt: new Date().toISOString(),
+            exportedBy: 'connect-flow-exporter'
+        };
+        await fs.writeFile(metadataPath, yaml.stringify(metadata));
+
+        console.log(`✅ Exported: ${flowName}`);
+        console.log(`   📄 Content: ${contentPath}`);
+        console.log(`   📋 Metadata: ${metadataPath}`);
+
+        return {
+            flowName,
+            contentPath,
+            metadataPath,
+            metadata
+        };
+    }
+
+    /**
+     * Contact Flow Modulesをエクスポート
+     * 参照しているフローの modules/ に書き出し、どのフローからも参照されないものは resourcesDir/modules/ に書き出す
+     * @param {Array} flowResults - exportSingleFlow の結果（contentPath を参照）
+     */
+    async exportFlowModules(instanceId, flowResults, resourcesDir = 'resources') {
+        const summaries = await this.listAll('listContactFlowModules', { InstanceId: instanceId }, 'ContactFlowModulesSummaryList');
+        console.log(`📦 Found ${summaries.length} flow modules`);
+
+        const flowContents = await Promise.all(flowResults.map(async (result) => ({
+            flowDir: path.dirname(result.contentPath),
+            json: JSON.stringify(await fs.readJson(result.contentPath))
+        })));
+
+        return this.mapWithConcurrency(summaries, async (summary) => {
+            try {
+                const described = await this.callConnect('describeContactFlowModule', {
+                    InstanceId: instanceId,
+                    ContactFlowModuleId: summary.Id
+                });
+                const module = described.ContactFlowModule;
+                const moduleName = this.sanitizeFlowName(module.Name);
+                const content = this.normalizeContent(JSON.parse(module.Content));
+                const metadata = {
+                    name: module.Name,
+                    id: module.Id,
+                    arn: module.Arn,
+                    state: module.State,
+                    status: module.Status,
+                    description: module.Description || '',
+                    tags: module.Tags || {},
+                    exportedAt: new Date().toISOString(),
+                    exportedBy: 'connect-flow-exporter'
+                };
+
+                const referencingFlows = flowContents.filter(flow => flow.json.includes(module.Id));
+                const outputPaths = [];
+
+                if (referencingFlows.length > 0) {
+                    for (const flow of referencingFlows) {
+                        const modulesDir = path.join(flow.flowDir, 'modules');
+                        await fs.ensureDir(modulesDir);
+                        await fs.writeJson(path.join(modulesDir, `${moduleName}.json`), content, { spaces: 2 });
+                        await fs.writeFile(path.join(modulesDir, `${moduleName}.metadata.yaml`), yaml.stringify(metadata));
+                        outputPaths.push(path.join(modulesDir, `${moduleName}.json`));
+                    }
+                } else {
+                    console.warn(`⚠️ Module ${module.Name} is not referenced by any exported flow`);
+                    const moduleDir = path.join(resourcesDir, 'modules', moduleName);
+                    await fs.ensureDir(moduleDir);
+                    await fs.writeJson(path.join(moduleDir, 'module.json'), content, { spaces: 2 });
+                    await fs.writeFile(path.join(moduleDir, 'metadata.yaml'), yaml.stringify(metadata));
+                    outputPaths.push(path.join(moduleDir, 'module.json'));
+                }
+
+                console.log(`✅ Exported module: ${moduleName}`);
+                return { success: true, module: summary, outputPaths };
+            } catch (error) {
+                console.error(`⚠️ Failed to export module ${summary.Name}: ${error.message}`);
+                return { success: false, module: summary, error: error.message };
+            }
+        });
+    }
+
+    /**
+     * キュー・プロンプト・営業時間・クイック接続をエクスポート
+     * resourcesDir/<type>/<name>/ に設定JSONと metadata.yaml を書き出す
+     */
+    async exportInstanceResources(instanceId, resourcesDir = 'resources', types = Object.keys(INSTANCE_RESOURCE_TYPES)) {
+        const results = {};
+
+        for (const type of types) {
+            const definition = INSTANCE_RESOURCE_TYPES[type];
+            if (!definition) {
+                throw new Error(`Unknown resource type: ${type}`);
+            }
+
+            const summaries = await this.listAll(definition.list, { InstanceId: instanceId, ...definition.listParams }, definition.listKey);
+            console.log(`📋 Found ${summaries.length} ${type}`);
+
+            results[type] = await this.mapWithConcurrency(summaries, async (summary) => {
+                try {
+                    const described = await this.callConnect(definition.describe, {
+                        InstanceId: instanceId,
+                        [definition.idParam]: summary.Id
+                    });
+                    const resource = described[definition.resultKey];
+                    const resourceName = this.sanitizeFlowName(resource.Name);
+                    const resourceDir = path.join(resourcesDir, type, resourceName);
+                    await fs.ensureDir(resourceDir);
+
+                    const contentPath = path.join(resourceDir, definition.fileName);
+                    await fs.writeJson(contentPath, resource, { spaces: 2 });
+
+                    const metadata = {
+                        name: resource.Name,
+                        id: summary.Id,
+                        arn: resource[definition.arnKey] || summary.Arn,
+                        type,
+                        description: resource.Description || '',
+                        tags: resource.Tags || {},
+                        exportedAt: new Date().toISOString(),
+                        exportedBy: 'connect-flow-exporter'
+                    };
+                    await fs.writeFile(path.join(resourceDir, 'metadata.yaml'), yaml.stringify(metadata));
+
+                    return { success: true, resource: summary, contentPath };
+                } catch (error) {
+                    console.error(`⚠️ Failed to export ${type} ${summary.Name}: ${error.message}`);
+                    return { success: false, resource: summary, error: error.message };
+                }
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * 複数フローを同時実行数制限付きでエクスポート
+     */
+    async exportFlows(instanceId, flows, outputDir) {
+        return this.mapWithConcurrency(flows, async (flow) => {
+            try {
+                const result = await this.exportSingleFlow(instanceId, flow.Id, outputDir);
+                return { success: true, flow, result };
+            } catch (error) {
+                console.error(`⚠️ Failed to export ${flow.Name}: ${error.message}`);
+                return { success: false, flow, error: error.message };
+            }
+        });
+    }
+
     /**
      * 全フローのエクスポート
+     * @param {Object} options - resourcesDir: 指定時はフローモジュールとインスタンスリソースも書き出す
      */
-    async exportAllFlows(instanceId, outputDir = 'flows', filters = {}) {
+    async exportAllFlows(instanceId, outputDir = 'flows', filters = {}, options = {}) {
         try {
             console.log(`🚀 Starting export from Connect instance: ${instanceId}`);
 
@@ -141,29 +442,20 @@ class ConnectFlowExporter {
 
             console.log(`🎯 Exporting ${filteredFlows.length} filtered flows`);
 
-            const results = [];
-            for (const flow of filteredFlows) {
-                try {
-                    const result = await this.exportSingleFlow(instanceId, flow.Id, outputDir);
-                    results.push({
-                        success: true,
-                        flow: flow,
-                        result: result
-                    });
-                } catch (error) {
-                    console.error(`⚠️ Failed to export ${flow.Name}: ${error.message}`);
-                    results.push({
-                        success: false,
-                        flow: flow,
-                        error: error.message
-                    });
-                }
-            }
+            const results = await this.exportFlows(instanceId, filteredFlows, outputDir);
 
             // サマリー出力
             const successful = results.filter(r => r.success);
             const failed = results.filter(r => !r.success);
 
+            // フローモジュールとインスタンスリソース
+            let modules = [];
+            let resources = {};
+            if (options.resourcesDir) {
+                modules = await this.exportFlowModules(instanceId, successful.map(r => r.result), options.resourcesDir);
+                resources = await this.exportInstanceResources(instanceId, options.resourcesDir, options.resourceTypes);
+            }
+
             console.log(`\n📊 Export Summary:`);
             console.log(`   ✅ Successful: ${successful.length}`);
             console.log(`   ❌ Failed: ${failed.length}`);
@@ -193,6 +485,13 @@ class ConnectFlowExporter {
                     outputPath: r.success ? r.result.contentPath : null
                 }))
             };
+            if (options.resourcesDir) {
+                summary.resourcesDir = options.resourcesDir;
+                summary.modules = this.summarizeResults(modules);
+                summary.resources = Object.fromEntries(
+                    Object.entries(resources).map(([type, typeResults]) => [type, this.summarizeResults(typeResults)])
+                );
+            }
             await fs.writeFile(summaryPath, yaml.stringify(summary));
             console.log(`\n📄 Export summary saved: ${summaryPath}`);
 
@@ -203,50 +502,168 @@ class ConnectFlowExporter {
         }
     }
 
+    summarizeResults(results) {
+        return {
+            successful: results.filter(r => r.success).length,
+            failed: results.filter(r => !r.success).length
+        };
+    }
+
+    /**
+     * 出力ディレクトリ内のエクスポート済みフロー
+     * @returns {Map} フローID -> { dirName, metadata }
+     */
+    async readExportedFlows(outputDir) {
+        const exported = new Map();
+        if (!await fs.pathExists(outputDir)) {
+            return exported;
+        }
+
+        for (const dirName of await fs.readdir(outputDir)) {
+            const metadataPath = path.join(outputDir, dirName, 'metadata.yaml');
+            if (!await fs.pathExists(metadataPath)) {
+                continue;
+            }
+            const metadata = yaml.parse(await fs.readFile(metadataPath, 'utf8')) || {};
+            if (metadata.id) {
+                exported.set(metadata.id, { dirName, metadata });
+            }
+        }
+
+        return exported;
+    }
+
+    /**
+     * Connect上のフローとエクスポート済みメタデータを比較
+     * LastModifiedTime が取得できればそれを、取得できなければコンテンツハッシュを比較する
+     * @param {Object} exported - readExportedFlows のエントリ（未エクスポートなら undefined）
+     * @param {string} since - lastModifiedTime を記録していない旧メタデータは、この時刻以前の変更を未変更とみなす
+     * @returns {Object} { change: 'unchanged'|'new'|'modified'|'renamed', details, content }
+     */
+    async detectFlowChange(instanceId, flow, exported, since) {
+        const { ContactFlow: details } = await this.callConnect('describeContactFlow', {
+            InstanceId: instanceId,
+            ContactFlowId: flow.Id
+        });
+        const lastModifiedTime = details.LastModifiedTime ? new Date(details.LastModifiedTime).toISOString() : null;
+        const renamed = exported && exported.dirName !== this.sanitizeFlowName(details.Name);
+
+        if (exported && !renamed && lastModifiedTime) {
+            const recorded = exported.metadata.lastModifiedTime;
+            if (recorded === lastModifiedTime || (!recorded && since && new Date(lastModifiedTime) <= new Date(since))) {
+                return { change: 'unchanged', details };
+            }
+        }
+
+        const content = details.Content ?
+            JSON.parse(details.Content) :
+            (await this.getContactFlowContent(instanceId, flow.Id)).content;
+
+        if (!exported) {
+            return { change: 'new', details, content };
+        }
+        if (renamed) {
+            return { change: 'renamed', details, content };
+        }
+        if (!lastModifiedTime && exported.metadata.contentHash === hashFlowContent(content)) {
+            return { change: 'unchanged', details };
+        }
+        return { change: 'modified', details, content };
+    }
+
     /**
      * 増分エクスポート（変更されたフローのみ）
+     * Connect の LastModifiedTime（取得できなければコンテンツハッシュ）を metadata.yaml の値と比較して
+     * 変更・追加・名前変更されたフローだけを書き出し、インスタンスから削除されたフローを検出する。
+     * 結果は出力ディレクトリのウォーターマークファイルに記録する。
+     * @param {Object} options - { since, watermarkFile, pruneDeleted: 削除されたフローのディレクトリを削除 }
+     *   （文字列を渡した場合は since として扱う）
      */
-    async exportIncremental(instanceId, outputDir = 'flows', lastExportTime) {
+    async exportIncremental(instanceId, outputDir = 'flows', options = {}) {
+        if (typeof options === 'string') {
+            options = { since: options };
+        }
+
         try {
-            console.log(`🔄 Incremental export since: ${lastExportTime}`);
+            const watermarkFile = options.watermarkFile || path.join(outputDir, WATERMARK_FILE);
+            const watermark = await fs.pathExists(watermarkFile) ?
+                yaml.parse(await fs.readFile(watermarkFile, 'utf8')) || {} :
+                {};
+            const since = options.since || watermark.lastModifiedTime || null;
+            console.log(`🔄 Incremental export${since ? ` (watermark: ${since})` : ''}`);
 
             const flows = await this.listContactFlows(instanceId);
-            const modifiedFlows = [];
+            const exported = await this.readExportedFlows(outputDir);
 
-            for (const flow of flows) {
-                const flowDir = path.join(outputDir, this.sanitizeFlowName(flow.Name));
-                const metadataPath = path.join(flowDir, 'metadata.yaml');
-
-                if (await fs.pathExists(metadataPath)) {
-                    const metadata = yaml.parse(await fs.readFile(metadataPath, 'utf8'));
-                    const lastExported = new Date(metadata.exportedAt);
-
-                    if (lastExported < new Date(lastExportTime)) {
-                        modifiedFlows.push(flow);
-                    }
-                } else {
-                    // メタデータファイルが存在しない = 新規フロー
-                    modifiedFlows.push(flow);
+            const detected = await this.mapWithConcurrency(flows, async (flow) => {
+                try {
+                    return { flow, ...await this.detectFlowChange(instanceId, flow, exported.get(flow.Id), since) };
+                } catch (error) {
+                    console.error(`⚠️ Failed to check ${flow.Name}: ${error.message}`);
+                    return { flow, change: 'failed', error: error.message };
                 }
-            }
+            });
+            const changed = detected.filter(d => ['new', 'modified', 'renamed'].includes(d.change));
 
-            console.log(`📋 Found ${modifiedFlows.length} modified flows`);
+            // インスタンスから削除されたフロー
+            const flowIds = new Set(flows.map(flow => flow.Id));
+            const deleted = Array.from(exported.entries())
+                .filter(([id]) => !flowIds.has(id))
+                .map(([id, entry]) => ({ id, name: entry.metadata.name, dirName: entry.dirName }));
 
-            if (modifiedFlows.length === 0) {
-                console.log('✅ No changes detected');
-                return [];
-            }
+            console.log(`📋 Found ${changed.length} changed flows, ${deleted.length} deleted flows`);
 
             const results = [];
-            for (const flow of modifiedFlows) {
+            for (const entry of changed) {
                 try {
-                    const result = await this.exportSingleFlow(instanceId, flow.Id, outputDir);
-                    results.push({ success: true, flow, result });
+                    if (entry.change === 'renamed') {
+                        await this.moveRenamedFlow(outputDir, exported.get(entry.flow.Id).dirName, entry.details.Name);
+                    }
+                    const result = await this.writeFlow(entry.details, entry.content, outputDir);
+                    results.push({ success: true, flow: entry.flow, change: entry.change, result });
                 } catch (error) {
-                    console.error(`⚠️ Failed to export ${flow.Name}: ${error.message}`);
-                    results.push({ success: false, flow, error: error.message });
+                    console.error(`⚠️ Failed to export ${entry.flow.Name}: ${error.message}`);
+                    results.push({ success: false, flow: entry.flow, change: entry.change, error: error.message });
                 }
             }
+            detected.filter(d => d.change === 'failed')
+                .forEach(d => results.push({ success: false, flow: d.flow, change: d.change, error: d.error }));
+
+            for (const flow of deleted) {
+                console.log(`🗑️ Deleted in instance: ${flow.name} (${flow.dirName})`);
+                if (options.pruneDeleted) {
+                    await fs.remove(path.join(outputDir, flow.dirName));
+                }
+            }
+
+            // 失敗がなければウォーターマークを最新の LastModifiedTime まで進める
+            const modifiedTimes = detected
+                .map(d => d.details && d.details.LastModifiedTime && new Date(d.details.LastModifiedTime).toISOString())
+                .filter(Boolean)
+                .sort();
+            const failed = results.filter(r => !r.success);
+            const latest = failed.length === 0 && modifiedTimes.length > 0 ?
+                modifiedTimes[modifiedTimes.length - 1] :
+                watermark.lastModifiedTime || null;
+
+            await fs.outputFile(watermarkFile, yaml.stringify({
+                instanceId,
+                exportedAt: new Date().toISOString(),
+                lastModifiedTime: latest,
+                totalFlows: flows.length,
+                changes: {
+                    new: changed.filter(d => d.change === 'new').map(d => d.details.Name),
+                    modified: changed.filter(d => d.change === 'modified').map(d => d.details.Name),
+                    renamed: changed.filter(d => d.change === 'renamed')
+                        .map(d => ({ from: exported.get(d.flow.Id).metadata.name, to: d.details.Name })),
+                    deleted: deleted.map(flow => flow.name)
+                },
+                failed: failed.map(r => ({ flowName: r.flow.Name, error: r.error }))
+            }));
+
+            if (results.length === 0 && deleted.length === 0) {
+                console.log('✅ No changes detected');
+            }
 
             return results;
         } catch (error) {
@@ -254,6 +671,26 @@ class ConnectFlowExporter {
             throw error;
         }
     }
+
+    /**
+     * 名前変更されたフローのディレクトリ（テンプレート・モジュールを含む）を新しい名前に移動
+     * 移動先が既にある場合は同じフローが2つのディレクトリに書き出されないよう失敗させる
+     */
+    async moveRenamedFlow(outputDir, fromDirName, newName) {
+        const toDirName = this.sanitizeFlowName(newName);
+        const target = path.join(outputDir, toDirName);
+
+        if (await fs.pathExists(target)) {
+            const metadataPath = path.join(target, 'metadata.yaml');
+            const owner = await fs.pathExists(metadataPath) ?
+                (yaml.parse(await fs.readFile(metadataPath, 'utf8')) || {}).id :
+                null;
+            throw new Error(`Cannot move ${fromDirName} to ${toDirName}: the directory already exists` +
+                `${owner ? ` (flow ${owner})` : ''}; move or remove it and export again`);
+        }
+        await fs.move(path.join(outputDir, fromDirName), target);
+        console.log(`✏️ Renamed: ${fromDirName} -> ${toDirName}`);
+    }
 }
 
 // CLI設定
@@ -272,20 +709,40 @@ if (require.main === module) {
         .option('--types <types>', 'Filter by flow types (comma-separated)', (value) => value.split(','))
         .option('--names <names>', 'Filter by flow names containing (comma-separated)', (value) => value.split(','))
         .option('--states <states>', 'Filter by flow states (comma-separated)', (value) => value.split(','))
-        .option('--incremental [since]', 'Incremental export since timestamp (ISO 8601)')
+        .option('--incremental', 'Export only flows changed since the last export (compares LastModifiedTime or content hash)')
+        .option('--since <timestamp>', 'Treat flows exported by older versions as unchanged when modified before this time (ISO 8601; defaults to the watermark)')
+        .option('--watermark <file>', 'Incremental export watermark file (default: <output>/.export-watermark.yaml)')
+        .option('--prune', 'Remove the directories of flows deleted in the instance (incremental export)')
+        .option('--concurrency <n>', 'Number of flows fetched in parallel', (value) => parseInt(value, 10), 5)
+        .option('--max-retries <n>', 'Retries on throttling errors', (value) => parseInt(value, 10), 5)
+        .option('--resources-dir <dir>', 'Output directory for queues, prompts, hours of operation, quick connects and unreferenced modules', 'resources')
+        .option('--no-resources', 'Export contact flows only')
+        .option('--no-normalize', 'Write flow JSON as returned by Amazon Connect')
+        .option('--normalize-config <file>', 'Read normalization rules from the normalize section of this config (e.g. config/auto-export.yaml)')
         .action(async (options) => {
             try {
-                const exporter = new ConnectFlowExporter(options.region);
+                // 正規化ルール（enabled: false の場合は正規化しない）
+                const { enabled = true, ...normalizeRules } = options.normalizeConfig ?
+                    (yaml.parse(await fs.readFile(options.normalizeConfig, 'utf8')) || {}).normalize || {} :
+                    {};
+
+                const exporter = new ConnectFlowExporter(options.region, {
+                    concurrency: options.concurrency,
+                    maxRetries: options.maxRetries,
+                    normalize: options.normalize && enabled,
+                    normalizeRules
+                });
 
                 if (options.flowId) {
                     // 単一フローエクスポート
                     await exporter.exportSingleFlow(options.instanceId, options.flowId, options.output);
                 } else if (options.incremental) {
                     // 増分エクスポート
-                    const since = options.incremental === true ?
-                        new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString() : // 24時間前
-                        options.incremental;
-                    await exporter.exportIncremental(options.instanceId, options.output, since);
+                    await exporter.exportIncremental(options.instanceId, options.output, {
+                        since: options.since,
+                        watermarkFile: options.watermark,
+                        pruneDeleted: options.prune
+                    });
                 } else {
                     // 全フローエクスポート
                     const filters = {
@@ -293,7 +750,9 @@ if (require.main === module) {
                         names: options.names,
                         states: options.states
                     };
-                    await exporter.exportAllFlows(options.instanceId, options.output, filters);
+                    await exporter.exportAllFlows(options.instanceId, options.output, filters, {
+                        resourcesDir: options.resources ? options.resourcesDir : null
+                    });
                 }
             } catch (error) {
                 console.error('❌ Export failed:', error.message);
@@ -337,4 +796,8 @@ if (require.main === module) {
     program.parse(process.argv);
 }
 
-module.exports = ConnectFlowExporter;
\ No newline at end of file
+module.exports = ConnectFlowExporter;
+module.exports.INSTANCE_RESOURCE_TYPES = INSTANCE_RESOURCE_TYPES;
+module.exports.WATERMARK_FILE = WATERMARK_FILE;
+module.exports.hashFlowContent = hashFlowContent;
+module.exports.CONTACT_FLOW_TYPES = CONTACT_FLOW_TYPES;
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * Flow-to-flow References
+ * ${ContactFlow.<Name>} tokens that point at another managed flow are kept as
+ * placeholders when rendering and resolved to the deployed flow's ARN or ID at deploy time.
+ * The references between flows form a dependency graph that fixes the deploy order.
+ */
+
+const FLOW_REFERENCE_ATTRIBUTES = ['Arn', 'Id'];
+
+// ${ContactFlow.<Name>}, ${ContactFlow.<Name>.Arn} or ${ContactFlow.<Name>.Id}
+const FLOW_REFERENCE_PATTERN = /\$\{ContactFlow\.([A-Za-z0-9_-]+)(?:\.(Arn|Id))?\}/g;
+
+/**
+ * Parse a token path ("ContactFlow.SalesEntry.Id") into a flow reference
+ * @returns {Object|null} { flowName, attribute } or null when the token is not a flow reference
+ */
+function parseFlowReference(tokenPath) {
+    const match = /^ContactFlow\.([A-Za-z0-9_-]+)(?:\.(Arn|Id))?$/.exec(tokenPath);
+    return match ? { flowName: match[1], attribute: match[2] || 'Arn' } : null;
+}
+
+/**
+ * Canonical placeholder written to rendered flows (the ARN unless Id is asked for)
+ */
+function formatFlowReference(flowName, attribute = 'Arn') {
+    if (!FLOW_REFERENCE_ATTRIBUTES.includes(attribute)) {
+        throw new Error(`Unsupported flow reference attribute: ${attribute}`);
+    }
+    return `\${ContactFlow.${flowName}.${attribute}}`;
+}
+
+/**
+ * Every flow reference in a string or JSON tree
+ * @returns {Array} [{ token, flowName, attribute }]
+ */
+function findFlowReferences(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    const references = [];
+    let match;
+
+    FLOW_REFERENCE_PATTERN.lastIndex = 0;
+    while ((match = FLOW_REFERENCE_PATTERN.exec(text)) !== null) {
+        references.push({ token: match[0], flowName: match[1], attribute: match[2] || 'Arn' });
+    }
+
+    return references;
+}
+
+/**
+ * Replace flow references in a string; resolve(flowName, attribute) returns the value to insert
+ */
+function replaceFlowReferences(text, resolve) {
+    return text.replace(FLOW_REFERENCE_PATTERN, (token, flowName, attribute) => resolve(flowName, attribute || 'Arn'));
+}
+
+class FlowDependencyGraph {
+    constructor() {
+        this.dependencies = new Map();
+    }
+
+    /**
+     * Build the graph from flow contents; references to flows outside the map are ignored
+     * (they are static ContactFlow tokens from env/<env>.yaml)
+     * @param {Object|Map} flows - Flow name -> content (string or JSON tree)
+     */
+    static fromFlows(flows) {
+        const graph = new FlowDependencyGraph();
+        const entries = flows instanceof Map ? Array.from(flows.entries()) : Object.entries(flows);
+        const names = new Set(entries.map(([name]) => name));
+
+        entries.forEach(([name, content]) => {
+            const dependencies = findFlowReferences(content)
+                .map(reference => reference.flowName)
+                .filter(dependency => names.has(dependency));
+            graph.addFlow(name, dependencies);
+        });
+
+        return graph;
+    }
+
+    addFlow(name, dependencies = []) {
+        const existing = this.dependencies.get(name) || new Set();
+        dependencies.forEach(dependency => existing.add(dependency));
+        this.dependencies.set(name, existing);
+    }
+
+    /**
+     * Flows referenced by a flow, sorted by name
+     */
+    getDependencies(name) {
+        return Array.from(this.dependencies.get(name) || []).sort();
+    }
+
+    /**
+     * Circular references, each as a path that starts and ends with the same flow
+     * @returns {Array<string[]>} e.g. [['A', 'B', 'A']]
+     */
+    findCycles() {
+        const cycles = [];
+        const state = new Map();
+        const stack = [];
+
+        const visit = (name) => {
+            state.set(name, 'visiting');
+            stack.push(name);
+
+            this.getDependencies(name).forEach(dependency => {
+                if (state.get(dependency) === 'visiting') {
+                    cycles.push([...stack.slice(stack.indexOf(dependency)), dependency]);
+                } else if (!state.has(dependency) && this.dependencies.has(dependency)) {
+                    visit(dependency);
+                }
+            });
+
+            stack.pop();
+            state.set(name, 'done');
+        };
+
+        Array.from(this.dependencies.keys()).sort().forEach(name => {
+            if (!state.has(name)) {
+                visit(name);
+            }
+        });
+
+        return cycles;
+    }
+
+    /**
+     * Flow names ordered so that every flow comes after the flows it references
+     * @throws {Error} When flows reference each other in a cycle (error.cycles)
+     */
+    getDeployOrder() {
+        const cycles = this.findCycles();
+        if (cycles.length > 0) {
+            const error = new Error(`Circular flow references: ${cycles.map(cycle => cycle.join(' -> ')).join('; ')}`);
+            error.cycles = cycles;
+            throw error;
+        }
+
+        const order = [];
+        const placed = new Set();
+        const visit = (name) => {
+            if (placed.has(name)) {
+                return;
+            }
+            placed.add(name);
+            this.getDependencies(name).filter(dependency => this.dependencies.has(dependency)).forEach(visit);
+            order.push(name);
+        };
+
+        Array.from(this.dependencies.keys()).sort().forEach(visit);
+        return order;
+    }
+}
+
+module.exports = {
+    FlowDependencyGraph,
+    FLOW_REFERENCE_PATTERN,
+    parseFlowReference,
+    formatFlowReference,
+    findFlowReferences,
+    replaceFlowReferences
+};
@@ -0,0 +1,463 @@
+#!/usr/bin/env node
+
+/**
+ * Contact Flow Semantic Diff
+ * Matches actions by Identifier across two versions of a flow and reports added, removed
+ * and changed actions, changed parameters and re-wired transitions.
+ * Changes that only touch the designer layout (Metadata) are reported as cosmetic.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const _ = require('lodash');
+const yaml = require('yaml');
+const { Command } = require('commander');
+const { execFileSync } = require('child_process');
+const ConnectFlowExporter = require('./export');
+const { FlowNormalizer } = require('./normalize');
+const { TemplateRenderer } = require('./render');
+
+const ActionStatus = {
+    ADDED: 'added',
+    REMOVED: 'removed',
+    CHANGED: 'changed',
+    LAYOUT: 'layout'
+};
+
+// Flow files compared by --base (templates, exported flows and their modules)
+const FLOW_FILE_PATTERN = /(^|\/)(flow\.json(\.tmpl)?|modules\/[^/]+\.(json|tmpl))$/;
+
+// Normalization rules shared with export and auto-export
+const DEFAULT_CONFIG_FILE = 'config/auto-export.yaml';
+
+/**
+ * List JSON paths whose values differ between before and after
+ * @returns {Array} [{ path, before, after }]
+ */
+function diffValues(before, after, currentPath = '', differences = []) {
+    if (typeof before !== typeof after ||
+        Array.isArray(before) !== Array.isArray(after) ||
+        before === null || after === null ||
+        typeof before !== 'object') {
+        if (!Object.is(before, after)) {
+            differences.push({ path: currentPath || '(root)', before, after });
+        }
+        return differences;
+    }
+
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach(key => {
+        const childPath = Array.isArray(before) ? `${currentPath}[${key}]` : (currentPath ? `${currentPath}.${key}` : key);
+        diffValues(before[key], after[key], childPath, differences);
+    });
+
+    return differences;
+}
+
+/**
+ * Outgoing edges of an action keyed by what triggers them
+ * (NextAction, Condition:<Operator> <Operands>, Error:<ErrorType>)
+ */
+function transitionEdges(action) {
+    const transitions = action.Transitions || {};
+    const edges = new Map();
+
+    if (transitions.NextAction) {
+        edges.set('NextAction', transitions.NextAction);
+    }
+    (transitions.Conditions || []).forEach(({ Condition = {}, NextAction }) => {
+        edges.set(`Condition:${Condition.Operator} ${(Condition.Operands || []).join(',')}`, NextAction);
+    });
+    (transitions.Errors || []).forEach(({ ErrorType, NextAction }) => {
+        edges.set(`Error:${ErrorType}`, NextAction);
+    });
+
+    return edges;
+}
+
+class FlowDiff {
+    /**
+     * @param {Object} options - { normalizeRules: FlowNormalizer rules applied to both sides }
+     */
+    constructor(options = {}) {
+        this.normalizer = new FlowNormalizer(options.normalizeRules);
+    }
+
+    /**
+     * Flow content from an exported flow.json, a flow template ({ name, type, content }) or a Content string
+     */
+    static parseFlow(flow) {
+        if (flow === null || flow === undefined) {
+            return { properties: {}, content: null };
+        }
+        if (typeof flow === 'string') {
+            return FlowDiff.parseFlow(JSON.parse(flow));
+        }
+        if (!flow.Actions && flow.content !== undefined) {
+            const { content, ...properties } = flow;
+            return { properties, content: typeof content === 'string' ? JSON.parse(content) : content };
+        }
+        return { properties: {}, content: flow };
+    }
+
+    /**
+     * Compare two versions of a flow (null when the flow does not exist on that side)
+     * @returns {Object} { identical, cosmetic, summary, startAction, flowChanges, metadataChanged, actions }
+     */
+    compare(beforeFlow, afterFlow) {
+        const before = FlowDiff.parseFlow(beforeFlow);
+        const after = FlowDiff.parseFlow(afterFlow);
+        const beforeContent = before.content ? this.normalizer.normalize(before.content) : {};
+        const afterContent = after.content ? this.normalizer.normalize(after.content) : {};
+
+        const beforeActions = new Map((beforeContent.Actions || []).map(action => [action.Identifier, action]));
+        const afterActions = new Map((afterContent.Actions || []).map(action => [action.Identifier, action]));
+        const beforeLayout = (beforeContent.Metadata || {}).ActionMetadata || {};
+        const afterLayout = (afterContent.Metadata || {}).ActionMetadata || {};
+
+        const identifiers = [...new Set([...beforeActions.keys(), ...afterActions.keys()])];
+        const actions = identifiers
+            .map(identifier => this.compareAction(
+                identifier,
+                beforeActions.get(identifier),
+                afterActions.get(identifier),
+                beforeLayout[identifier],
+                afterLayout[identifier]
+            ))
+            .filter(Boolean);
+
+        // Version, description etc. (everything except Actions, StartAction and the designer Metadata)
+        const flowChanges = diffValues(
+            { ...before.properties, ..._.omit(beforeContent, ['Actions', 'StartAction', 'Metadata']) },
+            { ...after.properties, ..._.omit(afterContent, ['Actions', 'StartAction', 'Metadata']) }
+        );
+
+        const startAction = beforeContent.StartAction !== afterContent.StartAction ?
+            { before: beforeContent.StartAction, after: afterContent.StartAction } :
+            null;
+
+        // Flow-level designer metadata (entry point position, name, description shown in the designer)
+        const metadataChanged = !_.isEqual(
+            _.omit(beforeContent.Metadata, 'ActionMetadata'),
+            _.omit(afterContent.Metadata, 'ActionMetadata')
+        );
+
+        const count = status => actions.filter(action => action.status === status).length;
+        const summary = {
+            added: count(ActionStatus.ADDED),
+            removed: count(ActionStatus.REMOVED),
+            changed: count(ActionStatus.CHANGED),
+            rewired: actions.filter(action => action.transitions.length > 0).length,
+            layout: actions.filter(action => action.layoutChanged).length
+        };
+        const semantic = summary.added + summary.removed + summary.changed > 0 || Boolean(startAction) || flowChanges.length > 0;
+        const cosmetic = !semantic && (summary.layout > 0 || metadataChanged);
+
+        return {
+            identical: !semantic && !cosmetic,
+            cosmetic,
+            summary,
+            startAction,
+            flowChanges,
+            metadataChanged,
+            actions
+        };
+    }
+
+    /**
+     * Compare one action matched by Identifier
+     * @returns {Object|null} null when neither the action nor its layout changed
+     */
+    compareAction(identifier, before, after, beforeLayout, afterLayout) {
+        const layoutChanged = Boolean(before && after) && !_.isEqual(beforeLayout, afterLayout);
+
+        if (!before || !after) {
+            const action = before || after;
+            return {
+                identifier,
+                status: before ? ActionStatus.REMOVED : ActionStatus.ADDED,
+                type: action.Type,
+                changes: [],
+                transitions: [],
+                layoutChanged
+            };
+        }
+
+        const changes = diffValues(_.omit(before, 'Transitions'), _.omit(after, 'Transitions'));
+
+        const beforeEdges = transitionEdges(before);
+        const afterEdges = transitionEdges(after);
+        const transitions = [...new Set([...beforeEdges.keys(), ...afterEdges.keys()])]
+            .filter(on => beforeEdges.get(on) !== afterEdges.get(on))
+            .map(on => ({ on, before: beforeEdges.get(on) || null, after: afterEdges.get(on) || null }));
+
+        if (changes.length === 0 && transitions.length === 0) {
+            return layoutChanged ?
+                { identifier, status: ActionStatus.LAYOUT, type: after.Type, changes, transitions, layoutChanged } :
+                null;
+        }
+
+        return { identifier, status: ActionStatus.CHANGED, type: after.Type, changes, transitions, layoutChanged };
+    }
+
+    /**
+     * Whether the diff changes how the flow behaves
+     */
+    static hasSemanticChanges(report) {
+        return !report.identical && !report.cosmetic;
+    }
+
+    static describeValue(value) {
+        return value === undefined ? '(none)' : JSON.stringify(value);
+    }
+
+    /**
+     * One line per change, prefixed with + (added), - (removed), ~ (changed) or • (layout)
+     */
+    static toText(report, title = 'Flow') {
+        const lines = [`${title}: ${FlowDiff.describeResult(report)}`];
+        const describe = FlowDiff.describeValue;
+
+        if (report.startAction) {
+            lines.push(`  ~ StartAction: ${report.startAction.before || '(none)'} -> ${report.startAction.after || '(none)'}`);
+        }
+        report.flowChanges.forEach(change => {
+            lines.push(`  ~ ${change.path}: ${describe(change.before)} -> ${describe(change.after)}`);
+        });
+
+        const markers = { added: '+', removed: '-', changed: '~', layout: '•' };
+        report.actions.forEach(action => {
+            lines.push(`  ${markers[action.status]} ${action.identifier} (${action.type}) ${action.status}${action.layoutChanged && action.status !== ActionStatus.LAYOUT ? ', moved' : ''}`);
+            action.changes.forEach(change => {
+                lines.push(`      ${change.path}: ${describe(change.before)} -> ${describe(change.after)}`);
+            });
+            action.transitions.forEach(transition => {
+                lines.push(`      ${transition.on}: ${transition.before || '(none)'} -> ${transition.after || '(none)'}`);
+            });
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Markdown section for PR comments
+     */
+    static toMarkdown(report, title = 'Flow') {
+        const lines = [`### ${title}`, '', `**${FlowDiff.describeResult(report)}**`];
+        const code = value => `\`${FlowDiff.describeValue(value)}\``;
+
+        if (report.identical) {
+            return lines.join('\n') + '\n';
+        }
+
+        if (report.startAction) {
+            lines.push('', `- StartAction: \`${report.startAction.before || '(none)'}\` → \`${report.startAction.after || '(none)'}\``);
+        }
+        if (report.flowChanges.length > 0) {
+            lines.push('', ...report.flowChanges.map(change => `- \`${change.path}\`: ${code(change.before)} → ${code(change.after)}`));
+        }
+
+        const icons = { added: '➕', removed: '➖', changed: '✏️', layout: '📐' };
+        if (report.actions.length > 0) {
+            lines.push('', '| Action | Type | Change | Details |', '|--------|------|--------|---------|');
+            report.actions.forEach(action => {
+                const details = [
+                    ...action.changes.map(change => `\`${change.path}\`: ${code(change.before)} → ${code(change.after)}`),
+                    ...action.transitions.map(transition => `\`${transition.on}\`: \`${transition.before || '(none)'}\` → \`${transition.after || '(none)'}\``),
+                    ...(action.layoutChanged && action.status !== ActionStatus.LAYOUT ? ['moved'] : [])
+                ];
+                lines.push(`| ${action.identifier} | ${action.type} | ${icons[action.status]} ${action.status} | ${details.join('<br>').replace(/\|/g, '\\|') || '-'} |`);
+            });
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    static describeResult(report) {
+        if (report.identical) {
+            return 'no changes';
+        }
+        if (report.cosmetic) {
+            return 'cosmetic (layout only)';
+        }
+        const { added, removed, changed, rewired } = report.summary;
+        return `${added} added, ${removed} removed, ${changed} changed (${rewired} re-wired)`;
+    }
+}
+
+/**
+ * Read a flow from a file, a git revision (<ref>:<path>) or the live instance (live:<name or id>)
+ * @param {Object} options - { instanceId, region, exporter, cwd }
+ * @returns {Object|null} Flow JSON, or null when it does not exist at that git revision
+ */
+async function loadFlow(source, options = {}) {
+    const cwd = options.cwd || process.cwd();
+
+    if (source.startsWith('live:')) {
+        if (!options.instanceId) {
+            throw new Error('--instance-id is required to compare with the live instance');
+        }
+        const exporter = options.exporter || new ConnectFlowExporter(options.region);
+        const nameOrId = source.slice('live:'.length);
+        const flows = await exporter.listContactFlows(options.instanceId);
+        const flow = flows.find(candidate => candidate.Name === nameOrId || candidate.Id === nameOrId);
+        if (!flow) {
+            throw new Error(`Contact flow not found in ${options.instanceId}: ${nameOrId}`);
+        }
+        return (await exporter.getContactFlowContent(options.instanceId, flow.Id)).content;
+    }
+
+    if (await fs.pathExists(path.resolve(cwd, source))) {
+        return parseFlowSource(await fs.readFile(path.resolve(cwd, source), 'utf8'), source);
+    }
+
+    const revision = /^([^:]+):(.+)$/.exec(source);
+    if (revision) {
+        let text;
+        try {
+            text = execFileSync('git', ['show', source], { cwd, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+        } catch (error) {
+            if (/does not exist|exists on disk, but not in/.test(error.stderr || '')) {
+                return null;
+            }
+            throw new Error(`Could not read ${source} from git: ${(error.stderr || error.message).trim()}`);
+        }
+        return parseFlowSource(text, revision[2]);
+    }
+
+    throw new Error(`Flow file not found: ${source}`);
+}
+
+/**
+ * Templates may hold bare ${...} tokens (e.g. numbers), which are not valid JSON
+ */
+function parseFlowSource(text, file) {
+    return file.endsWith('.tmpl') ? TemplateRenderer.parseTemplate(text) : JSON.parse(text);
+}
+
+/**
+ * Normalization rules from the normalize section of a config file ({} when the default config is absent)
+ */
+async function loadNormalizeRules(configFile) {
+    const file = configFile || DEFAULT_CONFIG_FILE;
+    if (!await fs.pathExists(file)) {
+        if (configFile) {
+            throw new Error(`Config file not found: ${configFile}`);
+        }
+        return {};
+    }
+
+    const rules = { ...(yaml.parse(await fs.readFile(file, 'utf8')) || {}).normalize };
+    delete rules.enabled;
+    return rules;
+}
+
+/**
+ * Flow files changed between a git ref and the working tree
+ * @returns {Array} [{ before: '<ref>:<path>' | null, after: path | null, file }]
+ */
+function listChangedFlows(baseRef, paths, cwd = process.cwd()) {
+    const output = execFileSync('git', ['-c', 'core.quotepath=off', 'diff', '--name-status', '-M', baseRef, '--', ...paths], {
+        cwd,
+        encoding: 'utf8'
+    });
+
+    return output.split('\n').filter(Boolean)
+        .map(line => {
+            const [status, ...files] = line.split('\t');
+            const before = files[0];
+            const after = files[files.length - 1];
+            return {
+                file: after,
+                before: status.startsWith('A') ? null : `${baseRef}:${before}`,
+                after: status.startsWith('D') ? null : after
+            };
+        })
+        .filter(change => FLOW_FILE_PATTERN.test(change.file));
+}
+
+// CLI Interface
+const program = new Command();
+
+program
+    .name('flow-diff')
+    .description('Compare two versions of a contact flow action by action')
+    .argument('[before]', 'Flow file, <git-ref>:<path> or live:<flow name or id>')
+    .argument('[after]', 'Flow file, <git-ref>:<path> or live:<flow name or id>')
+    .option('--base <ref>', 'Compare every flow changed since this git ref with the working tree')
+    .option('--path <paths>', 'Directories searched with --base (comma-separated)', (value) => value.split(','), ['flows'])
+    .option('-f, --format <format>', 'Output format (text|json|markdown)', 'text')
+    .option('-o, --output <file>', 'Write the diff to a file instead of stdout')
+    .option('-i, --instance-id <instanceId>', 'Connect instance for live: sources')
+    .option('-r, --region <region>', 'AWS region for live: sources', 'us-east-1')
+    .option('-c, --config <file>', `Read normalization rules from the normalize section of this config (default: ${DEFAULT_CONFIG_FILE})`)
+    .option('--exit-code', 'Exit with 1 when a flow has changes other than layout')
+    .option('-v, --verbose', 'Verbose output');
+
+/**
+ * Format the reports of one or more flows
+ */
+function formatReports(reports, format) {
+    if (format === 'json') {
+        return JSON.stringify(reports, null, 2) + '\n';
+    }
+    if (format === 'markdown') {
+        const body = reports.map(({ title, report }) => FlowDiff.toMarkdown(report, title)).join('\n');
+        return `## Contact Flow Changes\n\n${body || 'No flow changes\n'}`;
+    }
+    if (format === 'text') {
+        return reports.map(({ title, report }) => FlowDiff.toText(report, title)).join('\n') || 'No flow changes\n';
+    }
+    throw new Error(`Unknown format: ${format} (expected text, json or markdown)`);
+}
+
+async function main(before, after, options) {
+    try {
+        const differ = new FlowDiff({ normalizeRules: await loadNormalizeRules(options.config) });
+        const loadOptions = { instanceId: options.instanceId, region: options.region };
+        let pairs;
+
+        if (options.base) {
+            pairs = listChangedFlows(options.base, options.path)
+                .map(change => ({ title: change.file, before: change.before, after: change.after }));
+        } else if (before && after) {
+            pairs = [{ title: after, before, after }];
+        } else {
+            throw new Error('Specify <before> and <after>, or --base <ref>');
+        }
+
+        const reports = [];
+        for (const pair of pairs) {
+            const report = differ.compare(
+                pair.before ? await loadFlow(pair.before, loadOptions) : null,
+                pair.after ? await loadFlow(pair.after, loadOptions) : null
+            );
+            reports.push({ title: pair.title, before: pair.before, after: pair.after, report });
+        }
+
+        const output = formatReports(reports, options.format);
+        if (options.output) {
+            await fs.outputFile(options.output, output);
+            console.log(`📄 Flow diff written to ${options.output}`);
+        } else {
+            process.stdout.write(output);
+        }
+
+        if (options.exitCode && reports.some(({ report }) => FlowDiff.hasSemanticChanges(report))) {
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error('Flow diff failed:', error.message);
+        if (options.verbose) {
+            console.error(error.stack);
+        }
+        process.exit(2);
+    }
+}
+
+if (require.main === module) {
+    program.action(main);
+    program.parse();
+}
+
+module.exports = { FlowDiff, ActionStatus, diffValues, transitionEdges, loadFlow, loadNormalizeRules, listChangedFlows, formatReports };
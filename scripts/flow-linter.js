@@ -0,0 +1,213 @@
+/**
+ * Contact Flow Linter
+ * Builds a graph from content.Actions and reports structural problems per action
+ */
+
+const DEFAULT_LINT_RULES = {
+    // StartAction is missing or points at an unknown Identifier
+    'start-action': 'error',
+    // A transition points at an Identifier that does not exist
+    'unknown-transition': 'error',
+    // An action cannot be reached from StartAction
+    'unreachable-action': 'warning',
+    // No path from this action ends in a terminal action
+    'no-terminal-path': 'error',
+    // A non-terminal action has no Errors branch
+    'missing-error-branch': 'warning',
+    // A synchronous Lambda invocation waits longer than Connect allows
+    'lambda-sync-timeout': 'warning'
+};
+
+const SEVERITIES = ['error', 'warning', 'off'];
+
+// Connect stops waiting for a synchronous Lambda invocation after 8 seconds
+const SYNC_LAMBDA_TIMEOUT_LIMIT = 8;
+
+// Action types that end (or hand off) the flow
+const TERMINAL_ACTION_TYPES = [
+    'DisconnectParticipant',
+    'EndFlowExecution',
+    'EndFlowModuleExecution',
+    'TransferContactToQueue',
+    'TransferToFlow'
+];
+
+class FlowLinter {
+    /**
+     * @param {Object} rules - Rule name -> 'error' | 'warning' | 'off'
+     * @param {Object} options - { terminalActionTypes }
+     */
+    constructor(rules = {}, options = {}) {
+        Object.entries(rules).forEach(([rule, severity]) => {
+            if (!(rule in DEFAULT_LINT_RULES)) {
+                throw new Error(`Unknown lint rule: ${rule}`);
+            }
+            if (!SEVERITIES.includes(severity)) {
+                throw new Error(`Invalid severity for ${rule}: ${severity} (expected ${SEVERITIES.join('|')})`);
+            }
+        });
+
+        this.rules = { ...DEFAULT_LINT_RULES, ...rules };
+        this.terminalActionTypes = options.terminalActionTypes || TERMINAL_ACTION_TYPES;
+    }
+
+    /**
+     * Lint flow content (the object holding StartAction and Actions)
+     * @param {Object} content - Flow language content
+     * @returns {Array} Problems: { rule, severity, actionId, message }
+     */
+    lint(content) {
+        const problems = [];
+        const report = (rule, actionId, message) => {
+            const severity = this.rules[rule];
+            if (severity !== 'off') {
+                problems.push({ rule, severity, actionId, message });
+            }
+        };
+
+        const graph = this.buildGraph(content.Actions || []);
+
+        // start-action
+        const startAction = content.StartAction;
+        if (!startAction) {
+            report('start-action', null, 'StartAction is not set');
+        } else if (!graph.actions.has(startAction)) {
+            report('start-action', startAction, `StartAction points at unknown action "${startAction}"`);
+        }
+
+        // unknown-transition
+        graph.edges.forEach((targets, actionId) => {
+            targets
+                .filter(({ target }) => !graph.actions.has(target))
+                .forEach(({ target, kind }) => {
+                    report('unknown-transition', actionId, `${kind} transition points at unknown action "${target}"`);
+                });
+        });
+
+        // unreachable-action
+        const reachable = graph.actions.has(startAction) ? this.walk(startAction, graph.edges) : new Set();
+        graph.actions.forEach((action, actionId) => {
+            if (!reachable.has(actionId)) {
+                report('unreachable-action', actionId, `Action ${action.Type} is not reachable from StartAction`);
+            }
+        });
+
+        // no-terminal-path
+        const reachesTerminal = this.findActionsReachingTerminal(graph);
+        reachable.forEach(actionId => {
+            if (!reachesTerminal.has(actionId)) {
+                report('no-terminal-path', actionId, 'No path from this action ends in a terminal action');
+            }
+        });
+
+        // missing-error-branch
+        graph.actions.forEach((action, actionId) => {
+            const errors = (action.Transitions && action.Transitions.Errors) || [];
+            if (!this.isTerminal(action) && errors.length === 0) {
+                report('missing-error-branch', actionId, `Action ${action.Type} has no error branch`);
+            }
+        });
+
+        // lambda-sync-timeout
+        graph.actions.forEach((action, actionId) => {
+            const parameters = action.Parameters || {};
+            const timeout = Number(parameters.InvocationTimeLimitSeconds);
+            if (action.Type === 'InvokeLambdaFunction' && parameters.InvocationType !== 'ASYNCHRONOUS'
+                && timeout > SYNC_LAMBDA_TIMEOUT_LIMIT) {
+                report('lambda-sync-timeout', actionId,
+                    `Synchronous Lambda timeout ${timeout}s exceeds the ${SYNC_LAMBDA_TIMEOUT_LIMIT}s limit`);
+            }
+        });
+
+        return problems;
+    }
+
+    /**
+     * Build Identifier -> action and Identifier -> outgoing transitions maps
+     */
+    buildGraph(actions) {
+        const graph = { actions: new Map(), edges: new Map() };
+
+        actions.forEach(action => {
+            if (!action || !action.Identifier) {
+                return;
+            }
+
+            const transitions = action.Transitions || {};
+            const targets = [];
+
+            if (transitions.NextAction) {
+                targets.push({ target: transitions.NextAction, kind: 'NextAction' });
+            }
+            (transitions.Conditions || []).forEach(condition => {
+                if (condition.NextAction) {
+                    targets.push({ target: condition.NextAction, kind: 'Condition' });
+                }
+            });
+            (transitions.Errors || []).forEach(error => {
+                if (error.NextAction) {
+                    targets.push({ target: error.NextAction, kind: `Error(${error.ErrorType})` });
+                }
+            });
+
+            graph.actions.set(action.Identifier, action);
+            graph.edges.set(action.Identifier, targets);
+        });
+
+        return graph;
+    }
+
+    /**
+     * Identifiers reachable from a starting action
+     */
+    walk(startId, edges) {
+        const visited = new Set();
+        const queue = [startId];
+
+        while (queue.length > 0) {
+            const actionId = queue.shift();
+            if (visited.has(actionId) || !edges.has(actionId)) {
+                continue;
+            }
+            visited.add(actionId);
+            edges.get(actionId).forEach(({ target }) => queue.push(target));
+        }
+
+        return visited;
+    }
+
+    /**
+     * Identifiers from which at least one terminal action can be reached
+     */
+    findActionsReachingTerminal(graph) {
+        const incoming = new Map();
+        graph.edges.forEach((targets, actionId) => {
+            targets.forEach(({ target }) => {
+                if (!incoming.has(target)) {
+                    incoming.set(target, []);
+                }
+                incoming.get(target).push(actionId);
+            });
+        });
+
+        const result = new Set();
+        const queue = [...graph.actions.keys()].filter(actionId => this.isTerminal(graph.actions.get(actionId)));
+
+        while (queue.length > 0) {
+            const actionId = queue.shift();
+            if (result.has(actionId)) {
+                continue;
+            }
+            result.add(actionId);
+            (incoming.get(actionId) || []).forEach(source => queue.push(source));
+        }
+
+        return result;
+    }
+
+    isTerminal(action) {
+        return this.terminalActionTypes.includes(action.Type);
+    }
+}
+
+module.exports = { FlowLinter, DEFAULT_LINT_RULES, TERMINAL_ACTION_TYPES };
@@ -0,0 +1,19 @@
+/**
+ * Contact Flow Types
+ * Shared by export (listContactFlows filter), render and the CDK stack (type validation).
+ * Kept free of AWS SDK imports so the validate/render path does not load it.
+ */
+
+const CONTACT_FLOW_TYPES = [
+    'CONTACT_FLOW',
+    'CUSTOMER_QUEUE',
+    'CUSTOMER_HOLD',
+    'CUSTOMER_WHISPER',
+    'AGENT_HOLD',
+    'AGENT_WHISPER',
+    'OUTBOUND_WHISPER',
+    'AGENT_TRANSFER',
+    'QUEUE_TRANSFER'
+];
+
+module.exports = { CONTACT_FLOW_TYPES };
@@ -0,0 +1,153 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * git コマンドの実行（シェルを介さず引数を配列で渡す）
+ */
+class GitRepository {
+    /**
+     * @param {Object} options - { cwd, execFile: (file, args, options) => stdout }
+     */
+    constructor(options = {}) {
+        this.cwd = options.cwd || process.cwd();
+        this.execFile = options.execFile || execFileSync;
+    }
+
+    run(args, options = {}) {
+        return this.execFile('git', ['-c', 'core.quotepath=off', ...args], {
+            cwd: this.cwd,
+            encoding: 'utf8',
+            stdio: ['pipe', 'pipe', 'pipe'],
+            ...options
+        });
+    }
+
+    currentBranch() {
+        return this.run(['rev-parse', '--abbrev-ref', 'HEAD']).trim();
+    }
+
+    branchExists(branch) {
+        try {
+            this.run(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * ブランチに切り替え（存在しなければ baseBranch から作成）。作業ツリーの変更はそのまま持ち越す
+     */
+    checkoutBranch(branch, baseBranch) {
+        if (this.currentBranch() === branch) {
+            return;
+        }
+        if (this.branchExists(branch)) {
+            this.run(['checkout', branch]);
+        } else {
+            this.run(['checkout', '-b', branch, ...(baseBranch ? [baseBranch] : [])]);
+        }
+    }
+
+    /**
+     * 指定パスの追加・変更・削除をステージング（存在せず追跡もされていないパスは除外）
+     * @returns {Array} ステージングしたパス
+     */
+    stage(paths) {
+        const existing = paths.filter(target =>
+            fs.pathExistsSync(path.resolve(this.cwd, target)) || this.run(['ls-files', '--', target]).trim() !== '');
+        if (existing.length > 0) {
+            this.run(['add', '-A', '--', ...existing]);
+        }
+        return existing;
+    }
+
+    hasStagedChanges(paths) {
+        return this.run(['diff', '--cached', '--name-only', '--', ...paths]).trim() !== '';
+    }
+
+    /**
+     * 指定パスのステージ済み変更だけをコミット
+     */
+    commit(message, paths) {
+        this.run(['commit', '-m', message, '--', ...paths]);
+        return this.run(['rev-parse', 'HEAD']).trim();
+    }
+
+    push(remote, branch) {
+        this.run(['push', '--set-upstream', remote, branch]);
+    }
+}
+
+/**
+ * GitHub CLI (gh) によるプルリクエスト作成
+ * 他のフォージは同じ createPullRequest({ base, head, title, body }) を実装したアダプターで差し替える
+ */
+class GitHubCliForge {
+    /**
+     * @param {Object} options - { cwd, execFile }
+     */
+    constructor(options = {}) {
+        this.cwd = options.cwd || process.cwd();
+        this.execFile = options.execFile || execFileSync;
+    }
+
+    run(args) {
+        return this.execFile('gh', args, { cwd: this.cwd, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+    }
+
+    /**
+     * @returns {Object} { url, created: 既存のPRがあれば false }
+     */
+    async createPullRequest({ base, head, title, body }) {
+        const existing = JSON.parse(this.run(['pr', 'list', '--head', head, '--base', base, '--state', 'open', '--json', 'url']) || '[]');
+        if (existing.length > 0) {
+            return { url: existing[0].url, created: false };
+        }
+
+        const url = this.run(['pr', 'create', '--base', base, '--head', head, '--title', title, '--body', body]).trim();
+        return { url, created: true };
+    }
+}
+
+const FORGES = {
+    github: GitHubCliForge
+};
+
+/**
+ * 設定名からフォージアダプターを作成
+ */
+function createForge(name, options = {}) {
+    const Forge = FORGES[name];
+    if (!Forge) {
+        throw new Error(`Unknown forge: ${name} (expected one of ${Object.keys(FORGES).join(', ')})`);
+    }
+    return new Forge(options);
+}
+
+/**
+ * フロー単位の変更一覧
+ * @param {Array} changes - collectChanges の結果 [{ flow, status, additions, deletions }]
+ */
+function formatChangeList(changes) {
+    if (changes.length === 0) {
+        return '- (resources only)';
+    }
+    return changes.map(change => `- ${change.flow}: ${change.status} (+${change.additions} -${change.deletions})`).join('\n');
+}
+
+/**
+ * 環境ごとのコミットメッセージ
+ */
+function formatCommitMessage(title, envName, changes) {
+    return `${title} (${envName})\n\n${formatChangeList(changes)}`;
+}
+
+module.exports = {
+    GitRepository,
+    GitHubCliForge,
+    createForge,
+    formatChangeList,
+    formatCommitMessage
+};
@@ -10,8 +10,29 @@ const path = require('path');
 const { Command } = require('commander');
 const yaml = require('yaml');
 
+// Default normalization rules (overridable per instance, e.g. from config/auto-export.yaml)
+const DEFAULT_NORMALIZE_RULES = {
+    // Fields removed at any depth
+    removeFields: [
+        'lastModifiedTime',
+        'createdTime',
+        'lastModifiedBy',
+        'createdBy',
+        'version'  // Version is managed by our system
+    ],
+    // Coordinates are rounded to this grid (0 or 1 keeps them as exported)
+    gridSize: 10,
+    // Keep the editor positions in Metadata.ActionMetadata
+    keepActionPositions: true
+};
+
 class FlowNormalizer {
-    constructor() {
+    /**
+     * @param {Object} rules - { removeFields, gridSize, keepActionPositions } (see DEFAULT_NORMALIZE_RULES)
+     */
+    constructor(rules = {}) {
+        this.rules = { ...DEFAULT_NORMALIZE_RULES, ...rules };
+
         this.noisePatterns = [
             // Remove timestamps and editor metadata
             /("lastModifiedTime":\s*\d+)/g,
@@ -26,6 +47,10 @@ class FlowNormalizer {
             // Remove volatile GUIDs that change between exports
             /("id":\s*"[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}")/g,
         ];
+
+        // Environment-specific values replaced by templatize()
+        this.arnPattern = /arn:aws[a-z-]*:[a-z0-9-]+:[a-z0-9-]*:\d{12}:[^\s"',]+/g;
+        this.phoneNumberPattern = /^\+[1-9]\d{1,14}$/;
     }
 
     /**
@@ -40,6 +65,10 @@ class FlowNormalizer {
         // Remove metadata noise
         this.removeMetadataNoise(normalized);
 
+        if (!this.rules.keepActionPositions) {
+            this.removeActionPositions(normalized);
+        }
+
         // Normalize coordinates
         this.normalizeCoordinates(normalized);
 
@@ -56,13 +85,7 @@ class FlowNormalizer {
      * Remove metadata that creates unnecessary diffs
      */
     removeMetadataNoise(flowJson) {
-        const fieldsToRemove = [
-            'lastModifiedTime',
-            'createdTime',
-            'lastModifiedBy',
-            'createdBy',
-            'version'  // Version is managed by our system
-        ];
+        const fieldsToRemove = this.rules.removeFields;
 
         const removeFields = (obj) => {
             if (typeof obj === 'object' && obj !== null) {
@@ -81,13 +104,32 @@ class FlowNormalizer {
         removeFields(flowJson);
     }
 
+    /**
+     * Remove the editor position of each action (Metadata.ActionMetadata.<Identifier>.position)
+     */
+    removeActionPositions(flowJson) {
+        const actionMetadata = flowJson.Metadata && flowJson.Metadata.ActionMetadata;
+        if (typeof actionMetadata === 'object' && actionMetadata !== null) {
+            Object.values(actionMetadata).forEach(metadata => {
+                if (typeof metadata === 'object' && metadata !== null) {
+                    delete metadata.position;
+                }
+            });
+        }
+    }
+
     /**
      * Normalize coordinates to reduce diff noise from slight movements
      */
     normalizeCoordinates(flowJson) {
+        const gridSize = this.rules.gridSize;
+        if (!gridSize || gridSize <= 1) {
+            return;
+        }
+
         const normalizeCoord = (coord) => {
             if (typeof coord === 'number') {
-                return Math.round(coord / 10) * 10;
+                return Math.round(coord / gridSize) * gridSize;
             }
             return coord;
         };
@@ -161,35 +203,111 @@ class FlowNormalizer {
         });
     }
 
+    /**
+     * Replace environment-specific ARNs and phone numbers with ${Service.Entity} tokens
+     * @param {Object} flowJson - Normalized contact flow JSON
+     * @param {Object} tokens - Token map from an environment config (e.g. env/dev.yaml tokens)
+     * @returns {Object} { template, replaced, unmatched }
+     */
+    templatize(flowJson, tokens) {
+        const tokenIndex = this.buildTokenIndex(tokens);
+        const replaced = [];
+        const unmatched = [];
+
+        const replaceValue = (value, jsonPath) => {
+            // Phone numbers are only tokenized when they are the whole value
+            if (this.phoneNumberPattern.test(value)) {
+                if (tokenIndex.has(value)) {
+                    replaced.push({ path: jsonPath, value, token: tokenIndex.get(value) });
+                    return `\${${tokenIndex.get(value)}}`;
+                }
+                unmatched.push({ path: jsonPath, value });
+                return value;
+            }
+
+            return value.replace(this.arnPattern, (arn) => {
+                if (tokenIndex.has(arn)) {
+                    replaced.push({ path: jsonPath, value: arn, token: tokenIndex.get(arn) });
+                    return `\${${tokenIndex.get(arn)}}`;
+                }
+                unmatched.push({ path: jsonPath, value: arn });
+                return arn;
+            });
+        };
+
+        const walk = (obj, jsonPath) => {
+            if (typeof obj === 'string') {
+                return replaceValue(obj, jsonPath);
+            } else if (Array.isArray(obj)) {
+                return obj.map((item, index) => walk(item, `${jsonPath}[${index}]`));
+            } else if (typeof obj === 'object' && obj !== null) {
+                const result = {};
+                Object.entries(obj).forEach(([key, value]) => {
+                    result[key] = walk(value, jsonPath ? `${jsonPath}.${key}` : key);
+                });
+                return result;
+            }
+            return obj;
+        };
+
+        return { template: walk(flowJson, ''), replaced, unmatched };
+    }
+
+    /**
+     * Build a value -> token path index from a nested token map
+     */
+    buildTokenIndex(tokens, prefix = '', index = new Map()) {
+        Object.entries(tokens || {}).forEach(([key, value]) => {
+            const tokenPath = prefix ? `${prefix}.${key}` : key;
+
+            if (typeof value === 'object' && value !== null) {
+                this.buildTokenIndex(value, tokenPath, index);
+            } else if (typeof value === 'string' && !index.has(value)) {
+                index.set(value, tokenPath);
+            }
+        });
+
+        return index;
+    }
+
     /**
      * Process all flow files in the flows directory
+     * @param {string} flowsDir - Directory containing flow directories
+     * @param {Object} options - { tokens, force } (see processFlowDirectory)
      */
-    async processFlowsDirectory(flowsDir) {
+    async processFlowsDirectory(flowsDir, options = {}) {
         console.log(`Processing flows in directory: ${flowsDir}`);
 
         if (!await fs.pathExists(flowsDir)) {
             console.log('Flows directory does not exist. Skipping normalization.');
-            return;
+            return [];
         }
 
         const entries = await fs.readdir(flowsDir, { withFileTypes: true });
+        const results = [];
 
         for (const entry of entries) {
             if (entry.isDirectory()) {
                 const flowDir = path.join(flowsDir, entry.name);
-                await this.processFlowDirectory(flowDir);
+                results.push(await this.processFlowDirectory(flowDir, options));
             }
         }
+
+        return results;
     }
 
     /**
      * Process a single flow directory
+     * @param {string} flowDir - Flow directory containing flow.json
+     * @param {Object} options - tokens: templatize flow.json.tmpl and module templates with this token map,
+     *                           force: overwrite existing templates
      */
-    async processFlowDirectory(flowDir) {
+    async processFlowDirectory(flowDir, options = {}) {
         console.log(`Processing flow directory: ${flowDir}`);
 
         const flowFile = path.join(flowDir, 'flow.json');
         const templateFile = path.join(flowDir, 'flow.json.tmpl');
+        const result = { flowDir, replaced: [], unmatched: [] };
 
         if (await fs.pathExists(flowFile)) {
             console.log(`Normalizing: ${flowFile}`);
@@ -199,11 +317,8 @@ class FlowNormalizer {
             // Write normalized version back
             await fs.writeJson(flowFile, normalized, { spaces: 2 });
 
-            // If template doesn't exist, create initial template
-            if (!await fs.pathExists(templateFile)) {
-                console.log(`Creating initial template: ${templateFile}`);
-                await fs.writeJson(templateFile, normalized, { spaces: 2 });
-            }
+            const flowInfo = await this.loadFlowInfo(flowDir);
+            await this.writeTemplate(normalized, templateFile, options, result, flowInfo);
         }
 
         // Process flow modules
@@ -218,9 +333,76 @@ class FlowNormalizer {
                     const moduleJson = await fs.readJson(modulePath);
                     const normalized = this.normalize(moduleJson);
                     await fs.writeJson(modulePath, normalized, { spaces: 2 });
+
+                    // <Module>.tmpl is rendered to modules/<flow>/<Module>.json by render.js
+                    const moduleTemplateFile = path.join(modulesDir, `${path.basename(moduleFile, '.json')}.tmpl`);
+                    await this.writeTemplate(normalized, moduleTemplateFile, options, result);
                 }
             }
         }
+
+        return result;
+    }
+
+    /**
+     * Name, type and description for the flow template from the exported metadata.yaml
+     */
+    async loadFlowInfo(flowDir) {
+        const metadataFile = path.join(flowDir, 'metadata.yaml');
+        const metadata = await fs.pathExists(metadataFile)
+            ? yaml.parse(await fs.readFile(metadataFile, 'utf8')) || {}
+            : {};
+
+        if (!metadata.type) {
+            console.warn(`⚠️  No flow type in ${metadataFile}, assuming CONTACT_FLOW`);
+        }
+
+        const flowInfo = {
+            name: metadata.name || path.basename(flowDir),
+            type: metadata.type || 'CONTACT_FLOW'
+        };
+        if (metadata.description) {
+            flowInfo.description = metadata.description;
+        }
+        return flowInfo;
+    }
+
+    /**
+     * Create the initial template (or regenerate it when forced)
+     * @param {Object} flowInfo - { name, type, description } to wrap flow content as render expects;
+     *                            module templates are written as bare content
+     */
+    async writeTemplate(normalized, templateFile, options, result, flowInfo) {
+        if (!options.force && await fs.pathExists(templateFile)) {
+            return;
+        }
+
+        let template = normalized;
+
+        if (options.tokens) {
+            const templatized = this.templatize(normalized, options.tokens);
+            template = templatized.template;
+            result.replaced.push(...templatized.replaced);
+            result.unmatched.push(...templatized.unmatched);
+            this.reportTemplatizeResult(templateFile, templatized);
+        }
+
+        if (flowInfo) {
+            template = { ...flowInfo, content: template };
+        }
+
+        console.log(`Creating initial template: ${templateFile}`);
+        await fs.writeJson(templateFile, template, { spaces: 2 });
+    }
+
+    /**
+     * Log tokenized values and values without a matching token
+     */
+    reportTemplatizeResult(templateFile, result) {
+        console.log(`🔁 Tokenized ${result.replaced.length} value(s) in ${templateFile}`);
+        result.unmatched.forEach(({ path: jsonPath, value }) => {
+            console.warn(`⚠️  No token for ${value} at ${jsonPath}`);
+        });
     }
 }
 
@@ -232,11 +414,27 @@ program
     .description('Normalize Contact Flow JSON files to reduce diff noise')
     .option('-d, --directory <path>', 'Directory containing flows', './flows')
     .option('-f, --file <path>', 'Single file to normalize')
+    .option('-t, --templatize <envFile>', 'Replace ARNs and phone numbers with tokens from this environment config')
+    .option('--force', 'Overwrite existing flow.json.tmpl files')
+    .option('-c, --config <file>', 'Read normalization rules from the normalize section of this config (e.g. config/auto-export.yaml)')
     .option('-v, --verbose', 'Verbose output');
 
 async function main(options) {
     try {
-        const normalizer = new FlowNormalizer();
+        let rules = {};
+        if (options.config) {
+            console.log(`Loading normalization rules from: ${options.config}`);
+            rules = { ...(yaml.parse(await fs.readFile(options.config, 'utf8')) || {}).normalize };
+            delete rules.enabled;
+        }
+
+        const normalizer = new FlowNormalizer(rules);
+
+        let tokens;
+        if (options.templatize) {
+            console.log(`Loading tokens from: ${options.templatize}`);
+            tokens = yaml.parse(await fs.readFile(options.templatize, 'utf8')).tokens || {};
+        }
 
         if (options.file) {
             // Normalize single file
@@ -244,10 +442,22 @@ async function main(options) {
             const flowJson = await fs.readJson(options.file);
             const normalized = normalizer.normalize(flowJson);
             await fs.writeJson(options.file, normalized, { spaces: 2 });
+
+            if (tokens) {
+                const templateFile = `${options.file}.tmpl`;
+                const result = normalizer.templatize(normalized, tokens);
+                normalizer.reportTemplatizeResult(templateFile, result);
+                await fs.writeJson(templateFile, result.template, { spaces: 2 });
+            }
             console.log('Normalization completed for single file.');
         } else {
             // Normalize all flows in directory
-            await normalizer.processFlowsDirectory(options.directory);
+            const results = await normalizer.processFlowsDirectory(options.directory, { tokens, force: options.force });
+
+            if (tokens) {
+                const unmatched = results.reduce((count, result) => count + result.unmatched.length, 0);
+                console.log(`Values without a matching token: ${unmatched}`);
+            }
             console.log('Normalization completed for all flows.');
         }
     } catch (error) {
@@ -265,4 +475,4 @@ if (require.main === module) {
     main(options);
 }
 
-module.exports = { FlowNormalizer };
\ No newline at end of file
+module.exports = { FlowNormalizer, DEFAULT_NORMALIZE_RULES };
\ No newline at end of file
@@ -0,0 +1,385 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+/**
+ * 再試行付き実行
+ * @param {Function} fn - (attempt) => Promise
+ * @param {Object} options - { retries, retryDelayMs, sleep, shouldRetry }
+ */
+async function withRetry(fn, options = {}) {
+    const retries = options.retries !== undefined ? options.retries : 3;
+    const retryDelayMs = options.retryDelayMs !== undefined ? options.retryDelayMs : 1000;
+    const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    const shouldRetry = options.shouldRetry || (() => true);
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) {
+                throw error;
+            }
+            const delay = retryDelayMs * Math.pow(2, attempt);
+            console.warn(`⏳ ${error.message}; retrying in ${delay}ms (${attempt + 1}/${retries})`);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Slack Incoming Webhook / 汎用Webhook へのJSON POST
+ */
+class WebhookNotifier {
+    /**
+     * @param {Object} options - { url, timeoutMs, retries, retryDelayMs, sleep }
+     */
+    constructor(options) {
+        if (!options.url) {
+            throw new Error('Webhook URL is required');
+        }
+        this.url = options.url;
+        this.timeoutMs = options.timeoutMs || 10000;
+        this.retryOptions = options;
+    }
+
+    async send(payload) {
+        return withRetry(async () => {
+            let response;
+            try {
+                response = await fetch(this.url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload),
+                    signal: AbortSignal.timeout(this.timeoutMs)
+                });
+            } catch (error) {
+                const reason = error.name === 'TimeoutError' ? `timed out after ${this.timeoutMs}ms` : error.message;
+                throw Object.assign(new Error(`Webhook request failed: ${reason}`), { retryable: true });
+            }
+
+            const body = await response.text();
+            if (!response.ok) {
+                // 429 と 5xx のみ再試行
+                const retryable = response.status === 429 || response.status >= 500;
+                throw Object.assign(new Error(`Webhook responded ${response.status}: ${body}`), { retryable });
+            }
+            return { status: response.status, body };
+        }, { ...this.retryOptions, shouldRetry: error => error.retryable });
+    }
+}
+
+/**
+ * SMTPでのメール送信（STARTTLS / SMTPS / AUTH PLAIN 対応）
+ */
+class SmtpMailer {
+    /**
+     * @param {Object} options - { host, port, secure, startTls, user, pass, allowInsecureAuth, from, timeoutMs, retries, retryDelayMs, sleep, tlsOptions }
+     */
+    constructor(options) {
+        if (!options.host) {
+            throw new Error('SMTP host is required');
+        }
+        this.host = options.host;
+        this.secure = Boolean(options.secure);
+        this.port = options.port || (this.secure ? 465 : 587);
+        this.startTls = options.startTls !== false;
+        this.user = options.user;
+        this.pass = options.pass;
+        // 暗号化されていない接続での認証は明示的に許可された場合のみ
+        this.allowInsecureAuth = Boolean(options.allowInsecureAuth);
+        this.from = options.from;
+        this.timeoutMs = options.timeoutMs || 10000;
+        this.tlsOptions = options.tlsOptions || {};
+        this.retryOptions = options;
+    }
+
+    getTlsOptions() {
+        // SNI にIPアドレスは指定できない
+        return { ...(net.isIP(this.host) ? {} : { servername: this.host }), ...this.tlsOptions };
+    }
+
+    /**
+     * @param {Object} message - { to: string|string[], subject, text }
+     */
+    async send(message) {
+        const recipients = [].concat(message.to);
+        if (recipients.length === 0) {
+            throw new Error('At least one recipient is required');
+        }
+
+        return withRetry(
+            () => this.deliver(recipients, this.buildMessage(recipients, message)),
+            // 5xx と設定エラーは恒久エラーとして再試行しない
+            { ...this.retryOptions, shouldRetry: error => error.retryable !== false && !(error.smtpCode >= 500) }
+        );
+    }
+
+    buildMessage(recipients, message) {
+        const encodeHeader = value => `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+        const body = Buffer.from(message.text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+
+        return [
+            `From: ${this.from}`,
+            `To: ${recipients.join(', ')}`,
+            `Subject: ${encodeHeader(message.subject)}`,
+            `Date: ${new Date().toUTCString()}`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=UTF-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            body
+        ].join('\r\n');
+    }
+
+    async deliver(recipients, data) {
+        const session = await SmtpSession.open(this);
+        try {
+            await session.expect(220);
+            let capabilities = await session.command(`EHLO ${os.hostname()}`, 250);
+            let encrypted = this.secure;
+
+            if (!this.secure && this.startTls && /^STARTTLS$/mi.test(capabilities)) {
+                await session.command('STARTTLS', 220);
+                await session.upgrade(this);
+                capabilities = await session.command(`EHLO ${os.hostname()}`, 250);
+                encrypted = true;
+            }
+
+            if (this.user) {
+                if (!encrypted && !this.allowInsecureAuth) {
+                    throw Object.assign(new Error(`SMTP server ${this.host} did not offer STARTTLS; refusing to send credentials in plaintext (set allowInsecureAuth to override)`), { retryable: false });
+                }
+                const credentials = Buffer.from(`\u0000${this.user}\u0000${this.pass || ''}`).toString('base64');
+                await session.command(`AUTH PLAIN ${credentials}`, 235);
+            }
+
+            await session.command(`MAIL FROM:<${this.from}>`, 250);
+            for (const recipient of recipients) {
+                await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+            }
+            await session.command('DATA', 354);
+            // ドットスタッフィング
+            await session.command(`${data.replace(/^\./gm, '..')}\r\n.`, 250);
+            await session.command('QUIT', 221).catch(() => {});
+        } finally {
+            session.close();
+        }
+    }
+}
+
+/**
+ * SMTPの1接続分のコマンド/レスポンス処理
+ */
+class SmtpSession {
+    static open(mailer) {
+        return new Promise((resolve, reject) => {
+            const connectOptions = { host: mailer.host, port: mailer.port };
+            const socket = mailer.secure ?
+                tls.connect({ ...connectOptions, ...mailer.getTlsOptions() }) :
+                net.connect(connectOptions);
+
+            const onError = (error) => reject(Object.assign(new Error(`SMTP connection failed: ${error.message}`), { cause: error }));
+            socket.once('error', onError);
+            socket.once(mailer.secure ? 'secureConnect' : 'connect', () => {
+                socket.removeListener('error', onError);
+                resolve(new SmtpSession(socket, mailer.timeoutMs));
+            });
+            socket.setTimeout(mailer.timeoutMs, () => socket.destroy(new Error(`timed out after ${mailer.timeoutMs}ms`)));
+        });
+    }
+
+    constructor(socket, timeoutMs) {
+        this.timeoutMs = timeoutMs;
+        this.buffer = '';
+        this.pending = null;
+        this.error = null;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        // STARTTLS で下位ソケットを TLS に渡すため setEncoding は使わない
+        socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error(`SMTP timed out after ${this.timeoutMs}ms`)));
+        socket.on('data', chunk => {
+            this.buffer += chunk.toString('utf8');
+            this.flush();
+        });
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    }
+
+    /**
+     * 応答が揃っていれば（最終行が "NNN " 形式）待機中の Promise を解決
+     */
+    flush() {
+        if (!this.pending) {
+            return;
+        }
+        const lines = this.buffer.split('\r\n');
+        const lastIndex = lines.findIndex(line => /^\d{3} /.test(line) || /^\d{3}$/.test(line));
+        if (lastIndex === -1) {
+            return;
+        }
+
+        const response = lines.slice(0, lastIndex + 1);
+        this.buffer = lines.slice(lastIndex + 1).join('\r\n');
+        const { resolve } = this.pending;
+        this.pending = null;
+        resolve({ code: parseInt(response[lastIndex].slice(0, 3), 10), text: response.map(line => line.slice(4)).join('\n') });
+    }
+
+    fail(error) {
+        // 応答待ちの前に切断された場合は次の expect で失敗させる
+        this.error = this.error || error;
+        if (this.pending) {
+            const { reject } = this.pending;
+            this.pending = null;
+            reject(error);
+        }
+    }
+
+    async expect(expectedCodes) {
+        const codes = [].concat(expectedCodes);
+        const reply = await new Promise((resolve, reject) => {
+            this.pending = { resolve, reject };
+            this.flush();
+            if (this.pending && this.error) {
+                this.fail(this.error);
+            }
+        });
+
+        if (!codes.includes(reply.code)) {
+            throw Object.assign(new Error(`SMTP error ${reply.code}: ${reply.text}`), { smtpCode: reply.code });
+        }
+        return reply.text;
+    }
+
+    async command(line, expectedCodes) {
+        this.socket.write(`${line}\r\n`);
+        return this.expect(expectedCodes);
+    }
+
+    upgrade(mailer) {
+        return new Promise((resolve, reject) => {
+            this.socket.removeAllListeners('data');
+            this.socket.removeAllListeners('error');
+            this.socket.removeAllListeners('close');
+            const secureSocket = tls.connect({ socket: this.socket, ...mailer.getTlsOptions() }, () => {
+                this.attach(secureSocket);
+                resolve();
+            });
+            secureSocket.once('error', reject);
+        });
+    }
+
+    close() {
+        this.socket.destroy();
+    }
+}
+
+/**
+ * エクスポート結果から通知用レポートを作成
+ * @param {Array} results - runAutoExport の環境別結果（changes: [{ flow, status, additions, deletions }]）
+ * @param {Object} details - { gitError: Git操作の失敗メッセージ }
+ */
+function buildExportReport(results, details = {}) {
+    const environments = results.map(result => {
+        const changes = result.changes || [];
+        return {
+            environment: result.environment,
+            success: result.success,
+            error: result.error || null,
+            exportedFlows: result.success ? (result.results || []).length : 0,
+            changes,
+            additions: changes.reduce((sum, change) => sum + change.additions, 0),
+            deletions: changes.reduce((sum, change) => sum + change.deletions, 0)
+        };
+    });
+
+    return {
+        generatedAt: new Date().toISOString(),
+        successful: environments.filter(env => env.success).length,
+        failed: environments.filter(env => !env.success).length,
+        changedFlows: environments.reduce((sum, env) => sum + env.changes.length, 0),
+        gitError: details.gitError || null,
+        environments
+    };
+}
+
+function formatChange(change) {
+    return `${change.flow} (${change.status}, +${change.additions} -${change.deletions})`;
+}
+
+/**
+ * Slack用メッセージ
+ */
+function formatSlackMessage(report, channel) {
+    const sections = report.environments.map(env => {
+        if (!env.success) {
+            return `*${env.environment}* ❌ ${env.error}`;
+        }
+        if (env.changes.length === 0) {
+            return `*${env.environment}* ✅ ${env.exportedFlows} flows exported, no changes`;
+        }
+        const lines = env.changes.map(change => `• ${formatChange(change)}`);
+        return [`*${env.environment}* ✅ ${env.changes.length} changed flows (+${env.additions} -${env.deletions})`, ...lines].join('\n');
+    });
+    if (report.gitError) {
+        sections.push(`*git* ❌ ${report.gitError}`);
+    }
+
+    return {
+        ...(channel && { channel }),
+        text: `Connect Flows Auto Export Report: ${report.changedFlows} changed flows`,
+        attachments: [{
+            color: report.failed > 0 || report.gitError ? 'warning' : 'good',
+            text: sections.join('\n\n'),
+            fields: [
+                { title: 'Successful', value: report.successful.toString(), short: true },
+                { title: 'Failed', value: report.failed.toString(), short: true },
+                { title: 'Timestamp', value: report.generatedAt, short: false }
+            ],
+            footer: 'Amazon Connect Auto Export'
+        }]
+    };
+}
+
+/**
+ * メール本文（プレーンテキスト）
+ */
+function formatEmailText(report) {
+    const lines = [
+        'Connect Flows Auto Export Report',
+        `Generated: ${report.generatedAt}`,
+        `Successful: ${report.successful} / Failed: ${report.failed} / Changed flows: ${report.changedFlows}`,
+        ''
+    ];
+
+    report.environments.forEach(env => {
+        lines.push(`[${env.environment}] ${env.success ? 'OK' : `FAILED: ${env.error}`}`);
+        if (env.success) {
+            lines.push(`  Exported flows: ${env.exportedFlows}`);
+            env.changes.forEach(change => lines.push(`  - ${formatChange(change)}`));
+            if (env.changes.length === 0) {
+                lines.push('  No changes');
+            }
+        }
+        lines.push('');
+    });
+
+    if (report.gitError) {
+        lines.push(`[git] FAILED: ${report.gitError}`, '');
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    WebhookNotifier,
+    SmtpMailer,
+    withRetry,
+    buildExportReport,
+    formatSlackMessage,
+    formatEmailText
+};
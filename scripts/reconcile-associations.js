@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+
+/**
+ * Phone Number and Queue Association Reconciler
+ * Points phone numbers and queue outbound whisper flows at managed flows as declared
+ * in the `associations` section of env/<env>.yaml, printing a plan before changing anything
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const _ = require('lodash');
+const { Command } = require('commander');
+const ConnectFlowExporter = require('./export');
+const { TemplateRenderer } = require('./render');
+const { DeploymentStateStore } = require('./deployment-state');
+const { DEFAULT_ROUTER_SUFFIX } = require('./blue-green-controller');
+
+/**
+ * Trailing ID of an ARN (IDs are returned unchanged)
+ */
+function idOf(value) {
+    return value ? String(value).split('/').pop() : null;
+}
+
+class AssociationReconciler {
+    /**
+     * @param {Object} envConfig - Environment configuration (env/<env>.yaml)
+     * @param {Object} options - { flows: flow name -> { flowId, arn } (deployment state), blueGreen, exporter, connect }
+     */
+    constructor(envConfig, options = {}) {
+        const deployment = envConfig.deployment || {};
+        this.envConfig = envConfig;
+        this.instanceId = envConfig.connect.instance_id;
+        this.instanceArn = envConfig.connect.instance_arn;
+        this.flows = options.flows || {};
+        // In blue/green mode the state holds the newest version; phone numbers go through its entry flow
+        this.blueGreen = options.blueGreen !== undefined ? Boolean(options.blueGreen) : Boolean(deployment.blue_green);
+        this.routerSuffix = deployment.router_suffix || DEFAULT_ROUTER_SUFFIX;
+        this.instanceFlows = null;
+        this.exporter = options.exporter || new ConnectFlowExporter(envConfig.connect.region, { connect: options.connect });
+    }
+
+    /**
+     * The associations section with ${...} tokens resolved from env tokens
+     */
+    getDesiredAssociations() {
+        const associations = this.envConfig.associations || {};
+        const resolved = new TemplateRenderer(this.envConfig).renderTree(associations);
+
+        // Amazon Connect has no queue-level hold flow; it is set by a Set hold flow block
+        const withHoldFlow = (resolved.queues || []).find(entry => entry.hold_flow);
+        if (withHoldFlow) {
+            throw new Error(`Queue ${withHoldFlow.queue}: hold flows cannot be associated with a queue; use a Set hold flow block in the contact flow`);
+        }
+
+        return {
+            phoneNumbers: resolved.phone_numbers || [],
+            queues: resolved.queues || []
+        };
+    }
+
+    /**
+     * Deployed ID and ARN of a managed flow
+     */
+    getFlow(name) {
+        const flow = this.flows[name];
+        if (!flow || !flow.flowId) {
+            throw new Error(`Flow ${name} is not recorded in the deployment state; deploy it before associating it`);
+        }
+        return flow;
+    }
+
+    /**
+     * Flow a phone number should reach: the blue/green entry flow (<name>-entry) when
+     * blue/green deployment is on, otherwise the deployed flow itself
+     */
+    async getEntryFlow(name) {
+        if (!this.blueGreen) {
+            return this.getFlow(name);
+        }
+
+        this.instanceFlows = this.instanceFlows || await this.exporter.listContactFlows(this.instanceId);
+        const routerName = `${name}${this.routerSuffix}`;
+        const router = this.instanceFlows.find(flow => flow.Name === routerName);
+        if (!router) {
+            throw new Error(`Entry flow ${routerName} not found; roll out ${name} with blue-green-controller before associating it`);
+        }
+        return { flowId: router.Id, arn: router.Arn };
+    }
+
+    /**
+     * Compare the declared associations with the instance
+     * @returns {Array} Plan entries { type, target, flow, flowId, currentFlowId, action, ... }
+     */
+    async plan() {
+        const desired = this.getDesiredAssociations();
+        const entries = [];
+
+        if (desired.phoneNumbers.length > 0) {
+            const numbers = await this.exporter.listAll('listPhoneNumbersV2', { TargetArn: this.instanceArn }, 'ListPhoneNumbersSummaryList');
+            const associations = await this.exporter.listAll('listFlowAssociations', {
+                InstanceId: this.instanceId,
+                ResourceType: 'VOICE_PHONE_NUMBER'
+            }, 'FlowAssociationSummaryList');
+            const flowByResource = new Map(associations.map(association => [idOf(association.ResourceId), association.FlowId]));
+
+            for (const { number, flow } of desired.phoneNumbers) {
+                const phoneNumber = numbers.find(candidate => candidate.PhoneNumber === number);
+                if (!phoneNumber) {
+                    throw new Error(`Phone number ${number} is not claimed for instance ${this.instanceId}`);
+                }
+
+                const { flowId, arn } = await this.getEntryFlow(flow);
+                const currentFlowId = idOf(flowByResource.get(phoneNumber.PhoneNumberId) || flowByResource.get(idOf(phoneNumber.PhoneNumberArn)));
+                entries.push({
+                    type: 'phone-number',
+                    target: number,
+                    phoneNumberId: phoneNumber.PhoneNumberId,
+                    flow,
+                    flowId: idOf(flowId),
+                    flowArn: arn,
+                    currentFlowId,
+                    action: currentFlowId === idOf(flowId) ? 'unchanged' : 'associate'
+                });
+            }
+        }
+
+        for (const { queue, outbound_whisper_flow: flow } of desired.queues) {
+            const queueId = idOf(queue);
+            const { Queue } = await this.exporter.callConnect('describeQueue', { InstanceId: this.instanceId, QueueId: queueId });
+            const outboundCallerConfig = Queue.OutboundCallerConfig || {};
+            const { flowId } = this.getFlow(flow);
+            const currentFlowId = idOf(outboundCallerConfig.OutboundFlowId);
+
+            entries.push({
+                type: 'queue',
+                target: Queue.Name || queueId,
+                queueId,
+                outboundCallerConfig,
+                flow,
+                flowId: idOf(flowId),
+                currentFlowId,
+                action: currentFlowId === idOf(flowId) ? 'unchanged' : 'update'
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Human-readable plan, one line per association
+     */
+    formatPlan(plan) {
+        if (plan.length === 0) {
+            return 'No associations declared';
+        }
+
+        return plan.map(entry => {
+            const label = entry.type === 'phone-number' ? `phone number ${entry.target}` : `queue ${entry.target} outbound whisper`;
+            if (entry.action === 'unchanged') {
+                return `  = ${label} -> ${entry.flow}`;
+            }
+            return `  ~ ${label}: ${entry.currentFlowId || '(none)'} -> ${entry.flow} (${entry.flowId})`;
+        }).join('\n');
+    }
+
+    /**
+     * Previous associations of a plan, for rollback
+     */
+    snapshot(plan) {
+        return plan.map(entry => ({
+            type: entry.type,
+            target: entry.target,
+            ...(entry.type === 'phone-number' ?
+                { phoneNumberId: entry.phoneNumberId } :
+                { queueId: entry.queueId, outboundCallerConfig: entry.outboundCallerConfig }),
+            flowId: entry.currentFlowId || null
+        }));
+    }
+
+    /**
+     * Point a phone number or queue at a flow (flowId null removes a phone number's association)
+     */
+    async setAssociation(entry, flowId) {
+        if (entry.type === 'phone-number') {
+            if (flowId) {
+                await this.exporter.callConnect('associatePhoneNumberContactFlow', {
+                    InstanceId: this.instanceId,
+                    PhoneNumberId: entry.phoneNumberId,
+                    ContactFlowId: flowId
+                });
+            } else {
+                await this.exporter.callConnect('disassociatePhoneNumberContactFlow', {
+                    InstanceId: this.instanceId,
+                    PhoneNumberId: entry.phoneNumberId
+                });
+            }
+            return;
+        }
+
+        const outboundCallerConfig = _.omit(entry.outboundCallerConfig || {}, 'OutboundFlowId');
+        await this.exporter.callConnect('updateQueueOutboundCallerConfig', {
+            InstanceId: this.instanceId,
+            QueueId: entry.queueId,
+            OutboundCallerConfig: { ...outboundCallerConfig, ...(flowId && { OutboundFlowId: flowId }) }
+        });
+    }
+
+    /**
+     * Apply every change of a plan; if one fails, the changes already made are reverted
+     * @returns {Array} Applied plan entries
+     */
+    async apply(plan) {
+        const applied = [];
+
+        for (const entry of plan.filter(e => e.action !== 'unchanged')) {
+            try {
+                await this.setAssociation(entry, entry.flowId);
+                applied.push(entry);
+                console.log(`✅ ${entry.target} -> ${entry.flow}`);
+            } catch (error) {
+                console.error(`❌ ${entry.target}: ${error.message}`);
+                const reverted = await this.restore(this.snapshot(applied.reverse()));
+                throw new Error(`Association of ${entry.target} failed (${error.message}); reverted ${reverted.length} change(s)`);
+            }
+        }
+
+        return applied;
+    }
+
+    /**
+     * Restore associations recorded by snapshot()
+     * @returns {Array} Restored snapshot entries
+     */
+    async restore(snapshot) {
+        const restored = [];
+
+        for (const entry of snapshot) {
+            try {
+                await this.setAssociation(entry, entry.flowId);
+                restored.push(entry);
+                console.log(`⏪ ${entry.target} -> ${entry.flowId || '(none)'}`);
+            } catch (error) {
+                console.error(`❌ Failed to restore ${entry.target}: ${error.message}`);
+            }
+        }
+
+        return restored;
+    }
+}
+
+// CLI Interface
+const program = new Command();
+
+program
+    .name('reconcile-associations')
+    .description('Associate phone numbers and queues with managed flows');
+
+async function loadContext(options) {
+    const configFile = options.config || path.join('./env', `${options.env}.yaml`);
+
+    if (!await fs.pathExists(configFile)) {
+        throw new Error(`Environment config file not found: ${configFile}`);
+    }
+
+    const envConfig = await TemplateRenderer.loadEnvironmentConfig(configFile);
+    const stateStore = DeploymentStateStore.fromConfig(envConfig, options.env);
+    const state = await stateStore.load();
+    const reconciler = new AssociationReconciler(envConfig, { flows: state.flows, blueGreen: options.blueGreen || undefined });
+    return { stateStore, reconciler };
+}
+
+function handleError(error, options) {
+    console.error(`❌ ${error.message}`);
+    if (options.verbose) {
+        console.error(error.stack);
+    }
+    process.exit(1);
+}
+
+program
+    .command('apply', { isDefault: true })
+    .description('Print the plan and apply it, recording the previous associations for rollback')
+    .requiredOption('-e, --env <environment>', 'Environment (dev|test|prod)')
+    .option('-c, --config <file>', 'Environment config file (auto-detected if not provided)')
+    .option('--plan-only', 'Print the plan without changing anything')
+    .option('--blue-green', 'Associate phone numbers with the blue/green entry flows (deployment.blue_green)')
+    .option('-v, --verbose', 'Verbose output')
+    .action(async (options) => {
+        try {
+            const { stateStore, reconciler } = await loadContext(options);
+            const plan = await reconciler.plan();
+            console.log(`📋 Association plan for ${options.env}:\n${reconciler.formatPlan(plan)}`);
+
+            if (options.planOnly) {
+                return;
+            }
+
+            const applied = await reconciler.apply(plan);
+            if (applied.length > 0) {
+                stateStore.setAssociations({ previous: reconciler.snapshot(applied) });
+                await stateStore.save();
+            }
+            console.log(`🎉 Applied ${applied.length} association change(s)`);
+        } catch (error) {
+            handleError(error, options);
+        }
+    });
+
+program
+    .command('rollback')
+    .description('Restore the associations that the last apply replaced')
+    .requiredOption('-e, --env <environment>', 'Environment (dev|test|prod)')
+    .option('-c, --config <file>', 'Environment config file (auto-detected if not provided)')
+    .option('-v, --verbose', 'Verbose output')
+    .action(async (options) => {
+        try {
+            const { stateStore, reconciler } = await loadContext(options);
+            const record = stateStore.getAssociations();
+            if (!record || record.previous.length === 0) {
+                console.log('No recorded associations to restore');
+                return;
+            }
+
+            const restored = await reconciler.restore(record.previous);
+            if (restored.length !== record.previous.length) {
+                throw new Error(`Restored ${restored.length} of ${record.previous.length} association(s)`);
+            }
+            stateStore.setAssociations(null);
+            await stateStore.save();
+            console.log(`🎉 Restored ${restored.length} association(s)`);
+        } catch (error) {
+            handleError(error, options);
+        }
+    });
+
+if (require.main === module) {
+    program.parse();
+}
+
+module.exports = { AssociationReconciler };
@@ -10,11 +10,20 @@ const path = require('path');
 const { Command } = require('commander');
 const yaml = require('yaml');
 const _ = require('lodash');
+const { ActionSchemaRegistry } = require('./action-schemas');
+const { FlowDependencyGraph, parseFlowReference, formatFlowReference, findFlowReferences } = require('./flow-dependencies');
+const { CONTACT_FLOW_TYPES } = require('./flow-types');
 
 class TemplateRenderer {
-    constructor(envConfig) {
+    /**
+     * @param {Object} envConfig - Environment configuration (env/<env>.yaml)
+     * @param {Object} options - { actionSchemas, managedFlows: flow names deployed alongside this one }
+     */
+    constructor(envConfig, options = {}) {
         this.envConfig = envConfig;
         this.tokenPattern = /\$\{([^}]+)\}/g;
+        this.actionSchemas = options.actionSchemas || new ActionSchemaRegistry();
+        this.managedFlows = options.managedFlows ? new Set(options.managedFlows) : null;
     }
 
     /**
@@ -32,34 +41,159 @@ class TemplateRenderer {
     }
 
     /**
-     * Render template by replacing tokens with actual values
+     * Parse template text into a JSON tree.
+     * Bare tokens outside of strings (e.g. "content": ${ContactFlow.X.content}) are
+     * quoted first so the template is valid JSON.
      * @param {string} template - Template content
-     * @returns {string} Rendered content
+     * @returns {*} Parsed template tree
+     */
+    static parseTemplate(template) {
+        let quoted = '';
+        let inString = false;
+
+        for (let i = 0; i < template.length; i++) {
+            const char = template[i];
+
+            if (inString) {
+                quoted += char;
+                if (char === '\\') {
+                    quoted += template[++i] || '';
+                } else if (char === '"') {
+                    inString = false;
+                }
+            } else if (char === '"') {
+                inString = true;
+                quoted += char;
+            } else if (char === '$' && template[i + 1] === '{' && template.indexOf('}', i) !== -1) {
+                const end = template.indexOf('}', i);
+                quoted += JSON.stringify(template.slice(i, end + 1));
+                i = end;
+            } else {
+                quoted += char;
+            }
+        }
+
+        return JSON.parse(quoted);
+    }
+
+    /**
+     * Render template by replacing tokens with actual values
+     * @param {string|Object} template - Template content or parsed template tree
+     * @returns {string|Object} Rendered JSON string, or rendered tree when given a tree
      */
     render(template) {
-        const rendered = template.replace(this.tokenPattern, (match, tokenPath) => {
-            const value = this.resolveToken(tokenPath);
+        if (typeof template !== 'string') {
+            return this.renderTree(template);
+        }
+
+        return JSON.stringify(this.renderTree(TemplateRenderer.parseTemplate(template)));
+    }
+
+    /**
+     * Render a parsed template tree.
+     * A token that fills a whole value injects the token value as-is (object, array,
+     * number, boolean or string); tokens inside a longer string are interpolated.
+     * ${Service.Entity:-default} falls back to the default string when unresolved.
+     * @param {*} tree - Parsed template tree
+     * @returns {*} Rendered tree
+     */
+    renderTree(tree) {
+        const unresolved = [];
+        const rendered = this.renderNode(tree, '', unresolved);
+
+        if (unresolved.length > 0) {
+            const error = new Error(unresolved
+                .map(({ token, path: jsonPath, reason }) => `${reason || 'Token not found'}: ${token} at ${jsonPath || '(root)'}`)
+                .join('\n'));
+            error.unresolvedTokens = unresolved;
+            throw error;
+        }
+
+        return rendered;
+    }
+
+    /**
+     * Render a single node of the template tree, collecting unresolved tokens
+     */
+    renderNode(node, jsonPath, unresolved) {
+        if (Array.isArray(node)) {
+            return node.map((item, index) => this.renderNode(item, `${jsonPath}[${index}]`, unresolved));
+        }
+
+        if (typeof node === 'object' && node !== null) {
+            const result = {};
+            Object.entries(node).forEach(([key, value]) => {
+                result[key] = this.renderNode(value, jsonPath ? `${jsonPath}.${key}` : key, unresolved);
+            });
+            return result;
+        }
+
+        if (typeof node !== 'string') {
+            return node;
+        }
+
+        const wholeMatch = node.match(/^\$\{([^}]+)\}$/);
+        if (wholeMatch) {
+            const value = this.resolveExpression(wholeMatch[1]);
             if (value === undefined || value === null) {
-                throw new Error(`Token not found: ${tokenPath}`);
+                unresolved.push({ token: this.parseExpression(wholeMatch[1]).tokenPath, path: jsonPath });
+                return node;
             }
-            return value;
+            return _.cloneDeep(value);
+        }
+
+        return node.replace(this.tokenPattern, (match, expression) => {
+            const value = this.resolveExpression(expression);
+            const { tokenPath } = this.parseExpression(expression);
+
+            if (value === undefined || value === null) {
+                unresolved.push({ token: tokenPath, path: jsonPath });
+                return match;
+            }
+            if (typeof value === 'object') {
+                unresolved.push({ token: tokenPath, path: jsonPath, reason: 'Cannot interpolate object token into string' });
+                return match;
+            }
+            return String(value);
         });
+    }
 
-        // Validate that all tokens were resolved
-        const remainingTokens = rendered.match(this.tokenPattern);
-        if (remainingTokens) {
-            throw new Error(`Unresolved tokens found: ${remainingTokens.join(', ')}`);
+    /**
+     * Split a token expression into its path and optional default ("Queue.Sales:-fallback")
+     */
+    parseExpression(expression) {
+        const separator = expression.indexOf(':-');
+        if (separator === -1) {
+            return { tokenPath: expression, defaultValue: undefined };
         }
+        return {
+            tokenPath: expression.slice(0, separator),
+            defaultValue: expression.slice(separator + 2)
+        };
+    }
 
-        return rendered;
+    /**
+     * Resolve a token expression, falling back to its default value
+     */
+    resolveExpression(expression) {
+        const { tokenPath, defaultValue } = this.parseExpression(expression);
+        const value = this.resolveToken(tokenPath);
+        return value === undefined || value === null ? defaultValue : value;
     }
 
     /**
-     * Resolve token path to actual value from environment config
+     * Resolve token path to actual value from environment config.
+     * ContactFlow tokens naming a managed flow become deploy-time references
+     * (${ContactFlow.<Name>.Arn|Id}) resolved by the CDK stack.
      * @param {string} tokenPath - Token path (e.g., "Lambda.InvokeAlias")
      * @returns {*} Resolved value
      */
     resolveToken(tokenPath) {
+        const reference = parseFlowReference(tokenPath);
+        if (reference && this.managedFlows && this.managedFlows.has(reference.flowName)) {
+            return formatFlowReference(reference.flowName, reference.attribute);
+        }
+
         const pathParts = tokenPath.split('.');
         let value = this.envConfig.tokens;
 
@@ -84,14 +218,12 @@ class TemplateRenderer {
             console.log(`Rendering: ${templateFile} -> ${outputFile}`);
 
             const templateContent = await fs.readFile(templateFile, 'utf8');
-            const renderedContent = this.render(templateContent);
+            const renderedJson = this.renderTree(TemplateRenderer.parseTemplate(templateContent));
 
             // Ensure output directory exists
             await fs.ensureDir(path.dirname(outputFile));
 
-            // Parse and reformat as JSON for validation
-            const parsedJson = JSON.parse(renderedContent);
-            await fs.writeJson(outputFile, parsedJson, { spaces: 2 });
+            await fs.writeJson(outputFile, renderedJson, { spaces: 2 });
 
             console.log(`✅ Successfully rendered: ${outputFile}`);
         } catch (error) {
@@ -116,10 +248,17 @@ class TemplateRenderer {
             }
         });
 
-        // Check for unresolved tokens
+        if (flowJson.type && !CONTACT_FLOW_TYPES.includes(flowJson.type)) {
+            errors.push(`Unsupported flow type: ${flowJson.type} (expected one of ${CONTACT_FLOW_TYPES.join(', ')})`);
+        }
+
+        // Check for unresolved tokens (flow references are resolved at deploy time)
         const jsonStr = JSON.stringify(flowJson);
-        const unresolvedTokens = jsonStr.match(this.tokenPattern);
-        if (unresolvedTokens) {
+        const flowReferences = new Set(findFlowReferences(jsonStr)
+            .filter(({ flowName }) => !this.managedFlows || this.managedFlows.has(flowName))
+            .map(({ token }) => token));
+        const unresolvedTokens = (jsonStr.match(this.tokenPattern) || []).filter(token => !flowReferences.has(token));
+        if (unresolvedTokens.length > 0) {
             errors.push(`Unresolved tokens: ${unresolvedTokens.join(', ')}`);
         }
 
@@ -129,6 +268,13 @@ class TemplateRenderer {
         // Validate E.164 phone numbers
         this.validatePhoneNumbers(flowJson, errors);
 
+        // Validate action parameters and transitions
+        if (flowJson.content && Array.isArray(flowJson.content.Actions)) {
+            this.actionSchemas.validateFlow(flowJson.content).errors.forEach(({ actionId, type, message }) => {
+                errors.push(`Action ${actionId} (${type}): ${message}`);
+            });
+        }
+
         if (errors.length > 0) {
             throw new Error(`Validation failed for ${flowName}:\n- ${errors.join('\n- ')}`);
         }
@@ -183,19 +329,43 @@ class TemplateRenderer {
         await fs.ensureDir(outputDir);
 
         const entries = await fs.readdir(flowsDir, { withFileTypes: true });
+        const flowNames = entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
         const results = [];
 
-        for (const entry of entries) {
-            if (entry.isDirectory()) {
-                const flowDir = path.join(flowsDir, entry.name);
-                const result = await this.processFlowDirectory(flowDir, outputDir, entry.name);
-                results.push(result);
-            }
+        // Every flow in the directory can be referenced by ${ContactFlow.<Name>}
+        if (!this.managedFlows) {
+            this.managedFlows = new Set(flowNames);
+        }
+
+        for (const flowName of flowNames) {
+            const flowDir = path.join(flowsDir, flowName);
+            const result = await this.processFlowDirectory(flowDir, outputDir, flowName);
+            results.push(result);
         }
 
+        await this.checkFlowReferences(results);
+
         return results;
     }
 
+    /**
+     * Fail rendered flows that take part in a circular reference
+     */
+    async checkFlowReferences(results) {
+        const rendered = new Map();
+        for (const result of results.filter(r => r.status === 'success')) {
+            rendered.set(result.flowName, await fs.readJson(result.outputFile));
+        }
+
+        const cycles = FlowDependencyGraph.fromFlows(rendered).findCycles();
+        cycles.forEach(cycle => {
+            const message = `Circular flow reference: ${cycle.join(' -> ')}`;
+            results
+                .filter(result => cycle.includes(result.flowName) && result.status === 'success')
+                .forEach(result => Object.assign(result, { status: 'error', error: message }));
+        });
+    }
+
     /**
      * Process a single flow directory
      */
@@ -213,8 +383,11 @@ class TemplateRenderer {
         try {
             await this.renderFile(templateFile, outputFile);
 
+            // Take the flow type from metadata.yaml when the template does not declare it
+            const renderedJson = await this.applyFlowMetadata(await fs.readJson(outputFile), flowDir, flowName);
+            await fs.writeJson(outputFile, renderedJson, { spaces: 2 });
+
             // Validate rendered flow
-            const renderedJson = await fs.readJson(outputFile);
             this.validateRenderedFlow(renderedJson, flowName);
 
             // Process modules if they exist
@@ -230,7 +403,28 @@ class TemplateRenderer {
     }
 
     /**
-     * Process flow modules
+     * Fill in the flow type from the exported metadata.yaml, rejecting a template
+     * whose type disagrees with it
+     */
+    async applyFlowMetadata(flowJson, flowDir, flowName) {
+        const metadataFile = path.join(flowDir, 'metadata.yaml');
+        if (!await fs.pathExists(metadataFile)) {
+            return flowJson;
+        }
+
+        const metadata = yaml.parse(await fs.readFile(metadataFile, 'utf8')) || {};
+        if (!metadata.type) {
+            return flowJson;
+        }
+        if (flowJson.type && flowJson.type !== metadata.type) {
+            throw new Error(`Flow ${flowName} declares type ${flowJson.type} but metadata.yaml has ${metadata.type}`);
+        }
+
+        return { ...flowJson, type: metadata.type };
+    }
+
+    /**
+     * Process flow modules (modules/<Module>.json.tmpl -> modules/<flowName>/<Module>.json)
      */
     async processModulesDirectory(modulesDir, outputDir, flowName) {
         const moduleFiles = await fs.readdir(modulesDir);
@@ -240,7 +434,7 @@ class TemplateRenderer {
         for (const moduleFile of moduleFiles) {
             if (moduleFile.endsWith('.tmpl')) {
                 const moduleTemplatePath = path.join(modulesDir, moduleFile);
-                const moduleName = path.basename(moduleFile, '.tmpl');
+                const moduleName = moduleFile.replace(/(\.json)?\.tmpl$/, '');
                 const moduleOutputPath = path.join(moduleOutputDir, `${moduleName}.json`);
 
                 await this.renderFile(moduleTemplatePath, moduleOutputPath);
@@ -0,0 +1,394 @@
+#!/usr/bin/env node
+
+/**
+ * Environment Token Resolver
+ * Looks up logical names from a manifest in a Connect instance and updates env/<env>.yaml tokens
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { Command } = require('commander');
+const yaml = require('yaml');
+const AWS = require('aws-sdk');
+const ConnectFlowExporter = require('./export');
+const { TemplateRenderer } = require('./render');
+
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+
+// Token category -> resolver method
+const TOKEN_RESOLVERS = {
+    Queue: 'resolveQueue',
+    Prompt: 'resolvePrompt',
+    ContactFlow: 'resolveContactFlow',
+    HoursOfOperation: 'resolveHoursOfOperation',
+    Lambda: 'resolveLambda',
+    Lex: 'resolveLex',
+    PhoneNumber: 'resolvePhoneNumber'
+};
+
+class TokenResolver {
+    /**
+     * @param {Object} envConfig - Parsed env/<env>.yaml (connect.instance_id, instance_arn, region)
+     * @param {Object} options - { exporter, connect, lex }
+     */
+    constructor(envConfig, options = {}) {
+        const connectConfig = envConfig.connect || {};
+        this.instanceId = connectConfig.instance_id;
+        this.instanceArn = connectConfig.instance_arn;
+        this.region = connectConfig.region;
+        this.exporter = options.exporter || new ConnectFlowExporter(this.region, { connect: options.connect });
+        this.lex = options.lex || null;
+        this.cache = new Map();
+    }
+
+    /**
+     * Load a manifest file
+     * @returns {Object} Category -> logical name -> Connect name (string or per-environment map)
+     */
+    static async loadManifest(manifestFile) {
+        const content = await fs.readFile(manifestFile, 'utf8');
+        return yaml.parse(content) || {};
+    }
+
+    /**
+     * Resolve every manifest entry for an environment
+     * @returns {Object} { tokens: { Category: { Logical: value } }, errors: [{ token, name, message }] }
+     */
+    async resolveManifest(manifest, environment) {
+        const tokens = {};
+        const errors = [];
+
+        for (const [category, entries] of Object.entries(manifest)) {
+            const resolverName = TOKEN_RESOLVERS[category];
+            if (!resolverName) {
+                errors.push({ token: category, name: null, message: `Unsupported token category: ${category}` });
+                continue;
+            }
+
+            for (const [logicalName, entry] of Object.entries(entries || {})) {
+                const name = this.getResourceName(entry, environment);
+                if (name === null) {
+                    continue;
+                }
+
+                const token = `${category}.${logicalName}`;
+                try {
+                    const value = await this[resolverName](name);
+                    tokens[category] = tokens[category] || {};
+                    tokens[category][logicalName] = value;
+                } catch (error) {
+                    errors.push({ token, name, message: error.message });
+                }
+            }
+        }
+
+        return { tokens, errors };
+    }
+
+    /**
+     * Connect resource name for an environment; {env} is replaced with the environment name.
+     * Returns null when a per-environment map has no entry for this environment.
+     */
+    getResourceName(entry, environment) {
+        const name = typeof entry === 'object' && entry !== null ? entry[environment] : entry;
+        if (name === undefined || name === null) {
+            return null;
+        }
+        return String(name).replace(/\{env\}/g, environment);
+    }
+
+    async resolveQueue(name) {
+        const queues = await this.listCached('queues', () => this.exporter.listAll('listQueues', {
+            InstanceId: this.instanceId,
+            QueueTypes: ['STANDARD']
+        }, 'QueueSummaryList'));
+        return this.findByName(queues, name, 'Queue').Arn;
+    }
+
+    async resolvePrompt(name) {
+        const prompts = await this.listCached('prompts', () => this.exporter.listAll('listPrompts', {
+            InstanceId: this.instanceId
+        }, 'PromptSummaryList'));
+        return this.findByName(prompts, name, 'Prompt').Arn;
+    }
+
+    async resolveContactFlow(name) {
+        const flows = await this.listCached('contactFlows', () => this.exporter.listContactFlows(this.instanceId));
+        return this.findByName(flows, name, 'Contact flow').Arn;
+    }
+
+    async resolveHoursOfOperation(name) {
+        const hours = await this.listCached('hoursOfOperation', () => this.exporter.listAll('listHoursOfOperations', {
+            InstanceId: this.instanceId
+        }, 'HoursOfOperationSummaryList'));
+        return this.findByName(hours, name, 'Hours of operation').Arn;
+    }
+
+    /**
+     * Lambda functions associated with the instance, named "<function>" or "<function>:<qualifier>".
+     * A qualified name matches an associated ARN with the same qualifier, or the associated
+     * unqualified function with the qualifier appended.
+     */
+    async resolveLambda(name) {
+        const functionArns = await this.listCached('lambdaFunctions', () => this.exporter.listAll('listLambdaFunctions', {
+            InstanceId: this.instanceId,
+            MaxResults: 25
+        }, 'LambdaFunctions'));
+
+        const [functionName, qualifier] = name.split(':');
+        const candidates = functionArns
+            .map(arn => {
+                const [associatedName, associatedQualifier] = arn.split(':function:')[1].split(':');
+                return { arn, functionName: associatedName, qualifier: associatedQualifier };
+            })
+            .filter(candidate => candidate.functionName === functionName);
+
+        const exact = candidates.find(candidate => candidate.qualifier === qualifier);
+        if (exact) {
+            return exact.arn;
+        }
+
+        const base = candidates.find(candidate => !candidate.qualifier);
+        if (base && qualifier) {
+            return `${base.arn}:${qualifier}`;
+        }
+
+        if (candidates.length > 0) {
+            throw new Error(`Lambda function ${functionName} is associated with instance ${this.instanceId} ` +
+                `only as ${candidates.map(candidate => candidate.arn).join(', ')}, not as ${name}`);
+        }
+        throw new Error(`Lambda function not associated with instance ${this.instanceId}: ${functionName}`);
+    }
+
+    /**
+     * Lex V2 bot aliases associated with the instance, named "<bot>:<alias>"
+     */
+    async resolveLex(name) {
+        const aliases = await this.listCached('lexAliases', async () => {
+            const bots = await this.exporter.listAll('listBots', {
+                InstanceId: this.instanceId,
+                LexVersion: 'V2',
+                MaxResults: 25
+            }, 'LexBots');
+
+            const lex = this.getLexClient();
+            return Promise.all(bots
+                .filter(bot => bot.LexV2Bot && bot.LexV2Bot.AliasArn)
+                .map(async (bot) => {
+                    const aliasArn = bot.LexV2Bot.AliasArn;
+                    const [botId, botAliasId] = aliasArn.split(':bot-alias/')[1].split('/');
+                    const [alias, botDetails] = await Promise.all([
+                        lex.describeBotAlias({ botId, botAliasId }).promise(),
+                        lex.describeBot({ botId }).promise()
+                    ]);
+                    return { Name: `${botDetails.botName}:${alias.botAliasName}`, Arn: aliasArn };
+                }));
+        });
+
+        return this.findByName(aliases, name, 'Lex bot alias').Arn;
+    }
+
+    /**
+     * Phone numbers claimed by the instance, by E.164 number or by description
+     */
+    async resolvePhoneNumber(name) {
+        const numbers = await this.listCached('phoneNumbers', () => this.exporter.listAll('listPhoneNumbersV2', {
+            TargetArn: this.instanceArn
+        }, 'ListPhoneNumbersSummaryList'));
+
+        if (E164_PATTERN.test(name)) {
+            const claimed = numbers.find(number => number.PhoneNumber === name);
+            if (!claimed) {
+                throw new Error(`Phone number not claimed by instance ${this.instanceId}: ${name}`);
+            }
+            return claimed.PhoneNumber;
+        }
+
+        const described = await this.listCached('phoneNumberDescriptions', () => Promise.all(numbers.map(async (number) => {
+            const result = await this.exporter.callConnect('describePhoneNumber', { PhoneNumberId: number.PhoneNumberId });
+            return {
+                Name: result.ClaimedPhoneNumberSummary.PhoneNumberDescription,
+                PhoneNumber: number.PhoneNumber
+            };
+        })));
+
+        return this.findByName(described, name, 'Phone number').PhoneNumber;
+    }
+
+    /**
+     * Single summary with an exact Name match
+     */
+    findByName(items, name, label) {
+        const matches = items.filter(item => item.Name === name);
+        if (matches.length === 0) {
+            throw new Error(`${label} not found in instance ${this.instanceId}: ${name}`);
+        }
+        if (matches.length > 1) {
+            throw new Error(`${label} name is ambiguous in instance ${this.instanceId}: ${name} (${matches.length} matches)`);
+        }
+        return matches[0];
+    }
+
+    async listCached(key, loader) {
+        if (!this.cache.has(key)) {
+            this.cache.set(key, loader());
+        }
+        return this.cache.get(key);
+    }
+
+    getLexClient() {
+        if (!this.lex) {
+            this.lex = new AWS.LexModelsV2({ region: this.region });
+        }
+        return this.lex;
+    }
+
+    /**
+     * Write resolved tokens into the env YAML text, keeping comments and key order
+     * @returns {string} Updated YAML
+     */
+    static applyTokens(yamlText, tokens) {
+        const doc = yaml.parseDocument(yamlText);
+
+        Object.entries(tokens).forEach(([category, entries]) => {
+            Object.entries(entries).forEach(([logicalName, value]) => {
+                doc.setIn(['tokens', category, logicalName], value);
+            });
+        });
+
+        // Match the env files: unfolded double-quoted values, plain keys, compact flow sequences
+        return doc.toString({
+            lineWidth: 0,
+            defaultStringType: 'QUOTE_DOUBLE',
+            defaultKeyType: 'PLAIN',
+            flowCollectionPadding: false
+        });
+    }
+
+    /**
+     * Line diff between two texts (only changed lines, numbered in the text they come from)
+     * @returns {string[]} Diff lines prefixed with "-" or "+"
+     */
+    static diffLines(before, after) {
+        const a = before.split('\n');
+        const b = after.split('\n');
+
+        // Longest common subsequence table
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const lines = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                i++;
+                j++;
+            } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+                lines.push(`-${String(i + 1).padStart(4)} ${a[i]}`);
+                i++;
+            } else {
+                lines.push(`+${String(j + 1).padStart(4)} ${b[j]}`);
+                j++;
+            }
+        }
+
+        return lines;
+    }
+}
+
+async function confirm(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await new Promise(resolve => rl.question(question, resolve));
+    rl.close();
+    return /^y(es)?$/i.test(answer.trim());
+}
+
+// CLI Interface
+const program = new Command();
+
+program
+    .name('resolve-tokens')
+    .description('Resolve logical token names against a Connect instance and update env/<env>.yaml')
+    .requiredOption('-e, --env <environment>', 'Environment (dev|test|prod)')
+    .option('-m, --manifest <file>', 'Logical name manifest', './config/token-manifest.yaml')
+    .option('-c, --config <file>', 'Environment config file (auto-detected if not provided)')
+    .option('--dry-run', 'Show the diff without writing')
+    .option('-y, --yes', 'Write without asking for confirmation')
+    .option('-v, --verbose', 'Verbose output');
+
+async function main(options) {
+    try {
+        const configFile = options.config || path.join('./env', `${options.env}.yaml`);
+
+        if (!await fs.pathExists(configFile)) {
+            throw new Error(`Environment config file not found: ${configFile}`);
+        }
+
+        const envConfig = await TemplateRenderer.loadEnvironmentConfig(configFile);
+        const manifest = await TokenResolver.loadManifest(options.manifest);
+
+        console.log(`🔍 Resolving ${options.manifest} against instance ${envConfig.connect.instance_id}`);
+        const resolver = new TokenResolver(envConfig);
+        const { tokens, errors } = await resolver.resolveManifest(manifest, options.env);
+
+        if (errors.length > 0) {
+            console.error('\n❌ Unresolved tokens:');
+            errors.forEach(({ token, name, message }) => {
+                console.error(`  - ${token}${name ? ` (${name})` : ''}: ${message}`);
+            });
+            process.exit(1);
+        }
+
+        const before = await fs.readFile(configFile, 'utf8');
+        const after = TokenResolver.applyTokens(before, tokens);
+        const diff = TokenResolver.diffLines(before, after);
+
+        if (diff.length === 0) {
+            console.log(`✅ ${configFile} is up to date`);
+            return;
+        }
+
+        console.log(`\n--- ${configFile}`);
+        console.log(`+++ ${configFile} (resolved)`);
+        diff.forEach(line => console.log(line));
+
+        if (options.dryRun) {
+            console.log('\n🔎 Dry run: no changes written');
+            return;
+        }
+
+        if (!options.yes) {
+            if (!process.stdin.isTTY) {
+                throw new Error('Refusing to write without confirmation; pass --yes');
+            }
+            if (!await confirm(`\nWrite changes to ${configFile}? (y/N) `)) {
+                console.log('Aborted');
+                return;
+            }
+        }
+
+        await fs.writeFile(configFile, after);
+        console.log(`\n✅ Updated tokens in ${configFile}`);
+
+    } catch (error) {
+        console.error('Token resolution failed:', error.message);
+        if (options.verbose) {
+            console.error(error.stack);
+        }
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    program.parse();
+    const options = program.opts();
+    main(options);
+}
+
+module.exports = { TokenResolver };
@@ -0,0 +1,209 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// cron フィールドの範囲（分・時・日・月・曜日）
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// 中身を読めないロック（書き込み途中・空）を放棄されたとみなすまでの経過時間
+const UNREADABLE_LOCK_STALE_MS = 10 * 60 * 1000;
+
+/**
+ * cron フィールド（"*", "*\/15", "1-5", "mon,wed", "jan-mar" など）を値の集合に展開
+ */
+function parseCronField(value, field) {
+    const names = field.name === 'month' ? MONTH_NAMES : field.name === 'dayOfWeek' ? DAY_NAMES : [];
+    const toNumber = (token) => {
+        const index = names.indexOf(token.toLowerCase().substring(0, 3));
+        const number = index >= 0 ? index + (field.name === 'month' ? 1 : 0) : Number(token);
+        if (!Number.isInteger(number) || number < field.min || number > field.max) {
+            throw new Error(`Invalid cron ${field.name}: ${value}`);
+        }
+        return number;
+    };
+
+    const values = new Set();
+    value.split(',').forEach(part => {
+        const [range, step] = part.split('/');
+        const [start, end] = range === '*' ?
+            [field.min, field.max] :
+            range.includes('-') ? range.split('-').map(toNumber) : [toNumber(range), step ? field.max : toNumber(range)];
+        const increment = step ? Number(step) : 1;
+        if (!Number.isInteger(increment) || increment < 1) {
+            throw new Error(`Invalid cron step: ${value}`);
+        }
+        for (let number = start; number <= end; number += increment) {
+            // 曜日の 7 は日曜日
+            values.add(field.name === 'dayOfWeek' && number === 7 ? 0 : number);
+        }
+    });
+    return values;
+}
+
+/**
+ * cron 式の次回実行時刻（ローカル時刻、分単位。6フィールド形式の秒は無視する）
+ * @returns {Date|null} 1年以内に実行がなければ null
+ */
+function nextCronRun(expression, from = new Date()) {
+    const parts = expression.trim().split(/\s+/);
+    const fields = parts.length === 6 ? parts.slice(1) : parts;
+    if (fields.length !== 5) {
+        throw new Error(`Invalid cron expression: ${expression}`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((value, index) => parseCronField(value, CRON_FIELDS[index]));
+    // 日と曜日の両方が指定された場合はどちらかに一致すれば実行（cron の仕様）
+    const dayRestricted = fields[2] !== '*' && fields[4] !== '*';
+
+    const candidate = new Date(from.getTime());
+    candidate.setSeconds(0, 0);
+    candidate.setMinutes(candidate.getMinutes() + 1);
+    const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+
+    while (candidate.getTime() <= limit) {
+        const dayOfMonthMatch = daysOfMonth.has(candidate.getDate());
+        const dayOfWeekMatch = daysOfWeek.has(candidate.getDay());
+        const dayMatch = dayRestricted ? dayOfMonthMatch || dayOfWeekMatch : dayOfMonthMatch && dayOfWeekMatch;
+
+        if (!months.has(candidate.getMonth() + 1) || !dayMatch) {
+            candidate.setDate(candidate.getDate() + 1);
+            candidate.setHours(0, 0, 0, 0);
+        } else if (!hours.has(candidate.getHours())) {
+            candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+        } else if (!minutes.has(candidate.getMinutes())) {
+            candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+        } else {
+            return candidate;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * 実行の重複を防ぐロックファイル（排他作成。所有プロセスが存在しないロックは引き継ぐ）
+ */
+class FileLock {
+    /**
+     * @param {string} lockFile - ロックファイルのパス
+     * @param {Object} options - { isProcessAlive: (pid) => boolean, unreadableStaleMs }
+     */
+    constructor(lockFile, options = {}) {
+        this.lockFile = lockFile;
+        this.isProcessAlive = options.isProcessAlive || FileLock.isProcessAlive;
+        this.unreadableStaleMs = options.unreadableStaleMs || UNREADABLE_LOCK_STALE_MS;
+        this.held = false;
+    }
+
+    static isProcessAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+
+    /**
+     * @returns {boolean} 取得できれば true、他の実行が保持していれば false
+     */
+    async acquire(owner = {}) {
+        await fs.ensureDir(path.dirname(this.lockFile));
+        const record = JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString(), ...owner });
+
+        try {
+            await fs.writeFile(this.lockFile, record, { flag: 'wx' });
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+
+            const holder = await this.read();
+            if (holder ? this.isProcessAlive(holder.pid) : await this.isRecentlyModified()) {
+                return false;
+            }
+
+            console.warn(`⚠️ Removing stale lock ${this.lockFile}${holder ? ` (pid ${holder.pid})` : ''}`);
+            await fs.remove(this.lockFile);
+            return this.acquire(owner);
+        }
+
+        this.held = true;
+        return true;
+    }
+
+    /**
+     * 読めないロックは別プロセスが書き込み中の可能性があるため、更新から unreadableStaleMs 経つまで保持中とみなす
+     */
+    async isRecentlyModified() {
+        try {
+            const { mtimeMs } = await fs.stat(this.lockFile);
+            return Date.now() - mtimeMs < this.unreadableStaleMs;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async read() {
+        try {
+            return JSON.parse(await fs.readFile(this.lockFile, 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    async release() {
+        if (this.held) {
+            this.held = false;
+            await fs.remove(this.lockFile);
+        }
+    }
+}
+
+/**
+ * 実行履歴（JSONファイル、新しい順に最大 limit 件）
+ */
+class RunHistory {
+    constructor(historyFile, options = {}) {
+        this.historyFile = historyFile;
+        this.limit = options.limit || 100;
+    }
+
+    async load() {
+        if (!await fs.pathExists(this.historyFile)) {
+            return [];
+        }
+        return (await fs.readJson(this.historyFile)).runs || [];
+    }
+
+    async record(run) {
+        const runs = [run, ...await this.load()].slice(0, this.limit);
+        await fs.outputJson(this.historyFile, { runs }, { spaces: 2 });
+        return run;
+    }
+
+    /**
+     * ジョブの最新の実行
+     */
+    async lastRun(job) {
+        return (await this.load()).find(run => run.job === job) || null;
+    }
+}
+
+module.exports = {
+    FileLock,
+    RunHistory,
+    nextCronRun,
+    parseCronField
+};
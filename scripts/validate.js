@@ -10,11 +10,20 @@ const path = require('path');
 const { Command } = require('commander');
 const yaml = require('yaml');
 const Joi = require('joi');
+const { TemplateRenderer } = require('./render');
+const { FlowLinter } = require('./flow-linter');
+const { ActionSchemaRegistry } = require('./action-schemas');
+const { FlowDependencyGraph, parseFlowReference } = require('./flow-dependencies');
 
 class FlowValidator {
-    constructor() {
+    /**
+     * @param {Object} options - { lintRules: rule name -> 'error' | 'warning' | 'off' }
+     */
+    constructor(options = {}) {
         this.errors = [];
         this.warnings = [];
+        this.linter = new FlowLinter(options.lintRules);
+        this.actionSchemas = options.actionSchemas || new ActionSchemaRegistry();
     }
 
     /**
@@ -29,6 +38,9 @@ class FlowValidator {
         // Validate flow templates
         await this.validateFlowTemplates(flowsDir);
 
+        // Validate references between flows
+        await this.validateFlowReferences(flowsDir);
+
         // Validate token completeness
         await this.validateTokenCompleteness(flowsDir, envDir);
 
@@ -85,9 +97,10 @@ class FlowValidator {
                         Joi.string(),
                         Joi.string().pattern(/^arn:aws:connect:/)
                     ),
+                    // Lex V2 bot alias ARNs (what resolve-tokens writes and ConnectParticipantWithLexBot takes)
                     Lex: Joi.object().pattern(
                         Joi.string(),
-                        Joi.string().pattern(/^arn:aws:connect:/)
+                        Joi.string().pattern(/^arn:aws:(lex:[a-z0-9-]+:\d{12}:bot-alias\/|connect:)/)
                     ),
                     PhoneNumber: Joi.object().pattern(
                         Joi.string(),
@@ -111,7 +124,38 @@ class FlowValidator {
                     rollback_enabled: Joi.boolean(),
                     health_check_duration: Joi.number().min(60),
                     canary_percentage: Joi.number().min(1).max(100),
-                    full_deployment_delay: Joi.number().min(0)
+                    full_deployment_delay: Joi.number().min(0),
+                    traffic_steps: Joi.array().items(Joi.number().min(1).max(100)),
+                    health_check_interval: Joi.number().min(1),
+                    blue_green: Joi.boolean(),
+                    router_suffix: Joi.string(),
+                    tolerate_lambda_permission_errors: Joi.alternatives().try(Joi.boolean(), Joi.array().items(Joi.string())),
+                    state: Joi.object({
+                        backend: Joi.string().valid('local', 's3'),
+                        path: Joi.string(),
+                        bucket: Joi.string(),
+                        key: Joi.string(),
+                        region: Joi.string(),
+                        endpoint: Joi.string().uri(),
+                        force_path_style: Joi.boolean()
+                    }),
+                    health_check: Joi.object({
+                        type: Joi.string().valid('none', 'cloudwatch-alarms', 'module').required()
+                    }).unknown(true)
+                }),
+
+                // Phone numbers (E.164 or ${PhoneNumber.X}) and queues (ARN, ID or ${Queue.X}) -> managed flow names
+                associations: Joi.object({
+                    phone_numbers: Joi.array().items(Joi.object({
+                        number: Joi.string().pattern(/^(\+[1-9]\d{1,14}|\$\{PhoneNumber\.[^}]+\})$/).required(),
+                        flow: Joi.string().required()
+                    })),
+                    // Amazon Connect has no queue-level hold flow (it is set by a Set hold flow block)
+                    queues: Joi.array().items(Joi.object({
+                        queue: Joi.string().required(),
+                        outbound_whisper_flow: Joi.string().required(),
+                        hold_flow: Joi.forbidden()
+                    }))
                 })
             });
 
@@ -222,22 +266,23 @@ class FlowValidator {
             // Validate template file is valid JSON
             const templateContent = await fs.readFile(templateFile, 'utf8');
 
-            // Check if it can be parsed (with tokens, so may fail - that's ok)
+            // Parse with tokens left in place (bare tokens are allowed)
+            let template;
             try {
-                JSON.parse(templateContent);
+                template = TemplateRenderer.parseTemplate(templateContent);
             } catch (parseError) {
-                // If it fails due to tokens, that's expected
-                if (!templateContent.includes('${')) {
-                    this.addError(`Invalid JSON in flow template ${flowName}: ${parseError.message}`);
-                    return;
-                }
+                this.addError(`Invalid JSON in flow template ${flowName}: ${parseError.message}`);
+                return;
             }
 
             // Validate token usage
             this.validateTokenUsage(templateContent, flowName);
 
             // Validate flow structure
-            await this.validateFlowStructure(templateContent, flowName);
+            await this.validateFlowStructure(template, flowName);
+
+            // Validate action parameters and transitions
+            this.validateActionParameters(template, flowName);
 
             console.log(`✅ Flow template valid: ${flowName}`);
 
@@ -266,7 +311,7 @@ class FlowValidator {
             }
 
             const [service, entity] = parts;
-            const validServices = ['Lambda', 'Queue', 'Prompt', 'Lex', 'PhoneNumber'];
+            const validServices = ['Lambda', 'Queue', 'Prompt', 'Lex', 'PhoneNumber', 'ContactFlow'];
             if (!validServices.includes(service)) {
                 this.addWarning(`Unknown service in token ${flowName}: ${service}`);
             }
@@ -274,23 +319,80 @@ class FlowValidator {
     }
 
     /**
-     * Validate flow structure (basic checks)
+     * Lint the flow graph built from content.Actions
+     * @param {Object} template - Parsed flow template ({ name, type, content } or bare flow content)
+     * @param {string} flowName - Flow name for error reporting
      */
-    async validateFlowStructure(templateContent, flowName) {
-        // Check for required flow elements
-        const requiredElements = ['StartFlowExecution', 'DisconnectParticipant'];
+    async validateFlowStructure(template, flowName) {
+        const content = template.content || template;
+
+        if (!Array.isArray(content.Actions)) {
+            this.addWarning(`Flow ${flowName} has no content.Actions to lint`);
+            return;
+        }
+
+        this.linter.lint(content).forEach(problem => {
+            const location = problem.actionId ? ` action ${problem.actionId}` : '';
+            const message = `Flow ${flowName} [${problem.rule}]${location}: ${problem.message}`;
 
-        requiredElements.forEach(element => {
-            if (!templateContent.includes(element)) {
-                this.addWarning(`Flow ${flowName} may be missing ${element} block`);
+            if (problem.severity === 'error') {
+                this.addError(message);
+            } else {
+                this.addWarning(message);
             }
         });
+    }
 
-        // Check for potential issues
-        if (templateContent.includes('DisconnectParticipant') &&
-            templateContent.indexOf('DisconnectParticipant') < 100) {
-            this.addWarning(`Flow ${flowName} may disconnect too early`);
+    /**
+     * Validate action parameters and transitions against the per-Type schemas
+     * @param {Object} template - Parsed flow template ({ name, type, content } or bare flow content)
+     * @param {string} flowName - Flow name for error reporting
+     */
+    validateActionParameters(template, flowName) {
+        const content = template.content || template;
+        if (!Array.isArray(content.Actions)) {
+            return;
         }
+
+        const { errors, unknownTypes } = this.actionSchemas.validateFlow(content, { allowTokens: true });
+
+        errors.forEach(({ actionId, type, message }) => {
+            this.addError(`Flow ${flowName} action ${actionId} (${type}): ${message}`);
+        });
+        unknownTypes.forEach(type => {
+            this.addWarning(`Flow ${flowName}: no parameter schema for action type ${type}`);
+        });
+    }
+
+    /**
+     * Report circular ${ContactFlow.<Name>} references between flow templates
+     */
+    async validateFlowReferences(flowsDir) {
+        console.log('Validating flow references...');
+
+        if (!await fs.pathExists(flowsDir)) {
+            return;
+        }
+
+        const templates = new Map();
+        for (const flowName of await this.listFlowNames(flowsDir)) {
+            const templateFile = path.join(flowsDir, flowName, 'flow.json.tmpl');
+            if (await fs.pathExists(templateFile)) {
+                templates.set(flowName, await fs.readFile(templateFile, 'utf8'));
+            }
+        }
+
+        FlowDependencyGraph.fromFlows(templates).findCycles().forEach(cycle => {
+            this.addError(`Circular flow reference: ${cycle.join(' -> ')}`);
+        });
+    }
+
+    /**
+     * Names of the flow directories in flowsDir
+     */
+    async listFlowNames(flowsDir) {
+        const entries = await fs.readdir(flowsDir, { withFileTypes: true });
+        return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
     }
 
     /**
@@ -299,8 +401,12 @@ class FlowValidator {
     async validateTokenCompleteness(flowsDir, envDir) {
         console.log('Validating token completeness...');
 
-        // Collect all tokens used in templates
-        const usedTokens = await this.collectUsedTokens(flowsDir);
+        // Collect all tokens used in templates; references to managed flows are resolved at deploy time
+        const managedFlows = await fs.pathExists(flowsDir) ? await this.listFlowNames(flowsDir) : [];
+        const usedTokens = (await this.collectUsedTokens(flowsDir)).filter(token => {
+            const reference = parseFlowReference(token);
+            return !(reference && managedFlows.includes(reference.flowName));
+        });
 
         // Check each environment
         const envFiles = ['dev.yaml', 'test.yaml', 'prod.yaml'];
@@ -420,11 +526,17 @@ program
     .description('Validate Contact Flow templates and configurations')
     .option('-f, --flows <directory>', 'Flows directory', './flows')
     .option('-e, --env <directory>', 'Environment configs directory', './env')
+    .option('-l, --lint-config <file>', 'YAML file with lint rule severities (rules: { rule: error|warning|off })')
     .option('-v, --verbose', 'Verbose output');
 
 async function main(options) {
     try {
-        const validator = new FlowValidator();
+        let lintRules;
+        if (options.lintConfig) {
+            lintRules = yaml.parse(await fs.readFile(options.lintConfig, 'utf8')).rules;
+        }
+
+        const validator = new FlowValidator({ lintRules });
         const isValid = await validator.validateAll(options.flows, options.env);
 
         if (!isValid) {
@@ -0,0 +1,108 @@
+const { ActionSchemaRegistry } = require('../scripts/action-schemas');
+const { FlowValidator } = require('../scripts/validate');
+const { TemplateRenderer } = require('../scripts/render');
+const Joi = require('joi');
+
+describe('Action Schemas', () => {
+    const registry = new ActionSchemaRegistry();
+
+    test('should require parameters per action type', () => {
+        expect(registry.validateAction({ Type: 'InvokeLambdaFunction', Parameters: {} }))
+            .toEqual(['Parameters: "LambdaFunctionARN" is required']);
+        expect(registry.validateAction({ Type: 'UpdateContactTargetQueue', Parameters: {} }))
+            .toEqual(['Parameters: "QueueId" is required']);
+        expect(registry.validateAction({ Type: 'MessageParticipant', Parameters: {} })[0])
+            .toContain('must contain at least one of [Text, SSML, PromptId, Media]');
+        expect(registry.validateAction({ Type: 'MessageParticipant', Parameters: { PromptId: 'prompt-arn' } }))
+            .toEqual([]);
+    });
+
+    test('should check value types and timeout ranges', () => {
+        const messages = registry.validateAction({
+            Type: 'InvokeLambdaFunction',
+            Parameters: {
+                LambdaFunctionARN: 'arn:aws:lambda:us-east-1:123456789012:function:auth:LIVE',
+                InvocationTimeLimitSeconds: '120',
+                LambdaInvocationAttributes: { nested: { not: 'allowed' } }
+            }
+        });
+
+        expect(messages).toEqual([
+            'Parameters: "InvocationTimeLimitSeconds" must be less than or equal to 60',
+            'Parameters: "LambdaInvocationAttributes.nested" must be a string'
+        ]);
+    });
+
+    test('should check allowed transition kinds and error types', () => {
+        const messages = registry.validateAction({
+            Type: 'DisconnectParticipant',
+            Parameters: {},
+            Transitions: { NextAction: 'next', Errors: [{ NextAction: 'next', ErrorType: 'NoMatchingError' }] }
+        });
+        expect(messages).toEqual([
+            'Transitions: NextAction is not allowed for DisconnectParticipant',
+            'Transitions: ErrorType NoMatchingError is not allowed for DisconnectParticipant (allowed: none)'
+        ]);
+
+        expect(registry.validateAction({
+            Type: 'InvokeLambdaFunction',
+            Parameters: { LambdaFunctionARN: 'arn' },
+            Transitions: { Conditions: [{ NextAction: 'x', Condition: { Operator: 'Equals', Operands: ['1'] } }] }
+        })).toEqual(['Transitions: Conditions are not allowed for InvokeLambdaFunction']);
+    });
+
+    test('should accept unrendered tokens only when allowed', () => {
+        const action = {
+            Type: 'GetParticipantInput',
+            Parameters: { Text: 'Press 1', InputTimeLimitSeconds: '${Integration.InputTimeout}' }
+        };
+
+        expect(registry.validateAction(action, { allowTokens: true })).toEqual([]);
+        expect(registry.validateAction(action)).toHaveLength(1);
+    });
+
+    test('should report unknown action types separately', () => {
+        const result = registry.validateFlow({
+            Actions: [
+                { Identifier: 'a', Type: 'SomeNewBlock', Parameters: {} },
+                { Identifier: 'b', Type: 'TransferToFlow', Parameters: {} }
+            ]
+        });
+
+        expect(result.unknownTypes).toEqual(['SomeNewBlock']);
+        expect(result.errors).toEqual([
+            { actionId: 'b', type: 'TransferToFlow', message: 'Parameters: "ContactFlowId" is required' }
+        ]);
+    });
+
+    test('should allow registering additional schemas', () => {
+        const custom = new ActionSchemaRegistry();
+        custom.register('SomeNewBlock', {
+            parameters: Joi.object({ Value: Joi.string().required() }),
+            transitions: { nextAction: true, conditions: false, errors: [] }
+        });
+
+        expect(custom.validateAction({ Type: 'SomeNewBlock', Parameters: {} })).toEqual(['Parameters: "Value" is required']);
+    });
+
+    test('should be applied by FlowValidator and TemplateRenderer', () => {
+        const flow = {
+            name: 'BrokenFlow',
+            type: 'CONTACT_FLOW',
+            content: {
+                StartAction: 'queue',
+                Actions: [{ Identifier: 'queue', Type: 'UpdateContactTargetQueue', Parameters: {} }]
+            }
+        };
+
+        const validator = new FlowValidator();
+        validator.validateActionParameters(flow, 'BrokenFlow');
+        expect(validator.errors).toEqual([
+            'Flow BrokenFlow action queue (UpdateContactTargetQueue): Parameters: "QueueId" is required'
+        ]);
+
+        const renderer = new TemplateRenderer({ tokens: {} });
+        expect(() => renderer.validateRenderedFlow(flow, 'BrokenFlow'))
+            .toThrow('Action queue (UpdateContactTargetQueue): Parameters: "QueueId" is required');
+    });
+});
@@ -0,0 +1,188 @@
+const { FlowBackup } = require('../scripts/backup-current-flows');
+const ConnectFlowExporter = require('../scripts/export');
+const { buildRouterContent } = require('../scripts/blue-green-controller');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Flow Backup and Rollback', () => {
+    const testOutputDir = path.join(__dirname, 'temp-backup');
+    const renderedDir = path.join(testOutputDir, 'dist', 'prod');
+    const instanceId = '87654321-4321-8765-4321-876543218765';
+    const envConfig = { connect: { instance_id: instanceId, region: 'us-east-1' } };
+
+    const salesV1 = { Version: '2019-10-30', StartAction: 'a', Actions: [{ Identifier: 'a', Type: 'DisconnectParticipant', Parameters: {}, Transitions: {} }] };
+    const salesV2 = { ...salesV1, Metadata: { entryPointPosition: { x: 10, y: 10 } } };
+
+    // In-memory Connect instance; updateContactFlowContent can be told to corrupt the stored content
+    function createFakeConnect({ corruptUpdates = false } = {}) {
+        const respond = (value) => ({ promise: () => Promise.resolve(value) });
+        const flows = new Map([
+            ['flow-1', { Id: 'flow-1', Arn: 'arn:flow-1', Name: 'SalesEntry', Type: 'CONTACT_FLOW', Content: JSON.stringify(salesV1), Tags: { ReleaseTag: 'release-20261001-aaa' } }],
+            ['flow-2', { Id: 'flow-2', Arn: 'arn:flow-2', Name: 'Support', Type: 'CONTACT_FLOW', Content: JSON.stringify(salesV1), Description: 'Deployed via CDK - Release: release-20261001-aaa' }],
+            ['flow-3', { Id: 'flow-3', Arn: 'arn:flow-3', Name: 'Unmanaged', Type: 'CONTACT_FLOW', Content: '{}' }]
+        ]);
+
+        return {
+            flows,
+            listContactFlows: jest.fn(() => respond({
+                ContactFlowSummaryList: Array.from(flows.values()).map(({ Id, Arn, Name }) => ({ Id, Arn, Name }))
+            })),
+            describeContactFlow: jest.fn(({ ContactFlowId }) => respond({ ContactFlow: { ...flows.get(ContactFlowId) } })),
+            updateContactFlowContent: jest.fn(({ ContactFlowId, Content }) => {
+                flows.get(ContactFlowId).Content = corruptUpdates ? '{"Version":"2019-10-30"}' : Content;
+                return respond({});
+            })
+        };
+    }
+
+    function createBackup(connect, clock = () => new Date('2026-10-18T03:04:05.678Z'), flows) {
+        return new FlowBackup(envConfig, {
+            environment: 'prod',
+            flows,
+            exporter: new ConnectFlowExporter('us-east-1', { connect }),
+            backupDir: path.join(testOutputDir, 'backup'),
+            clock
+        });
+    }
+
+    beforeEach(async () => {
+        await fs.outputJson(path.join(renderedDir, 'SalesEntry.json'), { name: 'SalesEntry', content: salesV2 });
+        await fs.outputJson(path.join(renderedDir, 'Support.json'), { name: 'Support', content: salesV1 });
+        await fs.outputJson(path.join(renderedDir, 'NotDeployed.json'), { name: 'NotDeployed', content: salesV1 });
+    });
+
+    afterEach(async () => {
+        await fs.remove(testOutputDir);
+    });
+
+    test('should snapshot managed flows into a timestamped, release-tagged backup', async () => {
+        const connect = createFakeConnect();
+        const backup = createBackup(connect);
+
+        const flows = await backup.findManagedFlows(renderedDir);
+        const manifest = await backup.backup(flows, { nextReleaseTag: 'release-20261018-bbb', gitSha: 'bbb' });
+
+        expect(flows.map(flow => flow.Name)).toEqual(['SalesEntry', 'Support']);
+        expect(manifest).toMatchObject({
+            backupId: '20261018T030405Z_release-20261001-aaa',
+            environment: 'prod',
+            instanceId,
+            releaseTag: 'release-20261001-aaa',
+            nextReleaseTag: 'release-20261018-bbb',
+            gitSha: 'bbb'
+        });
+        expect(manifest.flows.map(({ name, flowId, releaseTag, file }) => ({ name, flowId, releaseTag, file }))).toEqual([
+            { name: 'SalesEntry', flowId: 'flow-1', releaseTag: 'release-20261001-aaa', file: path.join('flows', 'SalesEntry.json') },
+            { name: 'Support', flowId: 'flow-2', releaseTag: 'release-20261001-aaa', file: path.join('flows', 'Support.json') }
+        ]);
+
+        const saved = await fs.readJson(path.join(testOutputDir, 'backup', 'prod', manifest.backupId, 'manifest.json'));
+        expect(saved.flows).toHaveLength(2);
+        expect(await fs.readJson(path.join(manifest.path, 'flows', 'SalesEntry.json'))).toEqual(salesV1);
+    });
+
+    test('should back up blue/green entry flows, the versions they route to and recorded flows', async () => {
+        const connect = createFakeConnect();
+        const add = (id, Name, Content = JSON.stringify(salesV1)) => connect.flows.set(id, { Id: id, Arn: `arn:${id}`, Name, Type: 'CONTACT_FLOW', Content });
+        connect.flows.clear();
+        add('flow-10', 'SalesEntry-release-20261001-aaa');
+        add('flow-11', 'SalesEntry-release-20261015-bbb');
+        add('flow-12', 'SalesEntry-entry', JSON.stringify(buildRouterContent({ blue: 'arn:flow-10', green: 'arn:flow-11', percentage: 5 })));
+        add('flow-20', 'Support-release-20261001-aaa');
+        const backup = createBackup(connect, undefined, { Support: { flowId: 'flow-20', arn: 'arn:flow-20' } });
+
+        const flows = await backup.findManagedFlows(renderedDir);
+        const manifest = await backup.backup(flows);
+
+        expect(flows.map(flow => flow.Name)).toEqual([
+            'SalesEntry-entry',
+            'SalesEntry-release-20261001-aaa',
+            'SalesEntry-release-20261015-bbb',
+            'Support-release-20261001-aaa'
+        ]);
+        expect(manifest.flows).toHaveLength(4);
+    });
+
+    test('should refuse to write an empty backup unless allowed', async () => {
+        const connect = createFakeConnect();
+        connect.flows.clear();
+        const backup = createBackup(connect);
+
+        const flows = await backup.findManagedFlows(renderedDir);
+
+        await expect(backup.backup(flows)).rejects.toThrow(`No managed flows found in instance ${instanceId}`);
+        expect((await backup.backup(flows, { allowEmpty: true })).flows).toEqual([]);
+    });
+
+    test('should restore a backup by release tag and verify the live content', async () => {
+        const connect = createFakeConnect();
+        const backup = createBackup(connect);
+        await backup.backup(await backup.findManagedFlows(renderedDir));
+
+        // A deployment changes SalesEntry after the backup
+        connect.flows.get('flow-1').Content = JSON.stringify(salesV2);
+
+        const result = await backup.rollback('release-20261001-aaa');
+
+        expect(result).toEqual({
+            backupId: '20261018T030405Z_release-20261001-aaa',
+            success: true,
+            flows: [
+                { name: 'SalesEntry', status: 'restored' },
+                { name: 'Support', status: 'unchanged' }
+            ]
+        });
+        expect(connect.updateContactFlowContent).toHaveBeenCalledTimes(1);
+        expect(connect.updateContactFlowContent).toHaveBeenCalledWith({
+            InstanceId: instanceId,
+            ContactFlowId: 'flow-1',
+            Content: JSON.stringify(salesV1)
+        });
+        expect(JSON.parse(connect.flows.get('flow-1').Content)).toEqual(salesV1);
+    });
+
+    test('should pick the newest backup of a release and find backups by id', async () => {
+        const connect = createFakeConnect();
+        const flows = [{ Id: 'flow-1', Name: 'SalesEntry' }];
+        await createBackup(connect, () => new Date('2026-10-17T00:00:00Z')).backup(flows);
+        await createBackup(connect, () => new Date('2026-10-18T00:00:00Z')).backup(flows);
+
+        const backup = createBackup(connect);
+        expect((await backup.findBackup('release-20261001-aaa')).backupId).toBe('20261018T000000Z_release-20261001-aaa');
+        expect((await backup.findBackup('20261017T000000Z_release-20261001-aaa')).createdAt).toBe('2026-10-17T00:00:00.000Z');
+        await expect(backup.findBackup('release-19990101-zzz')).rejects.toThrow('No backup found for release-19990101-zzz');
+    });
+
+    test('should report flows whose restored content does not verify', async () => {
+        const connect = createFakeConnect({ corruptUpdates: true });
+        const backup = createBackup(connect);
+        const manifest = await backup.backup([{ Id: 'flow-1', Name: 'SalesEntry' }]);
+        connect.flows.get('flow-1').Content = JSON.stringify(salesV2);
+
+        const result = await backup.rollback(manifest.backupId);
+
+        expect(result.success).toBe(false);
+        expect(result.flows).toEqual([
+            { name: 'SalesEntry', status: 'failed', error: 'Live content differs from the backup after restore' }
+        ]);
+    });
+
+    test('should refuse tampered backups and backups of another instance', async () => {
+        const connect = createFakeConnect();
+        const backup = createBackup(connect);
+        const manifest = await backup.backup([{ Id: 'flow-1', Name: 'SalesEntry' }]);
+        connect.flows.get('flow-1').Content = JSON.stringify(salesV2);
+
+        await fs.outputJson(path.join(manifest.path, 'flows', 'SalesEntry.json'), salesV2);
+        const result = await backup.rollback(manifest.backupId);
+        expect(result.flows[0]).toMatchObject({ status: 'failed', error: expect.stringContaining('does not match its manifest checksum') });
+        expect(connect.updateContactFlowContent).not.toHaveBeenCalled();
+
+        const other = new FlowBackup({ connect: { instance_id: 'other-instance' } }, {
+            environment: 'prod',
+            exporter: new ConnectFlowExporter('us-east-1', { connect }),
+            backupDir: path.join(testOutputDir, 'backup')
+        });
+        await expect(other.rollback(manifest.backupId)).rejects.toThrow(`belongs to instance ${instanceId}`);
+    });
+});
@@ -36,7 +36,7 @@ describe('Basic Functionality Tests', () => {
         const template = '{"message": "${Test.Value}"}';
         const result = renderer.render(template);
 
-        expect(result).toBe('{"message": "hello-world"}');
+        expect(JSON.parse(result)).toEqual({ message: 'hello-world' });
     });
 
     test('Flow normalization basic test', () => {
@@ -0,0 +1,279 @@
+const {
+    BlueGreenController,
+    createHealthCheck,
+    buildRouterContent,
+    parseRouterContent
+} = require('../scripts/blue-green-controller');
+const ConnectFlowExporter = require('../scripts/export');
+const { ActionSchemaRegistry } = require('../scripts/action-schemas');
+const { DeploymentStateStore } = require('../scripts/deployment-state');
+
+describe('Blue/Green Controller', () => {
+    const instanceId = '87654321-4321-8765-4321-876543218765';
+    const arn = (id) => `arn:aws:connect:us-east-1:234567890123:instance/${instanceId}/contact-flow/${id}`;
+
+    const envConfig = {
+        connect: { instance_id: instanceId, region: 'us-east-1' },
+        deployment: {
+            rollback_enabled: true,
+            health_check_duration: 300,
+            health_check_interval: 60,
+            canary_percentage: 5,
+            traffic_steps: [50],
+            full_deployment_delay: 1800
+        }
+    };
+
+    // In-memory Connect instance holding flows by id
+    function createFakeConnect(initialFlows = []) {
+        const flows = new Map();
+        let nextId = 1;
+        const respond = (value) => ({ promise: () => Promise.resolve(value) });
+        const add = ({ Name, Content, State = 'ACTIVE' }) => {
+            const id = `flow-${nextId++}`;
+            flows.set(id, { Id: id, Arn: arn(id), Name, Content, ContactFlowState: State });
+            return flows.get(id);
+        };
+        initialFlows.forEach(add);
+
+        return {
+            flows,
+            add,
+            byName: (name) => Array.from(flows.values()).find(flow => flow.Name === name),
+            listContactFlows: jest.fn(() => respond({
+                ContactFlowSummaryList: Array.from(flows.values()).map(({ Id, Arn, Name, ContactFlowState }) => ({ Id, Arn, Name, ContactFlowState }))
+            })),
+            describeContactFlow: jest.fn(({ ContactFlowId }) => respond({ ContactFlow: flows.get(ContactFlowId) })),
+            createContactFlow: jest.fn(({ Name, Content }) => {
+                const flow = add({ Name, Content });
+                return respond({ ContactFlowId: flow.Id, ContactFlowArn: flow.Arn });
+            }),
+            updateContactFlowContent: jest.fn(({ ContactFlowId, Content }) => {
+                flows.get(ContactFlowId).Content = Content;
+                return respond({});
+            }),
+            updateContactFlowMetadata: jest.fn(({ ContactFlowId, ContactFlowState }) => {
+                flows.get(ContactFlowId).ContactFlowState = ContactFlowState;
+                return respond({});
+            })
+        };
+    }
+
+    // Deployment state kept in memory
+    async function createStateStore() {
+        const backend = { describe: () => 'memory', read: async () => null, write: jest.fn(async () => {}) };
+        const store = new DeploymentStateStore(backend, { instanceId, clock: () => new Date('2026-10-16T00:00:00Z') });
+        await store.load();
+        return store;
+    }
+
+    // Fake clock advanced by the injected sleep
+    function createController(connect, options = {}) {
+        let now = 0;
+        const sleep = jest.fn(async (ms) => { now += ms; });
+        const controller = new BlueGreenController(options.envConfig || envConfig, {
+            exporter: new ConnectFlowExporter('us-east-1', { connect }),
+            clock: () => now,
+            sleep,
+            healthCheck: options.healthCheck,
+            stateStore: options.stateStore
+        });
+        return { controller, sleep };
+    }
+
+    const routerOf = (connect, name = 'Sales-entry') => parseRouterContent(JSON.parse(connect.byName(name).Content));
+
+    test('should build entry flows that pass schema validation and read back', () => {
+        const registry = new ActionSchemaRegistry();
+        const split = buildRouterContent({ blue: 'arn:blue', green: 'arn:green', percentage: 20 });
+
+        expect(registry.validateFlow(split)).toEqual({ errors: [], unknownTypes: [] });
+        expect(split.Actions[0].Transitions.Conditions[0].Condition.Operands).toEqual(['20']);
+        expect(parseRouterContent(split)).toEqual({ blue: 'arn:blue', green: 'arn:green', percentage: 20 });
+        expect(parseRouterContent(buildRouterContent({ blue: 'arn:blue', green: 'arn:green', percentage: 100 })))
+            .toEqual({ blue: null, green: 'arn:green', percentage: 100 });
+        expect(parseRouterContent(buildRouterContent({ blue: 'arn:blue', green: null, percentage: 0 })))
+            .toEqual({ blue: 'arn:blue', green: null, percentage: 0 });
+    });
+
+    test('should create the entry flow on the first deployment', async () => {
+        const connect = createFakeConnect([{ Name: 'Sales-release-20261001-aaa' }]);
+        const { controller } = createController(connect);
+
+        const result = await controller.rollout('Sales', 'release-20261001-aaa');
+
+        expect(result).toMatchObject({ status: 'promoted', percentage: 100 });
+        expect(routerOf(connect)).toEqual({ blue: null, green: connect.byName('Sales-release-20261001-aaa').Arn, percentage: 100 });
+    });
+
+    test('should shift traffic in stages, hold for the configured delays and archive old versions', async () => {
+        const connect = createFakeConnect([
+            { Name: 'Sales-release-20260901-old', State: 'ARCHIVED' },
+            { Name: 'Sales-release-20261001-aaa' },
+            { Name: 'Sales-release-20261015-bbb' }
+        ]);
+        const blue = connect.byName('Sales-release-20261001-aaa');
+        const green = connect.byName('Sales-release-20261015-bbb');
+        connect.add({ Name: 'Sales-entry', Content: JSON.stringify(buildRouterContent({ blue: null, green: blue.Arn, percentage: 100 })) });
+
+        const splits = [];
+        const healthCheck = jest.fn(async ({ percentage }) => {
+            splits.push(routerOf(connect).percentage);
+            return { healthy: true, percentage };
+        });
+        const { controller, sleep } = createController(connect, { healthCheck });
+
+        const result = await controller.rollout('Sales', 'release-20261015-bbb');
+
+        expect(result).toEqual({
+            flowName: 'Sales',
+            status: 'promoted',
+            percentage: 100,
+            stages: [5, 50, 100],
+            archived: ['Sales-release-20261001-aaa']
+        });
+        expect(routerOf(connect)).toEqual({ blue: null, green: green.Arn, percentage: 100 });
+        expect(blue.ContactFlowState).toBe('ARCHIVED');
+        expect(green.ContactFlowState).toBe('ACTIVE');
+
+        // 5% held for health_check_duration, 50% held until full_deployment_delay since the canary
+        const total = sleep.mock.calls.reduce((sum, [ms]) => sum + ms, 0);
+        expect(total).toBe(1800 * 1000);
+        expect(new Set(splits)).toEqual(new Set([5, 50]));
+        expect(healthCheck).toHaveBeenCalledWith({ flowName: 'Sales', percentage: 5, environment: undefined });
+    });
+
+    test('should roll back automatically when the health signal fails', async () => {
+        const connect = createFakeConnect([{ Name: 'Sales-release-20261001-aaa' }, { Name: 'Sales-release-20261015-bbb' }]);
+        const blue = connect.byName('Sales-release-20261001-aaa');
+        connect.add({ Name: 'Sales-entry', Content: JSON.stringify(buildRouterContent({ blue: null, green: blue.Arn, percentage: 100 })) });
+
+        const healthCheck = async ({ percentage }) => percentage >= 50 ? { healthy: false, reason: 'error rate 12%' } : { healthy: true };
+        const { controller } = createController(connect, { healthCheck });
+
+        const result = await controller.rollout('Sales', 'release-20261015-bbb');
+
+        expect(result).toMatchObject({ status: 'rolled-back', percentage: 0, stages: [5, 50], reason: 'error rate 12%' });
+        expect(routerOf(connect)).toEqual({ blue: blue.Arn, green: null, percentage: 0 });
+        expect(connect.updateContactFlowMetadata).not.toHaveBeenCalled();
+    });
+
+    test('should hold the split when rollback is disabled and treat health check errors as unhealthy', async () => {
+        const connect = createFakeConnect([{ Name: 'Sales-release-20261001-aaa' }, { Name: 'Sales-release-20261015-bbb' }]);
+        connect.add({
+            Name: 'Sales-entry',
+            Content: JSON.stringify(buildRouterContent({ blue: null, green: connect.byName('Sales-release-20261001-aaa').Arn, percentage: 100 }))
+        });
+
+        const { controller } = createController(connect, {
+            envConfig: { ...envConfig, deployment: { ...envConfig.deployment, rollback_enabled: false } },
+            healthCheck: async () => { throw new Error('metrics unavailable'); }
+        });
+
+        const result = await controller.rollout('Sales', 'release-20261015-bbb');
+
+        expect(result).toMatchObject({ status: 'halted', percentage: 5, reason: 'Health check failed: metrics unavailable' });
+        expect(routerOf(connect).percentage).toBe(5);
+    });
+
+    test('should leave sibling flows sharing the name prefix alone', async () => {
+        const connect = createFakeConnect([
+            { Name: 'Sales-release-20261001-aaa' },
+            { Name: 'Sales-release-20261015-bbb' },
+            { Name: 'Sales-Escalation' },
+            { Name: 'Sales-Escalation-release-20261001-ccc' }
+        ]);
+        connect.add({ Name: 'Sales-entry', Content: JSON.stringify(buildRouterContent({ blue: null, green: connect.byName('Sales-release-20261001-aaa').Arn, percentage: 100 })) });
+        const { controller } = createController(connect, { healthCheck: async () => ({ healthy: true }) });
+
+        const result = await controller.rollout('Sales', 'release-20261015-bbb');
+
+        expect(result.archived).toEqual(['Sales-release-20261001-aaa']);
+        expect(connect.byName('Sales-Escalation').ContactFlowState).toBe('ACTIVE');
+        expect(connect.byName('Sales-Escalation-release-20261001-ccc').ContactFlowState).toBe('ACTIVE');
+    });
+
+    test('should roll back a promoted flow to the previous version and restore it', async () => {
+        const connect = createFakeConnect([
+            { Name: 'Sales-release-20261001-aaa', State: 'ARCHIVED' },
+            { Name: 'Sales-release-20261015-bbb' }
+        ]);
+        const previous = connect.byName('Sales-release-20261001-aaa');
+        const current = connect.byName('Sales-release-20261015-bbb');
+        connect.add({
+            Name: 'Sales-entry',
+            Content: JSON.stringify(buildRouterContent({ blue: null, green: current.Arn, percentage: 100 }))
+        });
+        const stateStore = await createStateStore();
+        stateStore.recordRelease('Sales', { name: previous.Name, arn: previous.Arn });
+        stateStore.recordRelease('Sales', { name: current.Name, arn: current.Arn });
+        const { controller } = createController(connect, { stateStore });
+
+        const result = await controller.rollback('Sales');
+
+        expect(result).toMatchObject({ status: 'rolled-back', blue: previous.Arn });
+        expect(previous.ContactFlowState).toBe('ACTIVE');
+        expect(routerOf(connect)).toEqual({ blue: previous.Arn, green: null, percentage: 0 });
+        expect(stateStore.getReleases('Sales').map(release => release.name)).toEqual([previous.Name]);
+    });
+
+    test('should roll back in promotion order rather than name order for same-day releases', async () => {
+        const connect = createFakeConnect([{ Name: 'Sales-release-20261015-fff' }, { Name: 'Sales-release-20261015-111' }]);
+        const first = connect.byName('Sales-release-20261015-fff');
+        const second = connect.byName('Sales-release-20261015-111');
+        const stateStore = await createStateStore();
+        const { controller } = createController(connect, { stateStore, healthCheck: async () => ({ healthy: true }) });
+
+        await controller.rollout('Sales', 'release-20261015-fff');
+        await controller.rollout('Sales', 'release-20261015-111');
+
+        expect(stateStore.getReleases('Sales')).toEqual([
+            { name: first.Name, arn: first.Arn, releaseTag: 'release-20261015-fff', promotedAt: '2026-10-16T00:00:00.000Z' },
+            { name: second.Name, arn: second.Arn, releaseTag: 'release-20261015-111', promotedAt: '2026-10-16T00:00:00.000Z' }
+        ]);
+        expect(first.ContactFlowState).toBe('ARCHIVED');
+
+        const result = await controller.rollback('Sales');
+
+        expect(result.blue).toBe(first.Arn);
+        expect(first.ContactFlowState).toBe('ACTIVE');
+    });
+
+    test('should require --to when no release history is recorded', async () => {
+        const connect = createFakeConnect([{ Name: 'Sales-release-20261001-aaa' }, { Name: 'Sales-release-20261015-bbb' }]);
+        const previous = connect.byName('Sales-release-20261001-aaa');
+        connect.add({
+            Name: 'Sales-entry',
+            Content: JSON.stringify(buildRouterContent({ blue: null, green: connect.byName('Sales-release-20261015-bbb').Arn, percentage: 100 }))
+        });
+        const { controller } = createController(connect);
+
+        await expect(controller.rollback('Sales')).rejects.toThrow('no release history recorded; use --to');
+        await expect(controller.rollback('Sales', { to: previous.Name })).resolves.toMatchObject({ blue: previous.Arn });
+    });
+
+    test('should reject invalid steps and missing versions', async () => {
+        const connect = createFakeConnect([{ Name: 'Sales-release-20261001-aaa' }]);
+        const { controller } = createController(connect);
+
+        expect(controller.getStages()).toEqual([5, 50, 100]);
+        expect(controller.getStages([20, 10])).toEqual([10, 20, 100]);
+        expect(() => controller.getStages([0])).toThrow('Invalid traffic step: 0');
+        await expect(controller.rollout('Sales', 'release-missing')).rejects.toThrow('New flow version not found: Sales-release-missing');
+        await expect(controller.rollback('Sales')).rejects.toThrow('Entry flow not found: Sales-entry');
+    });
+
+    test('should report firing CloudWatch alarms as unhealthy', async () => {
+        const cloudwatch = {
+            describeAlarms: jest.fn(() => ({
+                promise: () => Promise.resolve({ MetricAlarms: [{ AlarmName: 'connect-prod-errors' }], CompositeAlarms: [] })
+            }))
+        };
+        const healthCheck = createHealthCheck({ type: 'cloudwatch-alarms', alarm_prefix: 'connect-prod-' }, { cloudwatch });
+
+        expect(await healthCheck.check()).toEqual({ healthy: false, reason: 'Alarm(s) firing: connect-prod-errors' });
+        expect(cloudwatch.describeAlarms).toHaveBeenCalledWith({ StateValue: 'ALARM', AlarmNamePrefix: 'connect-prod-' });
+        expect(() => createHealthCheck({ type: 'cloudwatch-alarms' }, { cloudwatch })).toThrow('requires alarm_names or alarm_prefix');
+        expect(() => createHealthCheck({ type: 'pagerduty' })).toThrow('Unsupported health check type: pagerduty');
+    });
+});
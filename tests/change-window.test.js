@@ -0,0 +1,178 @@
+const { ChangeWindow } = require('../scripts/check-change-window');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Change Window', () => {
+    const testOutputDir = path.join(__dirname, 'temp-change-window');
+    const auditLog = path.join(testOutputDir, 'audit.jsonl');
+
+    const prodWindow = {
+        timezone: 'Asia/Tokyo',
+        blocked_hours: [
+            { start: '09:00', end: '18:00', days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'] }
+        ],
+        audit_log: auditLog
+    };
+
+    // 2026-10-19 is a Monday
+    const at = (iso) => () => new Date(iso);
+
+    afterEach(async () => {
+        await fs.remove(testOutputDir);
+    });
+
+    test('should block weekday business hours in the configured timezone', () => {
+        const blocked = new ChangeWindow(prodWindow, { clock: at('2026-10-19T03:00:00Z') }).evaluate();
+        expect(blocked).toMatchObject({
+            allowed: false,
+            localTime: '2026-10-19 12:00 Asia/Tokyo',
+            window: '09:00-18:00 monday,tuesday,wednesday,thursday,friday'
+        });
+
+        // 08:59 and 18:00 JST are outside the window
+        expect(new ChangeWindow(prodWindow, { clock: at('2026-10-18T23:59:00Z') }).evaluate().allowed).toBe(true);
+        expect(new ChangeWindow(prodWindow, { clock: at('2026-10-19T09:00:00Z') }).evaluate().allowed).toBe(true);
+
+        // Saturday noon JST
+        expect(new ChangeWindow(prodWindow, { clock: at('2026-10-24T03:00:00Z') }).evaluate().allowed).toBe(true);
+
+        // Monday 12:00 UTC is Monday 21:00 JST, but inside the window when evaluated in UTC
+        expect(new ChangeWindow({ ...prodWindow, timezone: 'UTC' }, { clock: at('2026-10-19T12:00:00Z') }).evaluate().allowed).toBe(false);
+    });
+
+    test('should handle windows that cross midnight', () => {
+        const overnight = { timezone: 'Asia/Tokyo', blocked_hours: [{ start: '22:00', end: '02:00', days: ['friday'] }] };
+
+        // Friday 23:00 JST and Saturday 01:00 JST are blocked, Saturday 02:00 is not
+        expect(new ChangeWindow(overnight, { clock: at('2026-10-23T14:00:00Z') }).evaluate().allowed).toBe(false);
+        expect(new ChangeWindow(overnight, { clock: at('2026-10-23T16:00:00Z') }).evaluate().allowed).toBe(false);
+        expect(new ChangeWindow(overnight, { clock: at('2026-10-23T17:00:00Z') }).evaluate().allowed).toBe(true);
+        // Thursday 01:00 JST follows Wednesday, which has no window
+        expect(new ChangeWindow(overnight, { clock: at('2026-10-21T16:00:00Z') }).evaluate().allowed).toBe(true);
+    });
+
+    test('should reject invalid configuration', () => {
+        expect(() => new ChangeWindow({ blocked_hours: [{ start: '9am', end: '18:00' }] })).toThrow('Invalid blocked_hours start');
+        expect(() => new ChangeWindow({ blocked_hours: [{ start: '22:00', end: '24:30' }] })).toThrow('Invalid blocked_hours end: 24:30');
+        expect(() => new ChangeWindow({ blocked_hours: [{ start: '22:00', end: '24:00' }] })).not.toThrow();
+        expect(() => new ChangeWindow({ blocked_hours: [{ start: '09:00', end: '18:00', days: ['funday'] }] })).toThrow('Invalid blocked_hours day');
+        expect(() => new ChangeWindow({ timezone: 'Mars/Olympus' })).toThrow();
+        expect(() => new ChangeWindow({ holidays: { mode: 'sometimes' } })).toThrow('Invalid holidays.mode');
+    });
+
+    describe('holidays', () => {
+        test('should block a whole holiday by default', () => {
+            const changeWindow = new ChangeWindow({
+                ...prodWindow,
+                holidays: { dates: [{ date: '2026-10-24', name: 'Maintenance freeze' }] }
+            }, { clock: at('2026-10-23T20:00:00Z') });
+
+            expect(changeWindow.evaluate()).toMatchObject({
+                allowed: false,
+                holiday: 'Maintenance freeze',
+                reason: '2026-10-24 is a holiday (Maintenance freeze)'
+            });
+        });
+
+        test('should lift blocked hours on holidays in open mode', () => {
+            const changeWindow = new ChangeWindow({
+                ...prodWindow,
+                holidays: { mode: 'open', dates: ['2026-11-03'] }
+            }, { clock: at('2026-11-03T03:00:00Z') });
+
+            expect(changeWindow.evaluate()).toMatchObject({ allowed: true, holiday: 'holiday' });
+        });
+
+        test('should load ICS and YAML calendars', async () => {
+            await fs.outputFile(path.join(testOutputDir, 'holidays.ics'), [
+                'BEGIN:VCALENDAR',
+                'BEGIN:VEVENT',
+                'DTSTART;VALUE=DATE:20261231',
+                'DTEND;VALUE=DATE:20270104',
+                'SUMMARY:Year-end\\, New Year',
+                '  freeze',
+                'END:VEVENT',
+                'BEGIN:VEVENT',
+                'DTSTART;VALUE=DATE:20261103',
+                'SUMMARY:Culture Day',
+                'END:VEVENT',
+                'END:VCALENDAR'
+            ].join('\r\n'));
+            await fs.outputFile(path.join(testOutputDir, 'holidays.yaml'), '- date: "2026-11-23"\n  name: Labor Thanksgiving Day\n- "2026-12-25"\n');
+
+            const changeWindow = await new ChangeWindow({
+                ...prodWindow,
+                holidays: { calendars: ['holidays.ics', 'holidays.yaml'] }
+            }, { baseDir: testOutputDir }).loadCalendars();
+
+            expect(Array.from(changeWindow.holidays.entries())).toEqual([
+                ['2026-12-31', 'Year-end, New Year freeze'],
+                ['2027-01-01', 'Year-end, New Year freeze'],
+                ['2027-01-02', 'Year-end, New Year freeze'],
+                ['2027-01-03', 'Year-end, New Year freeze'],
+                ['2026-11-03', 'Culture Day'],
+                ['2026-11-23', 'Labor Thanksgiving Day'],
+                ['2026-12-25', 'holiday']
+            ]);
+        });
+    });
+
+    describe('emergency override', () => {
+        const blockedClock = at('2026-10-19T03:00:00Z');
+
+        test('should throw when blocked without an override', async () => {
+            await expect(new ChangeWindow(prodWindow, { clock: blockedClock }).enforce())
+                .rejects.toThrow('Deployment blocked by change window: 2026-10-19 12:00 Asia/Tokyo is inside blocked window');
+        });
+
+        test('should require a reason', async () => {
+            await expect(new ChangeWindow(prodWindow, { clock: blockedClock }).enforce({ overrideReason: '  ' }))
+                .rejects.toThrow('Emergency override requires a reason');
+            await expect(new ChangeWindow({ ...prodWindow, emergency_override: true }, { clock: blockedClock }).enforce())
+                .rejects.toThrow('change_window.emergency_override requires a reason');
+        });
+
+        test('should allow and audit an override with a reason', async () => {
+            const changeWindow = new ChangeWindow(prodWindow, { clock: blockedClock, actor: 'oncall' });
+
+            const result = await changeWindow.enforce({ overrideReason: 'INC-42 queue outage', environment: 'prod' });
+
+            expect(result.allowed).toBe(true);
+            const entries = (await fs.readFile(auditLog, 'utf8')).trim().split('\n').map(JSON.parse);
+            expect(entries).toEqual([{
+                timestamp: '2026-10-19T03:00:00.000Z',
+                environment: 'prod',
+                actor: 'oncall',
+                reason: 'INC-42 queue outage',
+                blockedBy: '2026-10-19 12:00 Asia/Tokyo is inside blocked window 09:00-18:00 monday,tuesday,wednesday,thursday,friday',
+                source: 'cli'
+            }]);
+        });
+
+        test('should honour a committed override until it expires', async () => {
+            const config = {
+                ...prodWindow,
+                emergency_override: { reason: 'Carrier cutover', requested_by: 'ops-lead', expires: '2026-10-19T06:00:00Z' }
+            };
+
+            const result = await new ChangeWindow(config, { clock: blockedClock }).enforce();
+            expect(result.override).toMatchObject({ actor: 'ops-lead', reason: 'Carrier cutover', source: 'config' });
+
+            await expect(new ChangeWindow(config, { clock: at('2026-10-19T07:00:00Z') }).enforce())
+                .rejects.toThrow('Deployment blocked by change window');
+        });
+
+        test('should not audit when the window is open', async () => {
+            await new ChangeWindow(prodWindow, { clock: at('2026-10-24T03:00:00Z') }).enforce({ overrideReason: 'not needed' });
+
+            expect(await fs.pathExists(auditLog)).toBe(false);
+        });
+    });
+
+    test('should accept the repository prod configuration', async () => {
+        const envConfig = require('yaml').parse(await fs.readFile(path.join(__dirname, '..', 'env', 'prod.yaml'), 'utf8'));
+        const changeWindow = await new ChangeWindow(envConfig.change_window, { clock: at('2026-10-19T03:00:00Z') }).loadCalendars();
+
+        expect(changeWindow.evaluate().allowed).toBe(false);
+    });
+});
@@ -0,0 +1,309 @@
+const { ConnectFlowHandler, permissionStatementId } = require('../cdk/lib/connect-flow-handler');
+
+describe('Connect Flow Handler', () => {
+    const instanceId = '87654321-4321-8765-4321-876543218765';
+    const instanceArn = `arn:aws:connect:us-east-1:123456789012:instance/${instanceId}`;
+    const lambdaArn = 'arn:aws:lambda:us-east-1:123456789012:function:connect-test-handler:LIVE';
+    const functionArn = 'arn:aws:lambda:us-east-1:123456789012:function:connect-test-handler';
+    const flowContent = JSON.stringify({ Version: '2019-10-30', StartAction: 'a', Actions: [] });
+    const properties = {
+        ResourceKind: 'FLOW',
+        FlowName: 'SalesEntry',
+        FlowType: 'CONTACT_FLOW',
+        FlowContent: flowContent,
+        InstanceId: instanceId,
+        InstanceArn: instanceArn,
+        LambdaArns: [lambdaArn],
+        ReleaseTag: 'release-20261018-abc1234',
+        BlueGreenDeployment: 'false',
+        ExistingFlowId: '',
+        TolerateLambdaPermissionErrors: []
+    };
+    const statementId = `connect-${instanceId}-flow-SalesEntry`;
+
+    const notFound = () => Object.assign(new Error('Not found'), { code: 'ResourceNotFoundException' });
+    const respond = (fn) => jest.fn((params) => ({ promise: () => Promise.resolve().then(() => fn(params)) }));
+
+    // In-memory instance (flows by ID) and Lambda resource policies (statements by function:qualifier)
+    function createFakeClients({ flows = [], statements = {}, denyAddPermission = false } = {}) {
+        const flowsById = new Map(flows.map(flow => [flow.Id, flow]));
+        const policies = new Map(Object.entries(statements));
+        const policyKey = ({ FunctionName, Qualifier }) => `${FunctionName}:${Qualifier}`;
+
+        const connect = {
+            flowsById,
+            listContactFlows: respond(() => ({ ContactFlowSummaryList: Array.from(flowsById.values()) })),
+            describeContactFlow: respond(({ ContactFlowId }) => {
+                if (!flowsById.has(ContactFlowId)) {
+                    throw notFound();
+                }
+                return { ContactFlow: flowsById.get(ContactFlowId) };
+            }),
+            createContactFlow: respond(({ Name, Type, Content }) => {
+                const id = `flow-${flowsById.size + 1}`;
+                flowsById.set(id, { Id: id, Arn: `${instanceArn}/contact-flow/${id}`, Name, Type, Content, State: 'ACTIVE' });
+                return { ContactFlowId: id, ContactFlowArn: `${instanceArn}/contact-flow/${id}` };
+            }),
+            updateContactFlowContent: respond(({ ContactFlowId, Content }) => {
+                flowsById.get(ContactFlowId).Content = Content;
+                return {};
+            })
+        };
+
+        const lambda = {
+            policies,
+            getPolicy: respond((params) => {
+                if (!policies.has(policyKey(params))) {
+                    throw notFound();
+                }
+                return { Policy: JSON.stringify({ Statement: policies.get(policyKey(params)) }) };
+            }),
+            addPermission: respond((params) => {
+                if (denyAddPermission) {
+                    throw Object.assign(new Error('Access denied'), { code: 'AccessDeniedException' });
+                }
+                const key = policyKey(params);
+                policies.set(key, [...(policies.get(key) || []), {
+                    Sid: params.StatementId,
+                    Condition: { ArnLike: { 'AWS:SourceArn': params.SourceArn } }
+                }]);
+                return {};
+            }),
+            removePermission: respond((params) => {
+                const remaining = (policies.get(policyKey(params)) || []).filter(statement => statement.Sid !== params.StatementId);
+                if (remaining.length === (policies.get(policyKey(params)) || []).length) {
+                    throw notFound();
+                }
+                policies.set(policyKey(params), remaining);
+                return {};
+            })
+        };
+
+        return { connect, lambda };
+    }
+
+    function sids(lambda) {
+        return (lambda.policies.get(`${functionArn}:LIVE`) || []).map(statement => statement.Sid);
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should create a flow with the stack environment and a single invoke permission', async () => {
+        const { connect, lambda } = createFakeClients({
+            statements: { [`${functionArn}:LIVE`]: [{ Sid: 'connect-invoke-1700000000000', Condition: { ArnLike: { 'AWS:SourceArn': instanceArn } } }] }
+        });
+        const handler = new ConnectFlowHandler({ connect, lambda, environment: 'test' });
+
+        const result = await handler.handle({ RequestType: 'Create', ResourceProperties: properties });
+        await handler.handle({ RequestType: 'Create', ResourceProperties: properties });
+
+        expect(result).toEqual({
+            Status: 'SUCCESS',
+            PhysicalResourceId: `${instanceArn}/contact-flow/flow-1`,
+            Data: { ContactFlowArn: `${instanceArn}/contact-flow/flow-1`, ContactFlowId: 'flow-1', FlowName: 'SalesEntry', Adopted: 'false' }
+        });
+        expect(connect.createContactFlow).toHaveBeenCalledTimes(1);
+        expect(connect.createContactFlow.mock.calls[0][0]).toMatchObject({
+            InstanceId: instanceId,
+            Name: 'SalesEntry',
+            Type: 'CONTACT_FLOW',
+            Content: flowContent,
+            Tags: { Environment: 'test', ReleaseTag: 'release-20261018-abc1234' }
+        });
+        expect(lambda.addPermission).toHaveBeenCalledTimes(1);
+        expect(lambda.addPermission).toHaveBeenCalledWith({
+            FunctionName: functionArn,
+            Qualifier: 'LIVE',
+            StatementId: statementId,
+            Action: 'lambda:InvokeFunction',
+            Principal: 'connect.amazonaws.com',
+            SourceArn: instanceArn
+        });
+        expect(sids(lambda)).toEqual([statementId]);
+    });
+
+    test('should adopt the recorded flow and refuse to change its type', async () => {
+        const flows = [{ Id: 'flow-recorded', Arn: `${instanceArn}/contact-flow/flow-recorded`, Name: 'SalesEntry', Type: 'CONTACT_FLOW' }];
+        const { connect, lambda } = createFakeClients({ flows });
+        const handler = new ConnectFlowHandler({ connect, lambda });
+
+        const result = await handler.handle({ RequestType: 'Create', ResourceProperties: { ...properties, ExistingFlowId: 'flow-recorded' } });
+
+        expect(result.Data).toMatchObject({ ContactFlowId: 'flow-recorded', Adopted: 'true' });
+        expect(connect.createContactFlow).not.toHaveBeenCalled();
+        expect(connect.flowsById.get('flow-recorded').Content).toBe(flowContent);
+
+        await expect(handler.handle({
+            RequestType: 'Create',
+            ResourceProperties: { ...properties, FlowType: 'CUSTOMER_QUEUE', ExistingFlowId: 'flow-recorded' }
+        })).rejects.toThrow('Contact flow SalesEntry is CONTACT_FLOW but the template declares CUSTOMER_QUEUE');
+    });
+
+    test('should update the flow in place and drop permissions of functions it no longer invokes', async () => {
+        const flows = [{ Id: 'flow-1', Arn: `${instanceArn}/contact-flow/flow-1`, Name: 'SalesEntry', Type: 'CONTACT_FLOW' }];
+        const { connect, lambda } = createFakeClients({ flows, statements: { [`${functionArn}:LIVE`]: [{ Sid: statementId }] } });
+        const handler = new ConnectFlowHandler({ connect, lambda });
+        const updatedContent = JSON.stringify({ Version: '2019-10-30', StartAction: 'b', Actions: [] });
+
+        const result = await handler.handle({
+            RequestType: 'Update',
+            PhysicalResourceId: `${instanceArn}/contact-flow/flow-1`,
+            ResourceProperties: { ...properties, FlowContent: updatedContent, LambdaArns: [] },
+            OldResourceProperties: properties
+        });
+
+        expect(result.PhysicalResourceId).toBe(`${instanceArn}/contact-flow/flow-1`);
+        expect(connect.flowsById.get('flow-1').Content).toBe(updatedContent);
+        expect(connect.createContactFlow).not.toHaveBeenCalled();
+        expect(sids(lambda)).toEqual([]);
+
+        await expect(handler.handle({
+            RequestType: 'Update',
+            PhysicalResourceId: `${instanceArn}/contact-flow/flow-1`,
+            ResourceProperties: { ...properties, FlowType: 'AGENT_WHISPER' },
+            OldResourceProperties: properties
+        })).rejects.toThrow('Amazon Connect cannot change the type of an existing flow');
+    });
+
+    test('should create a versioned flow on blue/green updates and keep it on delete', async () => {
+        const flows = [{ Id: 'flow-blue', Arn: `${instanceArn}/contact-flow/flow-blue`, Name: 'SalesEntry-release-1', Type: 'CONTACT_FLOW' }];
+        const { connect, lambda } = createFakeClients({ flows, statements: { [`${functionArn}:LIVE`]: [{ Sid: statementId }] } });
+        const handler = new ConnectFlowHandler({ connect, lambda });
+        const blueGreen = { ...properties, BlueGreenDeployment: 'true' };
+
+        const result = await handler.handle({
+            RequestType: 'Update',
+            PhysicalResourceId: `${instanceArn}/contact-flow/flow-blue`,
+            ResourceProperties: blueGreen,
+            OldResourceProperties: { ...blueGreen, ReleaseTag: 'release-1' }
+        });
+
+        expect(connect.createContactFlow).toHaveBeenCalledWith(expect.objectContaining({ Name: 'SalesEntry-release-20261018-abc1234' }));
+        expect(result.Data.ContactFlowId).toBe('flow-2');
+        expect(lambda.addPermission).not.toHaveBeenCalled();
+
+        await handler.handle({ RequestType: 'Delete', PhysicalResourceId: `${instanceArn}/contact-flow/flow-blue`, ResourceProperties: blueGreen });
+
+        expect(connect.flowsById.has('flow-blue')).toBe(true);
+        expect(sids(lambda)).toEqual([statementId]);
+    });
+
+    test('should keep permissions the previous version needs when a blue/green update drops a Lambda', async () => {
+        const flows = [{ Id: 'flow-blue', Arn: `${instanceArn}/contact-flow/flow-blue`, Name: 'SalesEntry-release-1', Type: 'CONTACT_FLOW' }];
+        const { connect, lambda } = createFakeClients({ flows, statements: { [`${functionArn}:LIVE`]: [{ Sid: statementId }] } });
+        const handler = new ConnectFlowHandler({ connect, lambda });
+        const blueGreen = { ...properties, BlueGreenDeployment: 'true' };
+
+        await handler.handle({
+            RequestType: 'Update',
+            PhysicalResourceId: `${instanceArn}/contact-flow/flow-blue`,
+            ResourceProperties: { ...blueGreen, LambdaArns: [] },
+            OldResourceProperties: { ...blueGreen, ReleaseTag: 'release-1' }
+        });
+
+        expect(connect.createContactFlow).toHaveBeenCalledTimes(1);
+        expect(lambda.removePermission).not.toHaveBeenCalled();
+        expect(sids(lambda)).toEqual([statementId]);
+    });
+
+    test('should keep the flow on direct delete and remove only its own permission', async () => {
+        const flows = [{ Id: 'flow-1', Arn: `${instanceArn}/contact-flow/flow-1`, Name: 'SalesEntry', Type: 'CONTACT_FLOW', State: 'ACTIVE' }];
+        const otherStatement = `connect-${instanceId}-flow-Support`;
+        const { connect, lambda } = createFakeClients({
+            flows,
+            statements: { [`${functionArn}:LIVE`]: [{ Sid: statementId }, { Sid: otherStatement }] }
+        });
+        const handler = new ConnectFlowHandler({ connect, lambda });
+        const event = { RequestType: 'Delete', PhysicalResourceId: `${instanceArn}/contact-flow/flow-1`, ResourceProperties: properties };
+
+        const result = await handler.handle(event);
+        await handler.handle(event);
+
+        expect(result).toEqual({ Status: 'SUCCESS', PhysicalResourceId: `${instanceArn}/contact-flow/flow-1`, Data: {} });
+        expect(connect.flowsById.has('flow-1')).toBe(true);
+        expect(sids(lambda)).toEqual([otherStatement]);
+    });
+
+    test('should fail on permission errors unless the function is tolerated', async () => {
+        const { connect, lambda } = createFakeClients({ denyAddPermission: true });
+        const handler = new ConnectFlowHandler({ connect, lambda });
+
+        await expect(handler.handle({ RequestType: 'Create', ResourceProperties: properties }))
+            .rejects.toThrow(`Could not add Connect invoke permission for ${lambdaArn}: Access denied`);
+        expect(connect.createContactFlow).not.toHaveBeenCalled();
+
+        const result = await handler.handle({
+            RequestType: 'Create',
+            ResourceProperties: { ...properties, TolerateLambdaPermissionErrors: ['connect-test-handler'] }
+        });
+        expect(result.Status).toBe('SUCCESS');
+    });
+
+    test('should run on the SDK v3 clients of the Lambda runtime without aws-sdk v2', async () => {
+        const sent = [];
+        // SDK v3 client modules: one class per command, errors identified by name only
+        const fakeSdk = (clientName, responses) => {
+            const sdk = {
+                [clientName]: jest.fn().mockImplementation(() => ({
+                    send: jest.fn(async (command) => {
+                        sent.push({ command: command.name, input: command.input });
+                        const respond = responses[command.name];
+                        if (!respond) {
+                            throw Object.assign(new Error('Not found'), { name: 'ResourceNotFoundException' });
+                        }
+                        return respond(command.input);
+                    })
+                }))
+            };
+            ['CreateContactFlow', 'CreateContactFlowModule', 'DescribeContactFlow', 'ListContactFlows', 'ListContactFlowModules',
+                'UpdateContactFlowContent', 'UpdateContactFlowModuleContent', 'AddPermission', 'GetPolicy', 'RemovePermission']
+                .forEach(command => {
+                    sdk[`${command}Command`] = class {
+                        constructor(input) {
+                            this.name = `${command}Command`;
+                            this.input = input;
+                        }
+                    };
+                });
+            return sdk;
+        };
+
+        let lambdaHandler;
+        jest.isolateModules(() => {
+            jest.doMock('aws-sdk', () => {
+                throw new Error("Cannot find module 'aws-sdk'");
+            });
+            jest.doMock('@aws-sdk/client-connect', () => fakeSdk('ConnectClient', {
+                ListContactFlowsCommand: () => ({ ContactFlowSummaryList: [] }),
+                CreateContactFlowCommand: () => ({ ContactFlowId: 'flow-1', ContactFlowArn: `${instanceArn}/contact-flow/flow-1` })
+            }), { virtual: true });
+            jest.doMock('@aws-sdk/client-lambda', () => fakeSdk('LambdaClient', {
+                AddPermissionCommand: () => ({})
+            }), { virtual: true });
+            lambdaHandler = require('../cdk/lib/connect-flow-handler').handler;
+        });
+
+        const result = await lambdaHandler({ RequestType: 'Create', ResourceProperties: properties });
+
+        expect(result.PhysicalResourceId).toBe(`${instanceArn}/contact-flow/flow-1`);
+        // GetPolicy's ResourceNotFoundException (no resource policy yet) is handled like the v2 error code
+        expect(sent.map(call => call.command)).toEqual(expect.arrayContaining(['GetPolicyCommand', 'AddPermissionCommand', 'CreateContactFlowCommand']));
+        expect(sent.find(call => call.command === 'AddPermissionCommand').input).toMatchObject({ StatementId: statementId, Qualifier: 'LIVE' });
+    });
+
+    test('should keep statement IDs within the Lambda limit', () => {
+        const id = permissionStatementId({ instanceId, kind: 'flow', name: 'Sales Entry/Main'.repeat(8) });
+
+        expect(id).toHaveLength(100);
+        expect(id).toMatch(/^[A-Za-z0-9_.-]+$/);
+        expect(permissionStatementId({ instanceId, kind: 'flow', name: 'Sales Entry/Main'.repeat(8) })).toBe(id);
+        expect(permissionStatementId({ instanceId, kind: 'module', name: 'SalesEntry' })).toBe(`connect-${instanceId}-module-SalesEntry`);
+    });
+});
@@ -0,0 +1,183 @@
+const { App } = require('aws-cdk-lib');
+const { Template, Match } = require('aws-cdk-lib/assertions');
+const { ConnectFlowStack } = require('../cdk/lib/connect-flow-stack');
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('yaml');
+
+describe('ConnectFlowStack', () => {
+    const testOutputDir = path.join(__dirname, 'temp-stack');
+    const flowsPath = path.join(testOutputDir, 'dist', 'test');
+    const stateFile = path.join(testOutputDir, 'dist', 'test.state.json');
+    const flowContent = { Version: '2019-10-30', StartAction: 'a', Actions: [] };
+
+    beforeEach(async () => {
+        await fs.outputJson(path.join(flowsPath, 'SalesEntry.json'), flowContent);
+        await fs.outputJson(path.join(flowsPath, 'Support.json'), flowContent);
+    });
+
+    afterEach(async () => {
+        await fs.remove(testOutputDir);
+    });
+
+    function synth(props = {}) {
+        const app = new App();
+        const stack = new ConnectFlowStack(app, 'ConnectFlowStack-test', {
+            environment: 'test',
+            flowsPath,
+            releaseTag: 'release-20261018-abc1234',
+            ...props
+        });
+        return Template.fromStack(stack);
+    }
+
+    test('should output the ID and ARN of every managed flow', () => {
+        const template = synth();
+
+        template.hasOutput('ContactFlowIdSalesEntry', { Value: { 'Fn::GetAtt': [Match.stringLikeRegexp('^ContactFlowSalesEntry'), 'ContactFlowId'] } });
+        template.hasOutput('ContactFlowArnSalesEntry', { Value: { 'Fn::GetAtt': [Match.stringLikeRegexp('^ContactFlowSalesEntry'), 'ContactFlowArn'] } });
+        template.hasOutput('ContactFlowIdSupport', Match.anyValue());
+        template.hasOutput('ContactFlowArnSupport', Match.anyValue());
+    });
+
+    test('should deploy the flow handler as an asset with its environment set explicitly', () => {
+        const template = synth();
+
+        template.hasResourceProperties('AWS::Lambda::Function', {
+            Description: 'Manages Amazon Connect contact flows deployment',
+            Handler: 'index.handler',
+            Code: { S3Bucket: Match.anyValue(), S3Key: Match.stringLikeRegexp('\\.zip$') },
+            Environment: { Variables: { ENVIRONMENT: 'test' } }
+        });
+    });
+
+    test('should pass recorded flow IDs so existing flows are adopted', async () => {
+        await fs.outputJson(stateFile, { flows: { SalesEntry: { flowId: 'flow-1', arn: 'arn:flow-1' } } });
+
+        const template = synth({ stateFile });
+
+        template.hasResourceProperties('AWS::CloudFormation::CustomResource', { FlowName: 'SalesEntry', ExistingFlowId: 'flow-1' });
+        template.hasResourceProperties('AWS::CloudFormation::CustomResource', { FlowName: 'Support', ExistingFlowId: '' });
+    });
+
+    test('should reject flow names that collide in output keys', async () => {
+        await fs.outputJson(path.join(flowsPath, 'Sales-Entry.json'), flowContent);
+
+        expect(() => synth()).toThrow('map to the same output key ContactFlowIdSalesEntry');
+    });
+
+    test('should substitute flow references and deploy referenced flows first', async () => {
+        await fs.outputJson(path.join(flowsPath, 'SalesEntry.json'), {
+            ...flowContent,
+            Actions: [{ Identifier: 'a', Type: 'TransferToFlow', Parameters: { ContactFlowId: '${ContactFlow.Support.Arn}' } }]
+        });
+
+        const template = synth();
+        const resources = template.toJSON().Resources;
+        const [salesId] = Object.keys(resources).filter(id => id.startsWith('ContactFlowSalesEntry'));
+        const [supportId] = Object.keys(resources).filter(id => id.startsWith('ContactFlowSupport'));
+
+        expect(resources[salesId].DependsOn).toContain(supportId);
+        expect(resources[salesId].Properties.FlowContent['Fn::Join'][1]).toContainEqual({ 'Fn::GetAtt': [supportId, 'ContactFlowArn'] });
+        expect(JSON.stringify(resources[salesId].Properties.FlowContent)).not.toContain('${ContactFlow');
+    });
+
+    test('should reject circular and unknown flow references', async () => {
+        await fs.outputJson(path.join(flowsPath, 'Support.json'), { ...flowContent, StartAction: '${ContactFlow.SalesEntry.Id}' });
+        await fs.outputJson(path.join(flowsPath, 'SalesEntry.json'), { ...flowContent, StartAction: '${ContactFlow.Support.Id}' });
+        expect(() => synth()).toThrow('Circular flow references: SalesEntry -> Support -> SalesEntry');
+
+        await fs.outputJson(path.join(flowsPath, 'SalesEntry.json'), { ...flowContent, StartAction: '${ContactFlow.Missing}' });
+        await fs.outputJson(path.join(flowsPath, 'Support.json'), flowContent);
+        expect(() => synth()).toThrow('Flow SalesEntry references Missing, which is not a managed flow');
+    });
+
+    test('should deploy the template flow type with the unwrapped flow content', async () => {
+        await fs.outputJson(path.join(flowsPath, 'Support.json'), { name: 'Support', type: 'CUSTOMER_QUEUE', content: flowContent });
+
+        const template = synth();
+
+        template.hasResourceProperties('AWS::CloudFormation::CustomResource', {
+            FlowName: 'Support',
+            FlowType: 'CUSTOMER_QUEUE',
+            FlowContent: JSON.stringify(flowContent)
+        });
+        template.hasResourceProperties('AWS::CloudFormation::CustomResource', { FlowName: 'SalesEntry', FlowType: 'CONTACT_FLOW' });
+
+        await fs.outputJson(path.join(flowsPath, 'Support.json'), { name: 'Support', type: 'QUEUE_WHISPER', content: flowContent });
+        expect(() => synth()).toThrow('Flow Support has unsupported type QUEUE_WHISPER');
+    });
+
+    test('should deploy rendered modules once and before the flows using them', async () => {
+        const moduleContent = { Version: '2019-10-30', StartAction: 'm', Actions: [] };
+        await fs.outputJson(path.join(flowsPath, 'modules', 'SalesEntry', 'Authenticate.json'), moduleContent);
+        await fs.outputJson(path.join(flowsPath, 'modules', 'Support', 'Authenticate.json'), moduleContent);
+
+        const template = synth();
+        const resources = template.toJSON().Resources;
+        const moduleIds = Object.keys(resources).filter(id => id.startsWith('ContactFlowModuleAuthenticate'));
+        const [salesId] = Object.keys(resources).filter(id => id.startsWith('ContactFlowSalesEntry'));
+
+        expect(moduleIds).toHaveLength(1);
+        expect(resources[moduleIds[0]].Properties).toMatchObject({ ResourceKind: 'MODULE', FlowName: 'Authenticate', FlowContent: JSON.stringify(moduleContent) });
+        expect(resources[salesId].DependsOn).toContain(moduleIds[0]);
+
+        await fs.outputJson(path.join(flowsPath, 'modules', 'Support', 'Authenticate.json'), { ...moduleContent, StartAction: 'other' });
+        expect(() => synth()).toThrow('Module Authenticate is rendered with different content for several flows');
+    });
+
+    test('should pass the functions whose permission errors are tolerated', async () => {
+        const envDir = path.join(testOutputDir, 'env');
+        const envConfig = yaml.parse(await fs.readFile(path.join(__dirname, 'fixtures', 'env', 'test.yaml'), 'utf8'));
+
+        await fs.outputFile(path.join(envDir, 'test.yaml'), yaml.stringify(envConfig));
+        synth({ envDir }).hasResourceProperties('AWS::CloudFormation::CustomResource', { FlowName: 'SalesEntry', TolerateLambdaPermissionErrors: [] });
+
+        envConfig.deployment = { ...envConfig.deployment, tolerate_lambda_permission_errors: ['connect-test-handler'] };
+        await fs.outputFile(path.join(envDir, 'test.yaml'), yaml.stringify(envConfig));
+        synth({ envDir }).hasResourceProperties('AWS::CloudFormation::CustomResource', { FlowName: 'SalesEntry', TolerateLambdaPermissionErrors: ['connect-test-handler'] });
+
+        envConfig.deployment.tolerate_lambda_permission_errors = true;
+        await fs.outputFile(path.join(envDir, 'test.yaml'), yaml.stringify(envConfig));
+        synth({ envDir }).hasResourceProperties('AWS::CloudFormation::CustomResource', { FlowName: 'SalesEntry', TolerateLambdaPermissionErrors: ['*'] });
+    });
+
+    describe.each([
+        ['dev', path.join(__dirname, '..', 'env')],
+        ['test', path.join(__dirname, '..', 'env')],
+        ['prod', path.join(__dirname, '..', 'env')],
+        ['test', path.join(__dirname, 'fixtures', 'env')]
+    ])('handler policy for %s (%s)', (environment, envDir) => {
+        const envConfig = yaml.parse(fs.readFileSync(path.join(envDir, `${environment}.yaml`), 'utf8'));
+        const instanceArn = envConfig.connect.instance_arn;
+        const lambdaArns = Object.values((envConfig.tokens && envConfig.tokens.Lambda) || {});
+
+        test('should scope flow and Lambda permissions to the instance and referenced functions', async () => {
+            await fs.outputJson(path.join(flowsPath, 'SalesEntry.json'), {
+                ...flowContent,
+                Actions: lambdaArns.map((arn, index) => ({ Identifier: `l${index}`, Type: 'InvokeLambdaFunction', Parameters: { LambdaFunctionARN: arn } }))
+            });
+
+            const template = synth({ environment, envDir });
+            const statements = Object.values(template.findResources('AWS::IAM::Policy'))
+                .flatMap(policy => policy.Properties.PolicyDocument.Statement);
+
+            expect(statements).toContainEqual(expect.objectContaining({
+                Action: expect.arrayContaining(['connect:CreateContactFlow', 'connect:UpdateContactFlowContent']),
+                Resource: [instanceArn, `${instanceArn}/contact-flow/*`]
+            }));
+            // CDK's own log retention helper keeps its wildcard; no Connect/Lambda action may
+            const flowStatements = statements.filter(statement => [].concat(statement.Action).some(action => /^(connect|lambda):/.test(action)));
+            expect(flowStatements.filter(statement => [].concat(statement.Resource).includes('*'))).toEqual([]);
+
+            const lambdaStatement = statements.find(statement => [].concat(statement.Action).includes('lambda:AddPermission'));
+            const functionArns = Array.from(new Set(lambdaArns.map(arn => arn.split(':').slice(0, 7).join(':')))).sort();
+            if (functionArns.length === 0) {
+                expect(lambdaStatement).toBeUndefined();
+            } else {
+                expect(lambdaStatement.Action).toContain('lambda:GetPolicy');
+                expect(lambdaStatement.Resource).toEqual(functionArns.flatMap(arn => [arn, `${arn}:*`]));
+            }
+        });
+    });
+});
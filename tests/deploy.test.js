@@ -0,0 +1,223 @@
+const { FlowDeployer } = require('../scripts/deploy');
+const { DeploymentStateStore, LocalStateBackend } = require('../scripts/deployment-state');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Flow Deployment', () => {
+    const fixturesDir = path.join(__dirname, 'fixtures');
+    const testOutputDir = path.join(__dirname, 'temp-deploy');
+    const envDir = path.join(testOutputDir, 'env');
+
+    beforeEach(async () => {
+        // validateAll expects every environment file to be present
+        await fs.ensureDir(envDir);
+        for (const envName of ['dev', 'test', 'prod']) {
+            await fs.copy(path.join(fixturesDir, 'env', 'test.yaml'), path.join(envDir, `${envName}.yaml`));
+        }
+    });
+
+    afterEach(async () => {
+        await fs.remove(testOutputDir);
+    });
+
+    const stateFile = path.join(testOutputDir, 'state', 'test.json');
+
+    function createDeployer(options = {}) {
+        const deployer = new FlowDeployer('test', {
+            flowsDir: path.join(fixturesDir, 'flows'),
+            envDir,
+            outputDir: path.join(testOutputDir, 'dist'),
+            cdkOutDir: path.join(testOutputDir, 'cdk.out'),
+            releaseTag: 'release-20251016-abc1234',
+            gitSha: 'abc1234',
+            stateStore: new DeploymentStateStore(new LocalStateBackend(stateFile), {
+                environment: 'test',
+                instanceId: '87654321-4321-8765-4321-876543218765'
+            }),
+            ...options
+        });
+        // `cdk deploy` writes the stack outputs file
+        deployer.runCdk = jest.fn(async (args) => {
+            if (args[0] === 'deploy') {
+                await fs.outputJson(args[args.indexOf('--outputs-file') + 1], {
+                    'amazon-connect-flows-test': {
+                        ContactFlowIdTestFlow: 'flow-1',
+                        ContactFlowArnTestFlow: 'arn:aws:connect:us-east-1:234567890123:instance/x/contact-flow/flow-1'
+                    }
+                });
+            }
+        });
+        return deployer;
+    }
+
+    test('should run every stage and deploy with stack context', async () => {
+        const deployer = createDeployer({ blueGreenDeployment: true });
+        const { success, stages } = await deployer.deploy();
+
+        expect(success).toBe(true);
+        expect(stages.map(s => s.stage)).toEqual(['config', 'change-window', 'validate', 'render', 'state', 'synth', 'deploy', 'record-state', 'associations']);
+        expect(await fs.pathExists(path.join(testOutputDir, 'dist', 'test', 'TestFlow.json'))).toBe(true);
+
+        const [synthArgs] = deployer.runCdk.mock.calls[0];
+        expect(synthArgs[0]).toBe('synth');
+        expect(synthArgs).toContain(`flowsPath=${path.join(testOutputDir, 'dist', 'test')}`);
+        expect(synthArgs).toContain('releaseTag=release-20251016-abc1234');
+        expect(synthArgs).toContain('gitSha=abc1234');
+        expect(synthArgs).toContain('blueGreenDeployment=true');
+        expect(synthArgs).toContain(`stateFile=${path.join(testOutputDir, 'dist', 'test.state.json')}`);
+
+        const [deployArgs] = deployer.runCdk.mock.calls[1];
+        expect(deployArgs.slice(0, 4)).toEqual(['deploy', '--all', '--app', path.join(testOutputDir, 'cdk.out')]);
+        expect(deployArgs).toContain(path.join(testOutputDir, 'cdk.out', 'outputs.json'));
+    });
+
+    test('should pass recorded flow IDs to the stack and record the deployed ones', async () => {
+        await fs.outputJson(stateFile, {
+            version: 1,
+            environment: 'test',
+            instanceId: '87654321-4321-8765-4321-876543218765',
+            flows: { TestFlow: { flowId: 'flow-0', arn: 'arn:old' } }
+        });
+
+        const deployer = createDeployer();
+        const { success } = await deployer.deploy();
+
+        expect(success).toBe(true);
+        const snapshot = await fs.readJson(path.join(testOutputDir, 'dist', 'test.state.json'));
+        expect(snapshot.flows.TestFlow.flowId).toBe('flow-0');
+
+        const state = await fs.readJson(stateFile);
+        expect(state.flows.TestFlow).toMatchObject({
+            flowId: 'flow-1',
+            arn: 'arn:aws:connect:us-east-1:234567890123:instance/x/contact-flow/flow-1',
+            releaseTag: 'release-20251016-abc1234',
+            gitSha: 'abc1234'
+        });
+        expect(state.updatedAt).toEqual(expect.any(String));
+    });
+
+    test('should associate phone numbers with deployed flows and keep the replaced association', async () => {
+        const config = await fs.readFile(path.join(envDir, 'test.yaml'), 'utf8');
+        await fs.writeFile(path.join(envDir, 'test.yaml'), `${config}
+associations:
+  phone_numbers:
+    - number: "+18005550100"
+      flow: TestFlow
+`);
+        const respond = (value) => ({ promise: () => Promise.resolve(value) });
+        const connect = {
+            listPhoneNumbersV2: jest.fn(() => respond({ ListPhoneNumbersSummaryList: [{ PhoneNumberId: 'phone-1', PhoneNumber: '+18005550100' }] })),
+            listFlowAssociations: jest.fn(() => respond({ FlowAssociationSummaryList: [{ ResourceId: 'phone-1', FlowId: 'flow-old' }] })),
+            associatePhoneNumberContactFlow: jest.fn(() => respond({}))
+        };
+
+        const { success, stages } = await createDeployer({ connect }).deploy();
+
+        expect(success).toBe(true);
+        expect(stages[stages.length - 1]).toMatchObject({ stage: 'associations', status: 'success' });
+        expect(connect.associatePhoneNumberContactFlow).toHaveBeenCalledWith({
+            InstanceId: '12345678-1234-1234-1234-123456789012',
+            PhoneNumberId: 'phone-1',
+            ContactFlowId: 'flow-1'
+        });
+        const state = await fs.readJson(stateFile);
+        expect(state.associations).toMatchObject({
+            previous: [{ type: 'phone-number', target: '+18005550100', phoneNumberId: 'phone-1', flowId: 'flow-old' }],
+            releaseTag: 'release-20251016-abc1234'
+        });
+    });
+
+    test('should leave associations to the rollout in blue/green mode', async () => {
+        const config = await fs.readFile(path.join(envDir, 'test.yaml'), 'utf8');
+        await fs.writeFile(path.join(envDir, 'test.yaml'), `${config}
+associations:
+  phone_numbers:
+    - number: "+18005550100"
+      flow: TestFlow
+`);
+        const connect = { listPhoneNumbersV2: jest.fn(), associatePhoneNumberContactFlow: jest.fn() };
+
+        const { success, stages } = await createDeployer({ connect, blueGreenDeployment: true }).deploy();
+
+        expect(success).toBe(true);
+        expect(stages[stages.length - 1]).toMatchObject({ stage: 'associations', status: 'success' });
+        expect(connect.listPhoneNumbersV2).not.toHaveBeenCalled();
+        expect(connect.associatePhoneNumberContactFlow).not.toHaveBeenCalled();
+        expect((await fs.readJson(stateFile)).associations).toBeUndefined();
+    });
+
+    test('should stop after synth on dry run', async () => {
+        const deployer = createDeployer({ dryRun: true });
+        const { success, stages } = await deployer.deploy();
+
+        expect(success).toBe(true);
+        expect(stages.map(s => s.stage)).toEqual(['config', 'validate', 'render', 'state', 'synth']);
+        expect(deployer.runCdk).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop at the first failing stage', async () => {
+        await fs.remove(path.join(envDir, 'prod.yaml'));
+
+        const deployer = createDeployer();
+        const { success, stages } = await deployer.deploy();
+
+        expect(success).toBe(false);
+        expect(stages.map(s => s.status)).toEqual(['success', 'success', 'failed']);
+        expect(stages[2].error).toContain('prod.yaml');
+        expect(deployer.runCdk).not.toHaveBeenCalled();
+    });
+
+    describe('change window gate', () => {
+        const weekdayNoonJst = () => new Date('2026-10-19T03:00:00Z');
+
+        beforeEach(async () => {
+            const config = await fs.readFile(path.join(envDir, 'test.yaml'), 'utf8');
+            await fs.writeFile(path.join(envDir, 'test.yaml'), `${config}
+change_window:
+  timezone: "Asia/Tokyo"
+  blocked_hours:
+    - start: "09:00"
+      end: "18:00"
+      days: ["monday", "tuesday", "wednesday", "thursday", "friday"]
+  audit_log: "${path.join(testOutputDir, 'audit.jsonl')}"
+`);
+        });
+
+        test('should block deployment inside a blocked window', async () => {
+            const deployer = createDeployer({ clock: weekdayNoonJst });
+            const { success, stages } = await deployer.deploy();
+
+            expect(success).toBe(false);
+            expect(stages[1]).toMatchObject({ stage: 'change-window', status: 'failed' });
+            expect(stages[1].error).toContain('inside blocked window 09:00-18:00');
+            expect(deployer.runCdk).not.toHaveBeenCalled();
+        });
+
+        test('should deploy with an audited emergency override', async () => {
+            const deployer = createDeployer({ clock: weekdayNoonJst, emergencyOverride: 'INC-1234 hotfix' });
+            const { success } = await deployer.deploy();
+
+            expect(success).toBe(true);
+            const [entry] = (await fs.readFile(path.join(testOutputDir, 'audit.jsonl'), 'utf8')).trim().split('\n').map(JSON.parse);
+            expect(entry).toMatchObject({ environment: 'test', reason: 'INC-1234 hotfix', source: 'cli' });
+        });
+
+        test('should not gate dry runs', async () => {
+            const deployer = createDeployer({ clock: weekdayNoonJst, dryRun: true });
+            const { success } = await deployer.deploy();
+
+            expect(success).toBe(true);
+        });
+    });
+
+    test('should fail when the environment config is missing', async () => {
+        const deployer = createDeployer();
+        deployer.environment = 'staging';
+
+        const { success, stages } = await deployer.deploy();
+
+        expect(success).toBe(false);
+        expect(stages).toHaveLength(1);
+        expect(stages[0].error).toContain('staging.yaml');
+    });
+});
@@ -0,0 +1,92 @@
+const { DeploymentStateStore, LocalStateBackend, S3StateBackend, getFlowOutputKeys } = require('../scripts/deployment-state');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Deployment State', () => {
+    const testOutputDir = path.join(__dirname, 'temp-state');
+    const instanceId = '87654321-4321-8765-4321-876543218765';
+    const envConfig = { connect: { instance_id: instanceId, region: 'us-east-1' } };
+    const clock = () => new Date('2026-10-18T00:00:00Z');
+
+    afterEach(async () => {
+        await fs.remove(testOutputDir);
+    });
+
+    test('should map flow names to alphanumeric output keys', () => {
+        expect(getFlowOutputKeys('Sales-Entry_v2')).toEqual({ id: 'ContactFlowIdSalesEntryv2', arn: 'ContactFlowArnSalesEntryv2' });
+    });
+
+    test('should start empty and persist flows to a local JSON file', async () => {
+        const file = path.join(testOutputDir, 'state', 'prod.json');
+        const store = new DeploymentStateStore(new LocalStateBackend(file), { environment: 'prod', instanceId, clock });
+
+        expect(await store.load()).toEqual({ version: 1, environment: 'prod', instanceId, updatedAt: null, flows: {} });
+
+        const recorded = store.recordOutputs({
+            'amazon-connect-flows-prod': {
+                ContactFlowIdSalesEntry: 'flow-1',
+                ContactFlowArnSalesEntry: 'arn:flow-1',
+                ContactFlowIdSupport: 'flow-2'
+            }
+        }, ['SalesEntry', 'Support'], { releaseTag: 'release-20261018-abc' });
+        await store.save();
+
+        expect(recorded).toEqual(['SalesEntry']);
+        const reloaded = new DeploymentStateStore(new LocalStateBackend(file), { environment: 'prod', instanceId });
+        await reloaded.load();
+        expect(reloaded.getFlow('SalesEntry')).toEqual({
+            flowId: 'flow-1',
+            arn: 'arn:flow-1',
+            releaseTag: 'release-20261018-abc',
+            updatedAt: '2026-10-18T00:00:00.000Z'
+        });
+        expect(reloaded.getFlow('Support')).toBeNull();
+    });
+
+    test('should refuse state recorded for another instance', async () => {
+        const file = path.join(testOutputDir, 'prod.json');
+        await fs.outputJson(file, { instanceId: 'other-instance', flows: {} });
+
+        const store = new DeploymentStateStore(new LocalStateBackend(file), { instanceId });
+        await expect(store.load()).rejects.toThrow(`belongs to instance other-instance, not ${instanceId}`);
+    });
+
+    test('should read and write state in an S3-compatible bucket', async () => {
+        const objects = new Map();
+        const s3 = {
+            getObject: jest.fn(({ Bucket, Key }) => ({
+                promise: () => objects.has(`${Bucket}/${Key}`) ?
+                    Promise.resolve({ Body: Buffer.from(objects.get(`${Bucket}/${Key}`)) }) :
+                    Promise.reject(Object.assign(new Error('missing'), { code: 'NoSuchKey' }))
+            })),
+            putObject: jest.fn(({ Bucket, Key, Body }) => {
+                objects.set(`${Bucket}/${Key}`, Body);
+                return { promise: () => Promise.resolve({}) };
+            })
+        };
+
+        const store = DeploymentStateStore.fromConfig(
+            { ...envConfig, deployment: { state: { backend: 's3', bucket: 'deploy-state' } } },
+            'prod',
+            { s3, clock }
+        );
+        expect(store.backend.describe()).toBe('s3://deploy-state/connect-flows/prod.json');
+
+        await store.load();
+        store.setFlow('SalesEntry', { flowId: 'flow-1', arn: 'arn:flow-1' });
+        await store.save();
+
+        const saved = JSON.parse(objects.get('deploy-state/connect-flows/prod.json'));
+        expect(saved).toMatchObject({ instanceId, updatedAt: '2026-10-18T00:00:00.000Z', flows: { SalesEntry: { flowId: 'flow-1' } } });
+        expect(s3.putObject.mock.calls[0][0].ContentType).toBe('application/json');
+    });
+
+    test('should build a local store by default and reject unknown backends', () => {
+        const store = DeploymentStateStore.fromConfig(envConfig, 'test', { baseDir: testOutputDir });
+
+        expect(store.backend.describe()).toBe(path.join(testOutputDir, 'state', 'test.json'));
+        expect(() => DeploymentStateStore.fromConfig({ ...envConfig, deployment: { state: { backend: 'consul' } } }, 'test'))
+            .toThrow('Unsupported state backend: consul');
+        expect(() => new S3StateBackend({ bucket: 'only-bucket' })).toThrow('requires bucket and key');
+    });
+});
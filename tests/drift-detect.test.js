@@ -0,0 +1,168 @@
+const { DriftDetector, DriftStatus } = require('../scripts/drift-detect');
+const ConnectFlowExporter = require('../scripts/export');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Drift Detection', () => {
+    const testOutputDir = path.join(__dirname, 'temp-drift');
+    const renderedDir = path.join(testOutputDir, 'dist', 'test');
+
+    const envConfig = {
+        connect: {
+            instance_id: '12345678-1234-1234-1234-123456789012',
+            region: 'us-east-1'
+        }
+    };
+
+    const flowContent = (text, position = { x: 100, y: 100 }) => ({
+        Version: '2019-10-30',
+        StartAction: 'greeting',
+        Metadata: { ActionMetadata: { greeting: { position } } },
+        Actions: [
+            { Identifier: 'greeting', Type: 'MessageParticipant', Parameters: { Text: text }, Transitions: { NextAction: 'end' } },
+            { Identifier: 'end', Type: 'DisconnectParticipant', Parameters: {}, Transitions: {} }
+        ]
+    });
+
+    function createExporter(liveFlows) {
+        const exporter = new ConnectFlowExporter('us-east-1');
+        const respond = (value) => ({ promise: () => Promise.resolve(value) });
+
+        exporter.connect = {
+            listContactFlows: jest.fn(() => respond({
+                ContactFlowSummaryList: liveFlows.map(flow => ({
+                    Id: flow.id,
+                    Arn: `arn:aws:connect:us-east-1:123456789012:instance/${envConfig.connect.instance_id}/contact-flow/${flow.id}`,
+                    Name: flow.name,
+                    ContactFlowType: 'CONTACT_FLOW',
+                    ContactFlowState: 'ACTIVE'
+                }))
+            })),
+            describeContactFlow: jest.fn(({ ContactFlowId }) => respond({
+                ContactFlow: { Id: ContactFlowId, Name: liveFlows.find(f => f.id === ContactFlowId).name }
+            })),
+            getContactFlowContent: jest.fn(({ ContactFlowId }) => respond({
+                Content: JSON.stringify(liveFlows.find(f => f.id === ContactFlowId).content)
+            }))
+        };
+
+        return exporter;
+    }
+
+    beforeEach(async () => {
+        await fs.ensureDir(renderedDir);
+        await fs.writeJson(path.join(renderedDir, 'SalesEntry.json'), {
+            name: 'SalesEntry', type: 'CONTACT_FLOW', content: flowContent('Welcome to sales')
+        });
+        await fs.writeJson(path.join(renderedDir, 'SupportEntry.json'), {
+            name: 'SupportEntry', type: 'CONTACT_FLOW', content: flowContent('Welcome to support')
+        });
+        await fs.writeJson(path.join(renderedDir, 'NewFlow.json'), {
+            name: 'NewFlow', type: 'CONTACT_FLOW', content: flowContent('Not deployed yet')
+        });
+    });
+
+    afterEach(async () => {
+        await fs.remove(testOutputDir);
+    });
+
+    test('should classify each flow by drift status', async () => {
+        const exporter = createExporter([
+            // Only the designer layout moved: not drift
+            { id: 'flow-1', name: 'SalesEntry', content: flowContent('Welcome to sales', { x: 480, y: 220 }) },
+            { id: 'flow-2', name: 'SupportEntry', content: flowContent('Edited in the console') },
+            { id: 'flow-3', name: 'Default agent hold', content: flowContent('Hold') }
+        ]);
+
+        const detector = new DriftDetector(envConfig, { exporter });
+        const report = await detector.detect(renderedDir);
+
+        const statusOf = (name) => report.flows.find(flow => flow.name === name).status;
+        expect(statusOf('SalesEntry')).toBe(DriftStatus.IN_SYNC);
+        expect(statusOf('SupportEntry')).toBe(DriftStatus.DRIFTED);
+        expect(statusOf('NewFlow')).toBe(DriftStatus.GIT_ONLY);
+        expect(statusOf('Default agent hold')).toBe(DriftStatus.CONNECT_ONLY);
+
+        const drifted = report.flows.find(flow => flow.name === 'SupportEntry');
+        expect(drifted.differences).toEqual([
+            { path: 'Actions[0].Parameters.Text', expected: 'Welcome to support', actual: 'Edited in the console' }
+        ]);
+
+        expect(report.summary).toEqual({ 'in-sync': 1, 'drifted': 1, 'git-only': 1, 'connect-only': 1 });
+        expect(DriftDetector.hasDrift(report)).toBe(true);
+    });
+
+    test('should match versioned blue/green flow names with a release tag', async () => {
+        await fs.remove(path.join(renderedDir, 'SupportEntry.json'));
+        await fs.remove(path.join(renderedDir, 'NewFlow.json'));
+
+        const exporter = createExporter([
+            { id: 'flow-1', name: 'SalesEntry-release-1', content: flowContent('Welcome to sales') }
+        ]);
+
+        const detector = new DriftDetector(envConfig, { exporter, releaseTag: 'release-1' });
+        const report = await detector.detect(renderedDir);
+
+        expect(report.flows).toHaveLength(1);
+        expect(report.flows[0].status).toBe(DriftStatus.IN_SYNC);
+        expect(DriftDetector.hasDrift(report)).toBe(false);
+    });
+
+    test('should resolve flow references against the live flows before comparing', async () => {
+        await fs.remove(path.join(renderedDir, 'SupportEntry.json'));
+        const transferTo = (reference) => ({
+            ...flowContent('Welcome to sales'),
+            Actions: [
+                { Identifier: 'greeting', Type: 'TransferToFlow', Parameters: { ContactFlowId: reference }, Transitions: {} }
+            ]
+        });
+        await fs.writeJson(path.join(renderedDir, 'SalesEntry.json'), {
+            name: 'SalesEntry', type: 'CONTACT_FLOW', content: transferTo('${ContactFlow.SharedQueue.Arn}')
+        });
+        await fs.writeJson(path.join(renderedDir, 'NewFlow.json'), {
+            name: 'NewFlow', type: 'CONTACT_FLOW', content: transferTo('${ContactFlow.MissingFlow.Id}')
+        });
+
+        const sharedArn = `arn:aws:connect:us-east-1:123456789012:instance/${envConfig.connect.instance_id}/contact-flow/flow-9`;
+        const exporter = createExporter([
+            { id: 'flow-1', name: 'SalesEntry', content: transferTo(sharedArn) },
+            { id: 'flow-2', name: 'NewFlow', content: transferTo('flow-8') },
+            { id: 'flow-9', name: 'SharedQueue', content: flowContent('Queue') }
+        ]);
+
+        const detector = new DriftDetector(envConfig, { exporter });
+        const report = await detector.detect(renderedDir);
+
+        const flowNamed = (name) => report.flows.find(flow => flow.name === name);
+        expect(flowNamed('SalesEntry').status).toBe(DriftStatus.IN_SYNC);
+        // A reference to a flow that is not deployed stays unresolved
+        expect(flowNamed('NewFlow').differences).toEqual([{
+            path: 'Actions[0].Parameters.ContactFlowId', expected: '${ContactFlow.MissingFlow.Id}', actual: 'flow-8'
+        }]);
+    });
+
+    test('should only fail on unmanaged flows when requested', () => {
+        const report = { summary: { 'in-sync': 2, 'drifted': 0, 'git-only': 0, 'connect-only': 3 } };
+
+        expect(DriftDetector.hasDrift(report)).toBe(false);
+        expect(DriftDetector.hasDrift(report, true)).toBe(true);
+    });
+
+    test('should write JSON and Markdown reports', async () => {
+        const exporter = createExporter([
+            { id: 'flow-2', name: 'SupportEntry', content: flowContent('Edited in the console') }
+        ]);
+
+        const detector = new DriftDetector(envConfig, { exporter });
+        const report = await detector.detect(renderedDir);
+        const outputBase = path.join(testOutputDir, 'drift-report-test');
+        const { jsonPath, markdownPath } = await DriftDetector.writeReport(report, outputBase, 'test');
+
+        expect((await fs.readJson(jsonPath)).summary).toEqual(report.summary);
+
+        const markdown = await fs.readFile(markdownPath, 'utf8');
+        expect(markdown).toContain('# Contact Flow Drift Report (test)');
+        expect(markdown).toContain('### SupportEntry');
+        expect(markdown).toContain('`Actions[0].Parameters.Text`');
+    });
+});
@@ -1,7 +1,9 @@
 const ConnectFlowExporter = require('../scripts/export');
 const AutoExportScheduler = require('../scripts/auto-export');
+const { FlowNormalizer } = require('../scripts/normalize');
 const fs = require('fs-extra');
 const path = require('path');
+const yaml = require('yaml');
 
 describe('Connect Flow Export', () => {
     const testOutputDir = path.join(__dirname, 'temp-export');
@@ -40,6 +42,416 @@ describe('Connect Flow Export', () => {
         });
     });
 
+    describe('Pagination, throttling and concurrency', () => {
+        const throttlingError = () => Object.assign(new Error('Rate exceeded'), { code: 'TooManyRequestsException' });
+
+        // Fake Connect client that pages results and injects throttling
+        const createFakeConnect = ({ pages, throttleEvery = 0 }) => {
+            const state = { calls: 0, inFlight: 0, maxInFlight: 0 };
+            const respond = (fn) => ({
+                promise: async () => {
+                    state.calls++;
+                    if (throttleEvery && state.calls % throttleEvery === 0) {
+                        throw throttlingError();
+                    }
+                    state.inFlight++;
+                    state.maxInFlight = Math.max(state.maxInFlight, state.inFlight);
+                    await new Promise(resolve => setImmediate(resolve));
+                    state.inFlight--;
+                    return fn();
+                }
+            });
+            const allFlows = pages.flat();
+
+            return {
+                state,
+                listContactFlows: jest.fn((params) => respond(() => {
+                    const index = params.NextToken ? Number(params.NextToken) : 0;
+                    return {
+                        ContactFlowSummaryList: pages[index],
+                        ...(index + 1 < pages.length && { NextToken: String(index + 1) })
+                    };
+                })),
+                describeContactFlow: jest.fn((params) => respond(() => ({
+                    ContactFlow: { ...allFlows.find(flow => flow.Id === params.ContactFlowId), Type: 'CONTACT_FLOW', State: 'ACTIVE' }
+                }))),
+                getContactFlowContent: jest.fn(() => respond(() => ({
+                    Content: JSON.stringify({ Version: '2019-10-30', StartAction: 'end', Actions: [] })
+                })))
+            };
+        };
+
+        const flowPages = [
+            [{ Id: 'flow-1', Name: 'Flow One' }, { Id: 'flow-2', Name: 'Flow Two' }],
+            [{ Id: 'flow-3', Name: 'Flow Three' }, { Id: 'flow-4', Name: 'Flow Four' }],
+            [{ Id: 'flow-5', Name: 'Flow Five' }]
+        ];
+
+        test('should follow NextToken across all pages', async () => {
+            const connect = createFakeConnect({ pages: flowPages });
+            const exporter = new ConnectFlowExporter('us-east-1', { connect });
+
+            const flows = await exporter.listContactFlows('instance-id');
+
+            expect(flows.map(flow => flow.Id)).toEqual(['flow-1', 'flow-2', 'flow-3', 'flow-4', 'flow-5']);
+            expect(connect.listContactFlows).toHaveBeenCalledTimes(3);
+            expect(connect.listContactFlows.mock.calls[2][0].NextToken).toBe('2');
+        });
+
+        test('should retry throttled calls with exponential backoff', async () => {
+            const connect = createFakeConnect({ pages: flowPages, throttleEvery: 2 });
+            const sleep = jest.fn(() => Promise.resolve());
+            const exporter = new ConnectFlowExporter('us-east-1', { connect, sleep, baseDelayMs: 100 });
+
+            const flows = await exporter.listContactFlows('instance-id');
+
+            expect(flows).toHaveLength(5);
+            expect(sleep).toHaveBeenCalledTimes(2);
+            sleep.mock.calls.forEach(([delay]) => {
+                expect(delay).toBeGreaterThanOrEqual(0);
+                expect(delay).toBeLessThan(100);
+            });
+        });
+
+        test('should cap backoff delays and give up after maxRetries', async () => {
+            const exporter = new ConnectFlowExporter('us-east-1', {
+                connect: { listContactFlows: jest.fn(() => ({ promise: () => Promise.reject(throttlingError()) })) },
+                sleep: jest.fn(() => Promise.resolve()),
+                maxRetries: 3,
+                baseDelayMs: 1000,
+                maxDelayMs: 1500
+            });
+            const random = jest.spyOn(Math, 'random').mockReturnValue(0.999);
+
+            await expect(exporter.listContactFlows('instance-id')).rejects.toThrow('Rate exceeded');
+            expect(exporter.connect.listContactFlows).toHaveBeenCalledTimes(4);
+            expect(exporter.sleep.mock.calls.map(([delay]) => delay)).toEqual([999, 1498, 1498]);
+
+            random.mockRestore();
+        });
+
+        test('should not retry non-throttling errors', async () => {
+            const sleep = jest.fn();
+            const exporter = new ConnectFlowExporter('us-east-1', {
+                connect: { listContactFlows: jest.fn(() => ({ promise: () => Promise.reject(new Error('Access Denied')) })) },
+                sleep
+            });
+
+            await expect(exporter.listContactFlows('instance-id')).rejects.toThrow('Access Denied');
+            expect(sleep).not.toHaveBeenCalled();
+        });
+
+        test('should export every page with limited concurrency and report progress', async () => {
+            const connect = createFakeConnect({ pages: flowPages, throttleEvery: 4 });
+            const progress = [];
+            const exporter = new ConnectFlowExporter('us-east-1', {
+                connect,
+                concurrency: 2,
+                sleep: () => Promise.resolve(),
+                onProgress: (update) => progress.push(`${update.fetched}/${update.total}`)
+            });
+
+            const results = await exporter.exportAllFlows('instance-id', testOutputDir);
+
+            expect(results.map(result => result.success)).toEqual([true, true, true, true, true]);
+            expect(results.map(result => result.flow.Id)).toEqual(['flow-1', 'flow-2', 'flow-3', 'flow-4', 'flow-5']);
+            expect(connect.state.maxInFlight).toBeLessThanOrEqual(2);
+            expect(progress).toEqual(['1/5', '2/5', '3/5', '4/5', '5/5']);
+            expect(await fs.pathExists(path.join(testOutputDir, 'FlowFive', 'flow.json'))).toBe(true);
+        });
+    });
+
+    describe('Flow modules and instance resources', () => {
+        const respond = (value) => ({ promise: () => Promise.resolve(value) });
+        const flowContent = {
+            Version: '2019-10-30',
+            StartAction: 'auth',
+            Actions: [
+                { Identifier: 'auth', Type: 'InvokeFlowModule', Parameters: { FlowModuleId: 'module-auth' }, Transitions: {} }
+            ]
+        };
+        const moduleContent = { Version: '2019-10-30', StartAction: 'end', Actions: [] };
+
+        const createFakeConnect = () => ({
+            listContactFlows: jest.fn(() => respond({ ContactFlowSummaryList: [{ Id: 'flow-1', Name: 'Main Entry' }] })),
+            describeContactFlow: jest.fn(() => respond({ ContactFlow: { Id: 'flow-1', Name: 'Main Entry', Type: 'CONTACT_FLOW' } })),
+            getContactFlowContent: jest.fn(() => respond({ Content: JSON.stringify(flowContent) })),
+            listContactFlowModules: jest.fn(() => respond({
+                ContactFlowModulesSummaryList: [{ Id: 'module-auth', Name: 'Auth Module' }, { Id: 'module-spare', Name: 'Spare Module' }]
+            })),
+            describeContactFlowModule: jest.fn((params) => respond({
+                ContactFlowModule: {
+                    Id: params.ContactFlowModuleId,
+                    Arn: `arn:aws:connect:us-east-1:123456789012:instance/test/flow-module/${params.ContactFlowModuleId}`,
+                    Name: params.ContactFlowModuleId === 'module-auth' ? 'Auth Module' : 'Spare Module',
+                    Content: JSON.stringify(moduleContent),
+                    State: 'ACTIVE'
+                }
+            })),
+            listQueues: jest.fn((params) => respond(params.NextToken ?
+                { QueueSummaryList: [{ Id: 'queue-2', Name: 'Support' }] } :
+                { QueueSummaryList: [{ Id: 'queue-1', Name: 'Sales' }], NextToken: 'page-2' })),
+            describeQueue: jest.fn((params) => respond({
+                Queue: { QueueId: params.QueueId, QueueArn: `arn:queue/${params.QueueId}`, Name: params.QueueId === 'queue-1' ? 'Sales' : 'Support', HoursOfOperationId: 'hours-1' }
+            })),
+            listPrompts: jest.fn(() => respond({ PromptSummaryList: [{ Id: 'prompt-1', Name: 'Welcome' }] })),
+            describePrompt: jest.fn(() => respond({ Prompt: { PromptId: 'prompt-1', PromptARN: 'arn:prompt/prompt-1', Name: 'Welcome' } })),
+            listHoursOfOperations: jest.fn(() => respond({ HoursOfOperationSummaryList: [{ Id: 'hours-1', Name: 'Business Hours' }] })),
+            describeHoursOfOperation: jest.fn(() => respond({
+                HoursOfOperation: { HoursOfOperationId: 'hours-1', HoursOfOperationArn: 'arn:hours/hours-1', Name: 'Business Hours', TimeZone: 'Asia/Tokyo', Config: [] }
+            })),
+            listQuickConnects: jest.fn(() => respond({ QuickConnectSummaryList: [] })),
+            describeQuickConnect: jest.fn()
+        });
+
+        test('should write referenced modules into the flow directory', async () => {
+            const flowsDir = path.join(testOutputDir, 'flows');
+            const resourcesDir = path.join(testOutputDir, 'resources');
+            const exporter = new ConnectFlowExporter('us-east-1', { connect: createFakeConnect() });
+
+            await exporter.exportAllFlows('instance-id', flowsDir, {}, { resourcesDir });
+
+            const modulesDir = path.join(flowsDir, 'MainEntry', 'modules');
+            expect(await fs.readJson(path.join(modulesDir, 'AuthModule.json'))).toEqual(moduleContent);
+            const metadata = yaml.parse(await fs.readFile(path.join(modulesDir, 'AuthModule.metadata.yaml'), 'utf8'));
+            expect(metadata).toMatchObject({ name: 'Auth Module', id: 'module-auth', state: 'ACTIVE' });
+
+            // Modules not referenced by any exported flow
+            expect(await fs.pathExists(path.join(modulesDir, 'SpareModule.json'))).toBe(false);
+            expect(await fs.pathExists(path.join(resourcesDir, 'modules', 'SpareModule', 'module.json'))).toBe(true);
+        });
+
+        test('should write queues, prompts and hours of operation with metadata', async () => {
+            const flowsDir = path.join(testOutputDir, 'flows');
+            const resourcesDir = path.join(testOutputDir, 'resources');
+            const connect = createFakeConnect();
+            const exporter = new ConnectFlowExporter('us-east-1', { connect });
+
+            await exporter.exportAllFlows('instance-id', flowsDir, {}, { resourcesDir });
+
+            expect(connect.listQueues).toHaveBeenCalledTimes(2);
+            expect(connect.listQueues.mock.calls[0][0].QueueTypes).toEqual(['STANDARD']);
+            expect(await fs.readJson(path.join(resourcesDir, 'queues', 'Support', 'queue.json'))).toMatchObject({ QueueId: 'queue-2' });
+            expect(await fs.readJson(path.join(resourcesDir, 'prompts', 'Welcome', 'prompt.json'))).toMatchObject({ Name: 'Welcome' });
+
+            const hoursMetadata = yaml.parse(await fs.readFile(
+                path.join(resourcesDir, 'hours-of-operation', 'BusinessHours', 'metadata.yaml'), 'utf8'));
+            expect(hoursMetadata).toMatchObject({ id: 'hours-1', arn: 'arn:hours/hours-1', type: 'hours-of-operation' });
+
+            const summary = yaml.parse(await fs.readFile(path.join(flowsDir, 'export-summary.yaml'), 'utf8'));
+            expect(summary.modules).toEqual({ successful: 2, failed: 0 });
+            expect(summary.resources).toEqual({
+                queues: { successful: 2, failed: 0 },
+                prompts: { successful: 1, failed: 0 },
+                'hours-of-operation': { successful: 1, failed: 0 },
+                'quick-connects': { successful: 0, failed: 0 }
+            });
+        });
+
+        test('should export contact flows only when no resources directory is given', async () => {
+            const connect = createFakeConnect();
+            const exporter = new ConnectFlowExporter('us-east-1', { connect });
+
+            await exporter.exportAllFlows('instance-id', path.join(testOutputDir, 'flows'));
+
+            expect(connect.listContactFlowModules).not.toHaveBeenCalled();
+            expect(connect.listQueues).not.toHaveBeenCalled();
+        });
+
+        test('should create module templates when normalizing', async () => {
+            const flowsDir = path.join(testOutputDir, 'flows');
+            const exporter = new ConnectFlowExporter('us-east-1', { connect: createFakeConnect() });
+            await exporter.exportAllFlows('instance-id', flowsDir, {}, { resourcesDir: path.join(testOutputDir, 'resources') });
+
+            await new FlowNormalizer().processFlowDirectory(path.join(flowsDir, 'MainEntry'));
+
+            expect(await fs.pathExists(path.join(flowsDir, 'MainEntry', 'modules', 'AuthModule.tmpl'))).toBe(true);
+        });
+    });
+
+    describe('Normalization on export', () => {
+        const respond = (value) => ({ promise: () => Promise.resolve(value) });
+        const rawContent = {
+            Version: '2019-10-30',
+            StartAction: 'greeting',
+            Metadata: {
+                entryPointPosition: { x: 14, y: 21 },
+                ActionMetadata: { greeting: { position: { x: 123.4, y: 456 } } },
+                lastModifiedBy: 'editor@example.com'
+            },
+            Actions: [{ Identifier: 'greeting', Type: 'MessageParticipant', Parameters: { Text: 'Hello' }, Transitions: { Errors: [] } }]
+        };
+
+        const createFakeConnect = () => ({
+            listContactFlows: jest.fn(() => respond({ ContactFlowSummaryList: [{ Id: 'flow-1', Name: 'Main Entry' }] })),
+            describeContactFlow: jest.fn(() => respond({ ContactFlow: { Id: 'flow-1', Name: 'Main Entry', Type: 'CONTACT_FLOW' } })),
+            getContactFlowContent: jest.fn(() => respond({ Content: JSON.stringify(rawContent) }))
+        });
+
+        test('should normalize flows with the configured rules unless disabled', async () => {
+            const flowsDir = path.join(testOutputDir, 'flows');
+            const flowFile = path.join(flowsDir, 'MainEntry', 'flow.json');
+
+            await new ConnectFlowExporter('us-east-1', { connect: createFakeConnect() }).exportAllFlows('instance-id', flowsDir);
+            const normalized = await fs.readJson(flowFile);
+            expect(normalized).toEqual(new FlowNormalizer().normalize(rawContent));
+            expect(normalized.Metadata).toEqual({
+                ActionMetadata: { greeting: { position: { x: 120, y: 460 } } },
+                entryPointPosition: { x: 10, y: 20 }
+            });
+            // Change detection keeps hashing the content as returned by Amazon Connect
+            const metadata = yaml.parse(await fs.readFile(path.join(flowsDir, 'MainEntry', 'metadata.yaml'), 'utf8'));
+            expect(metadata.contentHash).toBe(ConnectFlowExporter.hashFlowContent(rawContent));
+
+            await new ConnectFlowExporter('us-east-1', {
+                connect: createFakeConnect(),
+                normalizeRules: { removeFields: ['lastModifiedBy', 'Text'], gridSize: 50, keepActionPositions: false }
+            }).exportAllFlows('instance-id', flowsDir);
+            const configured = await fs.readJson(flowFile);
+            expect(configured.Metadata).toEqual({ ActionMetadata: { greeting: {} }, entryPointPosition: { x: 0, y: 0 } });
+            expect(configured.Actions[0].Parameters).toEqual({});
+
+            await new ConnectFlowExporter('us-east-1', { connect: createFakeConnect(), normalize: false }).exportAllFlows('instance-id', flowsDir);
+            expect(await fs.readJson(flowFile)).toEqual(rawContent);
+        });
+
+        test('should pass the normalize section of the auto export config to the exporter', () => {
+            const scheduler = new AutoExportScheduler();
+            scheduler.config = { normalize: { enabled: false, gridSize: 20, keepActionPositions: false } };
+
+            const exporter = scheduler.createExporter({ region: 'us-east-1' });
+            expect(exporter.normalizer).toBeNull();
+
+            scheduler.config.normalize.enabled = true;
+            expect(scheduler.createExporter({ region: 'us-east-1' }).normalizer.rules).toMatchObject({
+                gridSize: 20,
+                keepActionPositions: false,
+                removeFields: expect.arrayContaining(['lastModifiedBy'])
+            });
+        });
+    });
+
+    describe('Incremental export', () => {
+        const respond = (fn) => jest.fn((params) => ({ promise: () => Promise.resolve().then(() => fn(params)) }));
+        const contentOf = (startAction) => JSON.stringify({ Version: '2019-10-30', StartAction: startAction, Actions: [] });
+
+        // In-memory instance; flows without lastModifiedTime behave like an API that doesn't return it
+        const createFakeConnect = (flows) => ({
+            flows,
+            listContactFlows: respond(() => ({ ContactFlowSummaryList: flows.map(({ Id, Name }) => ({ Id, Name })) })),
+            describeContactFlow: respond(({ ContactFlowId }) => {
+                const flow = flows.find(candidate => candidate.Id === ContactFlowId);
+                return {
+                    ContactFlow: {
+                        Id: flow.Id,
+                        Arn: `arn:flow/${flow.Id}`,
+                        Name: flow.Name,
+                        Type: 'CONTACT_FLOW',
+                        Content: flow.Content,
+                        ...(flow.LastModifiedTime && { LastModifiedTime: flow.LastModifiedTime })
+                    }
+                };
+            })
+        });
+
+        test('should write only flows whose LastModifiedTime changed and record a watermark', async () => {
+            const flowsDir = path.join(testOutputDir, 'flows');
+            const connect = createFakeConnect([
+                { Id: 'flow-1', Name: 'Sales Entry', Content: contentOf('a'), LastModifiedTime: new Date('2026-10-01T00:00:00Z') },
+                { Id: 'flow-2', Name: 'Support', Content: contentOf('b'), LastModifiedTime: new Date('2026-10-02T00:00:00Z') }
+            ]);
+            const exporter = new ConnectFlowExporter('us-east-1', { connect });
+
+            const first = await exporter.exportIncremental('instance-id', flowsDir);
+            expect(first.map(r => [r.flow.Name, r.change])).toEqual([['Sales Entry', 'new'], ['Support', 'new']]);
+            const metadata = yaml.parse(await fs.readFile(path.join(flowsDir, 'SalesEntry', 'metadata.yaml'), 'utf8'));
+            expect(metadata.lastModifiedTime).toBe('2026-10-01T00:00:00.000Z');
+
+            connect.flows[1].Content = contentOf('changed');
+            connect.flows[1].LastModifiedTime = new Date('2026-10-05T00:00:00Z');
+            const second = await exporter.exportIncremental('instance-id', flowsDir);
+
+            expect(second.map(r => [r.flow.Name, r.change])).toEqual([['Support', 'modified']]);
+            expect(await fs.readJson(path.join(flowsDir, 'Support', 'flow.json'))).toMatchObject({ StartAction: 'changed' });
+            const watermark = yaml.parse(await fs.readFile(path.join(flowsDir, ConnectFlowExporter.WATERMARK_FILE), 'utf8'));
+            expect(watermark).toMatchObject({
+                instanceId: 'instance-id',
+                lastModifiedTime: '2026-10-05T00:00:00.000Z',
+                totalFlows: 2,
+                changes: { new: [], modified: ['Support'], renamed: [], deleted: [] }
+            });
+
+            expect(await exporter.exportIncremental('instance-id', flowsDir)).toEqual([]);
+        });
+
+        test('should compare content hashes when LastModifiedTime is not available', async () => {
+            const flowsDir = path.join(testOutputDir, 'flows');
+            const connect = createFakeConnect([{ Id: 'flow-1', Name: 'Sales Entry', Content: contentOf('a') }]);
+            const exporter = new ConnectFlowExporter('us-east-1', { connect });
+
+            await exporter.exportIncremental('instance-id', flowsDir);
+            expect(await exporter.exportIncremental('instance-id', flowsDir)).toEqual([]);
+
+            connect.flows[0].Content = contentOf('changed');
+            const results = await exporter.exportIncremental('instance-id', flowsDir);
+
+            expect(results.map(r => r.change)).toEqual(['modified']);
+            const metadata = yaml.parse(await fs.readFile(path.join(flowsDir, 'SalesEntry', 'metadata.yaml'), 'utf8'));
+            expect(metadata.contentHash).toBe(ConnectFlowExporter.hashFlowContent(JSON.parse(contentOf('changed'))));
+        });
+
+        test('should move renamed flows and detect flows deleted in the instance', async () => {
+            const flowsDir = path.join(testOutputDir, 'flows');
+            const connect = createFakeConnect([
+                { Id: 'flow-1', Name: 'Sales Entry', Content: contentOf('a'), LastModifiedTime: new Date('2026-10-01T00:00:00Z') },
+                { Id: 'flow-2', Name: 'Legacy', Content: contentOf('b'), LastModifiedTime: new Date('2026-10-01T00:00:00Z') }
+            ]);
+            const exporter = new ConnectFlowExporter('us-east-1', { connect });
+            await exporter.exportIncremental('instance-id', flowsDir);
+            await fs.outputFile(path.join(flowsDir, 'SalesEntry', 'flow.json.tmpl'), '{}');
+
+            connect.flows[0].Name = 'Sales Main';
+            connect.flows.splice(1, 1);
+            const results = await exporter.exportIncremental('instance-id', flowsDir);
+
+            expect(results.map(r => [r.flow.Id, r.change])).toEqual([['flow-1', 'renamed']]);
+            expect(await fs.pathExists(path.join(flowsDir, 'SalesEntry'))).toBe(false);
+            expect(await fs.pathExists(path.join(flowsDir, 'SalesMain', 'flow.json.tmpl'))).toBe(true);
+            // Deleted flows are reported and kept unless pruning is requested
+            expect(await fs.pathExists(path.join(flowsDir, 'Legacy'))).toBe(true);
+            const watermark = yaml.parse(await fs.readFile(path.join(flowsDir, ConnectFlowExporter.WATERMARK_FILE), 'utf8'));
+            expect(watermark.changes).toMatchObject({ renamed: [{ from: 'Sales Entry', to: 'Sales Main' }], deleted: ['Legacy'] });
+
+            await exporter.exportIncremental('instance-id', flowsDir, { pruneDeleted: true });
+            expect(await fs.pathExists(path.join(flowsDir, 'Legacy'))).toBe(false);
+        });
+
+        test('should fail a renamed flow whose new directory already exists', async () => {
+            const flowsDir = path.join(testOutputDir, 'flows');
+            const connect = createFakeConnect([
+                { Id: 'flow-1', Name: 'Sales Entry', Content: contentOf('a'), LastModifiedTime: new Date('2026-10-01T00:00:00Z') },
+                { Id: 'flow-2', Name: 'Sales Main', Content: contentOf('b'), LastModifiedTime: new Date('2026-10-01T00:00:00Z') }
+            ]);
+            const exporter = new ConnectFlowExporter('us-east-1', { connect });
+            await exporter.exportIncremental('instance-id', flowsDir);
+
+            connect.flows[0].Name = 'Sales Main!';
+            connect.flows[0].LastModifiedTime = new Date('2026-10-02T00:00:00Z');
+            const results = await exporter.exportIncremental('instance-id', flowsDir);
+
+            expect(results).toEqual([expect.objectContaining({
+                success: false,
+                change: 'renamed',
+                error: 'Cannot move SalesEntry to SalesMain: the directory already exists (flow flow-2); move or remove it and export again'
+            })]);
+            const owners = await exporter.readExportedFlows(flowsDir);
+            expect(owners.get('flow-1').dirName).toBe('SalesEntry');
+            expect(owners.get('flow-2').dirName).toBe('SalesMain');
+            const watermark = yaml.parse(await fs.readFile(path.join(flowsDir, ConnectFlowExporter.WATERMARK_FILE), 'utf8'));
+            expect(watermark.lastModifiedTime).toBe('2026-10-01T00:00:00.000Z');
+        });
+    });
+
     describe('AutoExportScheduler', () => {
         const testConfigPath = path.join(testOutputDir, 'test-config.yaml');
 
@@ -0,0 +1,100 @@
+const { FlowDependencyGraph, parseFlowReference, findFlowReferences } = require('../scripts/flow-dependencies');
+const { TemplateRenderer } = require('../scripts/render');
+const { FlowValidator } = require('../scripts/validate');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Flow References', () => {
+    const testOutputDir = path.join(__dirname, 'temp-flow-references');
+    const flowsDir = path.join(testOutputDir, 'flows');
+    const outputDir = path.join(testOutputDir, 'dist', 'test');
+
+    function transferTo(name, target) {
+        return {
+            name,
+            type: 'CONTACT_FLOW',
+            content: {
+                Version: '2019-10-30',
+                StartAction: 'transfer',
+                Actions: [{
+                    Identifier: 'transfer',
+                    Type: 'TransferToFlow',
+                    Parameters: { ContactFlowId: target },
+                    Transitions: { NextAction: 'end', Errors: [{ NextAction: 'end', ErrorType: 'NoMatchingError' }] }
+                }, { Identifier: 'end', Type: 'DisconnectParticipant', Parameters: {}, Transitions: {} }]
+            }
+        };
+    }
+
+    async function writeTemplate(name, target) {
+        await fs.outputFile(path.join(flowsDir, name, 'flow.json.tmpl'), JSON.stringify(transferTo(name, target), null, 2));
+    }
+
+    afterEach(async () => {
+        await fs.remove(testOutputDir);
+    });
+
+    test('should parse references to a flow ARN (default) or ID', () => {
+        expect(parseFlowReference('ContactFlow.Support')).toEqual({ flowName: 'Support', attribute: 'Arn' });
+        expect(parseFlowReference('ContactFlow.Support.Id')).toEqual({ flowName: 'Support', attribute: 'Id' });
+        expect(parseFlowReference('ContactFlow.Support.content')).toBeNull();
+        expect(parseFlowReference('Queue.Support')).toBeNull();
+        expect(findFlowReferences({ a: '${ContactFlow.A}', b: 'x ${ContactFlow.B.Id} y' })).toEqual([
+            { token: '${ContactFlow.A}', flowName: 'A', attribute: 'Arn' },
+            { token: '${ContactFlow.B.Id}', flowName: 'B', attribute: 'Id' }
+        ]);
+    });
+
+    test('should order flows after the flows they reference', () => {
+        const graph = FlowDependencyGraph.fromFlows({
+            Entry: '${ContactFlow.Sales} ${ContactFlow.Support.Id}',
+            Sales: '${ContactFlow.Disconnect}',
+            Support: '${ContactFlow.Disconnect} ${ContactFlow.Unmanaged}',
+            Disconnect: '{}'
+        });
+
+        expect(graph.getDependencies('Support')).toEqual(['Disconnect']);
+        expect(graph.getDeployOrder()).toEqual(['Disconnect', 'Sales', 'Support', 'Entry']);
+    });
+
+    test('should report circular references', () => {
+        const graph = FlowDependencyGraph.fromFlows({
+            A: '${ContactFlow.B}',
+            B: '${ContactFlow.C}',
+            C: '${ContactFlow.A}',
+            Self: '${ContactFlow.Self.Id}'
+        });
+
+        expect(graph.findCycles()).toEqual([['A', 'B', 'C', 'A'], ['Self', 'Self']]);
+        expect(() => graph.getDeployOrder()).toThrow('Circular flow references: A -> B -> C -> A; Self -> Self');
+    });
+
+    test('should render references to managed flows as deploy-time placeholders', async () => {
+        await writeTemplate('Entry', '${ContactFlow.Support}');
+        await writeTemplate('Support', '${ContactFlow.Legacy}');
+        const renderer = new TemplateRenderer({ tokens: { ContactFlow: { Legacy: 'arn:legacy', Support: 'arn:stale' } } });
+
+        const results = await renderer.processFlowsDirectory(flowsDir, outputDir);
+
+        expect(results.map(r => r.status)).toEqual(['success', 'success']);
+        const entry = await fs.readJson(path.join(outputDir, 'Entry.json'));
+        const support = await fs.readJson(path.join(outputDir, 'Support.json'));
+        expect(entry.content.Actions[0].Parameters.ContactFlowId).toBe('${ContactFlow.Support.Arn}');
+        expect(support.content.Actions[0].Parameters.ContactFlowId).toBe('arn:legacy');
+    });
+
+    test('should fail rendering and validation of flows in a reference cycle', async () => {
+        await writeTemplate('Entry', '${ContactFlow.Support.Id}');
+        await writeTemplate('Support', '${ContactFlow.Entry}');
+
+        const results = await new TemplateRenderer({ tokens: {} }).processFlowsDirectory(flowsDir, outputDir);
+        expect(results.map(({ flowName, status, error }) => ({ flowName, status, error }))).toEqual([
+            { flowName: 'Entry', status: 'error', error: 'Circular flow reference: Entry -> Support -> Entry' },
+            { flowName: 'Support', status: 'error', error: 'Circular flow reference: Entry -> Support -> Entry' }
+        ]);
+
+        const validator = new FlowValidator();
+        await validator.validateFlowReferences(flowsDir);
+        expect(validator.errors).toEqual(['Circular flow reference: Entry -> Support -> Entry']);
+    });
+});
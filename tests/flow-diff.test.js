@@ -0,0 +1,180 @@
+const { FlowDiff, ActionStatus, loadFlow, loadNormalizeRules, listChangedFlows, formatReports } = require('../scripts/flow-diff');
+const { execFileSync } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Flow Diff', () => {
+    const action = (identifier, type, parameters, transitions = {}) => ({
+        Identifier: identifier, Type: type, Parameters: parameters, Transitions: transitions
+    });
+
+    const baseFlow = () => ({
+        Version: '2019-10-30',
+        StartAction: 'greeting',
+        Metadata: {
+            entryPointPosition: { x: 20, y: 20 },
+            ActionMetadata: {
+                greeting: { position: { x: 100, y: 100 } },
+                hours: { position: { x: 300, y: 100 } },
+                end: { position: { x: 500, y: 100 } }
+            }
+        },
+        Actions: [
+            action('greeting', 'MessageParticipant', { Text: 'Welcome' }, {
+                NextAction: 'hours',
+                Errors: [{ NextAction: 'end', ErrorType: 'NoMatchingError' }]
+            }),
+            action('hours', 'CheckHoursOfOperation', {}, {
+                NextAction: 'end',
+                Conditions: [{ NextAction: 'end', Condition: { Operator: 'Equals', Operands: ['False'] } }]
+            }),
+            action('end', 'DisconnectParticipant', {})
+        ]
+    });
+
+    test('should match actions by Identifier and report parameter and transition changes', () => {
+        const after = baseFlow();
+        // Reordering actions alone is not a change
+        after.Actions.reverse();
+        after.Actions.find(a => a.Identifier === 'greeting').Parameters.Text = 'Welcome to sales';
+        after.Actions.find(a => a.Identifier === 'hours').Transitions.Conditions[0].NextAction = 'afterHours';
+        after.Actions.push(action('afterHours', 'MessageParticipant', { Text: 'We are closed' }));
+
+        const report = new FlowDiff().compare(baseFlow(), after);
+
+        expect(report.summary).toEqual({ added: 1, removed: 0, changed: 2, rewired: 1, layout: 0 });
+        expect(report.cosmetic).toBe(false);
+        expect(report.actions).toEqual([
+            {
+                identifier: 'greeting',
+                status: ActionStatus.CHANGED,
+                type: 'MessageParticipant',
+                changes: [{ path: 'Parameters.Text', before: 'Welcome', after: 'Welcome to sales' }],
+                transitions: [],
+                layoutChanged: false
+            },
+            {
+                identifier: 'hours',
+                status: ActionStatus.CHANGED,
+                type: 'CheckHoursOfOperation',
+                changes: [],
+                transitions: [{ on: 'Condition:Equals False', before: 'end', after: 'afterHours' }],
+                layoutChanged: false
+            },
+            expect.objectContaining({ identifier: 'afterHours', status: ActionStatus.ADDED })
+        ]);
+        expect(FlowDiff.hasSemanticChanges(report)).toBe(true);
+    });
+
+    test('should flag layout-only changes as cosmetic', () => {
+        const moved = baseFlow();
+        moved.Metadata.ActionMetadata.hours.position = { x: 420, y: 260 };
+        moved.Metadata.entryPointPosition = { x: 40, y: 60 };
+
+        const report = new FlowDiff().compare(baseFlow(), moved);
+
+        expect(report).toMatchObject({ identical: false, cosmetic: true, metadataChanged: true });
+        expect(report.actions).toEqual([expect.objectContaining({ identifier: 'hours', status: ActionStatus.LAYOUT, layoutChanged: true })]);
+        expect(FlowDiff.hasSemanticChanges(report)).toBe(false);
+        expect(FlowDiff.toText(report, 'SalesEntry')).toBe('SalesEntry: cosmetic (layout only)\n  • hours (CheckHoursOfOperation) layout\n');
+
+        // Movements within the normalization grid are not reported at all
+        const nudged = baseFlow();
+        nudged.Metadata.ActionMetadata.hours.position = { x: 302, y: 98 };
+        expect(new FlowDiff().compare(baseFlow(), nudged).identical).toBe(true);
+    });
+
+    test('should compare flow templates, new flows and start action changes in every format', () => {
+        const template = (content, description = 'Sales entry') => ({ name: 'SalesEntry', type: 'CONTACT_FLOW', description, content });
+        const after = baseFlow();
+        after.StartAction = 'hours';
+
+        const report = new FlowDiff().compare(template(baseFlow()), template(after, 'Sales entry with hours check'));
+        expect(report.startAction).toEqual({ before: 'greeting', after: 'hours' });
+        expect(report.flowChanges).toEqual([{ path: 'description', before: 'Sales entry', after: 'Sales entry with hours check' }]);
+
+        const created = new FlowDiff().compare(null, template(baseFlow()));
+        expect(created.summary.added).toBe(3);
+
+        const reports = [{ title: 'flows/SalesEntry/flow.json.tmpl', report }];
+        expect(JSON.parse(formatReports(reports, 'json'))[0].report.startAction.after).toBe('hours');
+        expect(formatReports(reports, 'markdown')).toContain('- StartAction: `greeting` → `hours`');
+        expect(formatReports(reports, 'text')).toContain('~ StartAction: greeting -> hours');
+        expect(() => formatReports(reports, 'html')).toThrow('Unknown format: html');
+    });
+
+    describe('Flow sources', () => {
+        const repoDir = path.join(__dirname, 'temp-flow-diff');
+        const git = (...args) => execFileSync('git', args, { cwd: repoDir, encoding: 'utf8' }).trim();
+        const flowFile = path.join('flows', 'SalesEntry', 'flow.json.tmpl');
+
+        beforeEach(async () => {
+            await fs.ensureDir(repoDir);
+            git('init', '--quiet', '--initial-branch=main');
+            git('config', 'user.name', 'Flow Diff');
+            git('config', 'user.email', 'flow-diff@example.com');
+            await fs.outputJson(path.join(repoDir, flowFile), { name: 'SalesEntry', content: baseFlow() });
+            await fs.outputJson(path.join(repoDir, 'flows', 'Legacy', 'flow.json.tmpl'), { name: 'Legacy', content: baseFlow() });
+            git('add', '-A');
+            git('commit', '--quiet', '-m', 'initial');
+        });
+
+        afterEach(async () => {
+            await fs.remove(repoDir);
+        });
+
+        test('should read flows from files, git revisions and the live instance', async () => {
+            const changed = baseFlow();
+            changed.Actions[0].Parameters.Text = 'Changed';
+            await fs.outputJson(path.join(repoDir, flowFile), { name: 'SalesEntry', content: changed });
+            await fs.outputJson(path.join(repoDir, 'flows', 'NewFlow', 'flow.json.tmpl'), { name: 'NewFlow', content: baseFlow() });
+            await fs.outputFile(path.join(repoDir, 'flows', 'NewFlow', 'metadata.yaml'), 'name: NewFlow\n');
+            await fs.remove(path.join(repoDir, 'flows', 'Legacy'));
+            git('add', '-A');
+
+            expect((await loadFlow(`main:${flowFile}`, { cwd: repoDir })).content.Actions[0].Parameters.Text).toBe('Welcome');
+            expect((await loadFlow(flowFile, { cwd: repoDir })).content.Actions[0].Parameters.Text).toBe('Changed');
+            expect(await loadFlow('main:flows/NewFlow/flow.json.tmpl', { cwd: repoDir })).toBeNull();
+
+            expect(listChangedFlows('main', ['flows'], repoDir)).toEqual([
+                { file: 'flows/Legacy/flow.json.tmpl', before: 'main:flows/Legacy/flow.json.tmpl', after: null },
+                { file: 'flows/NewFlow/flow.json.tmpl', before: null, after: 'flows/NewFlow/flow.json.tmpl' },
+                { file: flowFile, before: `main:${flowFile}`, after: flowFile }
+            ]);
+
+            const exporter = {
+                listContactFlows: jest.fn().mockResolvedValue([{ Id: 'flow-1', Name: 'SalesEntry' }]),
+                getContactFlowContent: jest.fn().mockResolvedValue({ content: changed })
+            };
+            expect(await loadFlow('live:SalesEntry', { instanceId: 'instance-id', exporter })).toEqual(changed);
+            expect(exporter.getContactFlowContent).toHaveBeenCalledWith('instance-id', 'flow-1');
+            await expect(loadFlow('live:Missing', { instanceId: 'instance-id', exporter }))
+                .rejects.toThrow('Contact flow not found in instance-id: Missing');
+        });
+
+        test('should read templates with bare tokens from files and git revisions', async () => {
+            const template = (timeout) => [
+                '{"name": "SalesEntry", "content": {"Version": "2019-10-30", "StartAction": "input", "Actions": [',
+                `  {"Identifier": "input", "Type": "GetParticipantInput", "Parameters": {"Text": "Press 1", "InputTimeLimitSeconds": ${timeout}}, "Transitions": {}}`,
+                ']}}'
+            ].join('\n');
+            await fs.outputFile(path.join(repoDir, flowFile), template('${Integration.InputTimeout}'));
+            git('commit', '--quiet', '-am', 'bare token');
+            await fs.outputFile(path.join(repoDir, flowFile), template('${Integration.LongInputTimeout}'));
+
+            const before = await loadFlow(`main:${flowFile}`, { cwd: repoDir });
+            const after = await loadFlow(flowFile, { cwd: repoDir });
+
+            expect(before.content.Actions[0].Parameters.InputTimeLimitSeconds).toBe('${Integration.InputTimeout}');
+            expect(new FlowDiff().compare(before, after).actions[0]).toMatchObject({ identifier: 'input', status: ActionStatus.CHANGED });
+        });
+
+        test('should load normalization rules from the auto-export config', async () => {
+            const configFile = path.join(repoDir, 'auto-export.yaml');
+            await fs.outputFile(configFile, 'normalize:\n  enabled: false\n  gridSize: 50\n');
+
+            expect(await loadNormalizeRules(configFile)).toEqual({ gridSize: 50 });
+            await expect(loadNormalizeRules(path.join(repoDir, 'missing.yaml'))).rejects.toThrow('Config file not found');
+        });
+    });
+});
@@ -0,0 +1,135 @@
+const { FlowLinter } = require('../scripts/flow-linter');
+const { FlowValidator } = require('../scripts/validate');
+const { TemplateRenderer } = require('../scripts/render');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Flow Linter', () => {
+    const action = (Identifier, Type, Transitions = {}) => ({ Identifier, Type, Parameters: {}, Transitions });
+    const onError = (NextAction) => ({ Errors: [{ NextAction, ErrorType: 'NoMatchingError' }] });
+
+    const rulesOf = (problems) => problems.map(p => `${p.rule}:${p.actionId}`);
+
+    test('should accept a well-formed flow', () => {
+        const linter = new FlowLinter();
+        const problems = linter.lint({
+            StartAction: 'greeting',
+            Actions: [
+                action('greeting', 'MessageParticipant', { NextAction: 'end', ...onError('end') }),
+                action('end', 'DisconnectParticipant')
+            ]
+        });
+
+        expect(problems).toEqual([]);
+    });
+
+    test('should report a StartAction that points at nothing', () => {
+        const linter = new FlowLinter();
+        const problems = linter.lint({
+            StartAction: 'missing',
+            Actions: [action('end', 'DisconnectParticipant')]
+        });
+
+        expect(problems[0]).toMatchObject({ rule: 'start-action', severity: 'error', actionId: 'missing' });
+    });
+
+    test('should report unknown transitions, unreachable actions and dead ends', () => {
+        const linter = new FlowLinter();
+        const problems = linter.lint({
+            StartAction: 'greeting',
+            Actions: [
+                action('greeting', 'MessageParticipant', { NextAction: 'loop', ...onError('typo') }),
+                action('loop', 'Compare', { NextAction: 'greeting', ...onError('greeting') }),
+                action('orphan', 'MessageParticipant', { NextAction: 'end', ...onError('end') }),
+                action('end', 'DisconnectParticipant')
+            ]
+        });
+
+        expect(rulesOf(problems)).toEqual([
+            'unknown-transition:greeting',
+            'unreachable-action:orphan',
+            'unreachable-action:end',
+            'no-terminal-path:greeting',
+            'no-terminal-path:loop'
+        ]);
+        expect(problems[0].message).toContain('Error(NoMatchingError) transition points at unknown action "typo"');
+    });
+
+    test('should report actions without an error branch', () => {
+        const linter = new FlowLinter();
+        const problems = linter.lint({
+            StartAction: 'greeting',
+            Actions: [
+                action('greeting', 'MessageParticipant', { NextAction: 'end' }),
+                action('end', 'DisconnectParticipant')
+            ]
+        });
+
+        expect(problems).toEqual([expect.objectContaining({
+            rule: 'missing-error-branch', severity: 'warning', actionId: 'greeting'
+        })]);
+    });
+
+    test('should warn about synchronous Lambda timeouts over 8 seconds', () => {
+        const linter = new FlowLinter();
+        const invoke = (Identifier, Parameters) => ({
+            ...action(Identifier, 'InvokeLambdaFunction', { NextAction: 'end', ...onError('end') }),
+            Parameters: { LambdaFunctionARN: 'arn:aws:lambda:us-east-1:123456789012:function:auth', ...Parameters }
+        });
+        const problems = linter.lint({
+            StartAction: 'sync',
+            Actions: [
+                invoke('sync', { InvocationTimeLimitSeconds: '30' }),
+                invoke('short', { InvocationTimeLimitSeconds: '8' }),
+                invoke('async', { InvocationType: 'ASYNCHRONOUS', InvocationTimeLimitSeconds: '60' }),
+                action('end', 'DisconnectParticipant')
+            ]
+        }).filter(p => p.rule === 'lambda-sync-timeout');
+
+        expect(problems).toEqual([{
+            rule: 'lambda-sync-timeout',
+            severity: 'warning',
+            actionId: 'sync',
+            message: 'Synchronous Lambda timeout 30s exceeds the 8s limit'
+        }]);
+    });
+
+    test('should honour configured severities', () => {
+        const linter = new FlowLinter({ 'missing-error-branch': 'off', 'unreachable-action': 'error' });
+        const problems = linter.lint({
+            StartAction: 'end',
+            Actions: [
+                action('end', 'DisconnectParticipant'),
+                action('orphan', 'MessageParticipant', { NextAction: 'end' })
+            ]
+        });
+
+        expect(problems).toEqual([expect.objectContaining({ rule: 'unreachable-action', severity: 'error' })]);
+        expect(() => new FlowLinter({ 'no-such-rule': 'error' })).toThrow('Unknown lint rule: no-such-rule');
+        expect(() => new FlowLinter({ 'start-action': 'fatal' })).toThrow('Invalid severity');
+    });
+
+    test('should lint the repository flow templates without errors', async () => {
+        const validator = new FlowValidator();
+        const flowsDir = path.join(__dirname, '..', 'flows');
+
+        for (const flowName of await fs.readdir(flowsDir)) {
+            const templateContent = await fs.readFile(path.join(flowsDir, flowName, 'flow.json.tmpl'), 'utf8');
+            await validator.validateFlowStructure(TemplateRenderer.parseTemplate(templateContent), flowName);
+        }
+
+        expect(validator.errors).toEqual([]);
+    });
+
+    test('should surface lint errors through FlowValidator', async () => {
+        const validator = new FlowValidator({ lintRules: { 'missing-error-branch': 'off' } });
+        await validator.validateFlowStructure({
+            content: { StartAction: 'greeting', Actions: [action('greeting', 'MessageParticipant')] }
+        }, 'BrokenFlow');
+
+        expect(validator.errors).toEqual([
+            'Flow BrokenFlow [no-terminal-path] action greeting: No path from this action ends in a terminal action'
+        ]);
+        expect(validator.warnings).toEqual([]);
+    });
+});
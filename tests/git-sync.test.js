@@ -0,0 +1,124 @@
+const { GitRepository, formatCommitMessage } = require('../scripts/git-sync');
+const AutoExportScheduler = require('../scripts/auto-export');
+const { execFileSync } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Auto export git integration', () => {
+    const repoDir = path.join(__dirname, 'temp-git-sync');
+    const git = (...args) => execFileSync('git', args, { cwd: repoDir, encoding: 'utf8' }).trim();
+
+    beforeEach(async () => {
+        await fs.ensureDir(repoDir);
+        git('init', '--quiet', '--initial-branch=main');
+        git('config', 'user.name', 'Auto Export');
+        git('config', 'user.email', 'auto-export@example.com');
+        await fs.outputFile(path.join(repoDir, 'flows-dev', 'SalesEntry', 'flow.json'), '{}\n');
+        await fs.outputFile(path.join(repoDir, 'unrelated.txt'), 'base\n');
+        git('add', '-A');
+        git('commit', '--quiet', '-m', 'initial');
+
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.remove(repoDir);
+    });
+
+    function createScheduler(gitConfig, forge) {
+        const scheduler = new AutoExportScheduler(path.join(repoDir, 'config.yaml'), {
+            git: new GitRepository({ cwd: repoDir }),
+            forge
+        });
+        scheduler.config = {
+            environments: {
+                dev: { outputDir: 'flows-dev', resourcesDir: 'resources-dev' },
+                test: { outputDir: 'flows-test', resourcesDir: 'resources-test' }
+            },
+            git: { autoCommit: true, commitMessage: 'auto: export "nightly"', branch: 'auto-export', baseBranch: 'main', ...gitConfig }
+        };
+        return scheduler;
+    }
+
+    test('should commit each environment separately with its flow changes', async () => {
+        git('checkout', '--quiet', '-b', 'feature');
+        await fs.outputFile(path.join(repoDir, 'feature.txt'), 'work in progress\n');
+        git('add', 'feature.txt');
+        git('commit', '--quiet', '-m', 'feature work');
+        await fs.outputFile(path.join(repoDir, 'flows-dev', 'SalesEntry', 'flow.json'), '{"a": 1}\n');
+        await fs.outputFile(path.join(repoDir, 'resources-dev', 'queues', 'Sales', 'queue.json'), '{}\n');
+        await fs.outputFile(path.join(repoDir, 'flows-test', 'Support "VIP"', 'flow.json'), '{}\n');
+        await fs.outputFile(path.join(repoDir, 'unrelated.txt'), 'local edit\n');
+
+        const scheduler = createScheduler();
+        const commits = await scheduler.performGitCommit([
+            { environment: 'dev', success: true, changes: [{ flow: 'SalesEntry', status: 'modified', additions: 1, deletions: 1 }] },
+            { environment: 'test', success: true, changes: [{ flow: 'Support "VIP"', status: 'added', additions: 1, deletions: 0 }] },
+            { environment: 'prod', success: false, error: 'Access denied: "connect:ListContactFlows"' }
+        ]);
+
+        expect(commits.map(c => c.environment)).toEqual(['dev', 'test']);
+        expect(git('rev-parse', '--abbrev-ref', 'HEAD')).toBe('auto-export');
+        // The branch starts from the base branch, not from the branch that was checked out
+        expect(git('rev-parse', 'HEAD~2')).toBe(git('rev-parse', 'main'));
+        expect(git('log', '--format=%s', 'main..HEAD').split('\n')).toEqual([
+            'auto: export "nightly" (test)',
+            'auto: export "nightly" (dev)'
+        ]);
+        expect(git('log', '-1', '--format=%b', 'HEAD~1')).toBe('- SalesEntry: modified (+1 -1)');
+        expect(git('show', '--name-only', '--format=', 'HEAD~1').split('\n')).toEqual([
+            'flows-dev/SalesEntry/flow.json',
+            'resources-dev/queues/Sales/queue.json'
+        ]);
+        expect(git('-c', 'core.quotepath=off', 'show', '-z', '--name-only', '--format=', 'HEAD')).toBe('flows-test/Support "VIP"/flow.json\0');
+        // Files outside the configured output directories are left alone
+        expect(git('status', '--porcelain')).toBe('M unrelated.txt');
+    });
+
+    test('should push and open a pull request through the forge adapter', async () => {
+        const remoteDir = `${repoDir}-remote`;
+        await fs.remove(remoteDir);
+        execFileSync('git', ['init', '--quiet', '--bare', remoteDir]);
+        git('remote', 'add', 'origin', remoteDir);
+        await fs.outputFile(path.join(repoDir, 'flows-dev', 'SalesEntry', 'flow.json'), '{"a": 1}\n');
+        const forge = { createPullRequest: jest.fn().mockResolvedValue({ url: 'https://example.com/pr/1', created: true }) };
+
+        try {
+            const scheduler = createScheduler({ autoPush: true, pullRequest: { enabled: true, base: 'main' } }, forge);
+            await scheduler.performGitCommit([
+                { environment: 'dev', success: true, changes: [{ flow: 'SalesEntry', status: 'modified', additions: 1, deletions: 1 }] }
+            ]);
+
+            expect(execFileSync('git', ['rev-parse', 'auto-export'], { cwd: remoteDir, encoding: 'utf8' }).trim()).toBe(git('rev-parse', 'HEAD'));
+            expect(forge.createPullRequest).toHaveBeenCalledWith({
+                base: 'main',
+                head: 'auto-export',
+                title: 'auto: export "nightly" (dev)',
+                body: '### dev\n\n- SalesEntry: modified (+1 -1)'
+            });
+        } finally {
+            await fs.remove(remoteDir);
+        }
+    });
+
+    test('should fail when the push fails, keeping the commits made so far', async () => {
+        await fs.outputFile(path.join(repoDir, 'flows-dev', 'SalesEntry', 'flow.json'), '{"a": 1}\n');
+        git('remote', 'add', 'origin', `${repoDir}-missing`);
+
+        const error = await createScheduler({ autoPush: true }).performGitCommit([
+            { environment: 'dev', success: true, changes: [{ flow: 'SalesEntry', status: 'modified', additions: 1, deletions: 1 }] }
+        ]).catch(e => e);
+
+        expect(error.message).toMatch(/^Git operations failed: /);
+        expect(error.commits.map(c => c.environment)).toEqual(['dev']);
+    });
+
+    test('should not commit when the output directories are unchanged', async () => {
+        const commits = await createScheduler().performGitCommit([{ environment: 'dev', success: true, changes: [] }]);
+
+        expect(commits).toEqual([]);
+        expect(git('rev-list', '--count', 'HEAD')).toBe('1');
+        expect(formatCommitMessage('auto: export', 'dev', [])).toBe('auto: export (dev)\n\n- (resources only)');
+    });
+});
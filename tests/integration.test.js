@@ -50,6 +50,92 @@ describe('Contact Flow CI/CD System', () => {
             expect(normalized.content.actions[0].x).toBe(120);
             expect(normalized.content.actions[0].y).toBe(460);
         });
+
+        test('should templatize ARNs and phone numbers with matching tokens', () => {
+            const normalizer = new FlowNormalizer();
+            const tokens = {
+                Lambda: {
+                    AuthAlias: 'arn:aws:lambda:us-east-1:123456789012:function:auth:LIVE'
+                },
+                PhoneNumber: {
+                    Main: '+18001234567'
+                }
+            };
+            const flow = {
+                Actions: [
+                    {
+                        Identifier: 'invoke',
+                        Parameters: { LambdaFunctionARN: 'arn:aws:lambda:us-east-1:123456789012:function:auth:LIVE' }
+                    },
+                    {
+                        Identifier: 'transfer',
+                        Parameters: {
+                            ThirdPartyPhoneNumber: '+18001234567',
+                            QueueId: 'arn:aws:connect:us-east-1:123456789012:instance/abc/queue/unknown'
+                        }
+                    }
+                ]
+            };
+
+            const { template, replaced, unmatched } = normalizer.templatize(flow, tokens);
+
+            expect(template.Actions[0].Parameters.LambdaFunctionARN).toBe('${Lambda.AuthAlias}');
+            expect(template.Actions[1].Parameters.ThirdPartyPhoneNumber).toBe('${PhoneNumber.Main}');
+            expect(replaced.map(r => r.token)).toEqual(['Lambda.AuthAlias', 'PhoneNumber.Main']);
+            expect(unmatched).toEqual([{
+                path: 'Actions[1].Parameters.QueueId',
+                value: 'arn:aws:connect:us-east-1:123456789012:instance/abc/queue/unknown'
+            }]);
+        });
+
+        test('should write a templatized flow.json.tmpl for exported flows', async () => {
+            const normalizer = new FlowNormalizer();
+            const flowDir = path.join(testOutputDir, 'ExportedFlow');
+            await fs.ensureDir(flowDir);
+            await fs.writeJson(path.join(flowDir, 'flow.json'), {
+                StartAction: 'queue',
+                Actions: [{ Identifier: 'queue', Parameters: { QueueId: 'arn:aws:connect:us-east-1:123456789012:instance/abc/queue/sales' } }]
+            });
+
+            const result = await normalizer.processFlowDirectory(flowDir, {
+                tokens: { Queue: { Sales: 'arn:aws:connect:us-east-1:123456789012:instance/abc/queue/sales' } }
+            });
+
+            const template = await fs.readJson(path.join(flowDir, 'flow.json.tmpl'));
+            expect(template.content.Actions[0].Parameters.QueueId).toBe('${Queue.Sales}');
+            expect(result.replaced).toHaveLength(1);
+            expect(result.unmatched).toHaveLength(0);
+        });
+
+        test('should write a flow template that the renderer accepts', async () => {
+            const normalizer = new FlowNormalizer();
+            const flowsDir = path.join(testOutputDir, 'normalized-flows');
+            const flowDir = path.join(flowsDir, 'QueueFlow');
+            const queueArn = 'arn:aws:connect:us-east-1:123456789012:instance/abc/queue/sales';
+            await fs.ensureDir(flowDir);
+            await fs.writeJson(path.join(flowDir, 'flow.json'), {
+                Version: '2019-10-30',
+                StartAction: 'queue',
+                Actions: [
+                    { Identifier: 'queue', Type: 'TransferContactToQueue', Parameters: { QueueId: queueArn }, Transitions: {} }
+                ]
+            });
+            await fs.writeFile(path.join(flowDir, 'metadata.yaml'), 'name: Queue Flow\ntype: CUSTOMER_QUEUE\n');
+
+            await normalizer.processFlowDirectory(flowDir, { tokens: { Queue: { Sales: queueArn } } });
+
+            const template = await fs.readJson(path.join(flowDir, 'flow.json.tmpl'));
+            expect(template).toMatchObject({ name: 'Queue Flow', type: 'CUSTOMER_QUEUE' });
+
+            const renderer = new TemplateRenderer({ tokens: { Queue: { Sales: queueArn } } });
+            const outputDir = path.join(testOutputDir, 'normalized-dist');
+            await fs.ensureDir(outputDir);
+            const result = await renderer.processFlowDirectory(flowDir, outputDir, 'QueueFlow');
+
+            expect(result).toMatchObject({ status: 'success' });
+            const rendered = await fs.readJson(path.join(outputDir, 'QueueFlow.json'));
+            expect(rendered.content.Actions[0].Parameters.QueueId).toBe(queueArn);
+        });
     });
 
     describe('Template Rendering', () => {
@@ -88,6 +174,75 @@ describe('Contact Flow CI/CD System', () => {
             }).toThrow('Token not found: NonExistent.Token');
         });
 
+        test('should inject structured values for tokens that fill a whole value', () => {
+            const envConfig = {
+                tokens: {
+                    ContactFlow: {
+                        SampleInboundFlow: {
+                            name: 'Sample inbound flow',
+                            content: { Version: '2019-10-30', Actions: [] }
+                        }
+                    },
+                    Integration: { Timeout: 30, Recording: true, Languages: ['ja-JP', 'en-US'] }
+                }
+            };
+
+            const renderer = new TemplateRenderer(envConfig);
+            const template = `{
+                "name": "\${ContactFlow.SampleInboundFlow.name}",
+                "content": \${ContactFlow.SampleInboundFlow.content},
+                "timeout": \${Integration.Timeout},
+                "recording": "\${Integration.Recording}",
+                "languages": \${Integration.Languages},
+                "description": "Timeout is \${Integration.Timeout}s"
+            }`;
+
+            const rendered = JSON.parse(renderer.render(template));
+
+            expect(rendered).toEqual({
+                name: 'Sample inbound flow',
+                content: { Version: '2019-10-30', Actions: [] },
+                timeout: 30,
+                recording: true,
+                languages: ['ja-JP', 'en-US'],
+                description: 'Timeout is 30s'
+            });
+        });
+
+        test('should fall back to default values', () => {
+            const renderer = new TemplateRenderer({ tokens: { Queue: { Sales: 'sales-arn' } } });
+            const rendered = renderer.render({
+                sales: '${Queue.Sales:-fallback}',
+                support: '${Queue.Support:-fallback}',
+                text: 'Queue: ${Queue.Support:-none}'
+            });
+
+            expect(rendered).toEqual({ sales: 'sales-arn', support: 'fallback', text: 'Queue: none' });
+        });
+
+        test('should report the JSON path of every unresolved token', () => {
+            const renderer = new TemplateRenderer({ tokens: { Queue: { Sales: { Id: 'x' } } } });
+            const template = {
+                content: {
+                    Actions: [
+                        { Parameters: { QueueId: '${Queue.Missing}' } },
+                        { Parameters: { Text: 'Queue ${Queue.Sales}' } }
+                    ]
+                }
+            };
+
+            let error;
+            try {
+                renderer.render(template);
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error.message).toContain('Token not found: Queue.Missing at content.Actions[0].Parameters.QueueId');
+            expect(error.message).toContain('Cannot interpolate object token into string: Queue.Sales at content.Actions[1].Parameters.Text');
+            expect(error.unresolvedTokens).toHaveLength(2);
+        });
+
         test('should validate ARN formats', async () => {
             const envConfig = {
                 tokens: {
@@ -0,0 +1,336 @@
+const http = require('http');
+const net = require('net');
+const fs = require('fs-extra');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { WebhookNotifier, SmtpMailer, buildExportReport, formatSlackMessage, formatEmailText } = require('../scripts/notifier');
+const AutoExportScheduler = require('../scripts/auto-export');
+
+describe('Notifications', () => {
+    const noSleep = () => Promise.resolve();
+
+    // Local HTTP server answering with the queued status codes (then 200)
+    async function startHttpServer(statuses = [], { hang = false } = {}) {
+        const requests = [];
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ method: req.method, headers: req.headers, body: JSON.parse(body) });
+                if (hang) {
+                    return;
+                }
+                res.writeHead(statuses.shift() || 200);
+                res.end('ok');
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        return {
+            url: `http://127.0.0.1:${server.address().port}/hook`,
+            requests,
+            close: () => {
+                server.closeAllConnections();
+                return new Promise(resolve => server.close(resolve));
+            }
+        };
+    }
+
+    // Minimal SMTP sink recording each session's commands and message data
+    async function startSmtpSink({ rejectRcpt = null, dropFirst = 0 } = {}) {
+        const sessions = [];
+        const sockets = new Set();
+        let connections = 0;
+
+        const server = net.createServer(socket => {
+            sockets.add(socket);
+            socket.on('close', () => sockets.delete(socket));
+            connections++;
+            if (connections <= dropFirst) {
+                socket.destroy();
+                return;
+            }
+
+            const session = { commands: [], data: '' };
+            sessions.push(session);
+            let buffer = '';
+            let inData = false;
+            socket.setEncoding('utf8');
+            socket.write('220 sink ESMTP\r\n');
+
+            socket.on('data', chunk => {
+                buffer += chunk;
+                let index;
+                while ((index = buffer.indexOf('\r\n')) !== -1) {
+                    const line = buffer.slice(0, index);
+                    buffer = buffer.slice(index + 2);
+
+                    if (inData) {
+                        if (line === '.') {
+                            inData = false;
+                            socket.write('250 queued\r\n');
+                        } else {
+                            session.data += `${line}\r\n`;
+                        }
+                        continue;
+                    }
+
+                    session.commands.push(line);
+                    const verb = line.split(/[ :]/)[0].toUpperCase();
+                    if (verb === 'EHLO') {
+                        socket.write('250-sink\r\n250-SIZE 1000000\r\n250 AUTH PLAIN\r\n');
+                    } else if (verb === 'AUTH') {
+                        socket.write('235 authenticated\r\n');
+                    } else if (verb === 'RCPT' && rejectRcpt && line.includes(rejectRcpt)) {
+                        socket.write('550 no such user\r\n');
+                    } else if (verb === 'DATA') {
+                        inData = true;
+                        socket.write('354 go ahead\r\n');
+                    } else if (verb === 'QUIT') {
+                        socket.end('221 bye\r\n');
+                    } else {
+                        socket.write('250 ok\r\n');
+                    }
+                }
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        return {
+            port: server.address().port,
+            sessions,
+            connections: () => connections,
+            close: () => {
+                sockets.forEach(socket => socket.destroy());
+                return new Promise(resolve => server.close(resolve));
+            }
+        };
+    }
+
+    const results = [
+        {
+            environment: 'dev',
+            success: true,
+            results: [{}, {}, {}],
+            changes: [
+                { flow: 'SalesEntry', status: 'modified', additions: 4, deletions: 2 },
+                { flow: 'NewFlow', status: 'added', additions: 20, deletions: 0 }
+            ]
+        },
+        { environment: 'test', success: false, error: 'AccessDenied' }
+    ];
+
+    describe('WebhookNotifier', () => {
+        test('should POST the payload as JSON', async () => {
+            const server = await startHttpServer();
+            try {
+                await new WebhookNotifier({ url: server.url }).send({ text: 'hello' });
+
+                expect(server.requests).toHaveLength(1);
+                expect(server.requests[0].method).toBe('POST');
+                expect(server.requests[0].headers['content-type']).toBe('application/json');
+                expect(server.requests[0].body).toEqual({ text: 'hello' });
+            } finally {
+                await server.close();
+            }
+        });
+
+        test('should retry 5xx and 429 responses', async () => {
+            const server = await startHttpServer([500, 429]);
+            const sleep = jest.fn(noSleep);
+            try {
+                const response = await new WebhookNotifier({ url: server.url, sleep, retryDelayMs: 100 }).send({ text: 'retry' });
+
+                expect(response.status).toBe(200);
+                expect(server.requests).toHaveLength(3);
+                expect(sleep.mock.calls.map(([delay]) => delay)).toEqual([100, 200]);
+            } finally {
+                await server.close();
+            }
+        });
+
+        test('should not retry client errors', async () => {
+            const server = await startHttpServer([400]);
+            try {
+                await expect(new WebhookNotifier({ url: server.url, sleep: noSleep }).send({}))
+                    .rejects.toThrow('Webhook responded 400');
+                expect(server.requests).toHaveLength(1);
+            } finally {
+                await server.close();
+            }
+        });
+
+        test('should time out and give up after the configured retries', async () => {
+            const server = await startHttpServer([], { hang: true });
+            try {
+                await expect(new WebhookNotifier({ url: server.url, timeoutMs: 100, retries: 1, sleep: noSleep }).send({}))
+                    .rejects.toThrow('timed out after 100ms');
+                expect(server.requests).toHaveLength(2);
+            } finally {
+                await server.close();
+            }
+        });
+    });
+
+    describe('SmtpMailer', () => {
+        test('should deliver a message through the SMTP sink', async () => {
+            const sink = await startSmtpSink();
+            try {
+                await new SmtpMailer({
+                    host: '127.0.0.1', port: sink.port, user: 'bot', pass: 'secret', allowInsecureAuth: true, from: 'bot@example.com'
+                }).send({ to: ['a@example.com', 'b@example.com'], subject: '変更レポート', text: 'line 1\n.line 2' });
+
+                const [session] = sink.sessions;
+                expect(session.commands).toEqual(expect.arrayContaining([
+                    `AUTH PLAIN ${Buffer.from('\u0000bot\u0000secret').toString('base64')}`,
+                    'MAIL FROM:<bot@example.com>',
+                    'RCPT TO:<a@example.com>',
+                    'RCPT TO:<b@example.com>',
+                    'DATA',
+                    'QUIT'
+                ]));
+                expect(session.data).toContain('To: a@example.com, b@example.com');
+                expect(session.data).toContain(`Subject: =?UTF-8?B?${Buffer.from('変更レポート').toString('base64')}?=`);
+
+                const body = session.data.split('\r\n\r\n')[1].replace(/\r\n/g, '');
+                expect(Buffer.from(body, 'base64').toString('utf8')).toBe('line 1\n.line 2');
+            } finally {
+                await sink.close();
+            }
+        });
+
+        test('should refuse to authenticate over a plaintext connection', async () => {
+            const sink = await startSmtpSink();
+            try {
+                await expect(new SmtpMailer({ host: '127.0.0.1', port: sink.port, user: 'bot', pass: 'secret', from: 'bot@example.com', sleep: noSleep })
+                    .send({ to: 'a@example.com', subject: 'x', text: 'y' }))
+                    .rejects.toThrow('SMTP server 127.0.0.1 did not offer STARTTLS; refusing to send credentials in plaintext');
+
+                expect(sink.connections()).toBe(1);
+                expect(sink.sessions[0].commands.some(command => command.startsWith('AUTH'))).toBe(false);
+            } finally {
+                await sink.close();
+            }
+        });
+
+        test('should retry dropped connections', async () => {
+            const sink = await startSmtpSink({ dropFirst: 1 });
+            try {
+                await new SmtpMailer({ host: '127.0.0.1', port: sink.port, from: 'bot@example.com', sleep: noSleep })
+                    .send({ to: 'a@example.com', subject: 'retry', text: 'body' });
+
+                expect(sink.connections()).toBe(2);
+                expect(sink.sessions).toHaveLength(1);
+            } finally {
+                await sink.close();
+            }
+        });
+
+        test('should fail without retrying permanent errors', async () => {
+            const sink = await startSmtpSink({ rejectRcpt: 'nobody@example.com' });
+            try {
+                await expect(new SmtpMailer({ host: '127.0.0.1', port: sink.port, from: 'bot@example.com', sleep: noSleep })
+                    .send({ to: 'nobody@example.com', subject: 'x', text: 'y' }))
+                    .rejects.toThrow('SMTP error 550: no such user');
+                expect(sink.connections()).toBe(1);
+            } finally {
+                await sink.close();
+            }
+        });
+    });
+
+    describe('Report', () => {
+        test('should list changed flows with diff stats per environment', () => {
+            const report = buildExportReport(results);
+
+            expect(report).toMatchObject({ successful: 1, failed: 1, changedFlows: 2 });
+            expect(report.environments[0]).toMatchObject({ environment: 'dev', exportedFlows: 3, additions: 24, deletions: 2 });
+
+            const slack = formatSlackMessage(report, '#connect-updates');
+            expect(slack.channel).toBe('#connect-updates');
+            expect(slack.attachments[0].color).toBe('warning');
+            expect(slack.attachments[0].text).toContain('• SalesEntry (modified, +4 -2)');
+            expect(slack.attachments[0].text).toContain('*test* ❌ AccessDenied');
+
+            const text = formatEmailText(report);
+            expect(text).toContain('  - NewFlow (added, +20 -0)');
+            expect(text).toContain('[test] FAILED: AccessDenied');
+        });
+
+        test('should report git failures', () => {
+            const report = buildExportReport([results[0]], { gitError: 'Git operations failed: push rejected' });
+
+            expect(report.gitError).toBe('Git operations failed: push rejected');
+            const slack = formatSlackMessage(report);
+            expect(slack.attachments[0].color).toBe('warning');
+            expect(slack.attachments[0].text).toContain('*git* ❌ Git operations failed: push rejected');
+            expect(formatEmailText(report)).toContain('[git] FAILED: Git operations failed: push rejected');
+        });
+    });
+
+    describe('AutoExportScheduler', () => {
+        const tempDir = path.join(__dirname, 'temp-notify');
+
+        afterEach(async () => {
+            await fs.remove(tempDir);
+        });
+
+        test('should send Slack, webhook and email notifications', async () => {
+            const server = await startHttpServer();
+            const sink = await startSmtpSink();
+            try {
+                process.env.TEST_WEBHOOK_URL = server.url;
+                const scheduler = new AutoExportScheduler();
+                scheduler.config = {
+                    notifications: {
+                        slack: { enabled: true, webhookUrl: '${TEST_WEBHOOK_URL}', channel: '#ops' },
+                        webhooks: [{ name: 'ops', url: server.url }, { url: 'http://127.0.0.1:1/disabled', enabled: false }],
+                        email: {
+                            enabled: true,
+                            to: ['team@example.com'],
+                            from: 'bot@example.com',
+                            subject: 'Export Report',
+                            smtp: { host: '127.0.0.1', port: sink.port }
+                        }
+                    }
+                };
+
+                const sent = await scheduler.sendNotifications(results);
+
+                expect(sent).toEqual([
+                    { channel: 'Slack', success: true },
+                    { channel: 'Webhook ops', success: true },
+                    { channel: 'Email', success: true }
+                ]);
+                expect(server.requests[0].body.channel).toBe('#ops');
+                expect(server.requests[1].body.environments[0].changes).toHaveLength(2);
+                expect(sink.sessions[0].data).toContain(`Subject: =?UTF-8?B?${Buffer.from('Export Report (2 changed flows)').toString('base64')}?=`);
+            } finally {
+                delete process.env.TEST_WEBHOOK_URL;
+                await server.close();
+                await sink.close();
+            }
+        });
+
+        test('should collect changed flows from git', async () => {
+            const repoDir = path.join(tempDir, 'repo');
+            const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: repoDir });
+
+            await fs.outputFile(path.join(repoDir, 'flows', 'SalesEntry', 'flow.json'), 'a\nb\nc\n');
+            await fs.outputFile(path.join(repoDir, 'flows', 'Unchanged', 'flow.json'), 'x\n');
+            git('init', '-q');
+            git('add', '-A');
+            git('commit', '-q', '-m', 'initial');
+
+            await fs.outputFile(path.join(repoDir, 'flows', 'SalesEntry', 'flow.json'), 'a\nB\nc\nd\n');
+            await fs.outputFile(path.join(repoDir, 'flows', 'NewFlow', 'flow.json'), '1\n2\n');
+            await fs.outputFile(path.join(repoDir, 'flows', 'NewFlow', 'metadata.yaml'), 'name: New\n');
+            await fs.outputFile(path.join(repoDir, 'flows', 'export-summary.yaml'), 'total: 3\n');
+
+            const changes = new AutoExportScheduler().collectChanges('flows', repoDir);
+
+            expect(changes).toEqual([
+                { flow: 'NewFlow', status: 'added', additions: 3, deletions: 0 },
+                { flow: 'SalesEntry', status: 'modified', additions: 2, deletions: 1 }
+            ]);
+        });
+    });
+});
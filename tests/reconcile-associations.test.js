@@ -0,0 +1,176 @@
+const { AssociationReconciler } = require('../scripts/reconcile-associations');
+const ConnectFlowExporter = require('../scripts/export');
+
+describe('Association Reconciler', () => {
+    const instanceId = '87654321-4321-8765-4321-876543218765';
+    const instanceArn = `arn:aws:connect:us-east-1:123456789012:instance/${instanceId}`;
+    const envConfig = {
+        connect: { instance_id: instanceId, instance_arn: instanceArn, region: 'us-east-1' },
+        tokens: {
+            PhoneNumber: { Main: '+18005550100', Support: '+18005550101' },
+            Queue: { Sales: `${instanceArn}/queue/queue-1` }
+        },
+        associations: {
+            phone_numbers: [
+                { number: '${PhoneNumber.Main}', flow: 'SalesEntry' },
+                { number: '${PhoneNumber.Support}', flow: 'SupportEntry' }
+            ],
+            queues: [
+                { queue: '${Queue.Sales}', outbound_whisper_flow: 'SalesWhisper' }
+            ]
+        }
+    };
+    const flows = {
+        SalesEntry: { flowId: 'flow-sales', arn: `${instanceArn}/contact-flow/flow-sales` },
+        SupportEntry: { flowId: 'flow-support', arn: `${instanceArn}/contact-flow/flow-support` },
+        SalesWhisper: { flowId: 'flow-whisper', arn: `${instanceArn}/contact-flow/flow-whisper` }
+    };
+
+    // In-memory instance: phone number and queue outbound whisper associations
+    function createFakeConnect({ failQueueUpdate = false } = {}) {
+        const respond = (value) => ({ promise: () => Promise.resolve(value) });
+        const phoneFlows = new Map([['phone-main', `${instanceArn}/contact-flow/flow-old`]]);
+        const queueConfig = { OutboundCallerIdName: 'Sales', OutboundFlowId: 'flow-old-whisper' };
+
+        return {
+            phoneFlows,
+            queueConfig,
+            listPhoneNumbersV2: jest.fn(() => respond({
+                ListPhoneNumbersSummaryList: [
+                    { PhoneNumberId: 'phone-main', PhoneNumberArn: 'arn:aws:connect:us-east-1:123456789012:phone-number/phone-main', PhoneNumber: '+18005550100' },
+                    { PhoneNumberId: 'phone-support', PhoneNumberArn: 'arn:aws:connect:us-east-1:123456789012:phone-number/phone-support', PhoneNumber: '+18005550101' }
+                ]
+            })),
+            listFlowAssociations: jest.fn(() => respond({
+                FlowAssociationSummaryList: Array.from(phoneFlows.entries()).map(([id, flowId]) => ({
+                    ResourceId: `arn:aws:connect:us-east-1:123456789012:phone-number/${id}`,
+                    FlowId: flowId,
+                    ResourceType: 'VOICE_PHONE_NUMBER'
+                }))
+            })),
+            describeQueue: jest.fn(() => respond({ Queue: { Name: 'Sales', QueueId: 'queue-1', OutboundCallerConfig: { ...queueConfig } } })),
+            associatePhoneNumberContactFlow: jest.fn(({ PhoneNumberId, ContactFlowId }) => {
+                phoneFlows.set(PhoneNumberId, ContactFlowId);
+                return respond({});
+            }),
+            disassociatePhoneNumberContactFlow: jest.fn(({ PhoneNumberId }) => {
+                phoneFlows.delete(PhoneNumberId);
+                return respond({});
+            }),
+            updateQueueOutboundCallerConfig: jest.fn(({ OutboundCallerConfig }) => {
+                if (failQueueUpdate) {
+                    return { promise: () => Promise.reject(Object.assign(new Error('Access denied'), { code: 'AccessDeniedException' })) };
+                }
+                Object.assign(queueConfig, OutboundCallerConfig);
+                return respond({});
+            })
+        };
+    }
+
+    function createReconciler(connect) {
+        return new AssociationReconciler(envConfig, { flows, exporter: new ConnectFlowExporter('us-east-1', { connect }) });
+    }
+
+    test('should plan changes against the current associations', async () => {
+        const connect = createFakeConnect();
+        connect.phoneFlows.set('phone-support', `${instanceArn}/contact-flow/flow-support`);
+        const reconciler = createReconciler(connect);
+
+        const plan = await reconciler.plan();
+
+        expect(plan.map(({ type, target, currentFlowId, flowId, action }) => ({ type, target, currentFlowId, flowId, action }))).toEqual([
+            { type: 'phone-number', target: '+18005550100', currentFlowId: 'flow-old', flowId: 'flow-sales', action: 'associate' },
+            { type: 'phone-number', target: '+18005550101', currentFlowId: 'flow-support', flowId: 'flow-support', action: 'unchanged' },
+            { type: 'queue', target: 'Sales', currentFlowId: 'flow-old-whisper', flowId: 'flow-whisper', action: 'update' }
+        ]);
+        expect(connect.describeQueue).toHaveBeenCalledWith({ InstanceId: instanceId, QueueId: 'queue-1' });
+        expect(reconciler.formatPlan(plan)).toBe([
+            '  ~ phone number +18005550100: flow-old -> SalesEntry (flow-sales)',
+            '  = phone number +18005550101 -> SupportEntry',
+            '  ~ queue Sales outbound whisper: flow-old-whisper -> SalesWhisper (flow-whisper)'
+        ].join('\n'));
+    });
+
+    test('should apply the plan and restore the previous associations from a snapshot', async () => {
+        const connect = createFakeConnect();
+        const reconciler = createReconciler(connect);
+
+        const applied = await reconciler.apply(await reconciler.plan());
+
+        expect(applied.map(entry => entry.target)).toEqual(['+18005550100', '+18005550101', 'Sales']);
+        expect(connect.phoneFlows.get('phone-main')).toBe('flow-sales');
+        expect(connect.phoneFlows.get('phone-support')).toBe('flow-support');
+        expect(connect.queueConfig).toEqual({ OutboundCallerIdName: 'Sales', OutboundFlowId: 'flow-whisper' });
+
+        await reconciler.restore(reconciler.snapshot(applied));
+
+        expect(connect.phoneFlows.get('phone-main')).toBe('flow-old');
+        expect(connect.phoneFlows.has('phone-support')).toBe(false);
+        expect(connect.queueConfig).toEqual({ OutboundCallerIdName: 'Sales', OutboundFlowId: 'flow-old-whisper' });
+    });
+
+    test('should revert applied changes when a later change fails', async () => {
+        const connect = createFakeConnect({ failQueueUpdate: true });
+        const reconciler = createReconciler(connect);
+
+        await expect(reconciler.apply(await reconciler.plan())).rejects.toThrow('Association of Sales failed (Access denied); reverted 2 change(s)');
+
+        expect(connect.phoneFlows.get('phone-main')).toBe('flow-old');
+        expect(connect.phoneFlows.has('phone-support')).toBe(false);
+    });
+
+    test('should refuse flows that are not deployed and numbers that are not claimed', async () => {
+        const connect = createFakeConnect();
+
+        const missingFlow = new AssociationReconciler(envConfig, {
+            flows: { SalesEntry: flows.SalesEntry },
+            exporter: new ConnectFlowExporter('us-east-1', { connect })
+        });
+        await expect(missingFlow.plan()).rejects.toThrow('Flow SupportEntry is not recorded in the deployment state');
+
+        const unclaimed = new AssociationReconciler({
+            ...envConfig,
+            associations: { phone_numbers: [{ number: '+18005550199', flow: 'SalesEntry' }] }
+        }, { flows, exporter: new ConnectFlowExporter('us-east-1', { connect }) });
+        await expect(unclaimed.plan()).rejects.toThrow(`Phone number +18005550199 is not claimed for instance ${instanceId}`);
+
+        const holdFlow = new AssociationReconciler({
+            ...envConfig,
+            associations: { queues: [{ queue: 'queue-1', outbound_whisper_flow: 'SalesWhisper', hold_flow: 'SalesHold' }] }
+        }, { flows, exporter: new ConnectFlowExporter('us-east-1', { connect }) });
+        await expect(holdFlow.plan()).rejects.toThrow('Queue queue-1: hold flows cannot be associated with a queue');
+    });
+
+    test('should associate phone numbers with the blue/green entry flows', async () => {
+        const connect = createFakeConnect();
+        connect.listContactFlows = jest.fn(() => ({
+            promise: () => Promise.resolve({
+                ContactFlowSummaryList: [
+                    { Id: 'flow-sales-router', Arn: `${instanceArn}/contact-flow/flow-sales-router`, Name: 'SalesEntry-entry' },
+                    { Id: 'flow-support-router', Arn: `${instanceArn}/contact-flow/flow-support-router`, Name: 'SupportEntry-entry' }
+                ]
+            })
+        }));
+        const reconciler = new AssociationReconciler({ ...envConfig, deployment: { blue_green: true } }, {
+            flows,
+            exporter: new ConnectFlowExporter('us-east-1', { connect })
+        });
+
+        const plan = await reconciler.plan();
+
+        expect(plan.map(({ target, flowId }) => [target, flowId])).toEqual([
+            ['+18005550100', 'flow-sales-router'],
+            ['+18005550101', 'flow-support-router'],
+            ['Sales', 'flow-whisper']
+        ]);
+        expect(connect.listContactFlows).toHaveBeenCalledTimes(1);
+
+        connect.listContactFlows.mockReturnValue({ promise: () => Promise.resolve({ ContactFlowSummaryList: [] }) });
+        const withoutRouter = new AssociationReconciler(envConfig, {
+            flows,
+            blueGreen: true,
+            exporter: new ConnectFlowExporter('us-east-1', { connect })
+        });
+        await expect(withoutRouter.plan()).rejects.toThrow('Entry flow SalesEntry-entry not found');
+    });
+});
@@ -0,0 +1,48 @@
+const { TemplateRenderer } = require('../scripts/render');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Template Renderer', () => {
+    const testOutputDir = path.join(__dirname, 'temp-render');
+    const flowsDir = path.join(testOutputDir, 'flows');
+    const outputDir = path.join(testOutputDir, 'dist', 'test');
+    const content = {
+        Version: '2019-10-30',
+        StartAction: 'end',
+        Actions: [{ Identifier: 'end', Type: 'DisconnectParticipant', Parameters: {}, Transitions: {} }]
+    };
+
+    afterEach(async () => {
+        await fs.remove(testOutputDir);
+    });
+
+    test('should take the flow type from metadata.yaml when the template has none', async () => {
+        await fs.outputJson(path.join(flowsDir, 'Hold', 'flow.json.tmpl'), { name: 'Hold', content });
+        await fs.outputFile(path.join(flowsDir, 'Hold', 'metadata.yaml'), 'name: Hold\ntype: CUSTOMER_HOLD\n');
+
+        const results = await new TemplateRenderer({ tokens: {} }).processFlowsDirectory(flowsDir, outputDir);
+
+        expect(results[0].status).toBe('success');
+        expect((await fs.readJson(path.join(outputDir, 'Hold.json'))).type).toBe('CUSTOMER_HOLD');
+    });
+
+    test('should reject unknown types and types that disagree with metadata.yaml', async () => {
+        await fs.outputJson(path.join(flowsDir, 'Hold', 'flow.json.tmpl'), { name: 'Hold', type: 'AGENT_HOLD', content });
+        await fs.outputFile(path.join(flowsDir, 'Hold', 'metadata.yaml'), 'type: CUSTOMER_HOLD\n');
+        await fs.outputJson(path.join(flowsDir, 'Whisper', 'flow.json.tmpl'), { name: 'Whisper', type: 'QUEUE_WHISPER', content });
+
+        const results = await new TemplateRenderer({ tokens: {} }).processFlowsDirectory(flowsDir, outputDir);
+
+        expect(results[0]).toMatchObject({ status: 'error', error: 'Flow Hold declares type AGENT_HOLD but metadata.yaml has CUSTOMER_HOLD' });
+        expect(results[1]).toMatchObject({ status: 'error', error: expect.stringContaining('Unsupported flow type: QUEUE_WHISPER') });
+    });
+
+    test('should render module templates to modules/<flow>/<module>.json', async () => {
+        await fs.outputJson(path.join(flowsDir, 'Entry', 'flow.json.tmpl'), { name: 'Entry', type: 'CONTACT_FLOW', content });
+        await fs.outputFile(path.join(flowsDir, 'Entry', 'modules', 'Authenticate.json.tmpl'), '{"Version": "2019-10-30", "Greeting": "${Prompt.Welcome}"}');
+
+        await new TemplateRenderer({ tokens: { Prompt: { Welcome: 'arn:prompt' } } }).processFlowsDirectory(flowsDir, outputDir);
+
+        expect(await fs.readJson(path.join(outputDir, 'modules', 'Entry', 'Authenticate.json'))).toEqual({ Version: '2019-10-30', Greeting: 'arn:prompt' });
+    });
+});
@@ -0,0 +1,225 @@
+const { TokenResolver } = require('../scripts/resolve-tokens');
+const { FlowValidator } = require('../scripts/validate');
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('yaml');
+
+describe('Token Resolution', () => {
+    const instanceId = '87654321-4321-8765-4321-876543218765';
+    const instancePrefix = `arn:aws:connect:us-east-1:234567890123:instance/${instanceId}`;
+    const envConfig = {
+        connect: {
+            instance_id: instanceId,
+            instance_arn: instancePrefix,
+            region: 'us-east-1'
+        }
+    };
+
+    const respond = (value) => ({ promise: () => Promise.resolve(value) });
+
+    function createConnect() {
+        return {
+            listQueues: jest.fn((params) => respond(params.NextToken ?
+                { QueueSummaryList: [{ Name: 'Support', Arn: `${instancePrefix}/queue/support` }] } :
+                { QueueSummaryList: [{ Name: 'Sales', Arn: `${instancePrefix}/queue/sales` }], NextToken: 'page-2' })),
+            listPrompts: jest.fn(() => respond({
+                PromptSummaryList: [
+                    { Name: 'Welcome JA', Arn: `${instancePrefix}/prompt/welcome-ja` },
+                    { Name: 'Duplicate', Arn: `${instancePrefix}/prompt/dup-1` },
+                    { Name: 'Duplicate', Arn: `${instancePrefix}/prompt/dup-2` }
+                ]
+            })),
+            listLambdaFunctions: jest.fn(() => respond({
+                LambdaFunctions: [
+                    'arn:aws:lambda:us-east-1:234567890123:function:connect-test-handler:LIVE',
+                    'arn:aws:lambda:us-east-1:234567890123:function:connect-test-auth'
+                ]
+            })),
+            listBots: jest.fn(() => respond({
+                LexBots: [
+                    { LexV2Bot: { AliasArn: 'arn:aws:lex:us-east-1:234567890123:bot-alias/BOT1/ALIAS1' } },
+                    { LexBot: { Name: 'LegacyBot', LexRegion: 'us-east-1' } }
+                ]
+            })),
+            listPhoneNumbersV2: jest.fn(() => respond({
+                ListPhoneNumbersSummaryList: [
+                    { PhoneNumberId: 'pn-1', PhoneNumber: '+18002345678' },
+                    { PhoneNumberId: 'pn-2', PhoneNumber: '+18002345679' }
+                ]
+            })),
+            describePhoneNumber: jest.fn(({ PhoneNumberId }) => respond({
+                ClaimedPhoneNumberSummary: { PhoneNumberDescription: PhoneNumberId === 'pn-1' ? 'Main line' : 'Support line' }
+            }))
+        };
+    }
+
+    const lex = {
+        describeBotAlias: jest.fn(() => respond({ botAliasName: 'test' })),
+        describeBot: jest.fn(() => respond({ botName: 'CustomerBot' }))
+    };
+
+    test('should resolve each category by name', async () => {
+        const connect = createConnect();
+        const resolver = new TokenResolver(envConfig, { connect, lex });
+
+        const { tokens, errors } = await resolver.resolveManifest({
+            Queue: { Sales: 'Sales', Support: 'Support' },
+            Prompt: { WelcomeJa: 'Welcome JA' },
+            Lambda: { InvokeAlias: 'connect-{env}-handler:LIVE', AuthenticationAlias: 'connect-{env}-auth' },
+            Lex: { BotV2: 'CustomerBot:{env}' },
+            PhoneNumber: { Main: 'Main line', Support: '+18002345679' }
+        }, 'test');
+
+        expect(errors).toEqual([]);
+        expect(tokens).toEqual({
+            Queue: { Sales: `${instancePrefix}/queue/sales`, Support: `${instancePrefix}/queue/support` },
+            Prompt: { WelcomeJa: `${instancePrefix}/prompt/welcome-ja` },
+            Lambda: {
+                InvokeAlias: 'arn:aws:lambda:us-east-1:234567890123:function:connect-test-handler:LIVE',
+                AuthenticationAlias: 'arn:aws:lambda:us-east-1:234567890123:function:connect-test-auth'
+            },
+            Lex: { BotV2: 'arn:aws:lex:us-east-1:234567890123:bot-alias/BOT1/ALIAS1' },
+            PhoneNumber: { Main: '+18002345678', Support: '+18002345679' }
+        });
+
+        // Each list is fetched once per category, across all pages
+        expect(connect.listQueues).toHaveBeenCalledTimes(2);
+        expect(connect.listQueues.mock.calls[0][0]).toMatchObject({ InstanceId: instanceId, QueueTypes: ['STANDARD'] });
+        expect(connect.listLambdaFunctions.mock.calls[0][0].MaxResults).toBe(25);
+        expect(connect.listPhoneNumbersV2.mock.calls[0][0].TargetArn).toBe(instancePrefix);
+        expect(lex.describeBotAlias).toHaveBeenCalledWith({ botId: 'BOT1', botAliasId: 'ALIAS1' });
+    });
+
+    test('should produce tokens the environment schema accepts', async () => {
+        const resolver = new TokenResolver(envConfig, { connect: createConnect(), lex });
+        const { tokens, errors } = await resolver.resolveManifest({
+            Queue: { Sales: 'Sales' },
+            Lambda: { InvokeAlias: 'connect-{env}-handler:LIVE' },
+            Lex: { BotV2: 'CustomerBot:{env}' },
+            PhoneNumber: { Main: 'Main line' }
+        }, 'test');
+        expect(errors).toEqual([]);
+
+        const envPath = path.join(__dirname, 'temp-resolve-tokens', 'test.yaml');
+        await fs.outputFile(envPath, yaml.stringify({ ...envConfig, tokens }));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        try {
+            const validator = new FlowValidator();
+            await validator.validateEnvironmentConfig(envPath);
+            expect(validator.errors).toEqual([]);
+        } finally {
+            jest.restoreAllMocks();
+            await fs.remove(path.dirname(envPath));
+        }
+    });
+
+    test('should use per-environment names and skip environments without one', async () => {
+        const resolver = new TokenResolver(envConfig, { connect: createConnect(), lex });
+
+        const { tokens } = await resolver.resolveManifest({
+            Queue: { Sales: { test: 'Sales', prod: 'Sales Prod' }, BasicQueue: { dev: 'BasicQueue' } }
+        }, 'test');
+
+        expect(tokens).toEqual({ Queue: { Sales: `${instancePrefix}/queue/sales` } });
+    });
+
+    test('should resolve Lambda aliases from the associated function', async () => {
+        const resolver = new TokenResolver(envConfig, { connect: createConnect(), lex });
+
+        const { tokens, errors } = await resolver.resolveManifest({
+            Lambda: {
+                // Only the unqualified function is associated: the alias is appended to its ARN
+                AuthenticationAlias: 'connect-{env}-auth:LIVE',
+                // Only the LIVE alias is associated
+                Handler: 'connect-{env}-handler'
+            }
+        }, 'test');
+
+        expect(tokens).toEqual({
+            Lambda: { AuthenticationAlias: 'arn:aws:lambda:us-east-1:234567890123:function:connect-test-auth:LIVE' }
+        });
+        expect(errors).toEqual([{
+            token: 'Lambda.Handler',
+            name: 'connect-test-handler',
+            message: `Lambda function connect-test-handler is associated with instance ${instanceId} only as ` +
+                'arn:aws:lambda:us-east-1:234567890123:function:connect-test-handler:LIVE, not as connect-test-handler'
+        }]);
+    });
+
+    test('should report missing, ambiguous and unsupported entries', async () => {
+        const resolver = new TokenResolver(envConfig, { connect: createConnect(), lex });
+
+        const { tokens, errors } = await resolver.resolveManifest({
+            Queue: { Missing: 'No Such Queue' },
+            Prompt: { Dup: 'Duplicate' },
+            Lambda: { Unassociated: 'connect-test-validate:LIVE' },
+            PhoneNumber: { Other: '+18009999999' },
+            Widget: { Foo: 'bar' }
+        }, 'test');
+
+        expect(tokens).toEqual({});
+        expect(errors.map(error => error.token)).toEqual([
+            'Queue.Missing', 'Prompt.Dup', 'Lambda.Unassociated', 'PhoneNumber.Other', 'Widget'
+        ]);
+        expect(errors[0].message).toBe(`Queue not found in instance ${instanceId}: No Such Queue`);
+        expect(errors[1].message).toContain('ambiguous');
+        expect(errors[2].message).toBe(`Lambda function not associated with instance ${instanceId}: connect-test-validate`);
+        expect(errors[4].message).toBe('Unsupported token category: Widget');
+    });
+
+    describe('env file updates', () => {
+        const envText = [
+            '# Test environment',
+            'connect:',
+            `  instance_id: "${instanceId}"`,
+            '',
+            'tokens:',
+            '  # Queues (Connect ARNs)',
+            '  Queue:',
+            '    Sales: "arn:aws:connect:us-east-1:234567890123:instance/yyyy/queue/old" # stale',
+            '    Support: "arn:support"',
+            '',
+            '# Change Window',
+            'change_window:',
+            '  blocked_hours:',
+            '    - days: ["monday", "friday"]',
+            ''
+        ].join('\n');
+
+        test('should keep comments, ordering and quoting', () => {
+            const updated = TokenResolver.applyTokens(envText, {
+                Queue: { Sales: `${instancePrefix}/queue/sales`, Support: 'arn:support', Escalation: `${instancePrefix}/queue/escalation` },
+                Prompt: { WelcomeJa: `${instancePrefix}/prompt/welcome-ja` }
+            });
+
+            expect(updated).toContain(`    Sales: "${instancePrefix}/queue/sales" # stale`);
+            expect(updated).toContain(`    Escalation: "${instancePrefix}/queue/escalation"`);
+            expect(updated).toContain('  # Queues (Connect ARNs)');
+            expect(updated).toContain('    - days: ["monday", "friday"]');
+            expect(updated.indexOf('Escalation')).toBeLessThan(updated.indexOf('Prompt:'));
+            expect(updated.indexOf('Prompt:')).toBeLessThan(updated.indexOf('change_window:'));
+            expect(yaml.parse(updated).tokens.Prompt.WelcomeJa).toBe(`${instancePrefix}/prompt/welcome-ja`);
+        });
+
+        test('should leave an up-to-date file untouched', () => {
+            expect(TokenResolver.applyTokens(envText, { Queue: { Support: 'arn:support' } })).toBe(envText);
+        });
+
+        test('should round-trip the repository env files unchanged', async () => {
+            for (const envName of ['dev', 'test', 'prod']) {
+                const text = await fs.readFile(path.join(__dirname, '..', 'env', `${envName}.yaml`), 'utf8');
+                expect(TokenResolver.applyTokens(text, {})).toBe(text);
+            }
+        });
+
+        test('should diff changed lines', () => {
+            const updated = TokenResolver.applyTokens(envText, { Queue: { Support: 'arn:support-new' } });
+
+            expect(TokenResolver.diffLines(envText, updated)).toEqual([
+                '-   9     Support: "arn:support"',
+                '+   9     Support: "arn:support-new"'
+            ]);
+        });
+    });
+});
@@ -0,0 +1,193 @@
+const { FileLock, RunHistory, nextCronRun } = require('../scripts/schedule');
+const AutoExportScheduler = require('../scripts/auto-export');
+const cron = require('node-cron');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Auto export scheduling', () => {
+    const tempDir = path.join(__dirname, 'temp-schedule');
+    const lockFile = path.join(tempDir, 'auto-export.lock');
+    const historyFile = path.join(tempDir, 'history.json');
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.remove(tempDir);
+    });
+
+    function createScheduler(exporter, schedulerConfig = {}) {
+        const scheduler = new AutoExportScheduler(path.join(tempDir, 'config.yaml'), { createExporter: () => exporter });
+        scheduler.config = {
+            environments: {
+                dev: { instanceId: 'instance-dev', outputDir: path.join(tempDir, 'flows-dev'), enabled: true, schedule: '0 2 * * *' },
+                test: { instanceId: 'instance-test', outputDir: path.join(tempDir, 'flows-test'), enabled: false, schedule: '0 3 * * 0' }
+            },
+            git: { autoCommit: true },
+            notifications: {},
+            incremental: { enabled: true, checkInterval: '*/30 * * * *', lookbackHours: 2 },
+            scheduler: { lockFile, historyFile, timeoutMinutes: 30, ...schedulerConfig }
+        };
+        jest.spyOn(scheduler, 'collectChanges').mockReturnValue([]);
+        jest.spyOn(scheduler, 'performGitCommit').mockResolvedValue([]);
+        jest.spyOn(scheduler, 'sendNotifications').mockResolvedValue();
+        return scheduler;
+    }
+
+    test('should compute the next run of cron expressions', () => {
+        const from = new Date(2026, 9, 18, 10, 7, 30);
+
+        expect(nextCronRun('*/30 * * * *', from)).toEqual(new Date(2026, 9, 18, 10, 30));
+        expect(nextCronRun('0 2 * * *', from)).toEqual(new Date(2026, 9, 19, 2, 0));
+        // 2026-10-18 is a Sunday
+        expect(nextCronRun('0 3 * * 0', from)).toEqual(new Date(2026, 9, 25, 3, 0));
+        expect(nextCronRun('0 9 * * mon-fri', from)).toEqual(new Date(2026, 9, 19, 9, 0));
+        expect(nextCronRun('0 0 0 1 jan *', from)).toEqual(new Date(2027, 0, 1, 0, 0));
+        expect(nextCronRun('0 0 30 2 *', from)).toBeNull();
+        expect(() => nextCronRun('61 * * * *', from)).toThrow('Invalid cron minute: 61');
+    });
+
+    test('should refuse a held lock and take over a stale one', async () => {
+        const first = new FileLock(lockFile);
+        const second = new FileLock(lockFile);
+
+        expect(await first.acquire({ job: 'dev' })).toBe(true);
+        expect(await second.acquire({ job: 'incremental' })).toBe(false);
+        expect(await second.read()).toMatchObject({ pid: process.pid, job: 'dev' });
+
+        await second.release();
+        expect(await fs.pathExists(lockFile)).toBe(true);
+
+        const takeover = new FileLock(lockFile, { isProcessAlive: () => false });
+        expect(await takeover.acquire({ job: 'incremental' })).toBe(true);
+        expect(await takeover.read()).toMatchObject({ job: 'incremental' });
+
+        await takeover.release();
+        expect(await fs.pathExists(lockFile)).toBe(false);
+    });
+
+    test('should treat an unreadable lock as held until it goes stale', async () => {
+        await fs.outputFile(lockFile, '');
+        const lock = new FileLock(lockFile, { isProcessAlive: () => false, unreadableStaleMs: 60 * 1000 });
+
+        expect(await lock.acquire({ job: 'dev' })).toBe(false);
+        expect(await fs.readFile(lockFile, 'utf8')).toBe('');
+
+        const twoMinutesAgo = new Date(Date.now() - 2 * 60 * 1000);
+        await fs.utimes(lockFile, twoMinutesAgo, twoMinutesAgo);
+
+        expect(await lock.acquire({ job: 'dev' })).toBe(true);
+        expect(await lock.read()).toMatchObject({ job: 'dev' });
+        await lock.release();
+    });
+
+    test('should log a scheduled run that throws instead of rejecting the cron callback', async () => {
+        const scheduler = createScheduler({});
+        const schedule = jest.spyOn(cron, 'schedule').mockImplementation(() => ({ stop: jest.fn() }));
+        jest.spyOn(process, 'once').mockImplementation(() => process);
+        jest.spyOn(scheduler, 'loadConfig').mockResolvedValue(scheduler.config);
+        jest.spyOn(scheduler, 'runPipeline').mockRejectedValue(new Error('history file is corrupt'));
+
+        await scheduler.startScheduler();
+        const [, callback] = schedule.mock.calls[0];
+
+        await expect(callback()).resolves.toBeUndefined();
+        expect(console.error).toHaveBeenCalledWith('❌ Scheduled run failed (dev):', 'history file is corrupt');
+        await scheduler.stop();
+    });
+
+    test('should run the full pipeline for a scheduled environment and record it', async () => {
+        const exporter = {
+            exportAllFlows: jest.fn().mockResolvedValue([{ success: true }]),
+            exportIncremental: jest.fn()
+        };
+        const scheduler = createScheduler(exporter);
+        scheduler.collectChanges.mockReturnValue([{ flow: 'SalesEntry', status: 'modified', additions: 1, deletions: 1 }]);
+
+        const run = await scheduler.runPipeline(['dev'], { job: 'dev', incremental: false });
+
+        expect(exporter.exportAllFlows).toHaveBeenCalledWith('instance-dev', path.join(tempDir, 'flows-dev'), undefined, { resourcesDir: undefined });
+        expect(exporter.exportIncremental).not.toHaveBeenCalled();
+        expect(scheduler.performGitCommit).toHaveBeenCalledWith([expect.objectContaining({ environment: 'dev', success: true })]);
+        expect(scheduler.sendNotifications).toHaveBeenCalledTimes(1);
+        expect(run).toMatchObject({
+            job: 'dev',
+            environments: ['dev'],
+            status: 'success',
+            results: [{ environment: 'dev', success: true, changedFlows: 1 }]
+        });
+        expect(await fs.pathExists(lockFile)).toBe(false);
+        expect(await new RunHistory(historyFile).lastRun('dev')).toEqual(run);
+    });
+
+    test('should record a failed run and report git failures', async () => {
+        const exporter = { exportAllFlows: jest.fn().mockResolvedValue([{ success: true }]), exportIncremental: jest.fn() };
+        const scheduler = createScheduler(exporter);
+        scheduler.performGitCommit.mockRejectedValue(new Error('Git operations failed: remote rejected'));
+
+        const run = await scheduler.runPipeline(['dev'], { job: 'dev', incremental: false });
+
+        expect(run).toMatchObject({
+            status: 'failed',
+            error: 'Git operations failed: remote rejected',
+            results: [{ environment: 'dev', success: true }]
+        });
+        expect(scheduler.sendNotifications).toHaveBeenCalledWith(
+            [expect.objectContaining({ environment: 'dev' })],
+            { gitError: 'Git operations failed: remote rejected' }
+        );
+    });
+
+    test('should read lookbackHours from the incremental section', async () => {
+        const exporter = { exportIncremental: jest.fn().mockResolvedValue([]) };
+        const scheduler = createScheduler(exporter);
+        const before = Date.now();
+
+        await scheduler.runPipeline(['dev'], { job: 'incremental', incremental: true });
+
+        const [instanceId, outputDir, { since }] = exporter.exportIncremental.mock.calls[0];
+        expect([instanceId, outputDir]).toEqual(['instance-dev', path.join(tempDir, 'flows-dev')]);
+        expect(new Date(since).getTime()).toBeGreaterThanOrEqual(before - 2 * 60 * 60 * 1000);
+        expect(new Date(since).getTime()).toBeLessThanOrEqual(Date.now() - 2 * 60 * 60 * 1000);
+    });
+
+    test('should skip overlapping runs and time out long ones', async () => {
+        let finishExport;
+        const exporter = { exportAllFlows: jest.fn(() => new Promise(resolve => { finishExport = resolve; })) };
+        const scheduler = createScheduler(exporter, { timeoutMinutes: 0.001 });
+
+        const running = scheduler.runPipeline(['dev'], { job: 'dev', incremental: false });
+        await new Promise(resolve => setImmediate(resolve));
+        const overlapping = await scheduler.runPipeline(['dev'], { job: 'incremental', incremental: true });
+
+        expect(overlapping).toMatchObject({ job: 'incremental', status: 'skipped', reason: 'locked' });
+
+        const run = await running;
+        expect(run).toMatchObject({ status: 'timeout', error: 'Run timed out after 0.001 minutes' });
+        // The lock is kept until the timed out export stops, and later steps are skipped
+        expect(await fs.pathExists(lockFile)).toBe(true);
+
+        finishExport([]);
+        await scheduler.stop();
+        expect(await fs.pathExists(lockFile)).toBe(false);
+        expect(scheduler.performGitCommit).not.toHaveBeenCalled();
+        expect((await new RunHistory(historyFile).load()).map(r => r.status)).toEqual(['timeout', 'skipped']);
+    });
+
+    test('should report the last and next run of each job', async () => {
+        const scheduler = createScheduler({});
+        jest.spyOn(scheduler, 'loadConfig').mockResolvedValue(scheduler.config);
+        await new RunHistory(historyFile).record({ job: 'dev', startedAt: '2026-10-18T02:00:00.000Z', status: 'success' });
+
+        const status = await scheduler.getStatus(new Date(2026, 9, 18, 10, 7));
+
+        expect(status).toEqual([
+            { job: 'dev', schedule: '0 2 * * *', lastRun: expect.objectContaining({ status: 'success' }), nextRun: new Date(2026, 9, 19, 2, 0).toISOString() },
+            { job: 'incremental', schedule: '*/30 * * * *', lastRun: null, nextRun: new Date(2026, 9, 18, 10, 30).toISOString() }
+        ]);
+    });
+});